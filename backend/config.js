@@ -22,10 +22,49 @@ for (const key of required) {
   }
 }
 
+// Ledger storage backend: 'sheets' (Google Sheets) or 'sqlite' (local file)
+const LEDGER_BACKENDS = ['sheets', 'sqlite'];
+const ledgerBackend = (process.env.LEDGER_BACKEND || 'sheets').toLowerCase().trim();
+if (!LEDGER_BACKENDS.includes(ledgerBackend)) {
+  console.error(`❌ Invalid LEDGER_BACKEND: ${ledgerBackend} (expected one of: ${LEDGER_BACKENDS.join(', ')})`);
+  process.exit(1);
+}
+
 module.exports = {
   serviceAccountKeyPath: process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH,
   spreadsheetId: process.env.SPREADSHEET_ID,
   docId: process.env.DOC_ID,
+  ledgerBackend,
+  sqlitePath: path.resolve(__dirname, process.env.SQLITE_PATH || './data/ben-don.db'),
+  ledgerCacheTtlMs: parseInt(process.env.LEDGER_CACHE_TTL_MS, 10) >= 0
+    ? parseInt(process.env.LEDGER_CACHE_TTL_MS, 10)
+    : 5000,
+  userCacheTtlMs: parseInt(process.env.USER_CACHE_TTL_MS, 10) >= 0
+    ? parseInt(process.env.USER_CACHE_TTL_MS, 10)
+    : 60000,
+  outboxPollMs: parseInt(process.env.OUTBOX_POLL_MS, 10) || 2000,
+  adjustmentReasonCodes: (process.env.ADJUSTMENT_REASON_CODES || 'DATA_ENTRY_ERROR,MISSED_TRANSACTION,DUPLICATE_TRANSACTION,CASH_COUNT_CORRECTION,OTHER')
+    .split(',')
+    .map((c) => c.trim().toUpperCase())
+    .filter(Boolean),
+  // Cash drawer close: denominations counted, and the variance that warns / needs an admin
+  drawerDenominations: (process.env.DRAWER_DENOMINATIONS || '1000,500,200,100,50,10,5,1')
+    .split(',')
+    .map((d) => parseFloat(d))
+    .filter((d) => d > 0)
+    .sort((a, b) => b - a),
+  drawerVarianceWarn: parseFloat(process.env.DRAWER_VARIANCE_WARN) >= 0
+    ? parseFloat(process.env.DRAWER_VARIANCE_WARN)
+    : 50,
+  drawerVarianceBlock: parseFloat(process.env.DRAWER_VARIANCE_BLOCK) >= 0
+    ? parseFloat(process.env.DRAWER_VARIANCE_BLOCK)
+    : 500,
+  // Monthly PDF statements: month boundaries are taken at this UTC offset
+  statementUtcOffset: /^[+-]\d{2}:\d{2}$/.test(process.env.STATEMENT_UTC_OFFSET || '')
+    ? process.env.STATEMENT_UTC_OFFSET
+    : '+08:00',
+  statementFontPath: path.resolve(__dirname, process.env.STATEMENT_FONT_PATH || './fonts/NotoSansTC-Regular.ttf'),
+  statementArchiveDir: path.resolve(__dirname, process.env.STATEMENT_ARCHIVE_DIR || './data/statements'),
   port: parseInt(process.env.PORT, 10) || 3001,
   jwtSecret: process.env.JWT_SECRET,
   jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
@@ -7,18 +7,68 @@
  * POST /api/spend            — Execute a spend (deduction) transaction
  * GET  /api/balance          — Look up customer balance
  * POST /api/balance/batch    — Batch balance lookup
- * POST /api/checkout/batch   — Atomic batch checkout
- * GET  /api/transactions     — Retrieve recent transactions
+ * POST /api/checkout/batch   — Atomic batch checkout (or a dry run with dryRun: true)
+ * POST /api/checkout/batch/:key/resume — Finish a partially failed batch checkout
+ * POST /api/checkout/batch/:key/void — Reverse a whole batch checkout
+ * GET  /api/checkout/batches — List past batch checkouts
+ * GET  /api/checkout/batches/:key — One batch with its rows and skipped rows
+ * POST /api/refund           — Refund a spend (REFUND transaction)
+ * POST /api/transfer         — Transfer between two customers
+ * GET  /api/adjustment/reasons — Configured adjustment reason codes
+ * POST /api/adjustment       — Admin ledger correction (ADJUSTMENT transaction)
+ * GET  /api/transactions     — Retrieve recent transactions (buyers: their own, paginated)
+ * GET  /api/transactions/search — Filtered, sorted, paginated ledger search
+ * GET  /api/statement        — Statement of a customer for a period (JSON or CSV)
+ * GET  /api/statement/pdf    — Monthly statement of a customer as PDF
+ * POST /api/statements/monthly — Generate every active user's monthly PDF statement
+ * GET  /api/statements/monthly/:month — Archived monthly statements
+ * GET  /api/statements/monthly/:month/:customer — Download an archived statement
+ * GET  /api/export           — Stream the ledger as CSV, NDJSON or XLSX (admin)
+ * GET  /api/aliases          — Aliases of an account
+ * POST /api/aliases          — Add an alias to an account
+ * DELETE /api/aliases/:alias — Remove an alias
+ * POST /api/aliases/resolve  — Resolve names (or aliases) to accounts
+ * POST /api/aliases/suggest  — Suggest accounts for unknown names
+ * POST /api/aliases/pick     — Record a suggestion picked by the cashier
+ * GET  /api/groups           — Group accounts (buyers: their own groups)
+ * POST /api/groups           — Create a group account
+ * GET  /api/groups/:name     — One group with its members, balance, staged amount and history
+ * PUT  /api/groups/:name/members — Add a member or change their spend permission
+ * DELETE /api/groups/:name/members/:member — Remove a member
+ * GET  /api/drawers          — Cash drawers with their cashiers and balances
+ * GET  /api/drawers/mine     — The caller's cash drawer
+ * POST /api/drawers          — Create a cash drawer
+ * PUT  /api/drawers/cashiers/:email — Assign a cashier to a drawer
+ * GET  /api/drawers/:name/close — Expected cash of a drawer since its last close
+ * POST /api/drawers/:name/close — Close a drawer with the counted cash
+ * GET  /api/drawers/:name/closes — Past closes of a drawer
+ * GET  /api/outbox           — Undelivered Google Doc log entries
  */
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { verifyToken } = require('../middleware/auth');
-const { checkAuthorization, registerUser, loginUser, getUserInfo, getAllUserNames, validateCustomerName, WRITE_ROLES, READ_ROLES, SHARED_DEPOSIT_CUSTOMER } = require('../services/authorizationService');
-const { findByIdempotencyKey, appendTransaction, getTransactions } = require('../services/sheetsService');
-const { appendLog } = require('../services/docsService');
+const { checkAuthorization, registerUser, loginUser, getUserInfo, getAllUserNames, validateCustomerName, validateGroupCharge, resolveCustomerNames, WRITE_ROLES, READ_ROLES, TRANSFER_ROLES, ADMIN_ROLES, SHARED_DEPOSIT_CUSTOMER } = require('../services/authorizationService');
+const { findByIdempotencyKey, appendTransaction, getTransactionsPage, getCustomerTransactions } = require('../services/ledgerService');
+const { enqueueLog, getOutboxStatus } = require('../services/outboxService');
 const { computeCustomerBalance, computeBatchBalances } = require('../services/balanceService');
-const { executeBatchCheckout } = require('../services/batchCheckoutService');
-const { getStagedAmount, setStaged, deductStaged, getStagedBatch } = require('../services/stagedService');
+const { executeBatchCheckout, previewBatchCheckout, resumeBatchCheckout, voidBatchCheckout } = require('../services/batchCheckoutService');
+const { listBatches, getBatch } = require('../services/batchHistoryService');
+const { executeRefund } = require('../services/refundService');
+const { executeTransfer } = require('../services/transferService');
+const { executeAdjustment } = require('../services/adjustmentService');
+const config = require('../config');
+const { getStagedAmount, setStaged, deductStaged, getStagedBatch, getStagedHistory } = require('../services/stagedService');
+const { withCustomerLock } = require('../services/lockService');
+const { checkIdempotencyKey, recordResponse } = require('../services/idempotencyService');
+const { getAlias, listAliases, addAlias, removeAlias } = require('../services/aliasService');
+const { suggestAccounts, pickAccount } = require('../services/matchService');
+const { getGroup, listGroups, createGroup, setMember, removeMember, getMembership, formatGroupChargeNote } = require('../services/groupService');
+const { resolveDrawer, listDrawers, createDrawer, assignCashier, getCashierDrawer } = require('../services/drawerService');
+const { computeExpectedCash, closeDrawer, listDrawerCloses } = require('../services/drawerCloseService');
+const { searchTransactions } = require('../services/transactionSearchService');
+const { getStatement, formatStatementCsv } = require('../services/statementService');
+const { getMonthlyStatementPdf, generateMonthlyStatements, listMonthlyStatements, getArchivedStatementPath, statementFileName } = require('../services/statementPdfService');
+const { prepareExport, writeExport } = require('../services/exportService');
 
 const router = express.Router();
 
@@ -59,7 +109,9 @@ router.post('/login', async (req, res) => {
 router.get('/users/names', verifyToken, async (req, res) => {
     try {
         const names = await getAllUserNames();
-        // Include the shared deposit virtual account
+        // Include group accounts and the cash drawers
+        names.push(...listGroups().map((group) => group.name));
+        names.push(...listDrawers().map((drawer) => drawer.name));
         names.push(SHARED_DEPOSIT_CUSTOMER);
         return res.status(200).json({ names });
     } catch (error) {
@@ -119,46 +171,62 @@ router.post('/topup', verifyToken, async (req, res) => {
             return res.status(400).json({ error: 'Idempotency key is required' });
         }
 
-        // 2b. Validate that customer is a known account
+        // 2b. Validate that customer is a known account (or one of its aliases)
         const customerValidation = await validateCustomerName(customer.trim());
         if (!customerValidation.valid) {
             return res.status(400).json({ error: customerValidation.reason });
         }
+        const account = customerValidation.customer;
 
-        // 3. Check for duplicate transaction
-        const isDuplicate = await findByIdempotencyKey(idempotencyKey);
-        if (isDuplicate) {
-            return res.status(409).json({ error: 'Duplicate transaction: idempotency key already exists' });
-        }
-
-        // 4. Generate server-side values
-        const timestamp = new Date().toISOString();
-        const transactionId = uuidv4();
-
-        // Backend enforces: TOPUP type with positive amount
-        const transactionData = {
-            timestamp,
-            transactionId,
-            customer: customer.trim(),
-            type: 'TOPUP',
-            amount, // positive, validated above
-            cashierEmail: email,
-            note: (note || '').trim(),
-            idempotencyKey,
-        };
+        const idempotencyRequest = { customer: customer.trim(), amount, note: (note || '').trim() };
 
-        // 5. Append to Google Sheet
-        await appendTransaction(transactionData);
-
-        // 6. Append to Google Doc
-        await appendLog(transactionData);
+        // 3–7 run under the customer lock so a concurrent retry with the same
+        //     key waits for this one and then replays its response
+        return await withCustomerLock(account, async () => {
+            // 3. Replay a previous response for this key, or reject a duplicate
+            const previous = checkIdempotencyKey(idempotencyKey, 'topup', idempotencyRequest);
+            if (previous.status === 'replay') {
+                return res.status(previous.statusCode).json({ ...previous.body, replayed: true });
+            }
+            if (previous.status === 'conflict') {
+                return res.status(409).json({ error: previous.message });
+            }
+            const isDuplicate = await findByIdempotencyKey(idempotencyKey);
+            if (isDuplicate) {
+                return res.status(409).json({ error: 'Duplicate transaction: idempotency key already exists' });
+            }
 
-        // 7. Return success
-        console.log(`✅ TOPUP ${transactionId} | ${customer.trim()} +${amount} by ${email}`);
-        return res.status(200).json({
-            status: 'success',
-            transactionID: transactionId,
-            timestamp,
+            // 4. Generate server-side values
+            const timestamp = new Date().toISOString();
+            const transactionId = uuidv4();
+
+            // Backend enforces: TOPUP type with positive amount
+            const transactionData = {
+                timestamp,
+                transactionId,
+                customer: account,
+                type: 'TOPUP',
+                amount, // positive, validated above
+                cashierEmail: email,
+                note: (note || '').trim(),
+                idempotencyKey,
+            };
+
+            // 5. Append to the ledger (commit point) and remember the response
+            await appendTransaction(transactionData);
+            const response = {
+                status: 'success',
+                transactionID: transactionId,
+                timestamp,
+            };
+            recordResponse(idempotencyKey, 'topup', idempotencyRequest, 200, response, email);
+
+            // 6. Queue the Google Doc log entry (delivered by the outbox worker)
+            enqueueLog(transactionData);
+
+            // 7. Return success
+            console.log(`✅ TOPUP ${transactionId} | ${account} +${amount} by ${email}`);
+            return res.status(200).json(response);
         });
     } catch (error) {
         console.error('Top-up error:', error.message);
@@ -170,8 +238,10 @@ router.post('/topup', verifyToken, async (req, res) => {
  * POST /api/spend
  * Execute a spend (deduction) transaction.
  *
- * Body: { customer, amount, note, idempotencyKey }
+ * Body: { customer, amount, note, idempotencyKey, member? }
  *   - amount must be positive (backend converts to negative)
+ *   - member: required when customer is a group account — the member the
+ *     charge is for, who must be allowed to spend from the group
  * Headers: Authorization: Bearer <ID_TOKEN>
  */
 router.post('/spend', verifyToken, async (req, res) => {
@@ -185,7 +255,7 @@ router.post('/spend', verifyToken, async (req, res) => {
         }
 
         // 2. Validate input
-        const { customer, amount, note, idempotencyKey } = req.body;
+        const { customer, amount, note, idempotencyKey, member } = req.body;
 
         if (!customer || typeof customer !== 'string' || customer.trim().length === 0) {
             return res.status(400).json({ error: 'Customer name is required' });
@@ -196,73 +266,110 @@ router.post('/spend', verifyToken, async (req, res) => {
         if (!idempotencyKey || typeof idempotencyKey !== 'string' || idempotencyKey.trim().length === 0) {
             return res.status(400).json({ error: 'Idempotency key is required' });
         }
+        if (member !== undefined && (typeof member !== 'string' || member.trim().length === 0)) {
+            return res.status(400).json({ error: 'Member must be a non-empty name' });
+        }
 
-        // 2b. Validate that customer is a known account
+        // 2b. Validate that customer is a known account (or one of its aliases)
         const customerValidation = await validateCustomerName(customer.trim());
         if (!customerValidation.valid) {
             return res.status(400).json({ error: customerValidation.reason });
         }
-
-        // 3. Check for duplicate transaction
-        const isDuplicate = await findByIdempotencyKey(idempotencyKey);
-        if (isDuplicate) {
-            return res.status(409).json({ error: 'Duplicate transaction: idempotency key already exists' });
+        const account = customerValidation.customer;
+
+        // 2c. A group account is charged for one of its members
+        let ledgerNote = (note || '').trim();
+        let chargedFor = null;
+        if (customerValidation.isGroup) {
+            if (!member) {
+                return res.status(400).json({ error: 'Member is required when charging a group account' });
+            }
+            const charge = await validateGroupCharge(account, member.trim());
+            if (!charge.valid) {
+                return res.status(403).json({ error: charge.reason });
+            }
+            chargedFor = charge.member;
+            ledgerNote = formatGroupChargeNote(chargedFor, ledgerNote);
+        } else if (member) {
+            return res.status(400).json({ error: 'Member is only used when charging a group account' });
         }
 
-        // 4. Overdraft prevention: check balance before spending
-        const currentBalance = await computeCustomerBalance(customer.trim());
-        if (currentBalance < amount) {
-            return res.status(409).json({
-                error: 'Insufficient balance',
-                currentBalance,
-                requestedAmount: amount,
-            });
-        }
+        const idempotencyRequest = { customer: customer.trim(), amount, note: (note || '').trim() };
+        if (member) idempotencyRequest.member = member.trim();
+
+        // 3–7 run as one critical section per customer, so concurrent spends
+        //     cannot both pass the balance and staged checks
+        return await withCustomerLock(account, async () => {
+            // 3. Replay a previous response for this key, or reject a duplicate
+            const previous = checkIdempotencyKey(idempotencyKey, 'spend', idempotencyRequest);
+            if (previous.status === 'replay') {
+                return res.status(previous.statusCode).json({ ...previous.body, replayed: true });
+            }
+            if (previous.status === 'conflict') {
+                return res.status(409).json({ error: previous.message });
+            }
+            const isDuplicate = await findByIdempotencyKey(idempotencyKey);
+            if (isDuplicate) {
+                return res.status(409).json({ error: 'Duplicate transaction: idempotency key already exists' });
+            }
 
-        // 4b. Staged-amount check: buyer must have staged enough
-        //     (Shared Deposit is exempt — it's a cashier-managed virtual account for cash payments)
-        if (customer.trim().toLowerCase() !== SHARED_DEPOSIT_CUSTOMER.toLowerCase()) {
-            const stagedAmount = getStagedAmount(customer.trim());
-            if (stagedAmount < amount) {
+            // 4. Overdraft prevention: check balance before spending
+            const currentBalance = await computeCustomerBalance(account);
+            if (currentBalance < amount) {
                 return res.status(409).json({
-                    error: 'Insufficient staged amount',
-                    stagedAmount,
+                    error: 'Insufficient balance',
+                    currentBalance,
                     requestedAmount: amount,
                 });
             }
-        }
-
-        // 5. Generate server-side values
-        const timestamp = new Date().toISOString();
-        const transactionId = uuidv4();
 
-        // Backend enforces: SPEND type with NEGATIVE amount
-        const transactionData = {
-            timestamp,
-            transactionId,
-            customer: customer.trim(),
-            type: 'SPEND',
-            amount: -amount, // convert to negative for ledger
-            cashierEmail: email,
-            note: (note || '').trim(),
-            idempotencyKey,
-        };
-
-        // 6. Append to Google Sheet
-        await appendTransaction(transactionData);
-
-        // 7. Append to Google Doc
-        await appendLog(transactionData);
-
-        // 7b. Deduct from staged amount
-        deductStaged(customer.trim(), amount);
+            // 4b. Staged-amount check: buyer must have staged enough
+            //     (cash drawers are exempt — they are cashier-managed virtual accounts for cash payments)
+            if (!customerValidation.isDrawer) {
+                const stagedAmount = getStagedAmount(account);
+                if (stagedAmount < amount) {
+                    return res.status(409).json({
+                        error: 'Insufficient staged amount',
+                        stagedAmount,
+                        requestedAmount: amount,
+                    });
+                }
+            }
 
-        // 8. Return success
-        console.log(`✅ SPEND ${transactionId} | ${customer.trim()} -${amount} by ${email}`);
-        return res.status(200).json({
-            status: 'success',
-            transactionID: transactionId,
-            timestamp,
+            // 5. Generate server-side values
+            const timestamp = new Date().toISOString();
+            const transactionId = uuidv4();
+
+            // Backend enforces: SPEND type with NEGATIVE amount
+            const transactionData = {
+                timestamp,
+                transactionId,
+                customer: account,
+                type: 'SPEND',
+                amount: -amount, // convert to negative for ledger
+                cashierEmail: email,
+                note: ledgerNote,
+                idempotencyKey,
+            };
+
+            // 6. Append to the ledger (commit point) and remember the response
+            await appendTransaction(transactionData);
+            const response = {
+                status: 'success',
+                transactionID: transactionId,
+                timestamp,
+            };
+            recordResponse(idempotencyKey, 'spend', idempotencyRequest, 200, response, email);
+
+            // 6b. Deduct from staged amount
+            deductStaged(account, amount, email);
+
+            // 7. Queue the Google Doc log entry (delivered by the outbox worker)
+            enqueueLog(transactionData);
+
+            // 8. Return success
+            console.log(`✅ SPEND ${transactionId} | ${account} -${amount}${chargedFor ? ` for ${chargedFor}` : ''} by ${email}`);
+            return res.status(200).json(response);
         });
     } catch (error) {
         console.error('Spend error:', error.message);
@@ -290,10 +397,16 @@ router.get('/balance', verifyToken, async (req, res) => {
             return res.status(400).json({ error: 'Customer query parameter is required' });
         }
 
-        // Buyers can only look up their own balance
+        // Buyers can only look up their own balance and their groups' (checked on the
+        // account the balance is computed for — an alias resolves to it)
         const userProfile = await getUserInfo(email);
         if (userProfile && userProfile.role === 'buyer') {
-            if (customer.trim().toLowerCase() !== (userProfile.name || '').toLowerCase()) {
+            const validation = await validateCustomerName(customer.trim());
+            const account = validation.valid ? validation.customer : customer.trim();
+            if (
+                account.toLowerCase() !== (userProfile.name || '').toLowerCase() &&
+                !getMembership(account, userProfile.name).isMember
+            ) {
                 return res.status(403).json({ error: 'Buyers can only look up their own balance' });
             }
         }
@@ -312,8 +425,11 @@ router.get('/balance', verifyToken, async (req, res) => {
 
 /**
  * GET /api/transactions
- * Retrieve the last N transactions.
- * Query params: limit (default 20)
+ * Retrieve transactions, newest first, one page at a time.
+ * Query params: customer (optional), limit (default 20, max 100),
+ *   before (the nextCursor of the previous page)
+ * Buyers only ever get their own rows: customer defaults to their name and
+ * any other customer is rejected.
  */
 router.get('/transactions', verifyToken, async (req, res) => {
     try {
@@ -325,21 +441,47 @@ router.get('/transactions', verifyToken, async (req, res) => {
             return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
         }
 
+        const userProfile = await getUserInfo(email);
+        let customer = (req.query.customer || '').trim() || null;
+
+        if (userProfile && userProfile.role === 'buyer') {
+            if (!userProfile.name) {
+                return res.status(400).json({ error: 'Could not determine customer name' });
+            }
+            if (customer && customer.toLowerCase() !== userProfile.name.toLowerCase()) {
+                return res.status(403).json({ error: 'Buyers can only view their own transactions' });
+            }
+            customer = userProfile.name;
+        }
+
+        let before;
+        if (req.query.before !== undefined) {
+            before = parseInt(req.query.before, 10);
+            if (!Number.isInteger(before) || before < 0) {
+                return res.status(400).json({ error: 'before must be a cursor returned as nextCursor' });
+            }
+        }
+
         const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
-        const transactions = await getTransactions(limit);
+        const { transactions, nextCursor } = await getTransactionsPage({ customer, limit, before });
 
-        return res.status(200).json({ transactions });
+        return res.status(200).json({ customer, transactions, nextCursor });
     } catch (error) {
         console.error('Get transactions error:', error.message);
         return res.status(500).json({ error: 'Internal server error' });
     }
 });
+
 /**
- * POST /api/balance/batch
- * Look up balances for multiple customers in a single request.
- * Authentication required. Authorized roles: cashier, admin, viewer.
+ * GET /api/transactions/search
+ * Search the whole ledger.
+ * Query params: customer, type (comma-separated), cashier, from (inclusive),
+ *   to (exclusive), minAmount, maxAmount, q (note text), sort (timestamp,
+ *   amount or customer), order (asc or desc), limit (default 50, max 200),
+ *   cursor (the nextCursor of the previous page)
+ * Buyers can only search their own rows.
  */
-router.post('/balance/batch', verifyToken, async (req, res) => {
+router.get('/transactions/search', verifyToken, async (req, res) => {
     try {
         const { email } = req.user;
 
@@ -348,180 +490,292 @@ router.post('/balance/batch', verifyToken, async (req, res) => {
             return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
         }
 
-        const { customers } = req.body;
-        if (!customers || !Array.isArray(customers) || customers.length === 0) {
-            return res.status(400).json({ error: 'customers array is required' });
+        const userProfile = await getUserInfo(email);
+        let customer = (req.query.customer || '').trim() || null;
+
+        if (userProfile && userProfile.role === 'buyer') {
+            if (!userProfile.name) {
+                return res.status(400).json({ error: 'Could not determine customer name' });
+            }
+            if (customer && customer.toLowerCase() !== userProfile.name.toLowerCase()) {
+                return res.status(403).json({ error: 'Buyers can only search their own transactions' });
+            }
+            customer = userProfile.name;
         }
 
-        const balances = await computeBatchBalances(customers);
-        return res.status(200).json(balances);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const result = await searchTransactions({
+            customer,
+            types: req.query.type ? String(req.query.type).split(',') : [],
+            cashier: req.query.cashier,
+            from: req.query.from,
+            to: req.query.to,
+            minAmount: req.query.minAmount,
+            maxAmount: req.query.maxAmount,
+            text: req.query.q,
+        }, {
+            sort: req.query.sort || 'timestamp',
+            order: req.query.order || 'desc',
+            limit,
+            cursor: req.query.cursor,
+        });
+
+        return res.status(200).json(result);
     } catch (error) {
-        console.error('Batch balance error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Transaction search error:', error.message);
         return res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
- * POST /api/checkout/batch
- * Execute an atomic batch checkout (multiple SPEND transactions).
- * Authentication required. Cashier role only.
- *
- * Body: { rows: [{customer, amount, note}], idempotencyKey }
+ * GET /api/statement
+ * Opening balance, each transaction with its running balance, and closing
+ * balance of a customer for a period.
+ * Query: ?customer=xxx (optional, defaults to own name), ?from, ?to (ISO 8601;
+ *   from inclusive, to exclusive), ?format=csv to download the statement
+ * Buyers can only view their own statement and their groups'.
  */
-router.post('/checkout/batch', verifyToken, async (req, res) => {
+router.get('/statement', verifyToken, async (req, res) => {
     try {
         const { email } = req.user;
 
-        // Only cashier/admin can execute checkout
-        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        const authResult = await checkAuthorization(email, READ_ROLES);
         if (!authResult.authorized) {
             return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
         }
 
-        const { rows, idempotencyKey } = req.body;
+        const userProfile = await getUserInfo(email);
+        let targetCustomer;
 
-        if (!idempotencyKey || typeof idempotencyKey !== 'string' || idempotencyKey.trim().length === 0) {
-            return res.status(400).json({ error: 'Idempotency key is required' });
+        if (req.query.customer && req.query.customer.trim()) {
+            // Scope on the account the rows are read for (an alias resolves to it)
+            const validation = await validateCustomerName(req.query.customer.trim());
+            targetCustomer = validation.valid ? validation.customer : req.query.customer.trim();
+
+            if (userProfile && userProfile.role === 'buyer') {
+                if (
+                    targetCustomer.toLowerCase() !== (userProfile.name || '').toLowerCase() &&
+                    !getMembership(targetCustomer, userProfile.name).isMember
+                ) {
+                    return res.status(403).json({ error: 'Buyers can only view their own statement' });
+                }
+            }
+        } else {
+            if (!userProfile || !userProfile.name) {
+                return res.status(400).json({ error: 'Could not determine customer name' });
+            }
+            targetCustomer = userProfile.name;
         }
 
-        const result = await executeBatchCheckout(rows, idempotencyKey, email);
-        return res.status(200).json(result);
+        const statement = await getStatement(targetCustomer, { from: req.query.from, to: req.query.to });
+
+        if (req.query.format === 'csv') {
+            const filename = `statement-${statement.customer}.csv`;
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="statement.csv"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+            return res.status(200).send(formatStatementCsv(statement));
+        }
+
+        return res.status(200).json(statement);
     } catch (error) {
-        // batchCheckoutService throws { statusCode, message }
         if (error.statusCode) {
             return res.status(error.statusCode).json({ error: error.message });
         }
-        console.error('Batch checkout error:', error.message || error);
+        console.error('Statement error:', error.message);
         return res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
- * POST /api/staged
- * Set the staged (pre-authorized) amount for a buyer.
- * Buyers can only stage for themselves. Cashiers/admins can stage for any customer.
- *
- * Body: { amount, customer? }
- *   - amount: the total amount to stage (replaces previous value, 0 to clear)
- *   - customer: optional, only cashier/admin can specify a different customer
+ * GET /api/statement/pdf
+ * One customer's monthly statement, rendered as PDF.
+ * Query: ?month=YYYY-MM, ?customer=xxx (optional, defaults to own name)
+ * Buyers can only download their own statement and their groups'.
  */
-router.post('/staged', verifyToken, async (req, res) => {
+router.get('/statement/pdf', verifyToken, async (req, res) => {
     try {
         const { email } = req.user;
 
-        // All authenticated users can stage
         const authResult = await checkAuthorization(email, READ_ROLES);
         if (!authResult.authorized) {
             return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
         }
 
-        const { amount, customer: requestedCustomer } = req.body;
-
-        if (amount === undefined || amount === null || typeof amount !== 'number' || amount < 0) {
-            return res.status(400).json({ error: 'Amount must be a non-negative number' });
-        }
-
-        // Determine the target customer
         const userProfile = await getUserInfo(email);
         let targetCustomer;
 
-        if (requestedCustomer && requestedCustomer.trim()) {
-            // Only cashier/admin can stage for others
-            if (userProfile && !WRITE_ROLES.includes(userProfile.role)) {
-                // Buyer — must match their own name
-                if (requestedCustomer.trim().toLowerCase() !== (userProfile.name || '').toLowerCase()) {
-                    return res.status(403).json({ error: 'Buyers can only stage for themselves' });
+        if (req.query.customer && req.query.customer.trim()) {
+            // Scope on the account the rows are read for (an alias resolves to it)
+            const validation = await validateCustomerName(req.query.customer.trim());
+            targetCustomer = validation.valid ? validation.customer : req.query.customer.trim();
+
+            if (userProfile && userProfile.role === 'buyer') {
+                if (
+                    targetCustomer.toLowerCase() !== (userProfile.name || '').toLowerCase() &&
+                    !getMembership(targetCustomer, userProfile.name).isMember
+                ) {
+                    return res.status(403).json({ error: 'Buyers can only view their own statement' });
                 }
             }
-            targetCustomer = requestedCustomer.trim();
         } else {
-            // Default to the user's own name
             if (!userProfile || !userProfile.name) {
-                return res.status(400).json({ error: 'Could not determine customer name. Please specify a customer.' });
+                return res.status(400).json({ error: 'Could not determine customer name' });
             }
             targetCustomer = userProfile.name;
         }
 
-        // Validate that amount does not exceed current balance
-        if (amount > 0) {
-            const currentBalance = await computeCustomerBalance(targetCustomer);
-            if (amount > currentBalance) {
-                return res.status(409).json({
-                    error: 'Cannot stage more than current balance',
-                    currentBalance,
-                    requestedAmount: amount,
-                });
-            }
+        const { statement, pdf } = await getMonthlyStatementPdf(targetCustomer, req.query.month);
+        const filename = `statement-${req.query.month}-${statementFileName(statement.customer)}`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="statement.pdf"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+        return res.status(200).send(pdf);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        console.error('Statement PDF error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/statements/monthly
+ * Generate the monthly PDF statement of every active user into the archive.
+ * Authentication required. Admin only.
+ *
+ * Body: { month: "YYYY-MM" }
+ */
+router.post('/statements/monthly', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, ADMIN_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const result = await generateMonthlyStatements(req.body.month, email);
+        return res.status(200).json(result);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Generate statements error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/statements/monthly/:month
+ * List the archived statements of a month.
+ * Authentication required. Admin only.
+ */
+router.get('/statements/monthly/:month', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
 
-        setStaged(targetCustomer, amount);
+        const authResult = await checkAuthorization(email, ADMIN_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
 
-        console.log(`📌 STAGED | ${targetCustomer} staged $${amount} by ${email}`);
         return res.status(200).json({
-            customer: targetCustomer,
-            stagedAmount: getStagedAmount(targetCustomer),
-            balance: await computeCustomerBalance(targetCustomer),
+            month: req.params.month,
+            statements: listMonthlyStatements(req.params.month),
         });
     } catch (error) {
-        console.error('Stage error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('List statements error:', error.message);
         return res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
- * GET /api/staged
- * Get the current staged amount for the authenticated user (or a specified customer).
- * Query: ?customer=xxx (optional, defaults to own name)
+ * GET /api/statements/monthly/:month/:customer
+ * Download an archived monthly statement.
+ * Authentication required. Admin only.
  */
-router.get('/staged', verifyToken, async (req, res) => {
+router.get('/statements/monthly/:month/:customer', verifyToken, async (req, res) => {
     try {
         const { email } = req.user;
 
-        const authResult = await checkAuthorization(email, READ_ROLES);
+        const authResult = await checkAuthorization(email, ADMIN_ROLES);
         if (!authResult.authorized) {
             return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
         }
 
-        const userProfile = await getUserInfo(email);
-        let targetCustomer;
+        const file = getArchivedStatementPath(req.params.month, req.params.customer);
+        return res.download(file, `statement-${req.params.month}-${statementFileName(req.params.customer)}`);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Download statement error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (req.query.customer && req.query.customer.trim()) {
-            // Buyers can only query their own staged amount
-            if (userProfile && userProfile.role === 'buyer') {
-                if (req.query.customer.trim().toLowerCase() !== (userProfile.name || '').toLowerCase()) {
-                    return res.status(403).json({ error: 'Buyers can only view their own staged amount' });
-                }
-            }
-            targetCustomer = req.query.customer.trim();
-        } else {
-            if (!userProfile || !userProfile.name) {
-                return res.status(400).json({ error: 'Could not determine customer name' });
-            }
-            targetCustomer = userProfile.name;
+/**
+ * GET /api/export
+ * Stream the ledger for accounting.
+ * Authentication required. Admin only.
+ *
+ * Query: ?format=csv|ndjson|xlsx (default csv), ?from, ?to (ISO 8601; from
+ *   inclusive, to exclusive), ?customer=a,b (optional), ?runningBalance=true,
+ *   ?summary=true (xlsx only: adds a per-customer Summary sheet)
+ */
+router.get('/export', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, ADMIN_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
         }
 
-        return res.status(200).json({
-            customer: targetCustomer,
-            stagedAmount: getStagedAmount(targetCustomer),
+        const options = await prepareExport({
+            format: req.query.format || 'csv',
+            from: req.query.from,
+            to: req.query.to,
+            customer: req.query.customer,
+            runningBalance: req.query.runningBalance === 'true',
+            summary: req.query.summary === 'true',
         });
+
+        res.setHeader('Content-Type', options.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${options.filename}"`);
+        const count = await writeExport(res, options);
+        console.log(`📤 EXPORT | ${options.format}: ${count} rows by ${email}`);
     } catch (error) {
-        console.error('Get staged error:', error.message);
+        if (res.headersSent) {
+            // Part of the file is already out: cut the response so the client sees it as failed
+            console.error('Export error:', error.message);
+            return res.destroy();
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Export error:', error.message);
         return res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
- * POST /api/staged/batch
- * Get staged amounts for multiple customers.
- * Authentication required. Cashier/admin only.
- *
- * Body: { customers: string[] }
+ * POST /api/balance/batch
+ * Look up balances for multiple customers in a single request.
+ * Authentication required. Authorized roles: cashier, admin, viewer.
  */
-router.post('/staged/batch', verifyToken, async (req, res) => {
+router.post('/balance/batch', verifyToken, async (req, res) => {
     try {
         const { email } = req.user;
 
-        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        const authResult = await checkAuthorization(email, READ_ROLES);
         if (!authResult.authorized) {
             return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
         }
@@ -531,10 +785,1263 @@ router.post('/staged/batch', verifyToken, async (req, res) => {
             return res.status(400).json({ error: 'customers array is required' });
         }
 
-        const staged = getStagedBatch(customers);
-        return res.status(200).json(staged);
+        const balances = await computeBatchBalances(customers);
+        return res.status(200).json(balances);
     } catch (error) {
-        console.error('Batch staged error:', error.message);
+        console.error('Batch balance error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/checkout/batch
+ * Execute an atomic batch checkout (multiple SPEND transactions).
+ * Authentication required. Cashier role only.
+ *
+ * Body: { rows: [{customer, amount, note}], idempotencyKey, dryRun? }
+ *   - dryRun: true → return the would-be valid and skipped rows, write nothing
+ *     (idempotencyKey not required)
+ */
+router.post('/checkout/batch', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        // Only cashier/admin can execute checkout
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { rows, idempotencyKey, dryRun } = req.body;
+
+        if (dryRun === true) {
+            const preview = await previewBatchCheckout(rows);
+            return res.status(200).json(preview);
+        }
+
+        if (!idempotencyKey || typeof idempotencyKey !== 'string' || idempotencyKey.trim().length === 0) {
+            return res.status(400).json({ error: 'Idempotency key is required' });
+        }
+
+        const result = await executeBatchCheckout(rows, idempotencyKey, email);
+        return res.status(200).json(result);
+    } catch (error) {
+        // batchCheckoutService throws { statusCode, message, resumable? }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, resumable: !!error.resumable });
+        }
+        console.error('Batch checkout error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/checkout/batch/:key/resume
+ * Append the rows of a partially failed batch checkout that were never committed.
+ * Authentication required. Cashier/admin only.
+ *
+ * Params: key — the original batch idempotency key
+ */
+router.post('/checkout/batch/:key/resume', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const result = await resumeBatchCheckout(req.params.key, email);
+        return res.status(200).json(result);
+    } catch (error) {
+        // batchCheckoutService throws { statusCode, message, resumable? }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, resumable: !!error.resumable });
+        }
+        console.error('Batch resume error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/checkout/batch/:key/void
+ * Reverse every row of a batch checkout (REFUND rows + staged amounts restored).
+ * Authentication required. Cashier/admin only.
+ *
+ * Params: key — the batch's idempotency key
+ */
+router.post('/checkout/batch/:key/void', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const result = await voidBatchCheckout(req.params.key, email);
+        return res.status(200).json(result);
+    } catch (error) {
+        // batchCheckoutService throws { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Batch void error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/checkout/batches
+ * List past batch checkouts, newest first.
+ * Authentication required. Cashier/admin only.
+ * Query: ?limit=N (default 50, max 200)
+ */
+router.get('/checkout/batches', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        return res.status(200).json({ batches: listBatches(limit) });
+    } catch (error) {
+        console.error('List batches error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/checkout/batches/:key
+ * One batch checkout: summary, committed rows (with amounts refunded so far) and skipped rows.
+ * Authentication required. Cashier/admin only.
+ *
+ * Params: key — the batch's idempotency key
+ */
+router.get('/checkout/batches/:key', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const batch = await getBatch(req.params.key);
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        return res.status(200).json(batch);
+    } catch (error) {
+        console.error('Get batch error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/refund
+ * Refund all or part of a SPEND transaction.
+ * Authentication required. Cashier/admin only.
+ *
+ * Body: { transactionId, amount?, note, idempotencyKey }
+ *   - transactionId: the SPEND being refunded
+ *   - amount: optional, defaults to whatever has not been refunded yet
+ */
+router.post('/refund', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { transactionId, amount, note, idempotencyKey } = req.body;
+
+        if (!idempotencyKey || typeof idempotencyKey !== 'string' || idempotencyKey.trim().length === 0) {
+            return res.status(400).json({ error: 'Idempotency key is required' });
+        }
+
+        const result = await executeRefund({ transactionId, amount, note, idempotencyKey }, email);
+        return res.status(200).json(result);
+    } catch (error) {
+        // refundService throws { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Refund error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/transfer
+ * Move money from one customer to another (TRANSFER_OUT + TRANSFER_IN).
+ * Authentication required. Cashiers/admins can transfer between any accounts;
+ * buyers can only send from their own account.
+ *
+ * Body: { from?, to, amount, note, idempotencyKey }
+ *   - from: optional for buyers, defaults to the user's own name
+ */
+router.post('/transfer', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, TRANSFER_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { from, to, amount, note, idempotencyKey } = req.body;
+
+        if (!idempotencyKey || typeof idempotencyKey !== 'string' || idempotencyKey.trim().length === 0) {
+            return res.status(400).json({ error: 'Idempotency key is required' });
+        }
+
+        // Buyers send from their own account only
+        let sender = from;
+        const userProfile = await getUserInfo(email);
+        if (userProfile && !WRITE_ROLES.includes(userProfile.role)) {
+            const ownName = userProfile.name || '';
+            if (from && from.trim().toLowerCase() !== ownName.toLowerCase()) {
+                return res.status(403).json({ error: 'Buyers can only transfer from their own account' });
+            }
+            sender = ownName;
+        }
+
+        const result = await executeTransfer({ from: sender, to, amount, note, idempotencyKey }, email);
+        return res.status(200).json(result);
+    } catch (error) {
+        // transferService throws { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Transfer error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/adjustment/reasons
+ * Lists the reason codes accepted by POST /api/adjustment.
+ * Authentication required. Admin only.
+ */
+router.get('/adjustment/reasons', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, ADMIN_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        return res.status(200).json({ reasonCodes: config.adjustmentReasonCodes });
+    } catch (error) {
+        console.error('Adjustment reasons error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/adjustment
+ * Record a signed correction to a customer's balance (ADJUSTMENT transaction).
+ * Authentication required. Admin only — the caller is recorded as the approver.
+ *
+ * Body: { customer, amount, reasonCode, justification, reference?, idempotencyKey }
+ *   - amount: positive to credit, negative to debit
+ *   - reference: optional TransactionID of the row being corrected
+ */
+router.post('/adjustment', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, ADMIN_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { customer, amount, reasonCode, justification, reference, idempotencyKey } = req.body;
+
+        if (!idempotencyKey || typeof idempotencyKey !== 'string' || idempotencyKey.trim().length === 0) {
+            return res.status(400).json({ error: 'Idempotency key is required' });
+        }
+
+        const result = await executeAdjustment({ customer, amount, reasonCode, justification, reference, idempotencyKey }, email);
+        return res.status(200).json(result);
+    } catch (error) {
+        // adjustmentService throws { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Adjustment error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/staged
+ * Set the staged (pre-authorized) amount for a buyer.
+ * Buyers can only stage for themselves and for groups they own.
+ * Cashiers/admins can stage for any customer.
+ *
+ * Body: { amount, customer? }
+ *   - amount: the total amount to stage (replaces previous value, 0 to clear)
+ *   - customer: optional, only cashier/admin can specify a different customer
+ */
+router.post('/staged', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        // All authenticated users can stage
+        const authResult = await checkAuthorization(email, READ_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { amount, customer: requestedCustomer } = req.body;
+
+        if (amount === undefined || amount === null || typeof amount !== 'number' || amount < 0) {
+            return res.status(400).json({ error: 'Amount must be a non-negative number' });
+        }
+
+        // Determine the target customer
+        const userProfile = await getUserInfo(email);
+        let targetCustomer;
+
+        if (requestedCustomer && requestedCustomer.trim()) {
+            // Stage under the account an alias belongs to, the key spends lock and deduct
+            const validation = await validateCustomerName(requestedCustomer.trim());
+            targetCustomer = validation.valid ? validation.customer : requestedCustomer.trim();
+
+            // Only cashier/admin can stage for others
+            if (userProfile && !WRITE_ROLES.includes(userProfile.role)) {
+                // Buyer — must match their own name, or a group they own
+                if (
+                    targetCustomer.toLowerCase() !== (userProfile.name || '').toLowerCase() &&
+                    !getMembership(targetCustomer, userProfile.name).isOwner
+                ) {
+                    return res.status(403).json({ error: 'Buyers can only stage for themselves' });
+                }
+            }
+        } else {
+            // Default to the user's own name
+            if (!userProfile || !userProfile.name) {
+                return res.status(400).json({ error: 'Could not determine customer name. Please specify a customer.' });
+            }
+            targetCustomer = userProfile.name;
+        }
+
+        // Serialize with spends for this customer so the balance check holds
+        return await withCustomerLock(targetCustomer, async () => {
+            // Validate that amount does not exceed current balance
+            if (amount > 0) {
+                const currentBalance = await computeCustomerBalance(targetCustomer);
+                if (amount > currentBalance) {
+                    return res.status(409).json({
+                        error: 'Cannot stage more than current balance',
+                        currentBalance,
+                        requestedAmount: amount,
+                    });
+                }
+            }
+
+            setStaged(targetCustomer, amount, email);
+
+            console.log(`📌 STAGED | ${targetCustomer} staged $${amount} by ${email}`);
+            return res.status(200).json({
+                customer: targetCustomer,
+                stagedAmount: getStagedAmount(targetCustomer),
+                balance: await computeCustomerBalance(targetCustomer),
+            });
+        });
+    } catch (error) {
+        console.error('Stage error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/staged
+ * Get the current staged amount for the authenticated user (or a specified customer).
+ * Query: ?customer=xxx (optional, defaults to own name)
+ */
+router.get('/staged', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, READ_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const userProfile = await getUserInfo(email);
+        let targetCustomer;
+
+        if (req.query.customer && req.query.customer.trim()) {
+            // Scope on the account the rows are read for (an alias resolves to it)
+            const validation = await validateCustomerName(req.query.customer.trim());
+            targetCustomer = validation.valid ? validation.customer : req.query.customer.trim();
+
+            // Buyers can only query their own staged amount and their groups'
+            if (userProfile && userProfile.role === 'buyer') {
+                if (
+                    targetCustomer.toLowerCase() !== (userProfile.name || '').toLowerCase() &&
+                    !getMembership(targetCustomer, userProfile.name).isMember
+                ) {
+                    return res.status(403).json({ error: 'Buyers can only view their own staged amount' });
+                }
+            }
+        } else {
+            if (!userProfile || !userProfile.name) {
+                return res.status(400).json({ error: 'Could not determine customer name' });
+            }
+            targetCustomer = userProfile.name;
+        }
+
+        return res.status(200).json({
+            customer: targetCustomer,
+            stagedAmount: getStagedAmount(targetCustomer),
+        });
+    } catch (error) {
+        console.error('Get staged error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/staged/history
+ * Audit trail of staged-amount changes (who staged or deducted, and when).
+ * Query: ?customer=xxx (optional, defaults to own name), ?limit=N (default 50, max 200)
+ * Buyers can only view their own history and their groups'.
+ */
+router.get('/staged/history', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, READ_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const userProfile = await getUserInfo(email);
+        let targetCustomer;
+
+        if (req.query.customer && req.query.customer.trim()) {
+            // Scope on the account the rows are read for (an alias resolves to it)
+            const validation = await validateCustomerName(req.query.customer.trim());
+            targetCustomer = validation.valid ? validation.customer : req.query.customer.trim();
+
+            if (userProfile && userProfile.role === 'buyer') {
+                if (
+                    targetCustomer.toLowerCase() !== (userProfile.name || '').toLowerCase() &&
+                    !getMembership(targetCustomer, userProfile.name).isMember
+                ) {
+                    return res.status(403).json({ error: 'Buyers can only view their own staged history' });
+                }
+            }
+        } else {
+            if (!userProfile || !userProfile.name) {
+                return res.status(400).json({ error: 'Could not determine customer name' });
+            }
+            targetCustomer = userProfile.name;
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        return res.status(200).json({
+            customer: targetCustomer,
+            stagedAmount: getStagedAmount(targetCustomer),
+            history: getStagedHistory(targetCustomer, limit),
+        });
+    } catch (error) {
+        console.error('Get staged history error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/staged/batch
+ * Get staged amounts for multiple customers.
+ * Authentication required. Cashier/admin only.
+ *
+ * Body: { customers: string[] }
+ */
+router.post('/staged/batch', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { customers } = req.body;
+        if (!customers || !Array.isArray(customers) || customers.length === 0) {
+            return res.status(400).json({ error: 'customers array is required' });
+        }
+
+        const staged = getStagedBatch(customers);
+        return res.status(200).json(staged);
+    } catch (error) {
+        console.error('Batch staged error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/aliases
+ * List the aliases of an account.
+ * Query: ?account=xxx (optional, defaults to own name)
+ * Buyers can only list their own aliases.
+ */
+router.get('/aliases', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, READ_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const userProfile = await getUserInfo(email);
+        let account;
+
+        if (req.query.account && req.query.account.trim()) {
+            if (userProfile && userProfile.role === 'buyer') {
+                if (req.query.account.trim().toLowerCase() !== (userProfile.name || '').toLowerCase()) {
+                    return res.status(403).json({ error: 'Buyers can only view their own aliases' });
+                }
+            }
+            account = req.query.account.trim();
+        } else {
+            if (!userProfile || !userProfile.name) {
+                return res.status(400).json({ error: 'Could not determine account name' });
+            }
+            account = userProfile.name;
+        }
+
+        // The account may itself be given by one of its aliases
+        const validation = await validateCustomerName(account);
+        if (validation.valid) account = validation.customer;
+
+        return res.status(200).json({ account, aliases: listAliases(account) });
+    } catch (error) {
+        console.error('List aliases error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/aliases
+ * Add an alias (another spelling of the name, e.g. the one used on dinbendon.net).
+ * Every user can add aliases to their own account; admins to any account.
+ *
+ * Body: { alias, account? }
+ *   - account: optional, defaults to the user's own name (admins only for others)
+ */
+router.post('/aliases', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, READ_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { alias, account: requestedAccount } = req.body;
+        if (!alias || typeof alias !== 'string' || alias.trim().length === 0) {
+            return res.status(400).json({ error: 'Alias is required' });
+        }
+
+        const userProfile = await getUserInfo(email);
+        const ownName = (userProfile && userProfile.name) || '';
+        const requested = requestedAccount && requestedAccount.trim() ? requestedAccount.trim() : ownName;
+        if (!requested) {
+            return res.status(400).json({ error: 'Could not determine account name. Please specify an account.' });
+        }
+
+        // The account must be a registered user (possibly named by one of its aliases)
+        const accountValidation = await validateCustomerName(requested);
+        if (!accountValidation.valid || accountValidation.isDrawer || accountValidation.isGroup) {
+            return res.status(400).json({ error: `Unknown account: "${requested}"` });
+        }
+        const account = accountValidation.customer;
+        if (account.toLowerCase() !== ownName.toLowerCase() && !(userProfile && ADMIN_ROLES.includes(userProfile.role))) {
+            return res.status(403).json({ error: 'Only admins can manage the aliases of other accounts' });
+        }
+
+        // An alias cannot take a name that already resolves to an account
+        const aliasValidation = await validateCustomerName(alias.trim());
+        if (aliasValidation.valid) {
+            return res.status(409).json({ error: `"${alias.trim()}" already refers to ${aliasValidation.customer}` });
+        }
+
+        const created = addAlias(account, alias, email);
+        console.log(`🏷️ ALIAS | "${created.alias}" → ${created.account} by ${email}`);
+        return res.status(201).json(created);
+    } catch (error) {
+        // aliasService throws { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Add alias error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/aliases/:alias
+ * Remove an alias. Users can remove their own account's aliases; admins any alias.
+ */
+router.delete('/aliases/:alias', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, READ_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const alias = getAlias(req.params.alias);
+        if (!alias) {
+            return res.status(404).json({ error: 'Alias not found' });
+        }
+
+        const userProfile = await getUserInfo(email);
+        const ownName = (userProfile && userProfile.name) || '';
+        if (alias.account.toLowerCase() !== ownName.toLowerCase() && !(userProfile && ADMIN_ROLES.includes(userProfile.role))) {
+            return res.status(403).json({ error: 'Only admins can manage the aliases of other accounts' });
+        }
+
+        removeAlias(alias.alias);
+        console.log(`🏷️ ALIAS REMOVED | "${alias.alias}" → ${alias.account} by ${email}`);
+        return res.status(200).json({ removed: alias });
+    } catch (error) {
+        console.error('Remove alias error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/aliases/resolve
+ * Resolve names as typed on dinbendon.net to their accounts.
+ * Authentication required. Cashier/admin only.
+ *
+ * Body: { names: string[] }
+ * Returns: { name: account | null } (null for names that match no account)
+ */
+router.post('/aliases/resolve', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { names } = req.body;
+        if (!names || !Array.isArray(names) || names.length === 0) {
+            return res.status(400).json({ error: 'names array is required' });
+        }
+
+        return res.status(200).json(await resolveCustomerNames(names));
+    } catch (error) {
+        console.error('Resolve aliases error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/aliases/suggest
+ * Suggest accounts for names that match no account or alias, ranked by
+ * spelling, pronunciation (pinyin / zhuyin) and earlier picks.
+ * Authentication required. Cashier/admin only.
+ *
+ * Body: { names: string[] }
+ * Returns: { name: [{ account, score, matchedOn, reasons }] } (empty for names that resolve)
+ */
+router.post('/aliases/suggest', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { names } = req.body;
+        if (!names || !Array.isArray(names) || names.length === 0) {
+            return res.status(400).json({ error: 'names array is required' });
+        }
+
+        return res.status(200).json(await suggestAccounts(names));
+    } catch (error) {
+        console.error('Suggest accounts error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/aliases/pick
+ * Record that the cashier matched an unknown name to an account, so it is
+ * suggested first next time. With saveAlias, the name also becomes an alias
+ * of the account — the one way cashiers can add aliases to other accounts.
+ * Authentication required. Cashier/admin only.
+ *
+ * Body: { name, account, saveAlias? }
+ */
+router.post('/aliases/pick', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { name, account, saveAlias } = req.body;
+        if (!account || typeof account !== 'string' || account.trim().length === 0) {
+            return res.status(400).json({ error: 'Account is required' });
+        }
+
+        const result = await pickAccount(name, account, saveAlias === true, email);
+        console.log(`🏷️ PICK | "${result.name}" → ${result.account}${result.alias ? ' (saved as alias)' : ''} by ${email}`);
+        return res.status(200).json(result);
+    } catch (error) {
+        // matchService/aliasService throw { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Pick account error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Adds the balance and staged amount of a group account to its record.
+ * @param {Object} group - From groupService.
+ * @returns {Promise<Object>}
+ */
+async function withGroupFunds(group) {
+    return {
+        ...group,
+        balance: await computeCustomerBalance(group.name),
+        stagedAmount: getStagedAmount(group.name),
+    };
+}
+
+/**
+ * GET /api/groups
+ * List group accounts with their members, balance and staged amount.
+ * Buyers only see the groups they belong to.
+ */
+router.get('/groups', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, READ_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const userProfile = await getUserInfo(email);
+        const groups = userProfile && userProfile.role === 'buyer'
+            ? listGroups(userProfile.name || '')
+            : listGroups();
+
+        const result = [];
+        for (const group of groups) {
+            result.push(await withGroupFunds(group));
+        }
+        return res.status(200).json({ groups: result });
+    } catch (error) {
+        console.error('List groups error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/groups
+ * Create a group account. Every user can create a group they own;
+ * admins can create one for another owner.
+ *
+ * Body: { name, owner? }
+ *   - owner: optional, defaults to the user's own name (admins only for others)
+ */
+router.post('/groups', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, READ_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { name, owner: requestedOwner } = req.body;
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            return res.status(400).json({ error: 'Group name is required' });
+        }
+
+        const userProfile = await getUserInfo(email);
+        const ownName = (userProfile && userProfile.name) || '';
+        const requested = requestedOwner && requestedOwner.trim() ? requestedOwner.trim() : ownName;
+        if (!requested) {
+            return res.status(400).json({ error: 'Could not determine the group owner. Please specify an owner.' });
+        }
+
+        // The owner must be a registered user (possibly named by one of their aliases)
+        const ownerValidation = await validateCustomerName(requested);
+        if (!ownerValidation.valid || ownerValidation.isDrawer || ownerValidation.isGroup) {
+            return res.status(400).json({ error: `Unknown owner: "${requested}"` });
+        }
+        const owner = ownerValidation.customer;
+        if (owner.toLowerCase() !== ownName.toLowerCase() && !(userProfile && ADMIN_ROLES.includes(userProfile.role))) {
+            return res.status(403).json({ error: 'Only admins can create groups for other owners' });
+        }
+
+        // A group cannot take a name that already resolves to an account
+        const nameValidation = await validateCustomerName(name.trim());
+        if (nameValidation.valid) {
+            return res.status(409).json({ error: `"${name.trim()}" already refers to ${nameValidation.customer}` });
+        }
+
+        const group = createGroup(name, owner, email);
+        console.log(`👥 GROUP | ${group.name} created for ${group.owner} by ${email}`);
+        return res.status(201).json(await withGroupFunds(group));
+    } catch (error) {
+        // groupService throws { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Create group error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/groups/:name
+ * One group account with its members, balance, staged amount and recent
+ * ledger rows (newest first). Buyers can only view groups they belong to.
+ * Query: ?limit=N (default 20, max 100)
+ */
+router.get('/groups/:name', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, READ_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const group = getGroup(req.params.name);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const userProfile = await getUserInfo(email);
+        if (userProfile && userProfile.role === 'buyer' && !getMembership(group.name, userProfile.name).isMember) {
+            return res.status(403).json({ error: 'Buyers can only view groups they belong to' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        return res.status(200).json({
+            ...(await withGroupFunds(group)),
+            transactions: await getCustomerTransactions(group.name, limit),
+        });
+    } catch (error) {
+        console.error('Get group error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/groups/:name/members
+ * Add a member to a group, or change whether they may spend from it.
+ * Only the group owner and admins can manage members.
+ *
+ * Body: { member, canSpend }
+ */
+router.put('/groups/:name/members', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, READ_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const group = getGroup(req.params.name);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const userProfile = await getUserInfo(email);
+        if (!getMembership(group.name, (userProfile && userProfile.name) || '').isOwner && !(userProfile && ADMIN_ROLES.includes(userProfile.role))) {
+            return res.status(403).json({ error: 'Only the group owner and admins can manage members' });
+        }
+
+        const { member, canSpend } = req.body;
+        if (!member || typeof member !== 'string' || member.trim().length === 0) {
+            return res.status(400).json({ error: 'Member is required' });
+        }
+        if (typeof canSpend !== 'boolean') {
+            return res.status(400).json({ error: 'canSpend must be true or false' });
+        }
+
+        // Members are registered users (possibly named by one of their aliases)
+        const memberValidation = await validateCustomerName(member.trim());
+        if (!memberValidation.valid || memberValidation.isDrawer || memberValidation.isGroup) {
+            return res.status(400).json({ error: `Unknown member: "${member.trim()}"` });
+        }
+
+        const updated = setMember(group.name, memberValidation.customer, canSpend, email);
+        console.log(`👥 GROUP | ${updated.name}: ${memberValidation.customer} ${canSpend ? 'can' : 'cannot'} spend, by ${email}`);
+        return res.status(200).json(await withGroupFunds(updated));
+    } catch (error) {
+        // groupService throws { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Set group member error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/groups/:name/members/:member
+ * Remove a member from a group. The group owner and admins can remove
+ * anyone but the owner; members can remove themselves.
+ */
+router.delete('/groups/:name/members/:member', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, READ_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const group = getGroup(req.params.name);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const userProfile = await getUserInfo(email);
+        const ownName = (userProfile && userProfile.name) || '';
+        const member = req.params.member.trim();
+        if (
+            member.toLowerCase() !== ownName.toLowerCase() &&
+            !getMembership(group.name, ownName).isOwner &&
+            !(userProfile && ADMIN_ROLES.includes(userProfile.role))
+        ) {
+            return res.status(403).json({ error: 'Only the group owner and admins can manage members' });
+        }
+
+        if (!removeMember(group.name, member)) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        console.log(`👥 GROUP | ${group.name}: removed ${member} by ${email}`);
+        return res.status(200).json(await withGroupFunds(getGroup(group.name)));
+    } catch (error) {
+        // groupService throws { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Remove group member error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Adds the balance of a cash drawer to its record.
+ * @param {Object} drawer - From drawerService.
+ * @returns {Promise<Object>}
+ */
+async function withDrawerBalance(drawer) {
+    return { ...drawer, balance: await computeCustomerBalance(drawer.name) };
+}
+
+/**
+ * GET /api/drawers
+ * List the cash drawers with their assigned cashiers and balances.
+ * Shared Deposit comes first as the default drawer of unassigned cashiers.
+ * Authentication required. Cashier/admin only.
+ */
+router.get('/drawers', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const defaultDrawer = { name: SHARED_DEPOSIT_CUSTOMER, location: null, cashiers: [], isDefault: true };
+        const drawers = [];
+        for (const drawer of [defaultDrawer, ...listDrawers()]) {
+            drawers.push(await withDrawerBalance(drawer));
+        }
+        return res.status(200).json({ drawers });
+    } catch (error) {
+        console.error('List drawers error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/drawers/mine
+ * The cash drawer the caller's cash payments go through, with its balance.
+ * Authentication required. Cashier/admin only.
+ */
+router.get('/drawers/mine', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const drawer = getCashierDrawer(email);
+        return res.status(200).json({ drawer, balance: await computeCustomerBalance(drawer) });
+    } catch (error) {
+        console.error('Get drawer error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/drawers
+ * Create a cash drawer for a cashier or a location.
+ * Authentication required. Admin only.
+ *
+ * Body: { name, location? }
+ */
+router.post('/drawers', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, ADMIN_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { name, location } = req.body;
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            return res.status(400).json({ error: 'Drawer name is required' });
+        }
+        if (location !== undefined && location !== null && typeof location !== 'string') {
+            return res.status(400).json({ error: 'Location must be a string' });
+        }
+
+        // A drawer cannot take a name that already resolves to an account
+        const nameValidation = await validateCustomerName(name.trim());
+        if (nameValidation.valid) {
+            return res.status(409).json({ error: `"${name.trim()}" already refers to ${nameValidation.customer}` });
+        }
+
+        const drawer = createDrawer(name, location, email);
+        console.log(`🗄️ DRAWER | ${drawer.name}${drawer.location ? ` (${drawer.location})` : ''} created by ${email}`);
+        return res.status(201).json(await withDrawerBalance(drawer));
+    } catch (error) {
+        // drawerService throws { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Create drawer error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/drawers/cashiers/:email
+ * Assign a cashier to a drawer. Assigning Shared Deposit returns the
+ * cashier to the default drawer.
+ * Authentication required. Admin only.
+ *
+ * Body: { drawer }
+ */
+router.put('/drawers/cashiers/:email', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, ADMIN_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { drawer } = req.body;
+        if (!drawer || typeof drawer !== 'string' || drawer.trim().length === 0) {
+            return res.status(400).json({ error: 'Drawer is required' });
+        }
+
+        // Only cashiers and admins handle cash
+        const cashier = await getUserInfo(req.params.email);
+        if (!cashier || !cashier.active || !WRITE_ROLES.includes(cashier.role)) {
+            return res.status(400).json({ error: `Not an active cashier: "${req.params.email}"` });
+        }
+
+        const assigned = assignCashier(cashier.email, drawer, email);
+        console.log(`🗄️ DRAWER | ${cashier.email} → ${assigned} by ${email}`);
+        return res.status(200).json({ email: cashier.email, drawer: assigned });
+    } catch (error) {
+        // drawerService throws { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Assign drawer error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Checks that a user may count and close a drawer: cashiers their own
+ * drawer (Shared Deposit if unassigned), admins any drawer.
+ * @param {Object|null} userProfile - From getUserInfo.
+ * @param {string} drawer - Drawer name as resolved by drawerService.
+ * @returns {boolean}
+ */
+function canCloseDrawer(userProfile, drawer) {
+    if (!userProfile) return false;
+    return ADMIN_ROLES.includes(userProfile.role) || getCashierDrawer(userProfile.email) === drawer;
+}
+
+/**
+ * GET /api/drawers/:name/close
+ * The cash a drawer should hold now, from the ledger rows since its last
+ * close, with the denominations to count and the variance thresholds.
+ * Authentication required. Cashiers: own drawer only; admins: any drawer.
+ */
+router.get('/drawers/:name/close', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const drawer = resolveDrawer(req.params.name);
+        if (!drawer) {
+            return res.status(404).json({ error: 'Drawer not found' });
+        }
+        if (!canCloseDrawer(await getUserInfo(email), drawer)) {
+            return res.status(403).json({ error: 'Cashiers can only close their own drawer' });
+        }
+
+        const expectation = await computeExpectedCash(drawer);
+        return res.status(200).json({
+            ...expectation,
+            denominations: config.drawerDenominations,
+            varianceWarn: config.drawerVarianceWarn,
+            varianceBlock: config.drawerVarianceBlock,
+        });
+    } catch (error) {
+        // drawerCloseService throws { statusCode, message }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Drawer expectation error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/drawers/:name/close
+ * Close a drawer: reconcile the counted cash against the expected cash and
+ * record the variance. A variance above the block threshold is rejected
+ * with 409 (and the computed close) unless an admin closes with a note.
+ * Authentication required. Cashiers: own drawer only; admins: any drawer.
+ *
+ * Body: { denominations: { "1000": 2, "100": 5 }, deposited?, note?, idempotencyKey }
+ *   - deposited: cash taken out of the drawer at close; the rest opens the next period
+ */
+router.post('/drawers/:name/close', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const { denominations, deposited, note, idempotencyKey } = req.body;
+        if (!idempotencyKey || typeof idempotencyKey !== 'string' || idempotencyKey.trim().length === 0) {
+            return res.status(400).json({ error: 'Idempotency key is required' });
+        }
+
+        const drawer = resolveDrawer(req.params.name);
+        if (!drawer) {
+            return res.status(404).json({ error: 'Drawer not found' });
+        }
+        const userProfile = await getUserInfo(email);
+        if (!canCloseDrawer(userProfile, drawer)) {
+            return res.status(403).json({ error: 'Cashiers can only close their own drawer' });
+        }
+
+        const result = await closeDrawer(
+            { drawer, denominations, deposited, note, idempotencyKey },
+            { email, isAdmin: ADMIN_ROLES.includes(userProfile.role) },
+        );
+        return res.status(200).json(result);
+    } catch (error) {
+        // drawerCloseService throws { statusCode, message }, plus the computed close for a blocking variance
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, ...(error.close ? { close: error.close } : {}) });
+        }
+        console.error('Drawer close error:', error.message || error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/drawers/:name/closes
+ * Past closes of a drawer, newest first.
+ * Authentication required. Cashier/admin only.
+ * Query: ?limit=N (default 20, max 100)
+ */
+router.get('/drawers/:name/closes', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        const drawer = resolveDrawer(req.params.name);
+        if (!drawer) {
+            return res.status(404).json({ error: 'Drawer not found' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        return res.status(200).json({ closes: listDrawerCloses(drawer, limit) });
+    } catch (error) {
+        console.error('List drawer closes error:', error.message);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/outbox
+ * Lists Google Doc log entries that have not been delivered yet.
+ * Authentication required. Cashier/admin only.
+ */
+router.get('/outbox', verifyToken, async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const authResult = await checkAuthorization(email, WRITE_ROLES);
+        if (!authResult.authorized) {
+            return res.status(403).json({ error: `Forbidden: ${authResult.reason}` });
+        }
+
+        return res.status(200).json(getOutboxStatus());
+    } catch (error) {
+        console.error('Outbox status error:', error.message);
         return res.status(500).json({ error: 'Internal server error' });
     }
 });
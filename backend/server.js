@@ -7,6 +7,8 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const config = require('./config');
 const topupRoutes = require('./routes/topup');
+const { restoreStagedAmounts } = require('./services/stagedService');
+const { startOutboxWorker } = require('./services/outboxService');
 
 const app = express();
 
@@ -22,7 +24,7 @@ app.use(cors({
         }
         return callback(new Error('Not allowed by CORS'));
     },
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
     allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
@@ -41,6 +43,9 @@ const writeLimiter = rateLimit({
 app.use('/api/topup', writeLimiter);
 app.use('/api/spend', writeLimiter);
 app.use('/api/checkout/batch', writeLimiter);
+app.use('/api/refund', writeLimiter);
+app.use('/api/transfer', writeLimiter);
+app.use('/api/adjustment', writeLimiter);
 app.use('/api/register', writeLimiter);
 
 // --- Routes ---
@@ -52,7 +57,12 @@ app.get('/api/health', (req, res) => {
 });
 
 // --- Start Server ---
+const restoredStaged = restoreStagedAmounts();
+startOutboxWorker();
+
 app.listen(config.port, () => {
     console.log(`🚀 Server running on port ${config.port}`);
+    console.log(`   Ledger backend: ${config.ledgerBackend}`);
+    console.log(`   Restored staged amounts: ${restoredStaged}`);
     console.log(`   Allowed origins: ${config.allowedOrigins.join(', ')}`);
 });
@@ -0,0 +1,130 @@
+/**
+ * Adjustment Service
+ * Admin corrections to the ledger, written as ADJUSTMENT rows instead of
+ * editing existing rows by hand, so the ledger stays append-only.
+ *
+ * Ledger row:
+ *   Type         → ADJUSTMENT
+ *   Amount       → signed correction (positive credits, negative debits)
+ *   CashierEmail → the approving admin
+ *   Note         → "[REASON_CODE] justification"
+ *   Reference    → optional TransactionID of the row being corrected
+ *
+ * Reason codes come from config.adjustmentReasonCodes (ADJUSTMENT_REASON_CODES).
+ * A negative adjustment may take a balance below zero — correcting the
+ * ledger takes precedence over the overdraft rule.
+ */
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { findByIdempotencyKey, appendTransaction, findTransactionById } = require('./ledgerService');
+const { validateCustomerName } = require('./authorizationService');
+const { enqueueLog } = require('./outboxService');
+const { withCustomerLock } = require('./lockService');
+const { checkIdempotencyKey, recordResponse } = require('./idempotencyService');
+
+/**
+ * Builds the ledger Note of an adjustment.
+ * @param {string} reasonCode
+ * @param {string} justification
+ * @returns {string}
+ */
+function formatAdjustmentNote(reasonCode, justification) {
+    return `[${reasonCode}] ${justification}`;
+}
+
+/**
+ * Records a ledger adjustment approved by an admin.
+ *
+ * @param {Object} params
+ * @param {string} params.customer
+ * @param {number} params.amount - Signed, non-zero.
+ * @param {string} params.reasonCode - One of config.adjustmentReasonCodes.
+ * @param {string} params.justification - Free-text explanation (required).
+ * @param {string} [params.reference] - TransactionID of the row being corrected.
+ * @param {string} params.idempotencyKey
+ * @param {string} adminEmail - Verified email of the approving admin.
+ * @returns {Promise<Object>} Result with the new transactionID.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function executeAdjustment({ customer, amount, reasonCode, justification, reference, idempotencyKey }, adminEmail) {
+    if (!customer || typeof customer !== 'string' || customer.trim().length === 0) {
+        throw { statusCode: 400, message: 'Customer name is required' };
+    }
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0) {
+        throw { statusCode: 400, message: 'Amount must be a non-zero number' };
+    }
+    const code = typeof reasonCode === 'string' ? reasonCode.trim().toUpperCase() : '';
+    if (!config.adjustmentReasonCodes.includes(code)) {
+        throw { statusCode: 400, message: `Reason code must be one of: ${config.adjustmentReasonCodes.join(', ')}` };
+    }
+    if (!justification || typeof justification !== 'string' || justification.trim().length === 0) {
+        throw { statusCode: 400, message: 'Justification is required' };
+    }
+
+    const validation = await validateCustomerName(customer.trim());
+    if (!validation.valid) {
+        throw { statusCode: 400, message: validation.reason };
+    }
+    const account = validation.customer;
+
+    const corrected = reference && typeof reference === 'string' ? reference.trim() : '';
+    if (corrected && !(await findTransactionById(corrected))) {
+        throw { statusCode: 404, message: 'Referenced transaction not found' };
+    }
+
+    const idempotencyRequest = {
+        customer: customer.trim(),
+        amount,
+        reasonCode: code,
+        justification: justification.trim(),
+        reference: corrected,
+    };
+
+    return withCustomerLock(account, async () => {
+        const previous = checkIdempotencyKey(idempotencyKey, 'adjustment', idempotencyRequest);
+        if (previous.status === 'replay') {
+            return { ...previous.body, replayed: true };
+        }
+        if (previous.status === 'conflict') {
+            throw { statusCode: 409, message: previous.message };
+        }
+        const isDuplicate = await findByIdempotencyKey(idempotencyKey);
+        if (isDuplicate) {
+            throw { statusCode: 409, message: 'Duplicate transaction: idempotency key already exists' };
+        }
+
+        const timestamp = new Date().toISOString();
+        const transactionId = uuidv4();
+
+        const transactionData = {
+            timestamp,
+            transactionId,
+            customer: account,
+            type: 'ADJUSTMENT',
+            amount,
+            cashierEmail: adminEmail,
+            note: formatAdjustmentNote(code, justification.trim()),
+            idempotencyKey,
+            reference: corrected,
+        };
+
+        await appendTransaction(transactionData);
+        const result = {
+            status: 'success',
+            transactionID: transactionId,
+            customer: account,
+            amount,
+            reasonCode: code,
+            approvedBy: adminEmail,
+            timestamp,
+        };
+        recordResponse(idempotencyKey, 'adjustment', idempotencyRequest, 200, result, adminEmail);
+
+        enqueueLog({ ...transactionData, reasonCode: code, justification: justification.trim() });
+
+        console.log(`⚖️ ADJUSTMENT ${transactionId} | ${account} ${amount > 0 ? '+' : ''}${amount} [${code}] approved by ${adminEmail}`);
+        return result;
+    });
+}
+
+module.exports = { executeAdjustment };
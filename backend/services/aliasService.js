@@ -0,0 +1,159 @@
+/**
+ * Alias Service
+ * Alternative names for ledger accounts, so the names people type on
+ * dinbendon.net ("小明", "Ming", "ming.w") reach the right account.
+ *
+ * Table "customer_aliases":
+ *   alias_key | alias | account | created_by | created_at
+ *
+ * alias_key is the normalized alias (lower-case, trimmed) and is unique
+ * across all accounts; alias keeps the spelling it was added with. account
+ * is the AuthorizedUsers name the alias resolves to.
+ *
+ * An alias never shadows an account name: registered names are matched
+ * first (authorizationService.validateCustomerName), and registering a
+ * name that is already an alias is rejected. Lookups are synchronous, so
+ * the staged store can resolve names inline.
+ */
+const { getDb } = require('./db');
+
+const MAX_ALIAS_LENGTH = 50;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS customer_aliases (
+        alias_key TEXT PRIMARY KEY,
+        alias TEXT NOT NULL,
+        account TEXT NOT NULL,
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_customer_aliases_account
+        ON customer_aliases (account COLLATE NOCASE);
+`;
+
+let schemaReady = false;
+
+/**
+ * Returns the shared database connection with the alias table created.
+ */
+function getAliasDb() {
+    const db = getDb();
+    if (!schemaReady) {
+        db.exec(SCHEMA);
+        schemaReady = true;
+    }
+    return db;
+}
+
+/**
+ * Normalize an alias for lookups.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalize(name) {
+    return (name || '').toLowerCase().trim();
+}
+
+/**
+ * Maps a customer_aliases row to the API shape.
+ * @param {Object} row
+ * @returns {{alias: string, account: string, createdBy: string, createdAt: string}}
+ */
+function toAlias(row) {
+    return {
+        alias: row.alias,
+        account: row.account,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * Returns the account an alias belongs to.
+ * @param {string} name - Case-insensitive.
+ * @returns {string|null} The account name, or null if the name is not an alias.
+ */
+function resolveAlias(name) {
+    const key = normalize(name);
+    if (!key) return null;
+    const row = getAliasDb().prepare('SELECT account FROM customer_aliases WHERE alias_key = ?').get(key);
+    return row ? row.account : null;
+}
+
+/**
+ * Looks up a single alias.
+ * @param {string} name - Case-insensitive.
+ * @returns {Object|null}
+ */
+function getAlias(name) {
+    const row = getAliasDb().prepare('SELECT * FROM customer_aliases WHERE alias_key = ?').get(normalize(name));
+    return row ? toAlias(row) : null;
+}
+
+/**
+ * Lists the aliases of an account, alphabetically.
+ * @param {string} account - Case-insensitive.
+ * @returns {Array<Object>}
+ */
+function listAliases(account) {
+    return getAliasDb()
+        .prepare('SELECT * FROM customer_aliases WHERE account = ? COLLATE NOCASE ORDER BY alias_key ASC')
+        .all((account || '').trim())
+        .map(toAlias);
+}
+
+/**
+ * Lists every alias of every account, alphabetically.
+ * @returns {Array<Object>}
+ */
+function getAllAliases() {
+    return getAliasDb()
+        .prepare('SELECT * FROM customer_aliases ORDER BY alias_key ASC')
+        .all()
+        .map(toAlias);
+}
+
+/**
+ * Adds an alias to an account. The caller has already checked that the
+ * account exists and that the alias is not itself an account name.
+ *
+ * @param {string} account - Account name as written in AuthorizedUsers.
+ * @param {string} alias
+ * @param {string} createdBy - Email of the user adding the alias.
+ * @returns {Object} The new alias.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function addAlias(account, alias, createdBy) {
+    const trimmed = (alias || '').trim();
+    if (!trimmed) {
+        throw { statusCode: 400, message: 'Alias is required' };
+    }
+    if (trimmed.length > MAX_ALIAS_LENGTH) {
+        throw { statusCode: 400, message: `Alias must be at most ${MAX_ALIAS_LENGTH} characters` };
+    }
+
+    const existing = getAlias(trimmed);
+    if (existing) {
+        const owner = existing.account.toLowerCase() === account.toLowerCase() ? 'this account' : existing.account;
+        throw { statusCode: 409, message: `"${trimmed}" is already an alias of ${owner}` };
+    }
+
+    const createdAt = new Date().toISOString();
+    getAliasDb()
+        .prepare('INSERT INTO customer_aliases (alias_key, alias, account, created_by, created_at) VALUES (?, ?, ?, ?, ?)')
+        .run(normalize(trimmed), trimmed, account, createdBy, createdAt);
+
+    return { alias: trimmed, account, createdBy, createdAt };
+}
+
+/**
+ * Removes an alias.
+ * @param {string} alias - Case-insensitive.
+ * @returns {boolean} Whether an alias was removed.
+ */
+function removeAlias(alias) {
+    const info = getAliasDb().prepare('DELETE FROM customer_aliases WHERE alias_key = ?').run(normalize(alias));
+    return info.changes > 0;
+}
+
+module.exports = { resolveAlias, getAlias, listAliases, getAllAliases, addAlias, removeAlias };
@@ -5,6 +5,9 @@
  * Sheet "AuthorizedUsers" expected columns:
  * A: name | B: email | C: role | D: active | E: password_hash
  *
+ * Rows are cached in memory (user directory cache) for USER_CACHE_TTL_MS and
+ * reloaded after registerUser, so one request costs at most one sheet read.
+ *
  * Roles:
  *   cashier — can top-up, spend, view balance
  *   admin   — can top-up, spend, view balance
@@ -15,13 +18,17 @@ const { google } = require('googleapis');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
+const { resolveAlias } = require('./aliasService');
+const { resolveGroup, getMembership } = require('./groupService');
+const { resolveDrawer, SHARED_DEPOSIT_CUSTOMER } = require('./drawerService');
 
 const SALT_ROUNDS = 10;
 
 // Role sets for different permission levels
 const WRITE_ROLES = ['cashier', 'admin'];         // Can perform top-up and spend
 const READ_ROLES = ['cashier', 'admin', 'viewer', 'buyer']; // Can view balance and transactions
-const SHARED_DEPOSIT_CUSTOMER = 'Shared Deposit';  // Virtual shared account name
+const TRANSFER_ROLES = ['cashier', 'admin', 'buyer'];       // Can transfer (buyers: from their own account only)
+const ADMIN_ROLES = ['admin'];                                // Can post ledger adjustments
 
 /**
  * Gets an authenticated Google Sheets client (read-only).
@@ -45,11 +52,19 @@ function getSheetsClientReadWrite() {
     return google.sheets({ version: 'v4', auth });
 }
 
+// User directory cache: the AuthorizedUsers rows, refreshed after config.userCacheTtlMs
+const userCache = {
+    rows: null,     // rows including header, null until first load
+    loadedAt: 0,    // Date.now() of the last successful load
+    promise: null,  // in-flight load, shared by concurrent callers
+    generation: 0,  // bumped by invalidateUserCache; a load started before that is not cached
+};
+
 /**
- * Fetches all rows from the AuthorizedUsers sheet.
+ * Reads all rows from the AuthorizedUsers sheet (uncached).
  * @returns {Promise<Array<string[]>>} Rows including header.
  */
-async function getAllAuthorizedUsers() {
+async function fetchAuthorizedUsers() {
     const sheets = getSheetsClientReadOnly();
     const response = await sheets.spreadsheets.values.get({
         spreadsheetId: config.spreadsheetId,
@@ -58,6 +73,49 @@ async function getAllAuthorizedUsers() {
     return response.data.values || [];
 }
 
+/**
+ * Returns all rows from the AuthorizedUsers sheet, served from the user
+ * directory cache while it is younger than config.userCacheTtlMs.
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Bypass the cache and reload the sheet.
+ * @returns {Promise<Array<string[]>>} Rows including header.
+ */
+async function getAllAuthorizedUsers({ fresh = false } = {}) {
+    const expired = Date.now() - userCache.loadedAt > config.userCacheTtlMs;
+    if (userCache.rows && !expired && !fresh) {
+        return userCache.rows;
+    }
+
+    if (!userCache.promise) {
+        const generation = userCache.generation;
+        const load = fetchAuthorizedUsers()
+            .then((rows) => {
+                // Rows read before a write to AuthorizedUsers may predate it
+                if (userCache.generation === generation) {
+                    userCache.rows = rows;
+                    userCache.loadedAt = Date.now();
+                }
+                return rows;
+            })
+            .finally(() => {
+                if (userCache.promise === load) userCache.promise = null;
+            });
+        userCache.promise = load;
+    }
+    return userCache.promise;
+}
+
+/**
+ * Clears the user directory cache; the next lookup reloads the sheet, and a
+ * load already in flight is not cached. Called after writes to AuthorizedUsers.
+ */
+function invalidateUserCache() {
+    userCache.generation++;
+    userCache.rows = null;
+    userCache.loadedAt = 0;
+    userCache.promise = null;
+}
+
 /**
  * Checks whether the given email is authorized for the specified action.
  * @param {string} email - The user's verified email address.
@@ -188,14 +246,24 @@ async function registerUser(name, email, password) {
         }
     }
 
-    // 2. Check for duplicate email
-    const rows = await getAllAuthorizedUsers();
+    // 2. Check for duplicate email (against a fresh read, not the cache)
+    const rows = await getAllAuthorizedUsers({ fresh: true });
     for (let i = 1; i < rows.length; i++) {
         const rowEmail = (rows[i][1] || '').toLowerCase().trim();
         if (rowEmail === email.toLowerCase().trim()) {
             throw { statusCode: 409, message: 'This email is already registered' };
         }
     }
+    // ...and for a name that already resolves to someone else's account
+    if (resolveAlias(name)) {
+        throw { statusCode: 409, message: 'This name is already an alias of another account' };
+    }
+    if (resolveGroup(name)) {
+        throw { statusCode: 409, message: 'This name is already used by a group account' };
+    }
+    if (resolveDrawer(name)) {
+        throw { statusCode: 409, message: 'This name is already used by a cash drawer' };
+    }
 
     // 2. Hash password
     const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
@@ -212,6 +280,8 @@ async function registerUser(name, email, password) {
         },
     });
 
+    invalidateUserCache();
+
     console.log(`✅ Registered new user: ${name.trim()} (${email.trim()}) as buyer`);
     return { success: true, message: 'Registration successful' };
 }
@@ -232,14 +302,37 @@ async function getAllUserNames() {
     return names;
 }
 
+/**
+ * Finds an active user by name.
+ * @param {Array<string[]>} rows - AuthorizedUsers rows including header.
+ * @param {string} name - Case-insensitive.
+ * @returns {string|null} The name as written in the sheet.
+ */
+function findActiveUserName(rows, name) {
+    for (let i = 1; i < rows.length; i++) {
+        const [rowName, , , active] = rows[i];
+        if (
+            rowName &&
+            rowName.trim().toLowerCase() === name.toLowerCase() &&
+            (active || '').toLowerCase().trim() === 'true'
+        ) {
+            return rowName.trim();
+        }
+    }
+    return null;
+}
+
 /**
  * Validates that a customer name corresponds to a known account.
  * A valid customer is either:
- *   - The shared deposit virtual account, OR
- *   - An active user in the AuthorizedUsers sheet (case-insensitive match)
+ *   - A cash drawer: Shared Deposit or one from drawerService, OR
+ *   - An active user in the AuthorizedUsers sheet (case-insensitive match), OR
+ *   - A group account (see groupService), OR
+ *   - An alias of such a user (see aliasService)
  *
  * @param {string} customerName - The customer name to validate.
- * @returns {Promise<{valid: boolean, reason?: string}>}
+ * @returns {Promise<{valid: boolean, customer?: string, isGroup?: boolean, isDrawer?: boolean, reason?: string}>}
+ *   customer is the canonical account name to use for ledger rows, balances and staging.
  */
 async function validateCustomerName(customerName) {
     if (!customerName || typeof customerName !== 'string' || customerName.trim().length === 0) {
@@ -248,25 +341,65 @@ async function validateCustomerName(customerName) {
 
     const trimmed = customerName.trim();
 
-    // Accept the shared deposit virtual account
-    if (trimmed.toLowerCase() === SHARED_DEPOSIT_CUSTOMER.toLowerCase()) {
-        return { valid: true };
+    // Accept the cash drawers (Shared Deposit and the created drawers)
+    const drawer = resolveDrawer(trimmed);
+    if (drawer) {
+        return { valid: true, customer: drawer, isDrawer: true };
     }
 
-    // Check against registered active users
+    // Check against registered active users, then their aliases
     const rows = await getAllAuthorizedUsers();
-    for (let i = 1; i < rows.length; i++) {
-        const [name, , , active] = rows[i];
-        if (
-            name &&
-            name.trim().toLowerCase() === trimmed.toLowerCase() &&
-            (active || '').toLowerCase().trim() === 'true'
-        ) {
-            return { valid: true };
-        }
+    const registered = findActiveUserName(rows, trimmed);
+    if (registered) {
+        return { valid: true, customer: registered };
+    }
+    const group = resolveGroup(trimmed);
+    if (group) {
+        return { valid: true, customer: group, isGroup: true };
     }
+    const aliased = resolveAlias(trimmed);
+    const account = aliased && findActiveUserName(rows, aliased);
+    if (account) {
+        return { valid: true, customer: account };
+    }
+
+    return { valid: false, reason: `Unknown customer: "${trimmed}". Must be a registered user, one of their aliases, a group, or a cash drawer.` };
+}
 
-    return { valid: false, reason: `Unknown customer: "${trimmed}". Must be a registered user or Shared Deposit.` };
+/**
+ * Validates charging a group account for one of its members.
+ * @param {string} groupName - The group to charge.
+ * @param {string} memberName - The member the charge is for (or one of their aliases).
+ * @returns {Promise<{valid: boolean, customer?: string, member?: string, reason?: string}>}
+ *   customer is the group's name, member the member's account name.
+ */
+async function validateGroupCharge(groupName, memberName) {
+    const group = await validateCustomerName(groupName);
+    if (!group.valid || !group.isGroup) {
+        return { valid: false, reason: `Unknown group: "${(groupName || '').trim()}"` };
+    }
+    const member = await validateCustomerName(memberName);
+    if (!member.valid) {
+        return { valid: false, reason: member.reason };
+    }
+    if (!getMembership(group.customer, member.customer).canSpend) {
+        return { valid: false, reason: `${member.customer} may not charge ${group.customer}` };
+    }
+    return { valid: true, customer: group.customer, member: member.customer };
+}
+
+/**
+ * Resolves several names (e.g. a pasted dinbendon order) to their accounts.
+ * @param {string[]} names
+ * @returns {Promise<Object>} Map of { name: account | null } (null for unknown names).
+ */
+async function resolveCustomerNames(names) {
+    const accounts = {};
+    for (const name of names) {
+        const validation = await validateCustomerName(name);
+        accounts[name] = validation.valid ? validation.customer : null;
+    }
+    return accounts;
 }
 
-module.exports = { checkAuthorization, registerUser, loginUser, getUserInfo, getAllUserNames, validateCustomerName, WRITE_ROLES, READ_ROLES, SHARED_DEPOSIT_CUSTOMER };
+module.exports = { checkAuthorization, registerUser, loginUser, getUserInfo, getAllUserNames, validateCustomerName, validateGroupCharge, resolveCustomerNames, invalidateUserCache, WRITE_ROLES, READ_ROLES, TRANSFER_ROLES, ADMIN_ROLES, SHARED_DEPOSIT_CUSTOMER };
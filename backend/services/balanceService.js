@@ -6,43 +6,37 @@
  *   balance = sum(all transaction amounts for a given customer)
  *   TOPUP → positive amount
  *   SPEND → negative amount
+ *   REFUND → positive amount (credits back part or all of a SPEND)
+ *   TRANSFER_OUT / TRANSFER_IN → negative for the sender / positive for the recipient
+ *   ADJUSTMENT → signed admin correction
  *
- * No stored balance — always computed from the full transaction history.
+ * No stored balance — always computed from the transaction history.
+ * Running sums are maintained incrementally by the ledger cache (ledgerService).
  */
-const { getAllTransactions } = require('./sheetsService');
+const { getCustomerBalance } = require('./ledgerService');
 const { validateCustomerName } = require('./authorizationService');
 
 /**
- * Computes the current balance for a customer by summing all their
- * transaction amounts from the Transactions sheet.
+ * Computes the current balance for a customer from the cached ledger.
  *
  * @param {string} customerName - The customer name to look up (case-insensitive).
+ *   An alias is looked up as the account it belongs to.
  * @returns {Promise<number>} The customer's current balance. Returns 0 if customer not found.
  */
 async function computeCustomerBalance(customerName) {
-    const transactions = await getAllTransactions();
-
-    const normalizedName = customerName.toLowerCase().trim();
-
-    // Sum all amounts for matching customer
-    const balance = transactions
-        .filter((tx) => tx.customer.toLowerCase().trim() === normalizedName)
-        .reduce((sum, tx) => sum + tx.amount, 0);
-
-    return balance;
+    const validation = await validateCustomerName(customerName);
+    return getCustomerBalance(validation.valid ? validation.customer : customerName);
 }
 
 /**
- * Computes balances for multiple customers in a single ledger fetch.
+ * Computes balances for multiple customers from the cached ledger.
  * Returns null for customers that are not registered (unknown accounts).
+ * An alias gets the balance of the account it belongs to.
  *
  * @param {string[]} customerNames - Array of customer names.
- * @param {Array<Object>} [existingTransactions] - Optional pre-fetched transactions to avoid redundant reads.
  * @returns {Promise<Object>} Map of { customerName: balance | null }.
  */
-async function computeBatchBalances(customerNames, existingTransactions = null) {
-    const transactions = existingTransactions || await getAllTransactions();
-
+async function computeBatchBalances(customerNames) {
     const balances = {};
 
     for (const name of customerNames) {
@@ -53,11 +47,7 @@ async function computeBatchBalances(customerNames, existingTransactions = null)
             continue;
         }
 
-        const normalizedName = name.toLowerCase().trim();
-
-        balances[name] = transactions
-            .filter((tx) => tx.customer.toLowerCase().trim() === normalizedName)
-            .reduce((sum, tx) => sum + tx.amount, 0);
+        balances[name] = await getCustomerBalance(validation.customer);
     }
 
     return balances;
@@ -5,15 +5,237 @@
  *
  * Execution model:
  *   1. Filter out invalid rows (amount <= 0, insufficient balance)
- *   2. Sequential append for valid rows only
- *   3. If mid-append failure → stop, return error (no rollback in append-only model)
+ *   2. Record every row's state (PENDING / SKIPPED) in batchHistoryService
+ *   3. One bulk append of the valid rows (holding every batch customer's lock),
+ *      then mark them COMMITTED; the Doc gets the header and all rows in one update
+ *   4. If the append fails → return a resumable error (no rollback in
+ *      append-only model); resumeBatchCheckout() later appends the PENDING rows
+ *
+ * Rows are checked and written under the account their customer resolves
+ * to, so an alias and its account in one batch share a balance. A row with
+ * chargeTo is written under that group account instead (see groupService),
+ * with the member named in its note, and skipped unless the member may
+ * spend from the group.
+ *
+ * previewBatchCheckout() runs the same partitioning (step 1) as a dry run,
+ * so clients can preview exactly which rows a checkout would skip, and
+ * suggests accounts for customers that resolve to none (matchService).
+ *
+ * A committed batch can be voided as a whole: every SPEND written under the
+ * batch key gets a compensating REFUND (under "<batch key>:void") and its
+ * staged amount is credited back.
  */
 const { v4: uuidv4 } = require('uuid');
-const { getAllTransactions, findByIdempotencyKey, appendTransaction } = require('./sheetsService');
+const {
+    findByIdempotencyKey, getTransactionsByIdempotencyKey, appendTransaction, appendTransactions, findTransactionById,
+} = require('./ledgerService');
 const { computeBatchBalances } = require('./balanceService');
-const { appendLog, appendBatchHeader } = require('./docsService');
-const { getStagedAmount, deductStaged, getStagedBatch } = require('./stagedService');
-const { SHARED_DEPOSIT_CUSTOMER } = require('./authorizationService');
+const { enqueueLog, enqueueBatch, enqueueBatchVoid } = require('./outboxService');
+const { deductStaged, creditStaged, getStagedBatch } = require('./stagedService');
+const { getRefundableAmount } = require('./refundService');
+const { resolveCustomerNames, validateGroupCharge } = require('./authorizationService');
+const { resolveGroup, formatGroupChargeNote } = require('./groupService');
+const { isDrawerAccount } = require('./drawerService');
+const { suggestAccounts } = require('./matchService');
+const { withCustomerLocks } = require('./lockService');
+const { checkIdempotencyKey, recordResponse } = require('./idempotencyService');
+const {
+    recordBatch, markRowCommitted, markRowSkipped, markBatchVoided, getBatchRows, getBatchRequest, getBatch,
+} = require('./batchHistoryService');
+
+/**
+ * Checks one row against the simulated balances and staged amounts of the
+ * batch so far. A valid row is deducted from both simulations, so a
+ * customer appearing twice in a batch is checked cumulatively.
+ *
+ * @param {string} customer - Trimmed customer name.
+ * @param {*} amount - Amount as submitted.
+ * @param {Object} simulatedBalances - { customer: balance }, updated in place.
+ * @param {Object} simulatedStaged - { customer: staged amount }, updated in place.
+ * @returns {string|null} Skip reason, or null if the row is valid.
+ */
+function checkRow(customer, amount, simulatedBalances, simulatedStaged) {
+    // Skip: missing customer
+    if (!customer) {
+        return 'Missing customer name';
+    }
+
+    // Skip: invalid amount
+    if (amount === undefined || typeof amount !== 'number' || amount <= 0) {
+        return `Invalid amount: ${amount}`;
+    }
+
+    // Skip: insufficient balance
+    const currentBal = simulatedBalances[customer] || 0;
+    if (currentBal < amount) {
+        return `Insufficient balance: ${currentBal} < ${amount}`;
+    }
+
+    // Skip: insufficient staged amount (cash drawers are exempt)
+    if (!isDrawerAccount(customer)) {
+        const currentStaged = simulatedStaged[customer] || 0;
+        if (currentStaged < amount) {
+            return `Insufficient staged amount: ${currentStaged} < ${amount}`;
+        }
+        simulatedStaged[customer] = currentStaged - amount;
+    }
+
+    // Valid — deduct in simulation for cumulative check
+    simulatedBalances[customer] = currentBal - amount;
+    return null;
+}
+
+/**
+ * Trims the submitted rows into the shape that is validated, stored and
+ * hashed for idempotency. chargeTo is only kept when set, so rows without
+ * it hash as they always did.
+ * @param {Array<Object>} rows - Rows as submitted.
+ * @returns {Array<{customer: string, amount: *, note: string, chargeTo?: string}>}
+ */
+function normalizeRows(rows) {
+    return rows.map((r) => {
+        const row = { customer: (r.customer || '').trim(), amount: r.amount, note: (r.note || '').trim() };
+        const chargeTo = typeof r.chargeTo === 'string' ? r.chargeTo.trim() : '';
+        return chargeTo ? { ...row, chargeTo } : row;
+    });
+}
+
+/**
+ * Replaces each row's customer with the account it resolves to (an alias
+ * becomes the account name). Unknown names are kept as entered, to be
+ * skipped by checkRow like before.
+ *
+ * A row charged to a group becomes a row of the group account, its note
+ * naming the member; if the member may not charge the group, chargeError
+ * says why and the row is skipped. So is a row whose customer is itself a
+ * group: like /api/spend, a group is only charged for a member who may
+ * spend from it.
+ *
+ * @param {Array<Object>} rows - Normalized rows (see normalizeRows).
+ * @returns {Promise<{rows: Array<Object>, accounts: Object}>} The resolved rows, and
+ *   the { name: account | null } map their customers were resolved with.
+ */
+async function resolveRows(rows) {
+    const accounts = await resolveCustomerNames([...new Set(rows.map((r) => r.customer).filter(Boolean))]);
+    const resolved = [];
+    for (const r of rows) {
+        if (!r.chargeTo || !r.customer) {
+            const account = accounts[r.customer];
+            if (account && resolveGroup(account)) {
+                resolved.push({ ...r, customer: account, chargeError: `${account} is a group account: charge it with chargeTo for one of its members` });
+            } else {
+                resolved.push(account ? { ...r, customer: account } : r);
+            }
+            continue;
+        }
+        const charge = await validateGroupCharge(r.chargeTo, r.customer);
+        resolved.push(charge.valid
+            ? { ...r, customer: charge.customer, member: charge.member, note: formatGroupChargeNote(charge.member, r.note) }
+            : { ...r, chargeError: charge.reason });
+    }
+    return { rows: resolved, accounts };
+}
+
+/**
+ * Simulates a batch against current balances and staged amounts and
+ * partitions its rows into PENDING (would be committed) and SKIPPED.
+ * Rows are checked in order, so duplicate customers are handled cumulatively.
+ *
+ * @param {Array<Object>} rows - Normalized rows (see normalizeRows).
+ * @param {Object} currentBalances - { customer: balance }
+ * @param {Object} stagedAmounts - { customer: staged amount }
+ * @returns {Array<Object>} Each row plus index (1-based), status, and either
+ *   reason (SKIPPED) or balanceAfter/stagedAfter (PENDING); balanceBefore on both.
+ */
+function partitionRows(rows, currentBalances, stagedAmounts) {
+    const simulatedBalances = { ...currentBalances };
+    const simulatedStaged = { ...stagedAmounts };
+
+    return rows.map((row, i) => {
+        const balanceBefore = simulatedBalances[row.customer] || 0;
+        const reason = row.chargeError || checkRow(row.customer, row.amount, simulatedBalances, simulatedStaged);
+        if (reason) {
+            return { ...row, index: i + 1, status: 'SKIPPED', reason, balanceBefore };
+        }
+        return {
+            ...row,
+            index: i + 1,
+            status: 'PENDING',
+            balanceBefore,
+            balanceAfter: simulatedBalances[row.customer],
+            stagedAfter: simulatedStaged[row.customer],
+        };
+    });
+}
+
+/**
+ * Appends the SPENDs of the PENDING rows with one bulk ledger write (one
+ * Sheets request or one SQLite transaction), marks them COMMITTED, and
+ * queues the whole batch as a single Docs entry.
+ *
+ * @param {string} batchKey
+ * @param {Array<Object>} pendingRows - Rows from getBatchRows() with status PENDING.
+ * @param {string} timestamp - ISO 8601 timestamp written on every row.
+ * @param {string} cashierEmail
+ * @param {boolean} [resumed] - The rows finish a batch that failed earlier.
+ * @throws {Object} Error with { statusCode: 500, message, resumable: true }.
+ */
+async function appendPendingRows(batchKey, pendingRows, timestamp, cashierEmail, resumed = false) {
+    if (pendingRows.length === 0) return;
+
+    const entries = pendingRows.map((row) => ({
+        timestamp,
+        transactionId: row.transactionId,
+        customer: row.customer,
+        type: 'SPEND',
+        amount: -row.amount, // Convert to negative for ledger
+        cashierEmail,
+        note: row.note,
+        idempotencyKey: batchKey, // Same batch key for all rows
+    }));
+
+    try {
+        await appendTransactions(entries);
+    } catch (error) {
+        // The outcome of the write is unknown — resume checks each row against the ledger
+        console.error(`Batch checkout failed writing ${entries.length} rows:`, error.message);
+        throw {
+            statusCode: 500,
+            message: `Batch checkout failed while saving ${entries.length} rows. Error: ${error.message}`,
+            resumable: true,
+        };
+    }
+
+    for (const row of pendingRows) {
+        markRowCommitted(batchKey, row.index);
+        // Deduct from staged amount
+        deductStaged(row.customer, row.amount, cashierEmail);
+    }
+    enqueueBatch(batchKey, timestamp, entries, resumed);
+}
+
+/**
+ * Builds the checkout response of a batch from its recorded row state.
+ * @param {string} batchKey
+ * @param {string} timestamp
+ * @returns {Object}
+ */
+function buildBatchResult(batchKey, timestamp) {
+    const rows = getBatchRows(batchKey);
+    const skippedRows = rows
+        .filter((r) => r.status === 'SKIPPED')
+        .map((r) => ({ index: r.index, customer: r.customer || '(empty)', reason: r.reason }));
+    const transactionIDs = rows.filter((r) => r.status === 'COMMITTED').map((r) => r.transactionId);
+
+    return {
+        status: 'success',
+        transactionCount: transactionIDs.length,
+        skippedCount: skippedRows.length,
+        skippedRows,
+        transactionIDs,
+        timestamp,
+    };
+}
 
 /**
  * Validates and executes a batch checkout, processing only valid rows.
@@ -23,7 +245,8 @@ const { SHARED_DEPOSIT_CUSTOMER } = require('./authorizationService');
  * @param {string} idempotencyKey - Unique key for the entire batch.
  * @param {string} cashierEmail - Verified email of the cashier.
  * @returns {Promise<Object>} Result with processed/skipped counts and details.
- * @throws {Object} Error with { statusCode, message } on hard failures only.
+ * @throws {Object} Error with { statusCode, message } on hard failures only
+ *   (plus resumable: true when some rows were committed and the rest can be resumed).
  */
 async function executeBatchCheckout(rows, idempotencyKey, cashierEmail) {
     // 1. Basic input validation
@@ -31,127 +254,311 @@ async function executeBatchCheckout(rows, idempotencyKey, cashierEmail) {
         throw { statusCode: 400, message: 'Rows array is required and must not be empty' };
     }
 
-    // 2. Check batch idempotency key
-    const isDuplicate = await findByIdempotencyKey(idempotencyKey);
-    if (isDuplicate) {
-        throw { statusCode: 409, message: 'Duplicate batch: idempotency key already exists' };
-    }
+    const idempotencyRequest = { rows: normalizeRows(rows) };
+    const resolved = (await resolveRows(idempotencyRequest.rows)).rows;
+    const uniqueCustomers = [...new Set(resolved.map((r) => r.customer).filter(Boolean))];
 
-    // 3. Fetch the entire ledger ONCE
-    const allTransactions = await getAllTransactions();
+    // Steps 2–5 hold the lock of every customer in the batch, so no single
+    // spend or other batch can change their balances or staged amounts meanwhile
+    return withCustomerLocks(uniqueCustomers, async () => {
+        // 2. Replay the stored result for this batch key, or reject a duplicate
+        const previous = checkIdempotencyKey(idempotencyKey, 'checkout/batch', idempotencyRequest);
+        if (previous.status === 'replay') {
+            return { ...previous.body, replayed: true };
+        }
+        if (previous.status === 'conflict') {
+            throw { statusCode: 409, message: previous.message };
+        }
+        const isDuplicate = await findByIdempotencyKey(idempotencyKey);
+        if (isDuplicate) {
+            if (getBatchRows(idempotencyKey).some((r) => r.status === 'PENDING')) {
+                throw { statusCode: 409, message: 'Batch was only partially committed: resume it instead', resumable: true };
+            }
+            throw { statusCode: 409, message: 'Duplicate batch: idempotency key already exists' };
+        }
 
-    // 4. Compute current balances for all involved customers
-    const uniqueCustomers = [...new Set(rows.map((r) => (r.customer || '').trim()).filter(Boolean))];
-    const currentBalances = await computeBatchBalances(uniqueCustomers, allTransactions);
+        // 3. Compute current balances for all involved customers (from the ledger cache)
+        const currentBalances = await computeBatchBalances(uniqueCustomers);
 
-    // 5. Simulate deductions and partition rows into valid/skipped
-    //    Handles duplicate customers within the same batch cumulatively.
-    const simulatedBalances = { ...currentBalances };
-    const stagedAmounts = getStagedBatch(uniqueCustomers);
-    const simulatedStaged = { ...stagedAmounts };
-    const validRows = [];
-    const skippedRows = [];
+        // 4. Simulate deductions and partition rows into valid/skipped
+        //    Handles duplicate customers within the same batch cumulatively.
+        const batchRows = partitionRows(resolved, currentBalances, getStagedBatch(uniqueCustomers))
+            .map((row) => (row.status === 'PENDING' ? { ...row, transactionId: uuidv4() } : row));
+        const validRows = batchRows.filter((r) => r.status === 'PENDING');
 
-    for (let i = 0; i < rows.length; i++) {
-        const row = rows[i];
-        const customer = (row.customer || '').trim();
-        const amount = row.amount;
+        const timestamp = new Date().toISOString();
+        recordBatch({ batchKey: idempotencyKey, cashierEmail, timestamp, rows: batchRows, request: idempotencyRequest });
 
-        // Skip: missing customer
-        if (!customer) {
-            skippedRows.push({ index: i + 1, customer: customer || '(empty)', reason: 'Missing customer name' });
-            continue;
+        // If no valid rows remain, return early (not an error — just nothing to process)
+        if (validRows.length === 0) {
+            return buildBatchResult(idempotencyKey, timestamp);
         }
 
-        // Skip: invalid amount
-        if (amount === undefined || typeof amount !== 'number' || amount <= 0) {
-            skippedRows.push({ index: i + 1, customer, reason: `Invalid amount: ${amount}` });
-            continue;
+        // 5. Append all valid SPEND transactions in one write, then log the batch
+        await appendPendingRows(idempotencyKey, validRows, timestamp, cashierEmail);
+
+        const result = buildBatchResult(idempotencyKey, timestamp);
+        console.log(`✅ Batch checkout ${idempotencyKey.slice(0, 8)}… | ${validRows.length}/${rows.length} rows by ${cashierEmail} (${result.skippedCount} skipped)`);
+
+        recordResponse(idempotencyKey, 'checkout/batch', idempotencyRequest, 200, result, cashierEmail);
+        return result;
+    });
+}
+
+/**
+ * Dry run of executeBatchCheckout: partitions the rows exactly as a real
+ * checkout would right now, and writes nothing.
+ *
+ * @param {Array<{customer: string, amount: number, note: string}>} rows - Checkout rows.
+ * @returns {Promise<Object>} Would-be counts, skippedRows (same shape as a checkout),
+ *   total, and every row with the account it resolves to (null if unknown,
+ *   with suggested accounts), valid, reason and simulated balances.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function previewBatchCheckout(rows) {
+    if (!rows || !Array.isArray(rows) || rows.length === 0) {
+        throw { statusCode: 400, message: 'Rows array is required and must not be empty' };
+    }
+
+    const normalized = normalizeRows(rows);
+    const { rows: resolved, accounts } = await resolveRows(normalized);
+    const unknown = Object.keys(accounts).filter((name) => !accounts[name]);
+    const suggestions = unknown.length > 0 ? await suggestAccounts(unknown) : {};
+    const uniqueCustomers = [...new Set(resolved.map((r) => r.customer).filter(Boolean))];
+    const batchRows = partitionRows(resolved, await computeBatchBalances(uniqueCustomers), getStagedBatch(uniqueCustomers));
+    const validRows = batchRows.filter((r) => r.status === 'PENDING');
+    const skippedRows = batchRows
+        .filter((r) => r.status === 'SKIPPED')
+        .map((r) => ({ index: r.index, customer: r.customer || '(empty)', reason: r.reason }));
+
+    return {
+        status: 'success',
+        dryRun: true,
+        transactionCount: validRows.length,
+        skippedCount: skippedRows.length,
+        skippedRows,
+        total: validRows.reduce((sum, r) => sum + r.amount, 0),
+        rows: batchRows.map((r) => ({
+            index: r.index,
+            customer: normalized[r.index - 1].customer,
+            account: accounts[normalized[r.index - 1].customer] || null,
+            chargeTo: r.member ? r.customer : null,
+            suggestions: suggestions[normalized[r.index - 1].customer] || [],
+            amount: r.amount,
+            note: r.note,
+            valid: r.status === 'PENDING',
+            reason: r.reason || null,
+            balanceBefore: r.balanceBefore,
+            balanceAfter: r.status === 'PENDING' ? r.balanceAfter : null,
+            stagedAfter: r.status === 'PENDING' && r.stagedAfter !== undefined ? r.stagedAfter : null,
+        })),
+    };
+}
+
+/**
+ * The normalized checkout request a batch was first sent with, as hashed
+ * for idempotency.
+ * @param {string} batchKey - The batch's idempotency key.
+ * @returns {Object}
+ */
+function getOriginalRequest(batchKey) {
+    // Batches recorded before requests were kept: rebuild it from the rows (exact only without aliases or chargeTo)
+    return getBatchRequest(batchKey) || {
+        // A non-numeric amount was stored as NULL; it was absent from the original JSON
+        rows: getBatchRows(batchKey).map((r) => ({ customer: r.customer, amount: r.amount === null ? undefined : r.amount, note: r.note })),
+    };
+}
+
+/**
+ * Answers a resume of a batch with nothing left to commit — e.g. a retry
+ * whose first attempt finished but whose response was lost — with the
+ * batch result recorded when it was completed.
+ * @param {string} batchKey - The batch's idempotency key.
+ * @returns {Object} The recorded batch result, with replayed: true.
+ * @throws {Object} 409 if no result was recorded for the batch.
+ */
+function replayCompletedBatch(batchKey) {
+    const previous = checkIdempotencyKey(batchKey, 'checkout/batch', getOriginalRequest(batchKey));
+    if (previous.status !== 'replay') {
+        throw { statusCode: 409, message: 'Batch has no uncommitted rows' };
+    }
+    return { ...previous.body, replayed: true, resumed: true, resumedCount: 0, recoveredCount: 0 };
+}
+
+/**
+ * Finishes a batch checkout that failed midway: appends only the rows that
+ * were never committed. Each of them is validated again against current
+ * balances and staged amounts, and skipped if it no longer passes.
+ *
+ * On success the complete batch result is stored under the original key,
+ * so re-sending the original checkout request replays it. Resuming a batch
+ * that has nothing left to commit replays that result too, so a resume is
+ * safe to retry.
+ *
+ * @param {string} batchKey - The original batch idempotency key.
+ * @param {string} cashierEmail - Verified email of the cashier.
+ * @returns {Promise<Object>} The batch result, plus resumed: true, resumedCount (rows
+ *   appended now) and recoveredCount (rows found already written by the failed attempt);
+ *   replayed: true when nothing was left to commit.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function resumeBatchCheckout(batchKey, cashierEmail) {
+    const batch = await getBatch(batchKey);
+    if (!batch) {
+        throw { statusCode: 404, message: 'Batch not found' };
+    }
+    if (batch.voidedAt) {
+        throw { statusCode: 409, message: 'Batch has been voided' };
+    }
+    const customers = [...new Set(batch.pendingRows.map((r) => r.customer))];
+    if (customers.length === 0) {
+        return replayCompletedBatch(batchKey);
+    }
+
+    return withCustomerLocks(customers, async () => {
+        // Re-read under the lock — a concurrent resume may have finished already
+        const pending = getBatchRows(batchKey).filter((r) => r.status === 'PENDING');
+        if (pending.length === 0) {
+            return replayCompletedBatch(batchKey);
         }
 
-        // Skip: insufficient balance
-        const currentBal = simulatedBalances[customer] || 0;
-        if (currentBal < amount) {
-            skippedRows.push({ index: i + 1, customer, reason: `Insufficient balance: ${currentBal} < ${amount}` });
-            continue;
+        // A row whose append reached the ledger before the failure was reported
+        // is already committed; its staged amount and Docs entry are still missing
+        const remaining = [];
+        const recovered = [];
+        for (const row of pending) {
+            const written = await findTransactionById(row.transactionId);
+            if (written) {
+                markRowCommitted(batchKey, row.index);
+                deductStaged(row.customer, row.amount, cashierEmail);
+                recovered.push(written);
+            } else {
+                remaining.push(row);
+            }
+        }
+        if (recovered.length > 0) {
+            enqueueBatch(batchKey, recovered[0].timestamp, recovered, true);
         }
 
-        // Skip: insufficient staged amount (Shared Deposit is exempt)
-        const isSharedDeposit = customer.toLowerCase() === SHARED_DEPOSIT_CUSTOMER.toLowerCase();
-        if (!isSharedDeposit) {
-            const currentStaged = simulatedStaged[customer] || 0;
-            if (currentStaged < amount) {
-                skippedRows.push({ index: i + 1, customer, reason: `Insufficient staged amount: ${currentStaged} < ${amount}` });
-                continue;
+        const simulatedBalances = { ...(await computeBatchBalances(customers)) };
+        const simulatedStaged = { ...getStagedBatch(customers) };
+        const validRows = [];
+        for (const row of remaining) {
+            const reason = checkRow(row.customer, row.amount, simulatedBalances, simulatedStaged);
+            if (reason) {
+                markRowSkipped(batchKey, row.index, reason);
+            } else {
+                validRows.push(row);
             }
-            simulatedStaged[customer] = currentStaged - amount;
         }
 
-        // Valid — deduct in simulation for cumulative check
-        simulatedBalances[customer] = currentBal - amount;
-        validRows.push(row);
-    }
+        await appendPendingRows(batchKey, validRows, new Date().toISOString(), cashierEmail, true);
 
-    // If no valid rows remain, return early (not an error — just nothing to process)
-    if (validRows.length === 0) {
-        return {
-            status: 'success',
-            transactionCount: 0,
-            skippedCount: skippedRows.length,
-            skippedRows,
-            transactionIDs: [],
-            timestamp: new Date().toISOString(),
-        };
+        const result = buildBatchResult(batchKey, batch.timestamp);
+        recordResponse(batchKey, 'checkout/batch', getOriginalRequest(batchKey), 200, result, cashierEmail);
+
+        console.log(`🔁 Batch resume ${batchKey.slice(0, 8)}… | ${validRows.length} appended, ${recovered.length} already written, of ${pending.length} pending rows by ${cashierEmail}`);
+        return { ...result, resumed: true, resumedCount: validRows.length, recoveredCount: recovered.length };
+    });
+}
+
+/**
+ * Voids a committed batch checkout: refunds whatever is still refundable on
+ * each of its SPEND rows and credits the staged amounts back. A retry after
+ * a void failed midway refunds only the rest; the BATCH VOID Doc block is
+ * queued once, by the call that completes the void.
+ *
+ * @param {string} batchKey - The batch's idempotency key.
+ * @param {string} cashierEmail - Verified email of the cashier.
+ * @returns {Promise<Object>} Result with the refund TransactionIDs and total of the whole void.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function voidBatchCheckout(batchKey, cashierEmail) {
+    const spends = (await getTransactionsByIdempotencyKey(batchKey)).filter((tx) => tx.type === 'SPEND');
+    if (spends.length === 0) {
+        throw { statusCode: 404, message: 'Batch not found' };
     }
 
-    // 6. Execute valid rows sequentially
-    const timestamp = new Date().toISOString();
-    const transactionIDs = [];
+    const voidKey = `${batchKey}:void`;
+    const idempotencyRequest = { batchKey };
+    const customers = [...new Set(spends.map((tx) => tx.customer))];
 
-    // 6a. Write batch header to Google Doc
-    await appendBatchHeader(idempotencyKey, timestamp, validRows.length);
+    return withCustomerLocks(customers, async () => {
+        // A batch is voided once; repeating the call replays the first result
+        const previous = checkIdempotencyKey(voidKey, 'checkout/batch/void', idempotencyRequest);
+        if (previous.status === 'replay') {
+            return { ...previous.body, replayed: true };
+        }
+        if (previous.status === 'conflict') {
+            throw { statusCode: 409, message: previous.message };
+        }
 
-    // 6b. Append each valid SPEND transaction
-    for (let i = 0; i < validRows.length; i++) {
-        const row = validRows[i];
-        const transactionId = uuidv4();
-        transactionIDs.push(transactionId);
+        // Refunds written by an earlier void attempt that failed midway
+        const earlier = (await getTransactionsByIdempotencyKey(voidKey)).filter((tx) => tx.type === 'REFUND');
 
-        const transactionData = {
-            timestamp,
-            transactionId,
-            customer: row.customer.trim(),
-            type: 'SPEND',
-            amount: -row.amount, // Convert to negative for ledger
-            cashierEmail,
-            note: (row.note || '').trim(),
-            idempotencyKey, // Same batch key for all rows
-        };
+        // Rows refunded one by one earlier (plugin "Cancel & Refund") are only topped up to a full refund
+        const reversals = [];
+        for (const spend of spends) {
+            const refundable = await getRefundableAmount(spend);
+            if (refundable > 0) reversals.push({ spend, refundable });
+        }
+        if (reversals.length === 0 && earlier.length === 0) {
+            throw { statusCode: 409, message: 'Every row of this batch has already been refunded' };
+        }
+
+        const timestamp = new Date().toISOString();
+        const transactionIDs = earlier.map((tx) => tx.transactionId);
 
-        try {
-            await appendTransaction(transactionData);
-            await appendLog(transactionData);
-            // Deduct from staged amount
-            deductStaged(row.customer.trim(), row.amount);
-        } catch (error) {
-            console.error(`Batch checkout failed at valid row ${i + 1}:`, error.message);
-            throw {
-                statusCode: 500,
-                message: `Batch partially failed at row ${i + 1} of ${validRows.length}. ${i} rows were committed. Error: ${error.message}`,
+        for (let i = 0; i < reversals.length; i++) {
+            const { spend, refundable } = reversals[i];
+            const transactionId = uuidv4();
+
+            const transactionData = {
+                timestamp,
+                transactionId,
+                customer: spend.customer,
+                type: 'REFUND',
+                amount: refundable,
+                cashierEmail,
+                note: spend.note ? `Batch void: ${spend.note}` : 'Batch void',
+                idempotencyKey: voidKey,
+                reference: spend.transactionId,
             };
+
+            try {
+                await appendTransaction(transactionData);
+                transactionIDs.push(transactionId);
+                if (!isDrawerAccount(spend.customer)) {
+                    creditStaged(spend.customer, refundable, cashierEmail);
+                }
+                enqueueLog(transactionData);
+            } catch (error) {
+                console.error(`Batch void failed at row ${i + 1}:`, error.message);
+                throw {
+                    statusCode: 500,
+                    message: `Batch void partially failed at row ${i + 1} of ${reversals.length}. ${i} rows were refunded. Error: ${error.message}`,
+                };
+            }
         }
-    }
 
-    console.log(`✅ Batch checkout ${idempotencyKey.slice(0, 8)}… | ${validRows.length}/${rows.length} rows by ${cashierEmail} (${skippedRows.length} skipped)`);
+        // The whole void, including what an earlier attempt refunded; its Doc block is written once, by the call that completes it
+        const total = earlier.reduce((sum, tx) => sum + tx.amount, 0) + reversals.reduce((sum, r) => sum + r.refundable, 0);
+        enqueueBatchVoid(batchKey, timestamp, transactionIDs.length, total, cashierEmail);
 
-    return {
-        status: 'success',
-        transactionCount: validRows.length,
-        skippedCount: skippedRows.length,
-        skippedRows,
-        transactionIDs,
-        timestamp,
-    };
+        console.log(`↩️ Batch void ${batchKey.slice(0, 8)}… | ${transactionIDs.length} rows, ${total} refunded by ${cashierEmail}`);
+
+        const result = {
+            status: 'success',
+            batchKey,
+            refundedCount: transactionIDs.length,
+            total,
+            transactionIDs,
+            timestamp,
+        };
+        recordResponse(voidKey, 'checkout/batch/void', idempotencyRequest, 200, result, cashierEmail);
+        markBatchVoided(batchKey, timestamp, cashierEmail);
+        return result;
+    });
 }
 
-module.exports = { executeBatchCheckout };
+module.exports = { executeBatchCheckout, previewBatchCheckout, resumeBatchCheckout, voidBatchCheckout };
@@ -0,0 +1,323 @@
+/**
+ * Batch History Service
+ * Durable record of every batch checkout, so past batches can be listed
+ * without piecing them together from the Docs headers and ledger column H.
+ *
+ * Table "checkout_batches":
+ *   batch_key | cashier_email | created_at | row_count | transaction_count
+ *   | skipped_count | total | skipped_rows | voided_at | voided_by | request
+ *
+ * Table "checkout_batch_rows" (one row per submitted row):
+ *   batch_key | row_index | customer | amount | note | status | transaction_id | reason
+ *
+ * row_count is the number of rows submitted; skipped_rows holds the JSON
+ * array of { index, customer, reason } returned by executeBatchCheckout.
+ * request holds the normalized checkout request as the client sent it (before
+ * aliases and groups were resolved), so a resumed batch can store its result
+ * for replay under the same request the original checkout is checked against.
+ * The committed rows themselves stay in the ledger (IdempotencyKey = batch key).
+ *
+ * Row status:
+ *   PENDING   → passed validation, TransactionID assigned, not appended yet
+ *   COMMITTED → appended to the ledger
+ *   SKIPPED   → rejected by validation (reason says why)
+ * A batch that still has PENDING rows after checkout failed midway, and
+ * can be finished with batchCheckoutService.resumeBatchCheckout().
+ */
+const { getDb } = require('./db');
+const { getTransactionsByIdempotencyKey } = require('./ledgerService');
+const { getRefundableAmount } = require('./refundService');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS checkout_batches (
+        batch_key TEXT PRIMARY KEY,
+        cashier_email TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        row_count INTEGER NOT NULL,
+        transaction_count INTEGER NOT NULL,
+        skipped_count INTEGER NOT NULL,
+        total REAL NOT NULL,
+        skipped_rows TEXT NOT NULL,
+        voided_at TEXT,
+        voided_by TEXT,
+        request TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_checkout_batches_created
+        ON checkout_batches (created_at);
+    CREATE TABLE IF NOT EXISTS checkout_batch_rows (
+        batch_key TEXT NOT NULL,
+        row_index INTEGER NOT NULL,
+        customer TEXT NOT NULL,
+        amount REAL,
+        note TEXT NOT NULL,
+        status TEXT NOT NULL,
+        transaction_id TEXT,
+        reason TEXT,
+        PRIMARY KEY (batch_key, row_index)
+    );
+`;
+
+let schemaReady = false;
+
+/**
+ * Returns the shared database connection with the batch table created.
+ */
+function getBatchDb() {
+    const db = getDb();
+    if (!schemaReady) {
+        db.exec(SCHEMA);
+        // Databases created before the request column existed
+        const columns = db.prepare('PRAGMA table_info(checkout_batches)').all().map((c) => c.name);
+        if (!columns.includes('request')) {
+            db.exec('ALTER TABLE checkout_batches ADD COLUMN request TEXT');
+        }
+        schemaReady = true;
+    }
+    return db;
+}
+
+/**
+ * Maps a checkout_batches row to the API shape.
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toBatchSummary(row) {
+    return {
+        batchKey: row.batch_key,
+        cashierEmail: row.cashier_email,
+        timestamp: row.created_at,
+        rowCount: row.row_count,
+        transactionCount: row.transaction_count,
+        skippedCount: row.skipped_count,
+        total: row.total,
+        pendingCount: row.pending_count,
+        voidedAt: row.voided_at,
+        voidedBy: row.voided_by,
+    };
+}
+
+// Batch columns plus the number of rows still waiting to be committed
+const SELECT_BATCHES = `
+    SELECT b.*, (
+        SELECT COUNT(*) FROM checkout_batch_rows r
+        WHERE r.batch_key = b.batch_key AND r.status = 'PENDING'
+    ) AS pending_count
+    FROM checkout_batches b
+`;
+
+/**
+ * Records a validated batch before any of its rows is appended.
+ * A batch in which every row was skipped writes nothing to the ledger, so
+ * its key may be submitted again — the later attempt replaces the record.
+ *
+ * @param {Object} batch
+ * @param {string} batch.batchKey
+ * @param {string} batch.cashierEmail
+ * @param {string} batch.timestamp - ISO 8601.
+ * @param {Array<Object>} batch.rows - Every submitted row:
+ *   { index, customer, amount, note, status: 'PENDING' | 'SKIPPED', transactionId?, reason? }
+ * @param {Object} batch.request - The normalized request, as checked for idempotency.
+ */
+function recordBatch({ batchKey, cashierEmail, timestamp, rows, request }) {
+    const db = getBatchDb();
+    const skippedRows = rows
+        .filter((r) => r.status === 'SKIPPED')
+        .map((r) => ({ index: r.index, customer: r.customer || '(empty)', reason: r.reason }));
+    const insertRow = db.prepare(`
+        INSERT INTO checkout_batch_rows (batch_key, row_index, customer, amount, note, status, transaction_id, reason)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    db.transaction(() => {
+        db.prepare(`
+            INSERT OR REPLACE INTO checkout_batches
+                (batch_key, cashier_email, created_at, row_count, transaction_count, skipped_count, total, skipped_rows, request)
+            VALUES (?, ?, ?, ?, 0, ?, 0, ?, ?)
+        `).run(batchKey, cashierEmail, timestamp, rows.length, skippedRows.length, JSON.stringify(skippedRows), JSON.stringify(request));
+
+        db.prepare('DELETE FROM checkout_batch_rows WHERE batch_key = ?').run(batchKey);
+        for (const r of rows) {
+            insertRow.run(
+                batchKey, r.index, r.customer, typeof r.amount === 'number' ? r.amount : null, r.note,
+                r.status, r.transactionId || null, r.reason || null,
+            );
+        }
+    })();
+}
+
+/**
+ * Marks a PENDING row as appended to the ledger and adds it to the batch totals.
+ * @param {string} batchKey
+ * @param {number} index - 1-based row index.
+ */
+function markRowCommitted(batchKey, index) {
+    const db = getBatchDb();
+    db.transaction(() => {
+        const row = db.prepare('SELECT amount, status FROM checkout_batch_rows WHERE batch_key = ? AND row_index = ?')
+            .get(batchKey, index);
+        if (!row || row.status !== 'PENDING') return;
+
+        db.prepare("UPDATE checkout_batch_rows SET status = 'COMMITTED' WHERE batch_key = ? AND row_index = ?")
+            .run(batchKey, index);
+        db.prepare('UPDATE checkout_batches SET transaction_count = transaction_count + 1, total = total + ? WHERE batch_key = ?')
+            .run(row.amount, batchKey);
+    })();
+}
+
+/**
+ * Marks a PENDING row as skipped, e.g. when it no longer passes validation on resume.
+ * @param {string} batchKey
+ * @param {number} index - 1-based row index.
+ * @param {string} reason
+ */
+function markRowSkipped(batchKey, index, reason) {
+    const db = getBatchDb();
+    db.transaction(() => {
+        const row = db.prepare('SELECT customer, status FROM checkout_batch_rows WHERE batch_key = ? AND row_index = ?')
+            .get(batchKey, index);
+        if (!row || row.status !== 'PENDING') return;
+
+        db.prepare("UPDATE checkout_batch_rows SET status = 'SKIPPED', reason = ? WHERE batch_key = ? AND row_index = ?")
+            .run(reason, batchKey, index);
+
+        const batch = db.prepare('SELECT skipped_rows FROM checkout_batches WHERE batch_key = ?').get(batchKey);
+        const skippedRows = JSON.parse(batch.skipped_rows);
+        skippedRows.push({ index, customer: row.customer, reason });
+        skippedRows.sort((a, b) => a.index - b.index);
+        db.prepare('UPDATE checkout_batches SET skipped_count = ?, skipped_rows = ? WHERE batch_key = ?')
+            .run(skippedRows.length, JSON.stringify(skippedRows), batchKey);
+    })();
+}
+
+/**
+ * Returns the per-row state of a batch, in submission order.
+ * @param {string} batchKey
+ * @returns {Array<{index: number, customer: string, amount: number|null, note: string, status: string, transactionId: string|null, reason: string|null}>}
+ */
+function getBatchRows(batchKey) {
+    return getBatchDb()
+        .prepare(`
+            SELECT row_index, customer, amount, note, status, transaction_id, reason
+            FROM checkout_batch_rows
+            WHERE batch_key = ?
+            ORDER BY row_index ASC
+        `)
+        .all(batchKey)
+        .map((row) => ({
+            index: row.row_index,
+            customer: row.customer,
+            amount: row.amount,
+            note: row.note,
+            status: row.status,
+            transactionId: row.transaction_id,
+            reason: row.reason,
+        }));
+}
+
+/**
+ * Returns the normalized request a batch was checked out with.
+ * @param {string} batchKey
+ * @returns {Object|null} null for unknown batches and batches recorded before requests were kept.
+ */
+function getBatchRequest(batchKey) {
+    const row = getBatchDb().prepare('SELECT request FROM checkout_batches WHERE batch_key = ?').get(batchKey);
+    return row && row.request ? JSON.parse(row.request) : null;
+}
+
+/**
+ * Marks a batch as voided (see batchCheckoutService.voidBatchCheckout).
+ * @param {string} batchKey
+ * @param {string} timestamp - ISO 8601 timestamp of the void.
+ * @param {string} voidedBy - Email of the user who voided it.
+ */
+function markBatchVoided(batchKey, timestamp, voidedBy) {
+    getBatchDb()
+        .prepare('UPDATE checkout_batches SET voided_at = ?, voided_by = ? WHERE batch_key = ?')
+        .run(timestamp, voidedBy, batchKey);
+}
+
+/**
+ * Lists past batches, newest first.
+ * @param {number} [limit=50]
+ * @returns {Array<Object>}
+ */
+function listBatches(limit = 50) {
+    return getBatchDb()
+        .prepare(`${SELECT_BATCHES} ORDER BY b.created_at DESC LIMIT ?`)
+        .all(limit)
+        .map(toBatchSummary);
+}
+
+/**
+ * Returns one batch with its committed ledger rows, its skipped rows and
+ * the rows still pending after a failed checkout (see resumeBatchCheckout).
+ * Each committed row carries the amount refunded on it so far.
+ *
+ * Batches submitted before this table existed are rebuilt from the ledger
+ * alone; their skipped rows are unknown and returned as an empty list.
+ *
+ * @param {string} batchKey
+ * @returns {Promise<Object|null>} null if the key matches no batch.
+ */
+async function getBatch(batchKey) {
+    const record = getBatchDb()
+        .prepare(`${SELECT_BATCHES} WHERE b.batch_key = ?`)
+        .get(batchKey);
+    const spends = (await getTransactionsByIdempotencyKey(batchKey)).filter((tx) => tx.type === 'SPEND');
+
+    if (!record && spends.length === 0) {
+        return null;
+    }
+
+    const rows = [];
+    for (const spend of spends) {
+        const refundable = await getRefundableAmount(spend);
+        rows.push({
+            transactionId: spend.transactionId,
+            customer: spend.customer,
+            amount: -spend.amount,
+            note: spend.note,
+            refunded: -spend.amount - refundable,
+        });
+    }
+
+    const summary = record ? toBatchSummary(record) : {
+        batchKey,
+        cashierEmail: spends[0].cashierEmail,
+        timestamp: spends[0].timestamp,
+        rowCount: spends.length,
+        transactionCount: spends.length,
+        skippedCount: 0,
+        total: rows.reduce((sum, r) => sum + r.amount, 0),
+        pendingCount: 0,
+        voidedAt: null,
+        voidedBy: null,
+    };
+    if (!record) {
+        const voids = await getTransactionsByIdempotencyKey(`${batchKey}:void`);
+        if (voids.length > 0) {
+            summary.voidedAt = voids[0].timestamp;
+            summary.voidedBy = voids[0].cashierEmail;
+        }
+    }
+
+    return {
+        ...summary,
+        rows,
+        skippedRows: record ? JSON.parse(record.skipped_rows) : [],
+        pendingRows: getBatchRows(batchKey)
+            .filter((r) => r.status === 'PENDING')
+            .map((r) => ({ index: r.index, customer: r.customer, amount: r.amount, note: r.note })),
+    };
+}
+
+module.exports = {
+    recordBatch,
+    markRowCommitted,
+    markRowSkipped,
+    markBatchVoided,
+    getBatchRows,
+    getBatchRequest,
+    listBatches,
+    getBatch,
+};
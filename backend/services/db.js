@@ -0,0 +1,29 @@
+/**
+ * SQLite Database
+ * Opens the local SQLite database file (config.sqlitePath) on first use.
+ *
+ * A single connection is shared by every SQLite-backed service.
+ * Each service creates its own tables with CREATE TABLE IF NOT EXISTS.
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config');
+
+let db = null;
+
+/**
+ * Returns the shared SQLite connection, opening it on first call.
+ * Creates the parent directory of the database file if needed.
+ * @returns {import('better-sqlite3').Database}
+ */
+function getDb() {
+    if (!db) {
+        fs.mkdirSync(path.dirname(config.sqlitePath), { recursive: true });
+        db = new Database(config.sqlitePath);
+        db.pragma('journal_mode = WAL');
+    }
+    return db;
+}
+
+module.exports = { getDb };
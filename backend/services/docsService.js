@@ -16,34 +16,95 @@ function getDocsClient() {
     return google.docs({ version: 'v1', auth });
 }
 
+/**
+ * Formats an ADJUSTMENT entry. Uses a double rule and spells out the reason
+ * and approver, so corrections stand out from ordinary transactions.
+ * @param {Object} data - Adjustment data (see appendLog).
+ * @returns {string}
+ */
+function formatAdjustmentEntry(data) {
+    return [
+        '═════════════════════════',
+        'LEDGER ADJUSTMENT',
+        `Timestamp: ${data.timestamp}`,
+        `Transaction ID: ${data.transactionId}`,
+        `Customer: ${data.customer}`,
+        `Amount: ${data.amount > 0 ? '+' : ''}${data.amount}`,
+        `Reason: ${data.reasonCode}`,
+        `Justification: ${data.justification}`,
+        `Approved by: ${data.cashierEmail}`,
+        ...(data.reference ? [`Corrects: ${data.reference}`] : []),
+        '═════════════════════════',
+        '', // blank line after entry
+    ].join('\n');
+}
+
+/**
+ * Formats a transaction log entry (see appendLog for the fields).
+ * @param {Object} data - Transaction data.
+ * @returns {string}
+ */
+function formatLogEntry(data) {
+    if (data.type === 'ADJUSTMENT') return formatAdjustmentEntry(data);
+
+    return [
+        '─────────────────────────',
+        `Timestamp: ${data.timestamp}`,
+        `Transaction ID: ${data.transactionId}`,
+        `Type: ${data.type}`,
+        `Customer: ${data.customer}`,
+        `Amount: ${data.amount}`,
+        `Cashier: ${data.cashierEmail}`,
+        `Note: ${data.note}`,
+        ...(data.type === 'REFUND' ? [`Refund of: ${data.reference}`] : []),
+        ...(data.type === 'TRANSFER_OUT' ? [`Transfer to: ${data.counterparty} (${data.reference})`] : []),
+        ...(data.type === 'TRANSFER_IN' ? [`Transfer from: ${data.counterparty} (${data.reference})`] : []),
+        '─────────────────────────',
+        '', // blank line after entry
+    ].join('\n');
+}
+
+/**
+ * Formats the header that opens a batch checkout in the log.
+ * @param {string} batchId - The batch idempotency key.
+ * @param {string} timestamp - ISO 8601 timestamp.
+ * @param {number} rowCount - Number of rows in the batch.
+ * @param {boolean} [resumed] - The rows finish a batch that failed midway.
+ * @returns {string}
+ */
+function formatBatchHeader(batchId, timestamp, rowCount, resumed) {
+    return [
+        '',
+        '═════════════════════════',
+        resumed ? 'BATCH CHECKOUT (RESUMED)' : 'BATCH CHECKOUT',
+        `Batch ID: ${batchId}`,
+        `Timestamp: ${timestamp}`,
+        `Rows: ${rowCount}`,
+        '═════════════════════════',
+    ].join('\n');
+}
+
 /**
  * Appends a formatted transaction log entry to the end of the Google Doc.
  * @param {Object} data - Transaction data.
  * @param {string} data.timestamp
  * @param {string} data.transactionId
  * @param {string} data.customer
- * @param {string} data.type          - 'TOPUP' or 'SPEND'
- * @param {number} data.amount        - positive for TOPUP, negative for SPEND
- * @param {string} data.cashierEmail
+ * @param {string} data.type          - 'TOPUP', 'SPEND', 'REFUND', 'TRANSFER_OUT', 'TRANSFER_IN' or 'ADJUSTMENT'
+ * @param {number} data.amount        - positive for TOPUP/REFUND/TRANSFER_IN, negative for SPEND/TRANSFER_OUT, either for ADJUSTMENT
+ * @param {string} data.cashierEmail  - for ADJUSTMENT, the approving admin
  * @param {string} data.note
+ * @param {string} [data.reference]   - TransactionID of the spend a REFUND reverses, the other transfer row, or the row an ADJUSTMENT corrects
+ * @param {string} [data.counterparty] - Other customer of a transfer
+ * @param {string} [data.reasonCode]  - ADJUSTMENT reason code
+ * @param {string} [data.justification] - ADJUSTMENT justification
  */
 async function appendLog(data) {
     try {
         const docs = getDocsClient();
 
         // Build the formatted log entry
-        const logEntry = [
-            '─────────────────────────',
-            `Timestamp: ${data.timestamp}`,
-            `Transaction ID: ${data.transactionId}`,
-            `Type: ${data.type}`,
-            `Customer: ${data.customer}`,
-            `Amount: ${data.amount}`,
-            `Cashier: ${data.cashierEmail}`,
-            `Note: ${data.note}`,
-            '─────────────────────────',
-            '', // blank line after entry
-        ].join('\n');
+        const logEntry = formatLogEntry(data);
 
         // Get the current document to find the end index
         const doc = await docs.documents.get({ documentId: config.docId });
@@ -72,26 +133,172 @@ async function appendLog(data) {
 }
 
 /**
- * Appends a batch checkout header marker to the Google Doc.
- * This is written once before the individual transaction entries.
+ * Appends a whole batch checkout — header plus one entry per row — with a
+ * single documents.get and a single batchUpdate, instead of one pair per row.
  * @param {string} batchId - The batch idempotency key.
  * @param {string} timestamp - ISO 8601 timestamp.
- * @param {number} rowCount - Number of rows in the batch.
+ * @param {Array<Object>} entries - Transaction data of each committed row (see appendLog).
+ * @param {boolean} [resumed] - The rows finish a batch that failed midway.
+ */
+async function appendBatch(batchId, timestamp, entries, resumed) {
+    try {
+        const docs = getDocsClient();
+
+        const text = '\n' + formatBatchHeader(batchId, timestamp, entries.length, resumed)
+            + entries.map((data) => '\n' + formatLogEntry(data)).join('');
+
+        const doc = await docs.documents.get({ documentId: config.docId });
+        const endIndex = doc.data.body.content.reduce((max, element) => {
+            return Math.max(max, element.endIndex || 0);
+        }, 0);
+
+        await docs.documents.batchUpdate({
+            documentId: config.docId,
+            requestBody: {
+                requests: [
+                    {
+                        insertText: {
+                            location: { index: endIndex - 1 },
+                            text,
+                        },
+                    },
+                ],
+            },
+        });
+    } catch (error) {
+        console.error('Failed to append batch to Google Doc:', error.message);
+        throw new Error('Failed to write batch log');
+    }
+}
+
+/**
+ * Finds where to insert a block right after a batch's header, so a void
+ * reads next to the batch it reverses. Falls back to the end of the doc.
+ * @param {Array<Object>} content - documents.get body.content.
+ * @param {string} batchId
+ * @returns {number} Index to insert at.
+ */
+function findBatchHeaderEnd(content, batchId) {
+    const textOf = (element) => (element.paragraph?.elements || [])
+        .map((e) => e.textRun?.content || '')
+        .join('');
+
+    const headerIndex = content.findIndex((element) => textOf(element).includes(`Batch ID: ${batchId}`));
+    if (headerIndex !== -1) {
+        for (let i = headerIndex + 1; i < content.length; i++) {
+            if (textOf(content[i]).startsWith('═')) {
+                return content[i].endIndex - 1; // before the closing rule's newline
+            }
+        }
+    }
+
+    const endIndex = content.reduce((max, element) => Math.max(max, element.endIndex || 0), 0);
+    return endIndex - 1;
+}
+
+/**
+ * Inserts a "BATCH VOID" block directly after the voided batch's header.
+ * @param {string} batchId - The voided batch's idempotency key.
+ * @param {string} timestamp - ISO 8601 timestamp of the void.
+ * @param {number} rowCount - Number of rows reversed.
+ * @param {number} total - Total amount refunded.
+ * @param {string} voidedBy - Email of the user who voided the batch.
  */
-async function appendBatchHeader(batchId, timestamp, rowCount) {
+async function appendBatchVoid(batchId, timestamp, rowCount, total, voidedBy) {
     try {
         const docs = getDocsClient();
 
-        const header = [
+        const block = [
             '',
             '═════════════════════════',
-            'BATCH CHECKOUT',
+            'BATCH VOID',
             `Batch ID: ${batchId}`,
-            `Timestamp: ${timestamp}`,
-            `Rows: ${rowCount}`,
+            `Voided at: ${timestamp}`,
+            `Voided by: ${voidedBy}`,
+            `Rows reversed: ${rowCount}`,
+            `Total refunded: ${total}`,
             '═════════════════════════',
         ].join('\n');
 
+        const doc = await docs.documents.get({ documentId: config.docId });
+        const index = findBatchHeaderEnd(doc.data.body.content, batchId);
+
+        await docs.documents.batchUpdate({
+            documentId: config.docId,
+            requestBody: {
+                requests: [
+                    {
+                        insertText: {
+                            location: { index },
+                            text: block,
+                        },
+                    },
+                ],
+            },
+        });
+    } catch (error) {
+        console.error('Failed to append batch void to Google Doc:', error.message);
+        throw new Error('Failed to write batch void log');
+    }
+}
+
+/**
+ * Formats the closing summary of a cash drawer: the expected cash and how
+ * it was reached, the count by denomination, and the variance.
+ * @param {Object} data - Close data (see appendDrawerClose).
+ * @returns {string}
+ */
+function formatDrawerClose(data) {
+    const signed = (amount) => `${amount > 0 ? '+' : ''}${amount}`;
+    const count = Object.entries(data.denominations)
+        .sort(([a], [b]) => parseFloat(b) - parseFloat(a))
+        .map(([value, n]) => `${value} × ${n}`)
+        .join(', ');
+    return [
+        '═════════════════════════',
+        'CASH DRAWER CLOSE',
+        `Drawer: ${data.drawer}`,
+        `Period: ${data.periodStart || '(first close)'} → ${data.closedAt}`,
+        `Closed by: ${data.closedBy}`,
+        `Opening: ${data.opening}`,
+        `Top-ups: ${signed(data.topUps)}`,
+        `Cash checkouts: ${signed(data.cashCheckouts)}`,
+        `Cash returned: ${signed(-data.cashReturned)}`,
+        `Expected: ${data.expected}`,
+        `Counted: ${data.counted}${count ? ` (${count})` : ''}`,
+        `Variance: ${signed(data.variance)}${data.level !== 'ok' ? ` [${data.level.toUpperCase()}]` : ''}`,
+        ...(data.varianceTransactionId ? [`Ledger entry: ${data.varianceTransactionId}`] : []),
+        ...(data.deposited ? [`Deposited: ${data.deposited}`] : []),
+        ...(data.note ? [`Note: ${data.note}`] : []),
+        '═════════════════════════',
+        '', // blank line after entry
+    ].join('\n');
+}
+
+/**
+ * Appends the closing summary of a cash drawer to the end of the Google Doc.
+ * @param {Object} data
+ * @param {string} data.drawer
+ * @param {string} data.closedBy      - Email of the cashier who closed the drawer
+ * @param {string} data.closedAt      - ISO 8601; end of the period
+ * @param {string|null} data.periodStart - ISO 8601 of the previous close, null for the first
+ * @param {number} data.opening       - Cash left in the drawer at the previous close
+ * @param {number} data.topUps
+ * @param {number} data.cashCheckouts
+ * @param {number} data.cashReturned
+ * @param {number} data.expected
+ * @param {Object} data.denominations - { value: count } of the counted cash
+ * @param {number} data.counted
+ * @param {number} data.deposited     - Cash taken out of the drawer at close
+ * @param {number} data.variance      - counted − expected
+ * @param {string} data.level         - 'ok', 'warn' or 'block'
+ * @param {string} data.note
+ * @param {string|null} [data.varianceTransactionId] - The ADJUSTMENT booking the variance
+ */
+async function appendDrawerClose(data) {
+    try {
+        const docs = getDocsClient();
+
         const doc = await docs.documents.get({ documentId: config.docId });
         const endIndex = doc.data.body.content.reduce((max, element) => {
             return Math.max(max, element.endIndex || 0);
@@ -104,16 +311,16 @@ async function appendBatchHeader(batchId, timestamp, rowCount) {
                     {
                         insertText: {
                             location: { index: endIndex - 1 },
-                            text: '\n' + header,
+                            text: '\n' + formatDrawerClose(data),
                         },
                     },
                 ],
             },
         });
     } catch (error) {
-        console.error('Failed to append batch header to Google Doc:', error.message);
-        throw new Error('Failed to write batch header log');
+        console.error('Failed to append drawer close to Google Doc:', error.message);
+        throw new Error('Failed to write drawer close log');
     }
 }
 
-module.exports = { appendLog, appendBatchHeader };
+module.exports = { appendLog, appendBatch, appendBatchVoid, appendDrawerClose };
@@ -0,0 +1,379 @@
+/**
+ * Drawer Close Service
+ * End-of-day close of a cash drawer: the cashier counts the cash by
+ * denomination, and the count is reconciled against the cash the ledger
+ * says the drawer should hold.
+ *
+ * Expected cash for the period since the drawer's last close:
+ *   opening        cash left in the drawer at the last close (counted − deposited)
+ *   + topUps       TOPUP rows on customer accounts (cash taken for a balance)
+ *   + cashCheckouts TOPUP rows on drawer accounts (Pay in Cash)
+ *   − cashReturned REFUND rows on drawer accounts (Cancel & Refund of a cash payment)
+ *
+ * A row belongs to the drawer the cashier who recorded it held at the time
+ * (drawerService.loadCashierDrawerHistory) — cash goes wherever the cashier
+ * handling it keeps theirs.
+ *
+ * Table "drawer_closes" (one row per close):
+ *   id | drawer_key | drawer | closed_by | closed_at | period_start | opening
+ *   | top_ups | cash_checkouts | cash_returned | expected | denominations
+ *   | counted | deposited | variance | level | note | variance_transaction_id
+ *   | idempotency_key
+ *
+ * variance = counted − expected. A non-zero variance is also the close's
+ * ledger entry: an ADJUSTMENT on the drawer account (reason
+ * CASH_COUNT_CORRECTION), whose TransactionID is kept with the close.
+ * Expected cash only counts TOPUP and REFUND rows, so the entry never feeds
+ * into the next period's expectation.
+ * level is 'ok', 'warn' (|variance| above config.drawerVarianceWarn) or
+ * 'block' (above config.drawerVarianceBlock — only an admin may close, with
+ * a note explaining the difference).
+ */
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { getDb } = require('./db');
+const { getAllTransactions, getTransactionsByIdempotencyKey, appendTransaction } = require('./ledgerService');
+const { resolveDrawer, isDrawerAccount, loadCashierDrawerHistory } = require('./drawerService');
+const { enqueueLog, enqueueDrawerClose } = require('./outboxService');
+const { withCustomerLock } = require('./lockService');
+const { checkIdempotencyKey, recordResponse } = require('./idempotencyService');
+const { roundAmount } = require('./formatService');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS drawer_closes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        drawer_key TEXT NOT NULL,
+        drawer TEXT NOT NULL,
+        closed_by TEXT NOT NULL,
+        closed_at TEXT NOT NULL,
+        period_start TEXT,
+        opening REAL NOT NULL,
+        top_ups REAL NOT NULL,
+        cash_checkouts REAL NOT NULL,
+        cash_returned REAL NOT NULL,
+        expected REAL NOT NULL,
+        denominations TEXT NOT NULL,
+        counted REAL NOT NULL,
+        deposited REAL NOT NULL,
+        variance REAL NOT NULL,
+        level TEXT NOT NULL,
+        note TEXT NOT NULL,
+        variance_transaction_id TEXT,
+        idempotency_key TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_drawer_closes_drawer
+        ON drawer_closes (drawer_key, id);
+`;
+
+// Reason code of the ADJUSTMENT that books a close's variance (see adjustmentService)
+const VARIANCE_REASON_CODE = 'CASH_COUNT_CORRECTION';
+
+let schemaReady = false;
+
+/**
+ * Returns the shared database connection with the close table created.
+ */
+function getCloseDb() {
+    const db = getDb();
+    if (!schemaReady) {
+        db.exec(SCHEMA);
+        // Databases created before closes were written to the ledger
+        const columns = db.prepare('PRAGMA table_info(drawer_closes)').all().map((c) => c.name);
+        if (!columns.includes('variance_transaction_id')) {
+            db.exec('ALTER TABLE drawer_closes ADD COLUMN variance_transaction_id TEXT');
+        }
+        if (!columns.includes('idempotency_key')) {
+            db.exec('ALTER TABLE drawer_closes ADD COLUMN idempotency_key TEXT');
+        }
+        schemaReady = true;
+    }
+    return db;
+}
+
+/**
+ * Maps a drawer_closes row to the API shape.
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toClose(row) {
+    return {
+        id: row.id,
+        drawer: row.drawer,
+        closedBy: row.closed_by,
+        closedAt: row.closed_at,
+        periodStart: row.period_start,
+        opening: row.opening,
+        topUps: row.top_ups,
+        cashCheckouts: row.cash_checkouts,
+        cashReturned: row.cash_returned,
+        expected: row.expected,
+        denominations: JSON.parse(row.denominations),
+        counted: row.counted,
+        deposited: row.deposited,
+        variance: row.variance,
+        level: row.level,
+        note: row.note,
+        varianceTransactionId: row.variance_transaction_id || null,
+    };
+}
+
+/**
+ * Returns the most recent close of a drawer.
+ * @param {string} drawer - Drawer name as resolved by drawerService.
+ * @returns {Object|null}
+ */
+function getLastClose(drawer) {
+    const row = getCloseDb()
+        .prepare('SELECT * FROM drawer_closes WHERE drawer_key = ? ORDER BY id DESC LIMIT 1')
+        .get(drawer.toLowerCase());
+    return row ? toClose(row) : null;
+}
+
+/**
+ * Classifies a variance against the configured thresholds.
+ * @param {number} variance
+ * @returns {'ok'|'warn'|'block'}
+ */
+function varianceLevel(variance) {
+    const size = Math.abs(variance);
+    if (size > config.drawerVarianceBlock) return 'block';
+    if (size > config.drawerVarianceWarn) return 'warn';
+    return 'ok';
+}
+
+/**
+ * Validates a count by denomination and totals it.
+ * @param {Object} denominations - { "1000": 2, "100": 5, ... } (counts of each bill or coin).
+ * @returns {{counts: Object, counted: number}} counts keeps only non-zero denominations.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function countCash(denominations) {
+    if (!denominations || typeof denominations !== 'object' || Array.isArray(denominations)) {
+        throw { statusCode: 400, message: 'Denominations must be an object of { value: count }' };
+    }
+
+    const counts = {};
+    let counted = 0;
+    for (const [value, count] of Object.entries(denominations)) {
+        if (!config.drawerDenominations.includes(parseFloat(value))) {
+            throw { statusCode: 400, message: `Unknown denomination: ${value} (expected one of: ${config.drawerDenominations.join(', ')})` };
+        }
+        if (!Number.isInteger(count) || count < 0) {
+            throw { statusCode: 400, message: `Count of ${value} must be a whole number of 0 or more` };
+        }
+        if (count > 0) {
+            counts[String(parseFloat(value))] = count;
+            counted += parseFloat(value) * count;
+        }
+    }
+    return { counts, counted: roundAmount(counted) };
+}
+
+/**
+ * Computes the cash a drawer should hold now, from the ledger rows recorded
+ * since its last close.
+ *
+ * @param {string} drawerName - Case-insensitive.
+ * @returns {Promise<Object>} { drawer, periodStart, periodEnd, opening, topUps,
+ *   cashCheckouts, cashReturned, expected, rowCount, lastClose }
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function computeExpectedCash(drawerName) {
+    const drawer = resolveDrawer(drawerName);
+    if (!drawer) {
+        throw { statusCode: 404, message: 'Drawer not found' };
+    }
+
+    const lastClose = getLastClose(drawer);
+    const periodStart = lastClose ? lastClose.closedAt : null;
+    const periodEnd = new Date().toISOString();
+    const opening = lastClose ? roundAmount(lastClose.counted - lastClose.deposited) : 0;
+
+    let topUps = 0;
+    let cashCheckouts = 0;
+    let cashReturned = 0;
+    let rowCount = 0;
+    const drawerAt = loadCashierDrawerHistory();
+    for (const tx of await getAllTransactions()) {
+        if (periodStart && tx.timestamp <= periodStart) continue;
+        if (tx.timestamp > periodEnd) continue;
+        if (tx.type !== 'TOPUP' && tx.type !== 'REFUND') continue;
+        if (drawerAt(tx.cashierEmail, tx.timestamp) !== drawer) continue;
+
+        const toDrawer = isDrawerAccount(tx.customer);
+        if (tx.type === 'TOPUP' && toDrawer) {
+            cashCheckouts += tx.amount;
+        } else if (tx.type === 'TOPUP') {
+            topUps += tx.amount;
+        } else if (toDrawer) {
+            cashReturned += tx.amount;
+        } else {
+            continue; // a refund to a customer balance moves no cash
+        }
+        rowCount++;
+    }
+
+    return {
+        drawer,
+        periodStart,
+        periodEnd,
+        opening,
+        topUps: roundAmount(topUps),
+        cashCheckouts: roundAmount(cashCheckouts),
+        cashReturned: roundAmount(cashReturned),
+        expected: roundAmount(opening + topUps + cashCheckouts - cashReturned),
+        rowCount,
+        lastClose,
+    };
+}
+
+/**
+ * Closes a drawer: reconciles the counted cash against the expected cash,
+ * books a non-zero variance in the ledger, records the close and queues its
+ * summary for the Docs log.
+ *
+ * @param {Object} params
+ * @param {string} params.drawer - Drawer name (case-insensitive).
+ * @param {Object} params.denominations - { value: count } of the counted cash.
+ * @param {number} [params.deposited=0] - Cash taken out of the drawer at close (e.g. banked).
+ * @param {string} [params.note] - Required when the variance is above the block threshold.
+ * @param {string} params.idempotencyKey
+ * @param {Object} closer
+ * @param {string} closer.email - Email of the cashier closing the drawer.
+ * @param {boolean} closer.isAdmin - Admins may close a drawer with a blocking variance.
+ * @returns {Promise<Object>} The recorded close.
+ * @throws {Object} Error with { statusCode, message } (409 with `close` for a blocking variance).
+ */
+async function closeDrawer({ drawer: drawerName, denominations, deposited = 0, note, idempotencyKey }, { email, isAdmin }) {
+    const drawer = resolveDrawer(drawerName);
+    if (!drawer) {
+        throw { statusCode: 404, message: 'Drawer not found' };
+    }
+    const { counts, counted } = countCash(denominations);
+    if (typeof deposited !== 'number' || !Number.isFinite(deposited) || deposited < 0) {
+        throw { statusCode: 400, message: 'Deposited must be a non-negative number' };
+    }
+    if (deposited > counted) {
+        throw { statusCode: 400, message: `Cannot deposit ${deposited}: only ${counted} was counted` };
+    }
+    const closeNote = typeof note === 'string' ? note.trim() : '';
+
+    const idempotencyRequest = { drawer, denominations: counts, deposited, note: closeNote };
+
+    return withCustomerLock(drawer, async () => {
+        const previous = checkIdempotencyKey(idempotencyKey, 'drawer/close', idempotencyRequest);
+        if (previous.status === 'replay') {
+            return { ...previous.body, replayed: true };
+        }
+        if (previous.status === 'conflict') {
+            throw { statusCode: 409, message: previous.message };
+        }
+
+        // A retry after a failure before the response was stored: the close
+        // (or only its ledger entry) may already be written
+        const recorded = getCloseDb()
+            .prepare('SELECT * FROM drawer_closes WHERE idempotency_key = ?')
+            .get(idempotencyKey);
+        if (recorded) {
+            const close = toClose(recorded);
+            const result = { status: 'success', ...close };
+            recordResponse(idempotencyKey, 'drawer/close', idempotencyRequest, 200, result, email);
+            enqueueDrawerClose(close);
+            return result;
+        }
+        const existing = await getTransactionsByIdempotencyKey(idempotencyKey);
+        const booked = existing.find((tx) => tx.type === 'ADJUSTMENT' && tx.customer === drawer);
+        if (existing.length > 0 && !booked) {
+            throw { statusCode: 409, message: 'Duplicate transaction: idempotency key already exists' };
+        }
+
+        const expectation = await computeExpectedCash(drawer);
+        const variance = roundAmount(counted - expectation.expected);
+        const level = varianceLevel(variance);
+        const summary = {
+            drawer,
+            closedBy: email,
+            closedAt: expectation.periodEnd,
+            periodStart: expectation.periodStart,
+            opening: expectation.opening,
+            topUps: expectation.topUps,
+            cashCheckouts: expectation.cashCheckouts,
+            cashReturned: expectation.cashReturned,
+            expected: expectation.expected,
+            denominations: counts,
+            counted,
+            deposited,
+            variance,
+            level,
+            note: closeNote,
+        };
+
+        if (level === 'block' && (!isAdmin || !closeNote)) {
+            throw {
+                statusCode: 409,
+                message: `Variance of ${variance} is above ${config.drawerVarianceBlock}. Recount, or ask an admin to close the drawer with a note.`,
+                close: summary,
+            };
+        }
+
+        // The closing entry: the variance, booked on the drawer account
+        summary.varianceTransactionId = booked ? booked.transactionId : null;
+        if (variance !== 0 && !booked) {
+            const transactionData = {
+                timestamp: summary.closedAt,
+                transactionId: uuidv4(),
+                customer: drawer,
+                type: 'ADJUSTMENT',
+                amount: variance,
+                cashierEmail: email,
+                note: `[${VARIANCE_REASON_CODE}] Drawer close: counted ${counted}, expected ${summary.expected}`,
+                idempotencyKey,
+                reference: '',
+            };
+            await appendTransaction(transactionData);
+            enqueueLog(transactionData);
+            summary.varianceTransactionId = transactionData.transactionId;
+        }
+
+        const info = getCloseDb().prepare(`
+            INSERT INTO drawer_closes
+                (drawer_key, drawer, closed_by, closed_at, period_start, opening, top_ups, cash_checkouts,
+                 cash_returned, expected, denominations, counted, deposited, variance, level, note,
+                 variance_transaction_id, idempotency_key)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            drawer.toLowerCase(), drawer, email, summary.closedAt, summary.periodStart, summary.opening,
+            summary.topUps, summary.cashCheckouts, summary.cashReturned, summary.expected,
+            JSON.stringify(counts), counted, deposited, variance, level, closeNote,
+            summary.varianceTransactionId, idempotencyKey,
+        );
+
+        const result = {
+            status: 'success',
+            id: info.lastInsertRowid,
+            ...summary,
+            ...(level === 'warn' ? { warning: `Variance of ${variance} is above ${config.drawerVarianceWarn}` } : {}),
+        };
+        recordResponse(idempotencyKey, 'drawer/close', idempotencyRequest, 200, result, email);
+
+        enqueueDrawerClose({ id: result.id, ...summary });
+
+        console.log(`🧾 DRAWER CLOSE | ${drawer} counted ${counted}, expected ${summary.expected}, variance ${variance} (${level}) by ${email}`);
+        return result;
+    });
+}
+
+/**
+ * Lists past closes of a drawer, newest first.
+ * @param {string} drawerName - Case-insensitive.
+ * @param {number} [limit=20]
+ * @returns {Array<Object>}
+ */
+function listDrawerCloses(drawerName, limit = 20) {
+    return getCloseDb()
+        .prepare('SELECT * FROM drawer_closes WHERE drawer_key = ? ORDER BY id DESC LIMIT ?')
+        .all((drawerName || '').toLowerCase().trim(), limit)
+        .map(toClose);
+}
+
+module.exports = { computeExpectedCash, closeDrawer, listDrawerCloses };
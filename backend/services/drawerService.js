@@ -0,0 +1,257 @@
+/**
+ * Drawer Service
+ * Cash-drawer accounts: the virtual accounts that cash payments flow
+ * through, one per cashier or per location, so the ledger shows which
+ * drawer is holding which cash.
+ *
+ * Shared Deposit is the default drawer. Cashiers who have not been assigned
+ * a drawer keep using it, and its past rows stay where they are.
+ *
+ * Table "cash_drawers":
+ *   drawer_key | name | location | created_by | created_at
+ *
+ * Table "cash_drawer_cashiers" (at most one drawer per cashier):
+ *   email_key | email | drawer_key | assigned_by | assigned_at
+ *
+ * Table "cash_drawer_assignments" (every assignment, including moves back
+ * to Shared Deposit — so the drawer close can tell which drawer a cashier
+ * held when they recorded a row):
+ *   email_key | drawer_key | assigned_by | assigned_at
+ *
+ * drawer_key and email_key are normalized (lower-case, trimmed). Several
+ * cashiers may share a drawer (one per location), or each may have their own.
+ *
+ * Drawers are exempt from the staged-amount check like Shared Deposit; a
+ * drawer name never shadows a user, an alias or a group (creating one checks
+ * the name, and authorizationService.validateCustomerName resolves drawers).
+ */
+const { getDb } = require('./db');
+
+const SHARED_DEPOSIT_CUSTOMER = 'Shared Deposit';  // Default cash drawer, for cashiers without one
+const MAX_DRAWER_NAME_LENGTH = 50;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS cash_drawers (
+        drawer_key TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        location TEXT,
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS cash_drawer_cashiers (
+        email_key TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        drawer_key TEXT NOT NULL,
+        assigned_by TEXT NOT NULL,
+        assigned_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_cash_drawer_cashiers_drawer
+        ON cash_drawer_cashiers (drawer_key);
+    CREATE TABLE IF NOT EXISTS cash_drawer_assignments (
+        email_key TEXT NOT NULL,
+        drawer_key TEXT NOT NULL,
+        assigned_by TEXT NOT NULL,
+        assigned_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_cash_drawer_assignments_email
+        ON cash_drawer_assignments (email_key, assigned_at);
+`;
+
+let schemaReady = false;
+
+/**
+ * Returns the shared database connection with the drawer tables created.
+ */
+function getDrawerDb() {
+    const db = getDb();
+    if (!schemaReady) {
+        db.exec(SCHEMA);
+        schemaReady = true;
+    }
+    return db;
+}
+
+/**
+ * Normalize a drawer name or email for lookups.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalize(name) {
+    return (name || '').toLowerCase().trim();
+}
+
+/**
+ * Maps a cash_drawers row, with its cashiers, to the API shape.
+ * @param {Object} row
+ * @returns {{name: string, location: string|null, createdBy: string, createdAt: string, cashiers: string[]}}
+ */
+function toDrawer(row) {
+    const cashiers = getDrawerDb()
+        .prepare('SELECT email FROM cash_drawer_cashiers WHERE drawer_key = ? ORDER BY email_key ASC')
+        .all(row.drawer_key)
+        .map((r) => r.email);
+    return {
+        name: row.name,
+        location: row.location || null,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        cashiers,
+    };
+}
+
+/**
+ * Returns the name of a drawer as it was created, including Shared Deposit.
+ * @param {string} name - Case-insensitive.
+ * @returns {string|null} The drawer name, or null if no drawer has this name.
+ */
+function resolveDrawer(name) {
+    const key = normalize(name);
+    if (!key) return null;
+    if (key === SHARED_DEPOSIT_CUSTOMER.toLowerCase()) return SHARED_DEPOSIT_CUSTOMER;
+    const row = getDrawerDb().prepare('SELECT name FROM cash_drawers WHERE drawer_key = ?').get(key);
+    return row ? row.name : null;
+}
+
+/**
+ * Whether an account is a cash drawer (Shared Deposit or a created drawer).
+ * @param {string} name - Case-insensitive.
+ * @returns {boolean}
+ */
+function isDrawerAccount(name) {
+    return resolveDrawer(name) !== null;
+}
+
+/**
+ * Lists the created drawers alphabetically (Shared Deposit is not stored).
+ * @returns {Array<Object>}
+ */
+function listDrawers() {
+    return getDrawerDb()
+        .prepare('SELECT * FROM cash_drawers ORDER BY drawer_key ASC')
+        .all()
+        .map(toDrawer);
+}
+
+/**
+ * Creates a cash drawer. The caller has already checked that the name is
+ * not taken by a user, an alias or a group.
+ *
+ * @param {string} name
+ * @param {string|null} location - Where the drawer is kept (optional).
+ * @param {string} createdBy - Email of the admin creating the drawer.
+ * @returns {Object} The new drawer.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function createDrawer(name, location, createdBy) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        throw { statusCode: 400, message: 'Drawer name is required' };
+    }
+    if (trimmed.length > MAX_DRAWER_NAME_LENGTH) {
+        throw { statusCode: 400, message: `Drawer name must be at most ${MAX_DRAWER_NAME_LENGTH} characters` };
+    }
+    if (resolveDrawer(trimmed)) {
+        throw { statusCode: 409, message: `A drawer named "${trimmed}" already exists` };
+    }
+
+    const db = getDrawerDb();
+    db.prepare('INSERT INTO cash_drawers (drawer_key, name, location, created_by, created_at) VALUES (?, ?, ?, ?, ?)')
+        .run(normalize(trimmed), trimmed, (location || '').trim() || null, createdBy, new Date().toISOString());
+
+    return toDrawer(db.prepare('SELECT * FROM cash_drawers WHERE drawer_key = ?').get(normalize(trimmed)));
+}
+
+/**
+ * Assigns a cashier to a drawer, replacing any earlier assignment. Assigning
+ * Shared Deposit removes the assignment, so the cashier falls back to it.
+ * The caller has already checked that the email belongs to a cashier or admin.
+ *
+ * @param {string} email - The cashier's email.
+ * @param {string} drawer - Drawer name (case-insensitive).
+ * @param {string} assignedBy - Email of the admin making the change.
+ * @returns {string} The drawer the cashier now uses.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function assignCashier(email, drawer, assignedBy) {
+    const name = resolveDrawer(drawer);
+    if (!name) {
+        throw { statusCode: 404, message: 'Drawer not found' };
+    }
+
+    const db = getDrawerDb();
+    const assignedAt = new Date().toISOString();
+    db.transaction(() => {
+        if (name === SHARED_DEPOSIT_CUSTOMER) {
+            db.prepare('DELETE FROM cash_drawer_cashiers WHERE email_key = ?').run(normalize(email));
+        } else {
+            db.prepare(`
+                INSERT INTO cash_drawer_cashiers (email_key, email, drawer_key, assigned_by, assigned_at)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (email_key) DO UPDATE SET
+                    drawer_key = excluded.drawer_key,
+                    assigned_by = excluded.assigned_by,
+                    assigned_at = excluded.assigned_at
+            `).run(normalize(email), email.trim(), normalize(name), assignedBy, assignedAt);
+        }
+        db.prepare('INSERT INTO cash_drawer_assignments (email_key, drawer_key, assigned_by, assigned_at) VALUES (?, ?, ?, ?)')
+            .run(normalize(email), normalize(name), assignedBy, assignedAt);
+    })();
+    return name;
+}
+
+/**
+ * Returns the drawer a cashier's cash payments go through.
+ * @param {string} email - Case-insensitive.
+ * @returns {string} The assigned drawer, or Shared Deposit.
+ */
+function getCashierDrawer(email) {
+    const row = getDrawerDb().prepare(`
+        SELECT d.name FROM cash_drawer_cashiers c
+        JOIN cash_drawers d ON d.drawer_key = c.drawer_key
+        WHERE c.email_key = ?
+    `).get(normalize(email));
+    return row ? row.name : SHARED_DEPOSIT_CUSTOMER;
+}
+
+/**
+ * Loads every cashier's assignment history in one query, for resolving the
+ * drawer behind many ledger rows (drawerCloseService).
+ * @returns {function(string, string): string} (email, ISO 8601 timestamp) → the
+ *   drawer the cashier was assigned to then, or Shared Deposit.
+ */
+function loadCashierDrawerHistory() {
+    const rows = getDrawerDb().prepare(`
+        SELECT email_key, drawer_key, assigned_at FROM cash_drawer_assignments
+        ORDER BY email_key, assigned_at, rowid
+    `).all();
+
+    const names = new Map(); // drawer_key → drawer name (a removed drawer falls back to Shared Deposit)
+    const history = new Map(); // email_key → [{ assignedAt, drawer }], oldest first
+    for (const row of rows) {
+        if (!names.has(row.drawer_key)) {
+            names.set(row.drawer_key, resolveDrawer(row.drawer_key) || SHARED_DEPOSIT_CUSTOMER);
+        }
+        if (!history.has(row.email_key)) history.set(row.email_key, []);
+        history.get(row.email_key).push({ assignedAt: row.assigned_at, drawer: names.get(row.drawer_key) });
+    }
+
+    return (email, timestamp) => {
+        let drawer = SHARED_DEPOSIT_CUSTOMER;
+        for (const assignment of history.get(normalize(email)) || []) {
+            if (assignment.assignedAt > timestamp) break;
+            drawer = assignment.drawer;
+        }
+        return drawer;
+    };
+}
+
+module.exports = {
+    resolveDrawer,
+    isDrawerAccount,
+    listDrawers,
+    createDrawer,
+    assignCashier,
+    getCashierDrawer,
+    loadCashierDrawerHistory,
+    SHARED_DEPOSIT_CUSTOMER,
+};
@@ -0,0 +1,229 @@
+/**
+ * Export Service
+ * Admin exports of the ledger, for accounting and for loading into other tools.
+ *
+ * Formats:
+ *   csv     one header line, then one line per row (UTF-8 with a byte-order mark)
+ *   ndjson  one JSON object per line
+ *   xlsx    a "Transactions" sheet, plus an optional "Summary" sheet with one
+ *           line per customer (opening, in, out, closing, row count)
+ *
+ * Filters: from (inclusive) / to (exclusive) as ISO 8601 instants, and one or
+ * more customers (an alias exports the account it belongs to).
+ *
+ * With runningBalance, each row carries its customer's balance after it. The
+ * balance includes rows before `from`, so it matches statementService and
+ * /api/balance rather than starting from zero.
+ *
+ * Rows are written as they are read from the ledger cache, waiting for the
+ * response to drain, so a large export never builds the whole file in memory.
+ * CSV text cells that a spreadsheet would read as a formula are neutralized
+ * (see formatService); XLSX cells are typed, so their text is written as is.
+ */
+const ExcelJS = require('exceljs');
+const { getAllTransactions } = require('./ledgerService');
+const { validateCustomerName } = require('./authorizationService');
+const { roundAmount, parseBound, periodPlacement, csvCell } = require('./formatService');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// [column header, row field]
+const COLUMNS = [
+    ['Timestamp', 'timestamp'],
+    ['TransactionID', 'transactionId'],
+    ['Customer', 'customer'],
+    ['Type', 'type'],
+    ['Amount', 'amount'],
+    ['Balance', 'balance'],
+    ['CashierEmail', 'cashierEmail'],
+    ['Note', 'note'],
+    ['Counterparty', 'counterparty'],
+    ['Reference', 'reference'],
+];
+
+/**
+ * Validates export options before anything is written to the response.
+ *
+ * @param {Object} query
+ * @param {string} [query.format='csv'] - 'csv', 'ndjson' or 'xlsx'.
+ * @param {string} [query.from] - Inclusive.
+ * @param {string} [query.to] - Exclusive.
+ * @param {string} [query.customer] - Comma-separated names; omit for every customer.
+ * @param {boolean} [query.runningBalance=false]
+ * @param {boolean} [query.summary=false] - xlsx only.
+ * @returns {Promise<Object>} Options for writeExport, with contentType and filename.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function prepareExport({ format = 'csv', from, to, customer, runningBalance = false, summary = false }) {
+    const formatInfo = FORMATS[format];
+    if (!formatInfo) {
+        throw { statusCode: 400, message: `format must be one of: ${Object.keys(FORMATS).join(', ')}` };
+    }
+    if (summary && format !== 'xlsx') {
+        throw { statusCode: 400, message: 'The summary sheet is only available for xlsx' };
+    }
+    const fromMs = parseBound(from, 'from');
+    const toMs = parseBound(to, 'to');
+    if (fromMs !== null && toMs !== null && fromMs >= toMs) {
+        throw { statusCode: 400, message: 'from must be before to' };
+    }
+
+    let customers = null;
+    const names = (customer || '').split(',').map((n) => n.trim()).filter(Boolean);
+    if (names.length > 0) {
+        customers = new Set();
+        for (const name of names) {
+            const validation = await validateCustomerName(name);
+            customers.add((validation.valid ? validation.customer : name).toLowerCase());
+        }
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    return {
+        format,
+        contentType: formatInfo.contentType,
+        filename: `ledger-export-${stamp}.${formatInfo.extension}`,
+        fromMs,
+        toMs,
+        customers,
+        runningBalance: !!runningBalance,
+        summary: !!summary,
+    };
+}
+
+/**
+ * Walks the ledger and calls onRow for every exported row, in ledger order.
+ * Keeps the per-customer balances and totals the running balance and the
+ * summary sheet need.
+ *
+ * @param {Object} options - From prepareExport.
+ * @param {function(Object): Promise<void>} onRow - Receives the row (with `balance`
+ *   when options.runningBalance is set).
+ * @returns {Promise<Map<string, Object>>} Per-customer summary, keyed by normalized name.
+ */
+async function walkLedger(options, onRow) {
+    const accounts = new Map();
+    for (const tx of await getAllTransactions()) {
+        const key = (tx.customer || '').toLowerCase().trim();
+        if (options.customers && !options.customers.has(key)) continue;
+
+        if (!accounts.has(key)) {
+            accounts.set(key, { customer: tx.customer, opening: 0, in: 0, out: 0, balance: 0, rows: 0 });
+        }
+        const account = accounts.get(key);
+        const placement = periodPlacement(tx.timestamp, options.fromMs, options.toMs);
+
+        if (placement === 'before') {
+            account.opening += tx.amount;
+            account.balance += tx.amount;
+            continue;
+        }
+        if (placement === 'after') continue;
+
+        account.balance += tx.amount;
+        if (tx.amount >= 0) account.in += tx.amount;
+        else account.out -= tx.amount;
+        account.rows++;
+
+        await onRow(options.runningBalance ? { ...tx, balance: roundAmount(account.balance) } : tx);
+    }
+    return accounts;
+}
+
+/**
+ * Writes a chunk to the response, waiting for it to drain when its buffer is full.
+ * Rejects once the client has gone away, which stops the export.
+ * @param {import('stream').Writable} stream
+ * @param {string} chunk
+ * @returns {Promise<void>}
+ */
+function write(stream, chunk) {
+    if (stream.destroyed) return Promise.reject(new Error('Export aborted: connection closed'));
+    if (stream.write(chunk)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            stream.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            stream.off('drain', onDrain);
+            reject(new Error('Export aborted: connection closed'));
+        };
+        stream.once('drain', onDrain);
+        stream.once('close', onClose);
+    });
+}
+
+/**
+ * Streams the export to a writable stream (the HTTP response) and ends it.
+ *
+ * @param {import('stream').Writable} stream
+ * @param {Object} options - From prepareExport.
+ * @returns {Promise<number>} Number of rows exported.
+ */
+async function writeExport(stream, options) {
+    const columns = COLUMNS.filter(([, field]) => field !== 'balance' || options.runningBalance);
+    let count = 0;
+
+    if (options.format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+        const sheet = workbook.addWorksheet('Transactions');
+        sheet.columns = columns.map(([header, field]) => ({ header, key: field, width: field === 'note' ? 40 : 18 }));
+        const accounts = await walkLedger(options, async (tx) => {
+            sheet.addRow(tx).commit();
+            count++;
+        });
+        sheet.commit();
+
+        if (options.summary) {
+            const summary = workbook.addWorksheet('Summary');
+            summary.columns = [
+                { header: 'Customer', key: 'customer', width: 24 },
+                { header: 'Opening', key: 'opening', width: 14 },
+                { header: 'In', key: 'in', width: 14 },
+                { header: 'Out', key: 'out', width: 14 },
+                { header: 'Closing', key: 'balance', width: 14 },
+                { header: 'Rows', key: 'rows', width: 10 },
+            ];
+            const lines = [...accounts.values()]
+                .filter((a) => a.rows > 0 || a.opening !== 0)
+                .sort((a, b) => a.customer.localeCompare(b.customer));
+            for (const account of lines) {
+                summary.addRow({
+                    customer: account.customer,
+                    opening: roundAmount(account.opening),
+                    in: roundAmount(account.in),
+                    out: roundAmount(account.out),
+                    balance: roundAmount(account.balance),
+                    rows: account.rows,
+                }).commit();
+            }
+            summary.commit();
+        }
+        await workbook.commit();
+        return count;
+    }
+
+    if (options.format === 'csv') {
+        await write(stream, '\uFEFF' + columns.map(([header]) => header).join(',') + '\r\n');
+        await walkLedger(options, (tx) => {
+            count++;
+            return write(stream, columns.map(([, field]) => csvCell(tx[field])).join(',') + '\r\n');
+        });
+    } else {
+        await walkLedger(options, (tx) => {
+            count++;
+            const record = {};
+            for (const [, field] of columns) record[field] = tx[field] === undefined ? null : tx[field];
+            return write(stream, JSON.stringify(record) + '\n');
+        });
+    }
+    stream.end();
+    return count;
+}
+
+module.exports = { prepareExport, writeExport };
@@ -0,0 +1,78 @@
+/**
+ * Format Service
+ * Helpers shared by the reports, exports and search (statementService,
+ * exportService, transactionSearchService, drawerCloseService): amounts,
+ * periods, and cells written to files that are opened in spreadsheet apps.
+ *
+ * Periods: from is inclusive, to is exclusive. A row whose timestamp does
+ * not parse cannot be placed before or after a period, so it counts as in
+ * every period rather than silently leaving balances and totals.
+ *
+ * CSV cells: a CSV field starting with =, +, - or @ is read as a formula by
+ * Excel and LibreOffice, so a customer name or note like "=HYPERLINK(...)"
+ * would run when the file is opened. Such text is written with a leading
+ * apostrophe, which shows it as plain text. (XLSX cells carry their type,
+ * so a string cell is never evaluated and needs no such prefix.)
+ */
+
+/**
+ * Rounds an amount to cents, so sums of decimal amounts stay clean.
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Parses an optional ISO 8601 period bound.
+ * @param {string} value
+ * @param {string} field - Name used in the error message.
+ * @returns {number|null} Milliseconds since the epoch, or null when absent.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function parseBound(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) {
+        throw { statusCode: 400, message: `${field} must be an ISO 8601 date` };
+    }
+    return ms;
+}
+
+/**
+ * Places a ledger row relative to a period.
+ * @param {string} timestamp - The row's timestamp.
+ * @param {number|null} fromMs - Inclusive start (from parseBound), or null.
+ * @param {number|null} toMs - Exclusive end (from parseBound), or null.
+ * @returns {'before'|'in'|'after'}
+ */
+function periodPlacement(timestamp, fromMs, toMs) {
+    const ms = Date.parse(timestamp);
+    if (Number.isNaN(ms)) return 'in';
+    if (fromMs !== null && ms < fromMs) return 'before';
+    if (toMs !== null && ms >= toMs) return 'after';
+    return 'in';
+}
+
+/**
+ * Keeps a spreadsheet app from reading CSV text as a formula. Numbers and
+ * other non-string values are returned unchanged.
+ * @param {*} value
+ * @returns {*}
+ */
+function spreadsheetValue(value) {
+    return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Quotes a value for a CSV cell, neutralizing text that would be read as a formula.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(spreadsheetValue(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { roundAmount, parseBound, periodPlacement, csvCell };
@@ -0,0 +1,273 @@
+/**
+ * Group Service
+ * Named group accounts with a shared budget (e.g. a team that pools money
+ * for group lunches).
+ *
+ * A group is a ledger account like any user: it is topped up, staged and
+ * charged under its own name. Unlike Shared Deposit it has an owner and a
+ * member list, and only members allowed to spend may charge it.
+ *
+ * Table "customer_groups":
+ *   group_key | name | owner | created_by | created_at
+ *
+ * Table "customer_group_members" (one row per member):
+ *   group_key | member_key | member | can_spend | added_by | added_at
+ *
+ * group_key and member_key are normalized names (lower-case, trimmed).
+ * owner and member are account names as written in AuthorizedUsers. The
+ * owner is always a member and may always spend; only the owner (or an
+ * admin) manages the members and stages the group's budget.
+ *
+ * A group name never shadows a user, an alias or a cash drawer: creating
+ * a group checks the name against all of them, and registering or aliasing
+ * a group name is rejected (authorizationService.validateCustomerName
+ * resolves group names).
+ */
+const { getDb } = require('./db');
+
+const MAX_GROUP_NAME_LENGTH = 50;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS customer_groups (
+        group_key TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        owner TEXT NOT NULL,
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS customer_group_members (
+        group_key TEXT NOT NULL,
+        member_key TEXT NOT NULL,
+        member TEXT NOT NULL,
+        can_spend INTEGER NOT NULL,
+        added_by TEXT NOT NULL,
+        added_at TEXT NOT NULL,
+        PRIMARY KEY (group_key, member_key)
+    );
+    CREATE INDEX IF NOT EXISTS idx_customer_group_members_member
+        ON customer_group_members (member_key);
+`;
+
+let schemaReady = false;
+
+/**
+ * Returns the shared database connection with the group tables created.
+ */
+function getGroupDb() {
+    const db = getDb();
+    if (!schemaReady) {
+        db.exec(SCHEMA);
+        schemaReady = true;
+    }
+    return db;
+}
+
+/**
+ * Normalize a group or member name for lookups.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalize(name) {
+    return (name || '').toLowerCase().trim();
+}
+
+/**
+ * Maps a customer_group_members row to the API shape.
+ * @param {Object} row
+ * @returns {{member: string, canSpend: boolean, addedBy: string, addedAt: string}}
+ */
+function toMember(row) {
+    return {
+        member: row.member,
+        canSpend: row.can_spend === 1,
+        addedBy: row.added_by,
+        addedAt: row.added_at,
+    };
+}
+
+/**
+ * Maps a customer_groups row, with its members, to the API shape.
+ * @param {Object} row
+ * @returns {{name: string, owner: string, createdBy: string, createdAt: string, members: Array<Object>}}
+ */
+function toGroup(row) {
+    const members = getGroupDb()
+        .prepare('SELECT * FROM customer_group_members WHERE group_key = ? ORDER BY member_key ASC')
+        .all(row.group_key)
+        .map(toMember);
+    return {
+        name: row.name,
+        owner: row.owner,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        members,
+    };
+}
+
+/**
+ * Returns the name of a group as it was created.
+ * @param {string} name - Case-insensitive.
+ * @returns {string|null} The group name, or null if no group has this name.
+ */
+function resolveGroup(name) {
+    const key = normalize(name);
+    if (!key) return null;
+    const row = getGroupDb().prepare('SELECT name FROM customer_groups WHERE group_key = ?').get(key);
+    return row ? row.name : null;
+}
+
+/**
+ * Looks up a group with its members.
+ * @param {string} name - Case-insensitive.
+ * @returns {Object|null}
+ */
+function getGroup(name) {
+    const row = getGroupDb().prepare('SELECT * FROM customer_groups WHERE group_key = ?').get(normalize(name));
+    return row ? toGroup(row) : null;
+}
+
+/**
+ * Lists groups alphabetically: all of them, or those an account belongs to.
+ * @param {string} [account] - Case-insensitive; omit for every group.
+ * @returns {Array<Object>}
+ */
+function listGroups(account) {
+    const db = getGroupDb();
+    const rows = account
+        ? db.prepare(`
+            SELECT g.* FROM customer_groups g
+            JOIN customer_group_members m ON m.group_key = g.group_key
+            WHERE m.member_key = ?
+            ORDER BY g.group_key ASC
+        `).all(normalize(account))
+        : db.prepare('SELECT * FROM customer_groups ORDER BY group_key ASC').all();
+    return rows.map(toGroup);
+}
+
+/**
+ * Creates a group owned by an account. The owner becomes its first member.
+ * The caller has already checked that the name is not taken by a user,
+ * an alias or a cash drawer, and that the owner is an active user.
+ *
+ * @param {string} name
+ * @param {string} owner - Account name as written in AuthorizedUsers.
+ * @param {string} createdBy - Email of the user creating the group.
+ * @returns {Object} The new group.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function createGroup(name, owner, createdBy) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        throw { statusCode: 400, message: 'Group name is required' };
+    }
+    if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+        throw { statusCode: 400, message: `Group name must be at most ${MAX_GROUP_NAME_LENGTH} characters` };
+    }
+    if (resolveGroup(trimmed)) {
+        throw { statusCode: 409, message: `A group named "${trimmed}" already exists` };
+    }
+
+    const db = getGroupDb();
+    const createdAt = new Date().toISOString();
+    db.transaction(() => {
+        db.prepare('INSERT INTO customer_groups (group_key, name, owner, created_by, created_at) VALUES (?, ?, ?, ?, ?)')
+            .run(normalize(trimmed), trimmed, owner, createdBy, createdAt);
+        db.prepare(`
+            INSERT INTO customer_group_members (group_key, member_key, member, can_spend, added_by, added_at)
+            VALUES (?, ?, ?, 1, ?, ?)
+        `).run(normalize(trimmed), normalize(owner), owner, createdBy, createdAt);
+    })();
+
+    return getGroup(trimmed);
+}
+
+/**
+ * Adds a member to a group, or changes an existing member's spend permission.
+ * The caller has already checked that the member is an active user.
+ *
+ * @param {string} group - Group name (case-insensitive).
+ * @param {string} member - Account name as written in AuthorizedUsers.
+ * @param {boolean} canSpend - Whether the member may charge the group.
+ * @param {string} addedBy - Email of the user making the change.
+ * @returns {Object} The group with its updated members.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function setMember(group, member, canSpend, addedBy) {
+    const existing = getGroup(group);
+    if (!existing) {
+        throw { statusCode: 404, message: 'Group not found' };
+    }
+    if (normalize(member) === normalize(existing.owner) && !canSpend) {
+        throw { statusCode: 400, message: 'The group owner can always spend' };
+    }
+
+    getGroupDb().prepare(`
+        INSERT INTO customer_group_members (group_key, member_key, member, can_spend, added_by, added_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (group_key, member_key) DO UPDATE SET can_spend = excluded.can_spend
+    `).run(normalize(group), normalize(member), member, canSpend ? 1 : 0, addedBy, new Date().toISOString());
+
+    return getGroup(group);
+}
+
+/**
+ * Removes a member from a group. The owner cannot be removed.
+ * @param {string} group - Group name (case-insensitive).
+ * @param {string} member - Case-insensitive.
+ * @returns {boolean} Whether a member was removed.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function removeMember(group, member) {
+    const existing = getGroup(group);
+    if (!existing) {
+        throw { statusCode: 404, message: 'Group not found' };
+    }
+    if (normalize(member) === normalize(existing.owner)) {
+        throw { statusCode: 400, message: 'The group owner cannot be removed' };
+    }
+
+    const info = getGroupDb()
+        .prepare('DELETE FROM customer_group_members WHERE group_key = ? AND member_key = ?')
+        .run(normalize(group), normalize(member));
+    return info.changes > 0;
+}
+
+/**
+ * Returns an account's membership of a group.
+ * @param {string} group - Case-insensitive.
+ * @param {string} account - Case-insensitive.
+ * @returns {{isMember: boolean, isOwner: boolean, canSpend: boolean}}
+ */
+function getMembership(group, account) {
+    const db = getGroupDb();
+    const owner = db.prepare('SELECT owner FROM customer_groups WHERE group_key = ?').get(normalize(group));
+    const row = db.prepare('SELECT can_spend FROM customer_group_members WHERE group_key = ? AND member_key = ?')
+        .get(normalize(group), normalize(account));
+    return {
+        isMember: !!row,
+        isOwner: !!owner && normalize(owner.owner) === normalize(account),
+        canSpend: !!row && row.can_spend === 1,
+    };
+}
+
+/**
+ * Note written on a SPEND charged to a group, naming the member it was for
+ * (the same "[tag] text" form as adjustment notes).
+ * @param {string} member
+ * @param {string} note
+ * @returns {string}
+ */
+function formatGroupChargeNote(member, note) {
+    return note ? `[${member}] ${note}` : `[${member}]`;
+}
+
+module.exports = {
+    resolveGroup,
+    getGroup,
+    listGroups,
+    createGroup,
+    setMember,
+    removeMember,
+    getMembership,
+    formatGroupChargeNote,
+};
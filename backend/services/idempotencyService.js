@@ -0,0 +1,100 @@
+/**
+ * Idempotency Service
+ * Stores the response of every committed write, keyed by its idempotency key,
+ * so a client that retries (e.g. after a network timeout) gets the original
+ * result back instead of a bare "duplicate" error.
+ *
+ * Table "idempotency_responses":
+ *   key | endpoint | request_hash | status_code | response | actor | created_at
+ *
+ * A key is bound to the endpoint and request body it was first used with.
+ * Reusing it for a different request is reported as a conflict.
+ * Responses are recorded right after the ledger write (the commit point),
+ * and callers look them up under the same customer lock as the write.
+ */
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS idempotency_responses (
+        key TEXT PRIMARY KEY,
+        endpoint TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status_code INTEGER NOT NULL,
+        response TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+`;
+
+let schemaReady = false;
+
+/**
+ * Returns the shared database connection with the idempotency table created.
+ */
+function getIdempotencyDb() {
+    const db = getDb();
+    if (!schemaReady) {
+        db.exec(SCHEMA);
+        schemaReady = true;
+    }
+    return db;
+}
+
+/**
+ * Hashes the semantic content of a request (not its raw bytes).
+ * @param {Object} request - Normalized request fields.
+ * @returns {string} Hex SHA-256.
+ */
+function hashRequest(request) {
+    return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+/**
+ * Looks up a stored response for an idempotency key.
+ *
+ * @param {string} key - Idempotency key from the client.
+ * @param {string} endpoint - e.g. 'topup', 'spend', 'checkout/batch'.
+ * @param {Object} request - Normalized request fields, same shape as passed to recordResponse.
+ * @returns {{status: 'new'} | {status: 'replay', statusCode: number, body: Object} | {status: 'conflict', message: string}}
+ */
+function checkIdempotencyKey(key, endpoint, request) {
+    const row = getIdempotencyDb()
+        .prepare('SELECT endpoint, request_hash, status_code, response FROM idempotency_responses WHERE key = ?')
+        .get(key);
+
+    if (!row) {
+        return { status: 'new' };
+    }
+
+    if (row.endpoint !== endpoint || row.request_hash !== hashRequest(request)) {
+        return {
+            status: 'conflict',
+            message: `Idempotency key was already used for a different ${row.endpoint} request`,
+        };
+    }
+
+    return { status: 'replay', statusCode: row.status_code, body: JSON.parse(row.response) };
+}
+
+/**
+ * Stores the response of a committed write for later replay.
+ *
+ * @param {string} key - Idempotency key from the client.
+ * @param {string} endpoint - e.g. 'topup', 'spend', 'checkout/batch'.
+ * @param {Object} request - Normalized request fields.
+ * @param {number} statusCode - HTTP status returned to the client.
+ * @param {Object} body - JSON body returned to the client.
+ * @param {string} actor - Email of the user who made the request.
+ */
+function recordResponse(key, endpoint, request, statusCode, body, actor) {
+    getIdempotencyDb()
+        .prepare(`
+            INSERT OR IGNORE INTO idempotency_responses
+                (key, endpoint, request_hash, status_code, response, actor, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `)
+        .run(key, endpoint, hashRequest(request), statusCode, JSON.stringify(body), actor, new Date().toISOString());
+}
+
+module.exports = { checkIdempotencyKey, recordResponse };
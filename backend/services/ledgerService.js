@@ -0,0 +1,296 @@
+/**
+ * Ledger Service
+ * Storage adapter and read cache for the append-only Transactions ledger.
+ *
+ * Every ledger read and write goes through this module. The actual storage
+ * is chosen by config.ledgerBackend (LEDGER_BACKEND):
+ *   sheets → sheetsService.js (Google Sheets "Transactions" tab)
+ *   sqlite → sqliteService.js (local SQLite file at SQLITE_PATH)
+ *
+ * Adapter interface (all async):
+ *   findByIdempotencyKey(key)     → boolean
+ *   appendTransaction(data)       → void
+ *   appendTransactions(rows)      → void, all rows in one write (batch checkout)
+ *   getAllTransactions()          → transactions, oldest first
+ *   getTransactions(limit)        → last N transactions, newest first
+ *   getTransactionsSince(offset)  → transactions after the first `offset` rows
+ *
+ * Read cache:
+ *   The full ledger is loaded once, then only rows appended since the last
+ *   read are fetched (getTransactionsSince). Because the ledger is append-only,
+ *   the number of cached rows is always a valid offset. Running balances,
+ *   idempotency keys, TransactionIDs and References are indexed as rows
+ *   arrive, so lookups never scan the whole ledger. A refresh happens when
+ *   the cache is older than config.ledgerCacheTtlMs or after this process
+ *   appended a row.
+ *
+ *   Local writes bump a write generation. A refresh only counts for the
+ *   writes that finished before it started, so a read that arrives after a
+ *   write never settles for a refresh already in flight before it.
+ */
+const config = require('../config');
+
+const ADAPTERS = {
+    sheets: () => require('./sheetsService'),
+    sqlite: () => require('./sqliteService'),
+};
+
+const adapter = ADAPTERS[config.ledgerBackend]();
+
+const TRANSFER_TYPES = ['TRANSFER_OUT', 'TRANSFER_IN'];
+
+// --- Cache state ---
+const cache = {
+    transactions: [],           // all rows, oldest first
+    balances: new Map(),        // normalizedCustomer → running sum of amounts
+    byIdempotencyKey: new Map(), // IdempotencyKey → transactions written under it
+    byId: new Map(),            // TransactionID → transaction
+    byReference: new Map(),     // referenced TransactionID → transactions pointing at it
+    loadedAt: 0,                // Date.now() of the last successful refresh
+    writeGeneration: 0,         // bumped after every local write
+    loadedGeneration: -1,       // writeGeneration the cache is known to include
+};
+
+// In-flight refresh, shared by concurrent readers
+let refreshPromise = null;
+
+/**
+ * Normalize customer name for consistent lookups.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalize(name) {
+    return (name || '').toLowerCase().trim();
+}
+
+/**
+ * Adds newly fetched rows to the cache and its indexes.
+ * @param {Array<Object>} rows - Transactions in ledger order.
+ */
+function ingest(rows) {
+    for (const tx of rows) {
+        cache.transactions.push(tx);
+
+        const key = normalize(tx.customer);
+        cache.balances.set(key, (cache.balances.get(key) || 0) + tx.amount);
+
+        if (tx.idempotencyKey) {
+            if (!cache.byIdempotencyKey.has(tx.idempotencyKey)) cache.byIdempotencyKey.set(tx.idempotencyKey, []);
+            cache.byIdempotencyKey.get(tx.idempotencyKey).push(tx);
+        }
+        if (tx.transactionId) {
+            cache.byId.set(tx.transactionId, tx);
+        }
+        if (tx.reference) {
+            if (!cache.byReference.has(tx.reference)) cache.byReference.set(tx.reference, []);
+            cache.byReference.get(tx.reference).push(tx);
+
+            // Transfer rows reference each other — once both are in, name the other side
+            const pair = cache.byId.get(tx.reference);
+            if (pair && TRANSFER_TYPES.includes(tx.type) && TRANSFER_TYPES.includes(pair.type)) {
+                tx.counterparty = pair.customer;
+                pair.counterparty = tx.customer;
+            }
+        }
+    }
+}
+
+/**
+ * Fetches rows appended since the last refresh into the cache.
+ * Concurrent callers share the same in-flight request.
+ * @returns {Promise<void>}
+ */
+function refresh() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            try {
+                const generation = cache.writeGeneration;
+                const rows = await adapter.getTransactionsSince(cache.transactions.length);
+                ingest(rows);
+                cache.loadedAt = Date.now();
+                cache.loadedGeneration = generation;
+            } finally {
+                refreshPromise = null;
+            }
+        })();
+    }
+    return refreshPromise;
+}
+
+/**
+ * Ensures the cache is current enough to answer a read.
+ * @returns {Promise<void>}
+ */
+async function ensureFresh() {
+    if (Date.now() - cache.loadedAt > config.ledgerCacheTtlMs) {
+        await refresh();
+    }
+    // Refresh again while the refresh we joined started before the latest local write
+    while (cache.loadedGeneration < cache.writeGeneration) {
+        await refresh();
+    }
+}
+
+/**
+ * Checks if an idempotency key already exists in the ledger.
+ * @param {string} key - The idempotency key to check.
+ * @returns {Promise<boolean>} True if key already exists.
+ */
+async function findByIdempotencyKey(key) {
+    await ensureFresh();
+    return cache.byIdempotencyKey.has(key);
+}
+
+/**
+ * Returns every transaction written under an idempotency key (e.g. all
+ * rows of a batch checkout), oldest first.
+ * @param {string} key
+ * @returns {Promise<Array<Object>>}
+ */
+async function getTransactionsByIdempotencyKey(key) {
+    await ensureFresh();
+    return (cache.byIdempotencyKey.get(key) || []).slice();
+}
+
+/**
+ * Appends a transaction row to the ledger and bumps the write generation,
+ * so the next read picks up the new row.
+ * @param {Object} data - Transaction data (see sheetsService.appendTransaction).
+ */
+async function appendTransaction(data) {
+    try {
+        await adapter.appendTransaction(data);
+    } finally {
+        // Even a failed append may have reached the backend
+        cache.writeGeneration++;
+    }
+}
+
+/**
+ * Appends several rows in a single backend write (one Sheets request or
+ * one SQLite transaction) and bumps the write generation.
+ * @param {Array<Object>} rows - Transaction data, in ledger order.
+ */
+async function appendTransactions(rows) {
+    try {
+        await adapter.appendTransactions(rows);
+    } finally {
+        cache.writeGeneration++;
+    }
+}
+
+/**
+ * Retrieves all transaction rows (from the cache).
+ * @returns {Promise<Array<Object>>} Array of transaction objects (oldest first).
+ */
+async function getAllTransactions() {
+    await ensureFresh();
+    return cache.transactions.slice();
+}
+
+/**
+ * Retrieves the last N transactions, ordered newest first.
+ * @param {number} limit - Maximum number of transactions to return.
+ * @returns {Promise<Array<Object>>} Array of transaction objects.
+ */
+async function getTransactions(limit = 20) {
+    await ensureFresh();
+    return cache.transactions.slice(-limit).reverse();
+}
+
+/**
+ * Retrieves the last N transactions of one customer, ordered newest first.
+ * @param {string} customerName - Case-insensitive.
+ * @param {number} limit - Maximum number of transactions to return.
+ * @returns {Promise<Array<Object>>}
+ */
+async function getCustomerTransactions(customerName, limit = 20) {
+    await ensureFresh();
+    const key = normalize(customerName);
+    const rows = [];
+    for (let i = cache.transactions.length - 1; i >= 0 && rows.length < limit; i--) {
+        if (normalize(cache.transactions[i].customer) === key) rows.push(cache.transactions[i]);
+    }
+    return rows;
+}
+
+/**
+ * Retrieves one page of transactions, newest first, optionally of a single
+ * customer. Pages are addressed by ledger position: because the ledger is
+ * append-only, a row's position never changes, so rows appended while a
+ * reader pages back never shift or repeat a page.
+ *
+ * @param {Object} options
+ * @param {string} [options.customer] - Case-insensitive; omit for all customers.
+ * @param {number} [options.limit=20] - Maximum number of rows in the page.
+ * @param {number} [options.before] - Only rows before this position (the
+ *   nextCursor of the previous page); omit for the newest page.
+ * @returns {Promise<{transactions: Array<Object>, nextCursor: number|null}>}
+ *   nextCursor is null when there are no older rows.
+ */
+async function getTransactionsPage({ customer, limit = 20, before } = {}) {
+    await ensureFresh();
+    const key = customer ? normalize(customer) : null;
+    const start = Math.min(before === undefined ? cache.transactions.length : before, cache.transactions.length);
+
+    const transactions = [];
+    let i = start - 1;
+    for (; i >= 0 && transactions.length < limit; i--) {
+        if (key === null || normalize(cache.transactions[i].customer) === key) transactions.push(cache.transactions[i]);
+    }
+
+    // Only hand out a cursor if an older matching row exists
+    let nextCursor = null;
+    for (let j = i; j >= 0; j--) {
+        if (key === null || normalize(cache.transactions[j].customer) === key) {
+            nextCursor = i + 1;
+            break;
+        }
+    }
+    return { transactions, nextCursor };
+}
+
+/**
+ * Returns the current balance (sum of all amounts) for a customer.
+ * @param {string} customerName - Case-insensitive.
+ * @returns {Promise<number>} Balance, 0 if the customer has no rows.
+ */
+async function getCustomerBalance(customerName) {
+    await ensureFresh();
+    return cache.balances.get(normalize(customerName)) || 0;
+}
+
+/**
+ * Looks up a single transaction by its TransactionID.
+ * @param {string} transactionId
+ * @returns {Promise<Object|null>}
+ */
+async function findTransactionById(transactionId) {
+    await ensureFresh();
+    return cache.byId.get(transactionId) || null;
+}
+
+/**
+ * Returns the transactions whose Reference points at the given TransactionID
+ * (e.g. the refunds of a spend), oldest first.
+ * @param {string} transactionId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getReferencingTransactions(transactionId) {
+    await ensureFresh();
+    return (cache.byReference.get(transactionId) || []).slice();
+}
+
+module.exports = {
+    findByIdempotencyKey,
+    getTransactionsByIdempotencyKey,
+    appendTransaction,
+    appendTransactions,
+    getAllTransactions,
+    getTransactions,
+    getCustomerTransactions,
+    getTransactionsPage,
+    getCustomerBalance,
+    findTransactionById,
+    getReferencingTransactions,
+};
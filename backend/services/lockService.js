@@ -0,0 +1,75 @@
+/**
+ * Lock Service
+ * In-process mutual exclusion keyed by normalized customer name.
+ *
+ * Spends check the balance and staged amount, then append to the ledger,
+ * with awaits in between. Running those steps inside withCustomerLocks()
+ * makes them one critical section per customer, so two cashiers (or the
+ * plugin's single and batch buttons) cannot both pass the overdraft check.
+ *
+ * Locks are FIFO per customer. A multi-customer call (batch checkout)
+ * enqueues on every key in the same tick, so callers never deadlock.
+ * Only protects a single backend process.
+ */
+
+// Map<normalizedCustomerName, Promise> — resolves when the last queued holder releases
+const tails = new Map();
+
+/**
+ * Normalize customer name for consistent lookups.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalize(name) {
+    return (name || '').toLowerCase().trim();
+}
+
+/**
+ * Runs fn while holding the locks for all given customers.
+ *
+ * @template T
+ * @param {string[]} customers - Customer names (duplicates and blanks are ignored).
+ * @param {() => Promise<T>} fn - Critical section.
+ * @returns {Promise<T>} Whatever fn returns (or rejects with).
+ */
+async function withCustomerLocks(customers, fn) {
+    const keys = [...new Set(customers.map(normalize).filter(Boolean))];
+
+    let release;
+    const released = new Promise((resolve) => { release = resolve; });
+
+    // Enqueue on every key synchronously, before awaiting anything
+    const waits = keys.map((key) => {
+        const previous = tails.get(key) || Promise.resolve();
+        tails.set(key, previous.then(() => released));
+        return previous;
+    });
+
+    await Promise.all(waits);
+    try {
+        return await fn();
+    } finally {
+        release();
+        // Drop keys nobody else queued on, to keep the map small
+        for (let i = 0; i < keys.length; i++) {
+            const tail = tails.get(keys[i]);
+            tail.then(() => {
+                if (tails.get(keys[i]) === tail) tails.delete(keys[i]);
+            });
+        }
+    }
+}
+
+/**
+ * Runs fn while holding the lock for a single customer.
+ *
+ * @template T
+ * @param {string} customer
+ * @param {() => Promise<T>} fn - Critical section.
+ * @returns {Promise<T>}
+ */
+function withCustomerLock(customer, fn) {
+    return withCustomerLocks([customer], fn);
+}
+
+module.exports = { withCustomerLock, withCustomerLocks };
@@ -0,0 +1,344 @@
+/**
+ * Customer Match Service
+ * Ranked account suggestions for names that match no account or alias,
+ * e.g. a dinbendon.net order placed as "曉明" or "ㄒㄧㄠˇ ㄇㄧㄥˊ" for 王小明.
+ *
+ * Every active account and every alias is a candidate label. A name is
+ * compared with each label three ways:
+ *   spelling      → edit distance of the lower-cased names (punctuation and spaces ignored)
+ *   pronunciation → edit distance of their toneless pinyin, so Chinese
+ *                   characters (simplified or traditional), zhuyin and romanized
+ *                   spellings of the same name compare equal; one key contained
+ *                   in the other (a given name vs. a full name) also counts
+ *   past picks    → how often cashiers matched this name to the account before
+ *
+ * Table "customer_pairings" (one row per name and picked account):
+ *   name_key | account | pick_count | last_picked_by | last_picked_at
+ */
+const { pinyin } = require('pinyin-pro');
+const { getDb } = require('./db');
+const { getAllUserNames, validateCustomerName } = require('./authorizationService');
+const { getAllAliases, addAlias } = require('./aliasService');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS customer_pairings (
+        name_key TEXT NOT NULL,
+        account TEXT NOT NULL,
+        pick_count INTEGER NOT NULL,
+        last_picked_by TEXT NOT NULL,
+        last_picked_at TEXT NOT NULL,
+        PRIMARY KEY (name_key, account)
+    );
+`;
+
+const MIN_SCORE = 0.5;          // candidates below this are not suggested
+const CONTAINED_SCORE = 0.8;    // pronunciation of one name contains the other's
+const MIN_CONTAINED_LENGTH = 3; // ...and the shorter key has at least this many letters
+const DEFAULT_LIMIT = 3;
+
+// Zhuyin (bopomofo) → pinyin building blocks
+const ZHUYIN_INITIALS = {
+    'ㄅ': 'b', 'ㄆ': 'p', 'ㄇ': 'm', 'ㄈ': 'f', 'ㄉ': 'd', 'ㄊ': 't', 'ㄋ': 'n', 'ㄌ': 'l',
+    'ㄍ': 'g', 'ㄎ': 'k', 'ㄏ': 'h', 'ㄐ': 'j', 'ㄑ': 'q', 'ㄒ': 'x',
+    'ㄓ': 'zh', 'ㄔ': 'ch', 'ㄕ': 'sh', 'ㄖ': 'r', 'ㄗ': 'z', 'ㄘ': 'c', 'ㄙ': 's',
+};
+const ZHUYIN_MEDIALS = { 'ㄧ': 'i', 'ㄨ': 'u', 'ㄩ': 'v' };
+const ZHUYIN_FINALS = {
+    'ㄚ': 'a', 'ㄛ': 'o', 'ㄜ': 'e', 'ㄝ': 'e', 'ㄞ': 'ai', 'ㄟ': 'ei', 'ㄠ': 'ao', 'ㄡ': 'ou',
+    'ㄢ': 'an', 'ㄣ': 'en', 'ㄤ': 'ang', 'ㄥ': 'eng', 'ㄦ': 'er',
+};
+// Medial + final spellings that pinyin contracts
+const ZHUYIN_CONTRACTIONS = {
+    iou: 'iu', uei: 'ui', uen: 'un', ien: 'in', ieng: 'ing', ueng: 'ong', veng: 'iong', ven: 'vn',
+};
+// Pinyin spelling of a syllable without an initial
+const ZHUYIN_STANDALONE = { i: 'yi', u: 'wu', v: 'yu', in: 'yin', ing: 'ying', iu: 'you', ui: 'wei', un: 'wen', ong: 'weng', iong: 'yong' };
+const ZHUYIN_SYLLABLE = /([ㄅ-ㄙ])?([ㄧㄨㄩ])?([ㄚ-ㄦ])?[ˊˇˋ˙]?/gu;
+
+let schemaReady = false;
+
+/**
+ * Returns the shared database connection with the pairings table created.
+ */
+function getMatchDb() {
+    const db = getDb();
+    if (!schemaReady) {
+        db.exec(SCHEMA);
+        schemaReady = true;
+    }
+    return db;
+}
+
+/**
+ * Normalize a name for pairing lookups.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalize(name) {
+    return (name || '').toLowerCase().trim();
+}
+
+/**
+ * Spells one zhuyin syllable in pinyin.
+ * @param {string} initial - Pinyin initial, or ''.
+ * @param {string} medial - 'i', 'u', 'v' (standing in for ü) or ''.
+ * @param {string} final - Pinyin final, or ''.
+ * @returns {string}
+ */
+function spellZhuyinSyllable(initial, medial, final) {
+    let rime = medial + final;
+    rime = ZHUYIN_CONTRACTIONS[rime] || rime;
+
+    if (!initial) {
+        if (ZHUYIN_STANDALONE[rime]) return ZHUYIN_STANDALONE[rime];
+        if (medial === 'i') return `y${rime.slice(1)}`;
+        if (medial === 'u') return `w${rime.slice(1)}`;
+        if (medial === 'v') return `yu${rime.slice(1)}`;
+        return rime;
+    }
+    // zhi, chi, shi, ri, zi, ci, si
+    if (!rime) return `${initial}i`;
+    return (initial + rime).replace('v', 'ü');
+}
+
+/**
+ * Replaces zhuyin in a name with pinyin (tone marks dropped).
+ * @param {string} text
+ * @returns {string}
+ */
+function zhuyinToPinyin(text) {
+    return text.replace(/[ㄅ-ㄩˊˇˋ˙]+/gu, (run) => {
+        const syllables = [];
+        for (const [match, initial, medial, final] of run.matchAll(ZHUYIN_SYLLABLE)) {
+            if (!match || (!initial && !medial && !final)) continue;
+            syllables.push(spellZhuyinSyllable(
+                initial ? ZHUYIN_INITIALS[initial] : '',
+                medial ? ZHUYIN_MEDIALS[medial] : '',
+                final ? ZHUYIN_FINALS[final] : '',
+            ));
+        }
+        return syllables.join('');
+    });
+}
+
+/**
+ * Comparison key for spelling: lower-case, without spaces and punctuation.
+ * @param {string} name
+ * @returns {string}
+ */
+function spellingKey(name) {
+    return name.toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+/**
+ * Comparison key for pronunciation: toneless pinyin letters only (ü as u).
+ * @param {string} name
+ * @returns {string}
+ */
+function pronunciationKey(name) {
+    return pinyin(zhuyinToPinyin(name), { toneType: 'none', type: 'array', nonZh: 'consecutive' })
+        .join('')
+        .toLowerCase()
+        .replace(/ü/g, 'u')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Levenshtein distance between two strings (by code point).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    const s = [...a];
+    const t = [...b];
+    let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= s.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= t.length; j++) {
+            const substitution = previous[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[t.length];
+}
+
+/**
+ * Similarity of two keys in [0, 1] (1 = identical).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+    const length = Math.max([...a].length, [...b].length);
+    if (length === 0) return 0;
+    return 1 - editDistance(a, b) / length;
+}
+
+/**
+ * Pronunciation similarity, counting one key contained in the other
+ * (e.g. "xiaoming" in "wangxiaoming") as a strong match.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function pronunciationSimilarity(a, b) {
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    const score = similarity(a, b);
+    if (shorter.length >= MIN_CONTAINED_LENGTH && longer.includes(shorter)) {
+        return Math.max(score, CONTAINED_SCORE);
+    }
+    return score;
+}
+
+/**
+ * Score given to an account cashiers have picked for a name before.
+ * @param {number} count - Number of earlier picks.
+ * @returns {number}
+ */
+function pickScore(count) {
+    return Math.min(0.85 + 0.05 * count, 1);
+}
+
+/**
+ * Returns every candidate label: active accounts and the aliases of active accounts.
+ * @returns {Promise<Array<{label: string, account: string}>>}
+ */
+async function getCandidates() {
+    const accounts = await getAllUserNames();
+    const active = new Map(accounts.map((name) => [name.toLowerCase(), name]));
+    const candidates = accounts.map((name) => ({ label: name, account: name }));
+    for (const alias of getAllAliases()) {
+        const account = active.get(alias.account.toLowerCase());
+        if (account) candidates.push({ label: alias.alias, account });
+    }
+    return candidates;
+}
+
+/**
+ * Returns how often each account was picked for a name.
+ * @param {string} name
+ * @returns {Map<string, number>} lower-cased account → pick count
+ */
+function getPicks(name) {
+    const rows = getMatchDb()
+        .prepare('SELECT account, pick_count FROM customer_pairings WHERE name_key = ?')
+        .all(normalize(name));
+    return new Map(rows.map((row) => [row.account.toLowerCase(), row.pick_count]));
+}
+
+/**
+ * Ranks the candidate accounts for one unknown name.
+ * @param {string} name
+ * @param {Array<Object>} candidates - From getCandidates(), with precomputed keys.
+ * @param {number} limit
+ * @returns {Array<{account: string, score: number, matchedOn: string, reasons: string[]}>}
+ */
+function rankCandidates(name, candidates, limit) {
+    const spelling = spellingKey(name);
+    const pronunciation = pronunciationKey(name);
+    const picks = getPicks(name);
+    const best = new Map(); // lower-cased account → best suggestion
+
+    for (const candidate of candidates) {
+        const spellingScore = similarity(spelling, candidate.spelling);
+        const pronunciationScore = pronunciation && candidate.pronunciation
+            ? pronunciationSimilarity(pronunciation, candidate.pronunciation)
+            : 0;
+        const count = picks.get(candidate.account.toLowerCase()) || 0;
+
+        const reasons = [];
+        if (spellingScore >= MIN_SCORE) reasons.push('spelling');
+        if (pronunciationScore >= MIN_SCORE && pronunciationScore > spellingScore) reasons.push('pronunciation');
+        if (count > 0) reasons.push('past pick');
+
+        const score = Math.max(spellingScore, pronunciationScore, count > 0 ? pickScore(count) : 0);
+        if (score < MIN_SCORE) continue;
+
+        const key = candidate.account.toLowerCase();
+        if (!best.has(key) || best.get(key).score < score) {
+            best.set(key, {
+                account: candidate.account,
+                score: Math.round(score * 100) / 100,
+                matchedOn: candidate.label,
+                reasons,
+            });
+        }
+    }
+
+    return [...best.values()]
+        .sort((a, b) => b.score - a.score || a.account.localeCompare(b.account))
+        .slice(0, limit);
+}
+
+/**
+ * Suggests accounts for names that resolve to no account or alias.
+ * Names that already resolve get an empty list.
+ *
+ * @param {string[]} names
+ * @param {number} [limit=3] - Suggestions per name.
+ * @returns {Promise<Object>} Map of { name: [{ account, score, matchedOn, reasons }] }, best first.
+ */
+async function suggestAccounts(names, limit = DEFAULT_LIMIT) {
+    const candidates = (await getCandidates()).map((c) => ({
+        ...c,
+        spelling: spellingKey(c.label),
+        pronunciation: pronunciationKey(c.label),
+    }));
+
+    const suggestions = {};
+    for (const name of names) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        const validation = await validateCustomerName(trimmed);
+        suggestions[name] = !trimmed || validation.valid ? [] : rankCandidates(trimmed, candidates, limit);
+    }
+    return suggestions;
+}
+
+/**
+ * Records that a cashier matched a name to an account, so the account is
+ * ranked first for that name next time. Optionally saves the name as an
+ * alias of the account, so it resolves on its own from then on.
+ *
+ * @param {string} name - The name as entered (e.g. on dinbendon.net).
+ * @param {string} account - The picked account (or one of its aliases).
+ * @param {boolean} saveAlias
+ * @param {string} pickedBy - Email of the cashier.
+ * @returns {Promise<{name: string, account: string, alias: Object|null}>}
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function pickAccount(name, account, saveAlias, pickedBy) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw { statusCode: 400, message: 'Name is required' };
+    }
+
+    const accountValidation = await validateCustomerName(account);
+    if (!accountValidation.valid || accountValidation.isDrawer || accountValidation.isGroup) {
+        throw { statusCode: 400, message: `Unknown account: "${account}"` };
+    }
+    const picked = accountValidation.customer;
+
+    let alias = null;
+    if (saveAlias) {
+        const nameValidation = await validateCustomerName(trimmed);
+        if (nameValidation.valid) {
+            throw { statusCode: 409, message: `"${trimmed}" already refers to ${nameValidation.customer}` };
+        }
+        alias = addAlias(picked, trimmed, pickedBy);
+    }
+
+    getMatchDb().prepare(`
+        INSERT INTO customer_pairings (name_key, account, pick_count, last_picked_by, last_picked_at)
+        VALUES (?, ?, 1, ?, ?)
+        ON CONFLICT (name_key, account) DO UPDATE SET
+            pick_count = pick_count + 1,
+            last_picked_by = excluded.last_picked_by,
+            last_picked_at = excluded.last_picked_at
+    `).run(normalize(trimmed), picked, pickedBy, new Date().toISOString());
+
+    return { name: trimmed, account: picked, alias };
+}
+
+module.exports = { suggestAccounts, pickAccount };
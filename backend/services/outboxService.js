@@ -0,0 +1,203 @@
+/**
+ * Outbox Service
+ * Durable queue for Google Docs log writes (transactional outbox).
+ *
+ * The ledger write is the commit point of every transaction. Routes enqueue
+ * the matching Docs log entry here instead of calling docsService directly,
+ * so a Docs outage can no longer turn a committed transaction into a 500
+ * (and a client retry into a double charge).
+ *
+ * Table "docs_outbox":
+ *   id | kind | payload | created_at | attempts | last_error | next_attempt_at | delivered_at
+ *
+ * Delivery:
+ *   - A background worker delivers entries strictly in id order, so the Doc
+ *     keeps the same order as the ledger (a batch before its void)
+ *   - A failed entry is retried with exponential backoff (capped), and blocks
+ *     the entries behind it until it succeeds
+ *   - Delivered entries are kept with delivered_at set, for auditing
+ */
+const config = require('../config');
+const { getDb } = require('./db');
+const { appendLog, appendBatch, appendBatchVoid, appendDrawerClose } = require('./docsService');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS docs_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at INTEGER NOT NULL DEFAULT 0,
+        delivered_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_docs_outbox_pending
+        ON docs_outbox (delivered_at, id);
+`;
+
+const BASE_RETRY_DELAY_MS = 5 * 1000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Docs writer for each entry kind: payload → Promise
+const DELIVERERS = {
+    log: (payload) => appendLog(payload),
+    batch: (payload) => appendBatch(payload.batchId, payload.timestamp, payload.entries, payload.resumed),
+    batchVoid: (payload) => appendBatchVoid(payload.batchId, payload.timestamp, payload.rowCount, payload.total, payload.voidedBy),
+    drawerClose: (payload) => appendDrawerClose(payload),
+};
+
+let schemaReady = false;
+let workerTimer = null;
+let draining = null; // in-flight drain, so only one runs at a time
+
+/**
+ * Returns the shared database connection with the outbox table created.
+ */
+function getOutboxDb() {
+    const db = getDb();
+    if (!schemaReady) {
+        db.exec(SCHEMA);
+        schemaReady = true;
+    }
+    return db;
+}
+
+/**
+ * Adds an entry to the outbox and nudges the worker.
+ * @param {string} kind - Key of DELIVERERS.
+ * @param {Object} payload
+ */
+function enqueue(kind, payload) {
+    getOutboxDb()
+        .prepare('INSERT INTO docs_outbox (kind, payload, created_at) VALUES (?, ?, ?)')
+        .run(kind, JSON.stringify(payload), new Date().toISOString());
+
+    if (workerTimer) {
+        setImmediate(drainOutbox);
+    }
+}
+
+/**
+ * Queues a transaction log entry (see docsService.appendLog).
+ * @param {Object} data - Transaction data.
+ */
+function enqueueLog(data) {
+    enqueue('log', data);
+}
+
+/**
+ * Queues a whole batch checkout — header and every row — as one entry,
+ * delivered with a single Docs update (see docsService.appendBatch).
+ * @param {string} batchId - The batch idempotency key.
+ * @param {string} timestamp - ISO 8601 timestamp.
+ * @param {Array<Object>} entries - Transaction data of each committed row.
+ * @param {boolean} [resumed] - The rows finish a batch that failed midway.
+ */
+function enqueueBatch(batchId, timestamp, entries, resumed = false) {
+    enqueue('batch', { batchId, timestamp, entries, resumed });
+}
+
+/**
+ * Queues a batch void block (see docsService.appendBatchVoid).
+ * @param {string} batchId - The voided batch's idempotency key.
+ * @param {string} timestamp - ISO 8601 timestamp of the void.
+ * @param {number} rowCount - Number of rows reversed.
+ * @param {number} total - Total amount refunded.
+ * @param {string} voidedBy - Email of the user who voided the batch.
+ */
+function enqueueBatchVoid(batchId, timestamp, rowCount, total, voidedBy) {
+    enqueue('batchVoid', { batchId, timestamp, rowCount, total, voidedBy });
+}
+
+/**
+ * Queues the closing summary of a cash drawer (see docsService.appendDrawerClose).
+ * @param {Object} data - The recorded close.
+ */
+function enqueueDrawerClose(data) {
+    enqueue('drawerClose', data);
+}
+
+/**
+ * Delivers pending entries in order until the queue is empty or an entry fails.
+ * @returns {Promise<void>}
+ */
+function drainOutbox() {
+    if (!draining) {
+        draining = deliverPending().finally(() => {
+            draining = null;
+        });
+    }
+    return draining;
+}
+
+/**
+ * Delivery loop behind drainOutbox().
+ * @returns {Promise<void>}
+ */
+async function deliverPending() {
+    const db = getOutboxDb();
+    const nextPending = db.prepare(`
+        SELECT id, kind, payload, attempts, next_attempt_at
+        FROM docs_outbox
+        WHERE delivered_at IS NULL
+        ORDER BY id ASC
+        LIMIT 1
+    `);
+
+    for (let entry = nextPending.get(); entry; entry = nextPending.get()) {
+        // Head of the queue is backing off — wait for a later tick
+        if (entry.next_attempt_at > Date.now()) return;
+
+        try {
+            await DELIVERERS[entry.kind](JSON.parse(entry.payload));
+            db.prepare('UPDATE docs_outbox SET delivered_at = ?, attempts = attempts + 1, last_error = NULL WHERE id = ?')
+                .run(new Date().toISOString(), entry.id);
+        } catch (error) {
+            const attempts = entry.attempts + 1;
+            const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+            db.prepare('UPDATE docs_outbox SET attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?')
+                .run(attempts, error.message || String(error), Date.now() + delay, entry.id);
+            console.error(`Outbox entry ${entry.id} (${entry.kind}) failed, attempt ${attempts}:`, error.message || error);
+            return;
+        }
+    }
+}
+
+/**
+ * Starts the background delivery worker. Called once on server boot.
+ */
+function startOutboxWorker() {
+    if (workerTimer) return;
+    workerTimer = setInterval(drainOutbox, config.outboxPollMs);
+    workerTimer.unref();
+    drainOutbox();
+}
+
+/**
+ * Summarizes undelivered outbox entries, oldest first.
+ * @returns {{pending: number, entries: Array<Object>}}
+ */
+function getOutboxStatus() {
+    const entries = getOutboxDb()
+        .prepare(`
+            SELECT id, kind, payload, created_at, attempts, last_error, next_attempt_at
+            FROM docs_outbox
+            WHERE delivered_at IS NULL
+            ORDER BY id ASC
+        `)
+        .all()
+        .map((row) => ({
+            id: row.id,
+            kind: row.kind,
+            payload: JSON.parse(row.payload),
+            createdAt: row.created_at,
+            attempts: row.attempts,
+            lastError: row.last_error,
+            nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at).toISOString() : null,
+        }));
+
+    return { pending: entries.length, entries };
+}
+
+module.exports = { enqueueLog, enqueueBatch, enqueueBatchVoid, enqueueDrawerClose, startOutboxWorker, getOutboxStatus };
@@ -0,0 +1,124 @@
+/**
+ * Refund Service
+ * Reverses all or part of a SPEND with a REFUND transaction.
+ *
+ * A REFUND row credits the customer (positive amount) and stores the
+ * TransactionID of the spend it reverses in its Reference column. The
+ * refundable amount of a spend is its amount minus every REFUND already
+ * referencing it, so refunds can never exceed the original and a spend
+ * cannot be refunded twice.
+ *
+ * Staged amounts are not restored — the buyer stages again for a new order.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { findByIdempotencyKey, appendTransaction, findTransactionById, getReferencingTransactions } = require('./ledgerService');
+const { enqueueLog } = require('./outboxService');
+const { withCustomerLock } = require('./lockService');
+const { checkIdempotencyKey, recordResponse } = require('./idempotencyService');
+
+/**
+ * Returns how much of a spend is still refundable.
+ * @param {Object} spend - The original SPEND transaction.
+ * @returns {Promise<number>}
+ */
+async function getRefundableAmount(spend) {
+    const refunds = (await getReferencingTransactions(spend.transactionId))
+        .filter((tx) => tx.type === 'REFUND');
+    const refunded = refunds.reduce((sum, tx) => sum + tx.amount, 0);
+    return Math.max(-spend.amount - refunded, 0);
+}
+
+/**
+ * Refunds a SPEND transaction, fully or partially.
+ *
+ * @param {Object} params
+ * @param {string} params.transactionId - TransactionID of the SPEND to refund.
+ * @param {number} [params.amount] - Positive amount to refund (defaults to the remaining refundable amount).
+ * @param {string} [params.note]
+ * @param {string} params.idempotencyKey
+ * @param {string} cashierEmail - Verified email of the cashier.
+ * @returns {Promise<Object>} Result with the new transactionID and the refunded amount.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function executeRefund({ transactionId, amount, note, idempotencyKey }, cashierEmail) {
+    if (!transactionId || typeof transactionId !== 'string' || transactionId.trim().length === 0) {
+        throw { statusCode: 400, message: 'Original transaction ID is required' };
+    }
+    if (amount !== undefined && amount !== null && (typeof amount !== 'number' || amount <= 0)) {
+        throw { statusCode: 400, message: 'Amount must be a positive number' };
+    }
+
+    const original = await findTransactionById(transactionId.trim());
+    if (!original) {
+        throw { statusCode: 404, message: 'Original transaction not found' };
+    }
+    if (original.type !== 'SPEND') {
+        throw { statusCode: 400, message: `Only SPEND transactions can be refunded (got ${original.type})` };
+    }
+
+    const idempotencyRequest = {
+        transactionId: original.transactionId,
+        amount: amount === undefined ? null : amount,
+        note: (note || '').trim(),
+    };
+
+    // Serialize with other writes for this customer, so two refunds of the
+    // same spend cannot both see the full refundable amount
+    return withCustomerLock(original.customer, async () => {
+        const previous = checkIdempotencyKey(idempotencyKey, 'refund', idempotencyRequest);
+        if (previous.status === 'replay') {
+            return { ...previous.body, replayed: true };
+        }
+        if (previous.status === 'conflict') {
+            throw { statusCode: 409, message: previous.message };
+        }
+        const isDuplicate = await findByIdempotencyKey(idempotencyKey);
+        if (isDuplicate) {
+            throw { statusCode: 409, message: 'Duplicate transaction: idempotency key already exists' };
+        }
+
+        const refundable = await getRefundableAmount(original);
+        if (refundable <= 0) {
+            throw { statusCode: 409, message: 'Transaction has already been fully refunded' };
+        }
+        const refundAmount = amount === undefined || amount === null ? refundable : amount;
+        if (refundAmount > refundable) {
+            throw { statusCode: 409, message: `Refund exceeds refundable amount: ${refundAmount} > ${refundable}` };
+        }
+
+        const timestamp = new Date().toISOString();
+        const refundId = uuidv4();
+
+        // Backend enforces: REFUND type with POSITIVE amount, linked to the spend
+        const transactionData = {
+            timestamp,
+            transactionId: refundId,
+            customer: original.customer,
+            type: 'REFUND',
+            amount: refundAmount,
+            cashierEmail,
+            note: (note || '').trim(),
+            idempotencyKey,
+            reference: original.transactionId,
+        };
+
+        await appendTransaction(transactionData);
+        const result = {
+            status: 'success',
+            transactionID: refundId,
+            refundedTransactionID: original.transactionId,
+            customer: original.customer,
+            amount: refundAmount,
+            remainingRefundable: refundable - refundAmount,
+            timestamp,
+        };
+        recordResponse(idempotencyKey, 'refund', idempotencyRequest, 200, result, cashierEmail);
+
+        enqueueLog(transactionData);
+
+        console.log(`↩️ REFUND ${refundId} | ${original.customer} +${refundAmount} for ${original.transactionId} by ${cashierEmail}`);
+        return result;
+    });
+}
+
+module.exports = { executeRefund, getRefundableAmount };
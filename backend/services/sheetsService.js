@@ -4,16 +4,19 @@
  *
  * Sheet "Transactions" columns (fixed order):
  * A: Timestamp | B: TransactionID | C: Customer | D: Type | E: Amount
- * F: CashierEmail | G: Note | H: IdempotencyKey
+ * F: CashierEmail | G: Note | H: IdempotencyKey | I: Reference
  *
- * Type ∈ { TOPUP, SPEND }
- * Amount: positive for TOPUP, negative for SPEND
+ * Type ∈ { TOPUP, SPEND, REFUND, TRANSFER_OUT, TRANSFER_IN, ADJUSTMENT }
+ * Amount: positive for TOPUP, REFUND and TRANSFER_IN; negative for SPEND and TRANSFER_OUT;
+ *         either sign for ADJUSTMENT
+ * Reference: TransactionID of the row this one relates to (REFUND → original SPEND,
+ *            TRANSFER_OUT ↔ TRANSFER_IN, ADJUSTMENT → corrected row), else empty
  */
 const { google } = require('googleapis');
 const config = require('../config');
 
 const SHEET_NAME = 'Transactions';
-const COLUMNS = 'A:H';
+const COLUMNS = 'A:I';
 
 /**
  * Gets an authenticated Google Sheets client with read/write access.
@@ -26,6 +29,44 @@ function getSheetsClient() {
     return google.sheets({ version: 'v4', auth });
 }
 
+/**
+ * Maps a raw sheet row (columns A:I) to a transaction object.
+ * @param {string[]} row
+ * @returns {Object}
+ */
+function toTransaction(row) {
+    return {
+        timestamp: row[0] || '',
+        transactionId: row[1] || '',
+        customer: row[2] || '',
+        type: row[3] || '',
+        amount: parseFloat(row[4]) || 0,
+        cashierEmail: row[5] || '',
+        note: row[6] || '',
+        idempotencyKey: row[7] || '',
+        reference: row[8] || '',
+    };
+}
+
+/**
+ * Maps a transaction object to a sheet row (columns A:I).
+ * @param {Object} data
+ * @returns {Array}
+ */
+function toRow(data) {
+    return [
+        data.timestamp,
+        data.transactionId,
+        data.customer,
+        data.type,
+        data.amount,
+        data.cashierEmail,
+        data.note,
+        data.idempotencyKey,
+        data.reference || '',
+    ];
+}
+
 /**
  * Checks if an idempotency key already exists in the Transactions sheet.
  * Scans column H (IdempotencyKey) for a match.
@@ -64,34 +105,24 @@ async function findByIdempotencyKey(key) {
  * @param {string} data.timestamp
  * @param {string} data.transactionId
  * @param {string} data.customer
- * @param {string} data.type        - 'TOPUP' or 'SPEND'
- * @param {number} data.amount      - positive for TOPUP, negative for SPEND
+ * @param {string} data.type        - 'TOPUP', 'SPEND', 'REFUND', 'TRANSFER_OUT', 'TRANSFER_IN' or 'ADJUSTMENT'
+ * @param {number} data.amount      - positive for TOPUP/REFUND/TRANSFER_IN, negative for SPEND/TRANSFER_OUT, either for ADJUSTMENT
  * @param {string} data.cashierEmail
  * @param {string} data.note
  * @param {string} data.idempotencyKey
+ * @param {string} [data.reference] - Related TransactionID (e.g. the SPEND a REFUND reverses)
  */
 async function appendTransaction(data) {
     try {
         const sheets = getSheetsClient();
 
-        const row = [
-            data.timestamp,
-            data.transactionId,
-            data.customer,
-            data.type,
-            data.amount,
-            data.cashierEmail,
-            data.note,
-            data.idempotencyKey,
-        ];
-
         await sheets.spreadsheets.values.append({
             spreadsheetId: config.spreadsheetId,
             range: `${SHEET_NAME}!${COLUMNS}`,
             valueInputOption: 'USER_ENTERED',
             insertDataOption: 'INSERT_ROWS',
             requestBody: {
-                values: [row],
+                values: [toRow(data)],
             },
         });
     } catch (error) {
@@ -100,6 +131,31 @@ async function appendTransaction(data) {
     }
 }
 
+/**
+ * Appends several transaction rows with a single values.append request,
+ * so a batch costs one API round trip instead of one per row.
+ * The rows land together or not at all.
+ * @param {Array<Object>} rows - Transaction data, as for appendTransaction.
+ */
+async function appendTransactions(rows) {
+    try {
+        const sheets = getSheetsClient();
+
+        await sheets.spreadsheets.values.append({
+            spreadsheetId: config.spreadsheetId,
+            range: `${SHEET_NAME}!${COLUMNS}`,
+            valueInputOption: 'USER_ENTERED',
+            insertDataOption: 'INSERT_ROWS',
+            requestBody: {
+                values: rows.map(toRow),
+            },
+        });
+    } catch (error) {
+        console.error(`Failed to append ${rows.length} transactions:`, error.message);
+        throw new Error('Failed to save transactions to spreadsheet');
+    }
+}
+
 /**
  * Retrieves all transaction rows from the sheet.
  * Used internally by balance computation and transaction listing.
@@ -118,21 +174,39 @@ async function getAllTransactions() {
         if (!rows || rows.length <= 1) return []; // No data rows (only header)
 
         // Skip header, map to objects
-        return rows.slice(1).map((row) => ({
-            timestamp: row[0] || '',
-            transactionId: row[1] || '',
-            customer: row[2] || '',
-            type: row[3] || '',
-            amount: parseFloat(row[4]) || 0,
-            cashierEmail: row[5] || '',
-            note: row[6] || '',
-        }));
+        return rows.slice(1).map(toTransaction);
     } catch (error) {
         console.error('Failed to get transactions:', error.message);
         throw new Error('Failed to retrieve transactions');
     }
 }
 
+/**
+ * Retrieves the transaction rows appended after the first `offset` data rows.
+ * Used by the ledger cache to fetch only new rows.
+ * @param {number} offset - Number of data rows already known (header excluded).
+ * @returns {Promise<Array<Object>>} Array of transaction objects (oldest first).
+ */
+async function getTransactionsSince(offset) {
+    try {
+        const sheets = getSheetsClient();
+
+        // Data row i (0-based) lives on sheet row i + 2 (row 1 is the header)
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: config.spreadsheetId,
+            range: `${SHEET_NAME}!A${offset + 2}:I`,
+        });
+
+        const rows = response.data.values;
+        if (!rows || rows.length === 0) return [];
+
+        return rows.map(toTransaction);
+    } catch (error) {
+        console.error('Failed to get new transactions:', error.message);
+        throw new Error('Failed to retrieve transactions');
+    }
+}
+
 /**
  * Retrieves the last N transactions, ordered newest first.
  * @param {number} limit - Maximum number of transactions to return.
@@ -143,4 +217,4 @@ async function getTransactions(limit = 20) {
     return all.reverse().slice(0, limit);
 }
 
-module.exports = { findByIdempotencyKey, appendTransaction, getTransactions, getAllTransactions };
+module.exports = { findByIdempotencyKey, appendTransaction, appendTransactions, getTransactions, getAllTransactions, getTransactionsSince };
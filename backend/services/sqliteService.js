@@ -0,0 +1,194 @@
+/**
+ * SQLite Ledger Service
+ * Stores the Transactions ledger in a local SQLite database.
+ * Same interface and row shape as sheetsService.js.
+ *
+ * Table "transactions" mirrors the Transactions sheet columns:
+ * timestamp | transaction_id | customer | type | amount
+ * cashier_email | note | idempotency_key | reference
+ *
+ * Rows are only ever inserted — never updated or deleted.
+ * The autoincrement id preserves append order.
+ */
+const { getDb } = require('./db');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        transaction_id TEXT NOT NULL UNIQUE,
+        customer TEXT NOT NULL,
+        type TEXT NOT NULL,
+        amount REAL NOT NULL,
+        cashier_email TEXT NOT NULL,
+        note TEXT NOT NULL DEFAULT '',
+        idempotency_key TEXT NOT NULL,
+        reference TEXT NOT NULL DEFAULT ''
+    );
+    CREATE INDEX IF NOT EXISTS idx_transactions_idempotency_key
+        ON transactions (idempotency_key);
+`;
+
+let schemaReady = false;
+
+/**
+ * Returns the shared database connection with the ledger table created.
+ */
+function getLedgerDb() {
+    const db = getDb();
+    if (!schemaReady) {
+        db.exec(SCHEMA);
+        // Databases created before the Reference column existed
+        const columns = db.prepare('PRAGMA table_info(transactions)').all().map((c) => c.name);
+        if (!columns.includes('reference')) {
+            db.exec("ALTER TABLE transactions ADD COLUMN reference TEXT NOT NULL DEFAULT ''");
+        }
+        schemaReady = true;
+    }
+    return db;
+}
+
+/**
+ * Maps a database row to a transaction object (same shape as sheetsService).
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toTransaction(row) {
+    return {
+        timestamp: row.timestamp,
+        transactionId: row.transaction_id,
+        customer: row.customer,
+        type: row.type,
+        amount: row.amount,
+        cashierEmail: row.cashier_email,
+        note: row.note,
+        idempotencyKey: row.idempotency_key,
+        reference: row.reference,
+    };
+}
+
+/**
+ * Checks if an idempotency key already exists in the ledger.
+ * @param {string} key - The idempotency key to check.
+ * @returns {Promise<boolean>} True if key already exists.
+ */
+async function findByIdempotencyKey(key) {
+    try {
+        const row = getLedgerDb()
+            .prepare('SELECT 1 FROM transactions WHERE idempotency_key = ? LIMIT 1')
+            .get(key);
+        return Boolean(row);
+    } catch (error) {
+        console.error('Idempotency check failed:', error.message);
+        throw new Error('Failed to check for duplicate transaction');
+    }
+}
+
+const INSERT_TRANSACTION = `
+    INSERT INTO transactions
+        (timestamp, transaction_id, customer, type, amount, cashier_email, note, idempotency_key, reference)
+    VALUES
+        (@timestamp, @transactionId, @customer, @type, @amount, @cashierEmail, @note, @idempotencyKey, @reference)
+`;
+
+/**
+ * Maps a transaction object to the named parameters of INSERT_TRANSACTION.
+ * @param {Object} data
+ * @returns {Object}
+ */
+function toParams(data) {
+    return {
+        timestamp: data.timestamp,
+        transactionId: data.transactionId,
+        customer: data.customer,
+        type: data.type,
+        amount: data.amount,
+        cashierEmail: data.cashierEmail,
+        note: data.note || '',
+        idempotencyKey: data.idempotencyKey,
+        reference: data.reference || '',
+    };
+}
+
+/**
+ * Appends a transaction row to the ledger.
+ * @param {Object} data - Transaction data (see sheetsService.appendTransaction).
+ */
+async function appendTransaction(data) {
+    try {
+        getLedgerDb().prepare(INSERT_TRANSACTION).run(toParams(data));
+    } catch (error) {
+        console.error('Failed to append transaction:', error.message);
+        throw new Error('Failed to save transaction to database');
+    }
+}
+
+/**
+ * Appends several transaction rows in one SQLite transaction (all or nothing).
+ * @param {Array<Object>} rows - Transaction data, as for appendTransaction.
+ */
+async function appendTransactions(rows) {
+    try {
+        const db = getLedgerDb();
+        const insert = db.prepare(INSERT_TRANSACTION);
+        db.transaction(() => {
+            for (const data of rows) insert.run(toParams(data));
+        })();
+    } catch (error) {
+        console.error(`Failed to append ${rows.length} transactions:`, error.message);
+        throw new Error('Failed to save transactions to database');
+    }
+}
+
+/**
+ * Retrieves all transaction rows from the ledger.
+ * @returns {Promise<Array<Object>>} Array of transaction objects (oldest first).
+ */
+async function getAllTransactions() {
+    try {
+        return getLedgerDb()
+            .prepare('SELECT * FROM transactions ORDER BY id ASC')
+            .all()
+            .map(toTransaction);
+    } catch (error) {
+        console.error('Failed to get transactions:', error.message);
+        throw new Error('Failed to retrieve transactions');
+    }
+}
+
+/**
+ * Retrieves the transaction rows appended after the first `offset` rows.
+ * Used by the ledger cache to fetch only new rows.
+ * @param {number} offset - Number of rows already known.
+ * @returns {Promise<Array<Object>>} Array of transaction objects (oldest first).
+ */
+async function getTransactionsSince(offset) {
+    try {
+        return getLedgerDb()
+            .prepare('SELECT * FROM transactions ORDER BY id ASC LIMIT -1 OFFSET ?')
+            .all(offset)
+            .map(toTransaction);
+    } catch (error) {
+        console.error('Failed to get new transactions:', error.message);
+        throw new Error('Failed to retrieve transactions');
+    }
+}
+
+/**
+ * Retrieves the last N transactions, ordered newest first.
+ * @param {number} limit - Maximum number of transactions to return.
+ * @returns {Promise<Array<Object>>} Array of transaction objects.
+ */
+async function getTransactions(limit = 20) {
+    try {
+        return getLedgerDb()
+            .prepare('SELECT * FROM transactions ORDER BY id DESC LIMIT ?')
+            .all(limit)
+            .map(toTransaction);
+    } catch (error) {
+        console.error('Failed to get transactions:', error.message);
+        throw new Error('Failed to retrieve transactions');
+    }
+}
+
+module.exports = { findByIdempotencyKey, appendTransaction, appendTransactions, getTransactions, getAllTransactions, getTransactionsSince };
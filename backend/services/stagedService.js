@@ -1,26 +1,122 @@
 /**
  * Staged Money Service
- * In-memory store for staged (pre-authorized) amounts.
+ * Durable store for staged (pre-authorized) amounts.
  *
  * Buyers "stage" a portion of their balance to authorize cashier checkout.
  * Cashiers can only spend from staged amounts, not directly from balances.
  *
  * Behavior:
- *   - setStaged(customer, amount) replaces the current staged amount
- *   - deductStaged(customer, amount) atomically deducts from staged
- *   - Staged amounts reset to 0 on server restart (acceptable — buyers re-stage quickly)
+ *   - setStaged(customer, amount, changedBy) replaces the current staged amount
+ *   - deductStaged(customer, amount, changedBy) atomically deducts from staged
+ *   - creditStaged(customer, amount, changedBy) gives back a deducted amount
+ *     (e.g. when a batch checkout is voided)
+ *   - Current amounts are kept in memory and written through to SQLite
+ *     (table "staged_amounts"), then restored on boot by restoreStagedAmounts()
+ *   - Every change is appended to "staged_changes" with who made it and when
+ *   - Amounts are keyed by account: an alias (see aliasService) stages and
+ *     reads the amount of the account it belongs to
  */
+const { getDb } = require('./db');
+const { resolveAlias } = require('./aliasService');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS staged_amounts (
+        customer TEXT PRIMARY KEY,
+        amount REAL NOT NULL,
+        updated_by TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS staged_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        customer TEXT NOT NULL,
+        action TEXT NOT NULL,
+        previous_amount REAL NOT NULL,
+        amount REAL NOT NULL,
+        changed_by TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_staged_changes_customer
+        ON staged_changes (customer);
+`;
 
 // In-memory store: Map<normalizedCustomerName, stagedAmount>
 const stagedAmounts = new Map();
 
+let schemaReady = false;
+
+/**
+ * Returns the shared database connection with the staged tables created.
+ */
+function getStagedDb() {
+    const db = getDb();
+    if (!schemaReady) {
+        db.exec(SCHEMA);
+        schemaReady = true;
+    }
+    return db;
+}
+
 /**
- * Normalize customer name for consistent lookups.
+ * Normalize customer name for consistent lookups, resolving an alias to its account.
  * @param {string} name
  * @returns {string}
  */
 function normalize(name) {
-    return (name || '').toLowerCase().trim();
+    return (resolveAlias(name) || name || '').toLowerCase().trim();
+}
+
+/**
+ * Writes a new staged amount for a normalized key and records the change.
+ * Updates SQLite first so memory never holds a value that was not persisted.
+ *
+ * @param {string} key - Normalized customer name.
+ * @param {string} action - 'SET', 'DEDUCT' or 'CREDIT'.
+ * @param {number} amount - New staged amount (0 removes the entry).
+ * @param {string} changedBy - Email of the user who made the change.
+ */
+function writeStaged(key, action, amount, changedBy) {
+    const db = getStagedDb();
+    const previous = stagedAmounts.get(key) || 0;
+    const timestamp = new Date().toISOString();
+    const actor = changedBy || 'system';
+
+    db.transaction(() => {
+        if (amount <= 0) {
+            db.prepare('DELETE FROM staged_amounts WHERE customer = ?').run(key);
+        } else {
+            db.prepare(`
+                INSERT INTO staged_amounts (customer, amount, updated_by, updated_at)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT (customer) DO UPDATE SET
+                    amount = excluded.amount,
+                    updated_by = excluded.updated_by,
+                    updated_at = excluded.updated_at
+            `).run(key, amount, actor, timestamp);
+        }
+        db.prepare(`
+            INSERT INTO staged_changes (timestamp, customer, action, previous_amount, amount, changed_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(timestamp, key, action, previous, Math.max(amount, 0), actor);
+    })();
+
+    if (amount <= 0) {
+        stagedAmounts.delete(key);
+    } else {
+        stagedAmounts.set(key, amount);
+    }
+}
+
+/**
+ * Loads persisted staged amounts into memory. Called once on server boot.
+ * @returns {number} Number of customers with a staged amount.
+ */
+function restoreStagedAmounts() {
+    const rows = getStagedDb().prepare('SELECT customer, amount FROM staged_amounts').all();
+    stagedAmounts.clear();
+    for (const row of rows) {
+        stagedAmounts.set(row.customer, row.amount);
+    }
+    return stagedAmounts.size;
 }
 
 /**
@@ -36,14 +132,10 @@ function getStagedAmount(customer) {
  * Set the staged amount for a customer (replaces previous value).
  * @param {string} customer
  * @param {number} amount - Must be >= 0.
+ * @param {string} changedBy - Email of the user staging the amount.
  */
-function setStaged(customer, amount) {
-    const key = normalize(customer);
-    if (amount <= 0) {
-        stagedAmounts.delete(key);
-    } else {
-        stagedAmounts.set(key, amount);
-    }
+function setStaged(customer, amount, changedBy) {
+    writeStaged(normalize(customer), 'SET', amount, changedBy);
 }
 
 /**
@@ -52,9 +144,10 @@ function setStaged(customer, amount) {
  *
  * @param {string} customer
  * @param {number} amount - Amount to deduct (positive).
+ * @param {string} changedBy - Email of the cashier performing the checkout.
  * @returns {boolean} Whether the deduction was successful.
  */
-function deductStaged(customer, amount) {
+function deductStaged(customer, amount, changedBy) {
     const key = normalize(customer);
     const current = stagedAmounts.get(key) || 0;
 
@@ -62,15 +155,22 @@ function deductStaged(customer, amount) {
         return false;
     }
 
-    const remaining = current - amount;
-    if (remaining <= 0) {
-        stagedAmounts.delete(key);
-    } else {
-        stagedAmounts.set(key, remaining);
-    }
+    writeStaged(key, 'DEDUCT', current - amount, changedBy);
     return true;
 }
 
+/**
+ * Add back to a customer's staged amount, e.g. for a voided checkout.
+ *
+ * @param {string} customer
+ * @param {number} amount - Amount to add (positive).
+ * @param {string} changedBy - Email of the user voiding the checkout.
+ */
+function creditStaged(customer, amount, changedBy) {
+    const key = normalize(customer);
+    writeStaged(key, 'CREDIT', (stagedAmounts.get(key) || 0) + amount, changedBy);
+}
+
 /**
  * Get staged amounts for multiple customers.
  * @param {string[]} customers
@@ -84,4 +184,29 @@ function getStagedBatch(customers) {
     return result;
 }
 
-module.exports = { getStagedAmount, setStaged, deductStaged, getStagedBatch };
+/**
+ * Get the audit trail of staged-amount changes for a customer, newest first.
+ * @param {string} customer
+ * @param {number} [limit=50]
+ * @returns {Array<{timestamp, action, previousAmount, amount, changedBy}>}
+ */
+function getStagedHistory(customer, limit = 50) {
+    return getStagedDb()
+        .prepare(`
+            SELECT timestamp, action, previous_amount, amount, changed_by
+            FROM staged_changes
+            WHERE customer = ?
+            ORDER BY id DESC
+            LIMIT ?
+        `)
+        .all(normalize(customer), limit)
+        .map((row) => ({
+            timestamp: row.timestamp,
+            action: row.action,
+            previousAmount: row.previous_amount,
+            amount: row.amount,
+            changedBy: row.changed_by,
+        }));
+}
+
+module.exports = { getStagedAmount, setStaged, deductStaged, creditStaged, getStagedBatch, getStagedHistory, restoreStagedAmounts };
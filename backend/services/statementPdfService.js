@@ -0,0 +1,330 @@
+/**
+ * Statement PDF Service
+ * Monthly account statements as PDF, for finance to archive.
+ *
+ * Each PDF holds one customer's month: opening balance, every ledger row
+ * with its note (the dinbendon items of a checkout), the cashier who
+ * recorded it and the running balance, then the closing balance. The
+ * numbers come from statementService, so they match /api/statement.
+ *
+ * Rendering is offline: text is set in the bundled font at
+ * config.statementFontPath (Noto Sans TC, which covers Traditional Chinese
+ * names and dishes); pdfkit embeds only the glyphs used.
+ *
+ * Months ("YYYY-MM") start at midnight at config.statementUtcOffset.
+ * Bulk runs write one file per active user to
+ *   config.statementArchiveDir/<month>/<customer>.pdf
+ * replacing the files of an earlier run of the same month.
+ */
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const config = require('../config');
+const { getStatement } = require('./statementService');
+const { getAllUserNames } = require('./authorizationService');
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const FONT = 'statement';
+
+// Table columns: [header, width, align]; widths add up to the A4 text width
+const COLUMNS = [
+    ['Date', 62, 'left'],
+    ['Type', 72, 'left'],
+    ['Items / Note', 165, 'left'],
+    ['Cashier', 95, 'left'],
+    ['Amount', 52, 'right'],
+    ['Balance', 49, 'right'],
+];
+
+/**
+ * Returns the UTC offset of statements in minutes (e.g. +08:00 → 480).
+ * @returns {number}
+ */
+function offsetMinutes() {
+    const [, sign, hours, minutes] = /^([+-])(\d{2}):(\d{2})$/.exec(config.statementUtcOffset);
+    return (sign === '-' ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes, 10));
+}
+
+/**
+ * Returns the period of a month, at the configured UTC offset.
+ * @param {string} month - "YYYY-MM".
+ * @returns {{from: string, to: string}} ISO 8601; from inclusive, to exclusive.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function monthPeriod(month) {
+    const match = MONTH_PATTERN.exec(month || '');
+    if (!match) {
+        throw { statusCode: 400, message: 'month must be YYYY-MM' };
+    }
+    const year = parseInt(match[1], 10);
+    const monthIndex = parseInt(match[2], 10) - 1;
+    const shift = offsetMinutes() * 60000;
+    return {
+        from: new Date(Date.UTC(year, monthIndex, 1) - shift).toISOString(),
+        to: new Date(Date.UTC(year, monthIndex + 1, 1) - shift).toISOString(),
+    };
+}
+
+/**
+ * Formats a timestamp as "MM-DD HH:mm" at the configured UTC offset.
+ * @param {string} timestamp - ISO 8601.
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+    const local = new Date(Date.parse(timestamp) + offsetMinutes() * 60000);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())} ${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}`;
+}
+
+/**
+ * Formats an instant as "YYYY-MM-DD" at the configured UTC offset.
+ * @param {number} ms - Milliseconds since the epoch.
+ * @returns {string}
+ */
+function formatDay(ms) {
+    return new Date(ms + offsetMinutes() * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * Formats an amount with thousands separators.
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+    return new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 }).format(amount);
+}
+
+/**
+ * Turns a customer name into a safe file name (keeps Chinese characters).
+ * @param {string} customer
+ * @returns {string}
+ */
+function statementFileName(customer) {
+    return `${customer.trim().replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')}.pdf`;
+}
+
+/**
+ * Returns the text of a ledger row's note cell.
+ * @param {Object} tx
+ * @returns {string}
+ */
+function noteOf(tx) {
+    if (tx.counterparty) {
+        const direction = tx.type === 'TRANSFER_OUT' ? `to ${tx.counterparty}` : `from ${tx.counterparty}`;
+        return tx.note ? `${direction} · ${tx.note}` : direction;
+    }
+    return tx.note || '';
+}
+
+/**
+ * Draws one table row and returns its height. Cells wrap within their column.
+ * @param {PDFDocument} doc
+ * @param {string[]} cells
+ * @param {number} y
+ * @returns {number}
+ */
+function drawRow(doc, cells, y) {
+    let x = doc.page.margins.left;
+    let height = 0;
+    cells.forEach((text, i) => {
+        const [, width, align] = COLUMNS[i];
+        doc.text(text, x, y, { width: width - 4, align });
+        height = Math.max(height, doc.heightOfString(text, { width: width - 4 }));
+        x += width;
+    });
+    return height;
+}
+
+/**
+ * Draws the table header and returns the y below it.
+ * @param {PDFDocument} doc
+ * @param {number} y
+ * @returns {number}
+ */
+function drawTableHeader(doc, y) {
+    doc.fontSize(8).fillColor('#666666');
+    const height = drawRow(doc, COLUMNS.map(([header]) => header), y);
+    const right = doc.page.width - doc.page.margins.right;
+    doc.moveTo(doc.page.margins.left, y + height + 2).lineTo(right, y + height + 2).strokeColor('#999999').stroke();
+    doc.fillColor('#000000');
+    return y + height + 6;
+}
+
+/**
+ * Renders a monthly statement as a PDF.
+ *
+ * @param {Object} statement - As returned by statementService.getStatement.
+ * @param {string} month - "YYYY-MM", printed in the title.
+ * @returns {Promise<Buffer>}
+ */
+function renderStatementPdf(statement, month) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: `Statement ${month} — ${statement.customer}` } });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.registerFont(FONT, config.statementFontPath);
+        doc.font(FONT);
+
+        const left = doc.page.margins.left;
+        const bottom = doc.page.height - doc.page.margins.bottom;
+
+        // Title and summary
+        doc.fontSize(16).text(`Monthly Statement — ${month}`, left, doc.page.margins.top);
+        doc.fontSize(12).text(statement.customer);
+        doc.fontSize(8).fillColor('#666666')
+            .text(`${formatDay(Date.parse(statement.from))} – ${formatDay(Date.parse(statement.to) - 1)} (UTC${config.statementUtcOffset}), generated ${new Date().toISOString()}`);
+        doc.fillColor('#000000').moveDown();
+
+        doc.fontSize(10);
+        const summary = [
+            ['Opening balance', statement.openingBalance],
+            ['Money in', statement.totalIn],
+            ['Money out', -statement.totalOut],
+            ['Closing balance', statement.closingBalance],
+        ];
+        for (const [label, amount] of summary) {
+            const y = doc.y;
+            doc.text(label, left, y, { width: 150 });
+            doc.text(formatAmount(amount), left + 150, y, { width: 100, align: 'right' });
+        }
+        doc.moveDown();
+
+        // Line items
+        let y = drawTableHeader(doc, doc.y);
+        doc.fontSize(8);
+        const rows = [
+            ['', 'OPENING', '', '', '', formatAmount(statement.openingBalance)],
+            ...statement.transactions.map((tx) => [
+                formatDate(tx.timestamp),
+                tx.type,
+                noteOf(tx),
+                tx.cashierEmail || '',
+                formatAmount(tx.amount),
+                formatAmount(tx.balance),
+            ]),
+            ['', 'CLOSING', '', '', '', formatAmount(statement.closingBalance)],
+        ];
+        for (const cells of rows) {
+            const height = Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: COLUMNS[i][1] - 4 })));
+            if (y + height > bottom) {
+                doc.addPage();
+                y = drawTableHeader(doc, doc.page.margins.top);
+                doc.fontSize(8);
+            }
+            y += drawRow(doc, cells, y) + 4;
+        }
+        if (statement.transactions.length === 0) {
+            doc.fillColor('#666666').text('No transactions this month.', left, y + 4);
+        }
+
+        // Page numbers, in the bottom margin (lifted so the footer does not start a new page)
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            doc.page.margins.bottom = 0;
+            doc.fontSize(7).fillColor('#999999').text(
+                `${statement.customer} · ${month} · page ${i + 1} of ${range.count}`,
+                left, doc.page.height - 35,
+                { width: doc.page.width - left - doc.page.margins.right, align: 'center', lineBreak: false },
+            );
+        }
+        doc.end();
+    });
+}
+
+/**
+ * Builds and renders one customer's statement for a month.
+ * @param {string} customer - Case-insensitive; an alias is the account it belongs to.
+ * @param {string} month - "YYYY-MM".
+ * @returns {Promise<{statement: Object, pdf: Buffer}>}
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function getMonthlyStatementPdf(customer, month) {
+    const statement = await getStatement(customer, monthPeriod(month));
+    return { statement, pdf: await renderStatementPdf(statement, month) };
+}
+
+/**
+ * Generates the statements of every active user (getAllUserNames) for a
+ * month into the archive directory. Users are rendered one at a time; a
+ * failure is reported and does not stop the run.
+ *
+ * @param {string} month - "YYYY-MM".
+ * @param {string} generatedBy - Email of the admin running it (for the log).
+ * @returns {Promise<Object>} { month, directory, statements: [{ customer, file,
+ *   openingBalance, closingBalance, transactionCount }], failed: [{ customer, reason }] }
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function generateMonthlyStatements(month, generatedBy) {
+    const period = monthPeriod(month);
+    const directory = path.join(config.statementArchiveDir, month);
+    fs.mkdirSync(directory, { recursive: true });
+
+    const statements = [];
+    const failed = [];
+    for (const name of await getAllUserNames()) {
+        try {
+            const statement = await getStatement(name, period);
+            const file = statementFileName(statement.customer);
+            fs.writeFileSync(path.join(directory, file), await renderStatementPdf(statement, month));
+            statements.push({
+                customer: statement.customer,
+                file,
+                openingBalance: statement.openingBalance,
+                closingBalance: statement.closingBalance,
+                transactionCount: statement.transactions.length,
+            });
+        } catch (error) {
+            failed.push({ customer: name, reason: error.message || String(error) });
+        }
+    }
+
+    console.log(`📑 STATEMENTS | ${month}: ${statements.length} generated, ${failed.length} failed by ${generatedBy}`);
+    return { month, directory, statements, failed };
+}
+
+/**
+ * Lists the archived statements of a month.
+ * @param {string} month - "YYYY-MM".
+ * @returns {Array<{file: string, size: number, generatedAt: string}>}
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function listMonthlyStatements(month) {
+    monthPeriod(month); // validates the month
+    const directory = path.join(config.statementArchiveDir, month);
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory)
+        .filter((file) => file.endsWith('.pdf'))
+        .sort()
+        .map((file) => {
+            const stat = fs.statSync(path.join(directory, file));
+            return { file, size: stat.size, generatedAt: stat.mtime.toISOString() };
+        });
+}
+
+/**
+ * Returns the path of a customer's archived statement.
+ * @param {string} month - "YYYY-MM".
+ * @param {string} customer - The name the statement was generated for.
+ * @returns {string}
+ * @throws {Object} Error with { statusCode, message } (404 if it was not generated).
+ */
+function getArchivedStatementPath(month, customer) {
+    monthPeriod(month);
+    const file = path.join(config.statementArchiveDir, month, statementFileName(customer || ''));
+    if (!customer || !customer.trim() || !fs.existsSync(file)) {
+        throw { statusCode: 404, message: `No archived ${month} statement for ${customer}` };
+    }
+    return file;
+}
+
+module.exports = {
+    getMonthlyStatementPdf,
+    generateMonthlyStatements,
+    listMonthlyStatements,
+    getArchivedStatementPath,
+    statementFileName,
+};
@@ -0,0 +1,99 @@
+/**
+ * Statement Service
+ * Account statements: how a customer's balance moved over a period.
+ *
+ *   opening balance  sum of the customer's rows before the period
+ *   + each row in the period, with the balance after it (running balance)
+ *   = closing balance
+ *
+ * Computed from the same cached ledger as balanceService, so a statement
+ * that runs up to now closes at exactly the balance /api/balance reports.
+ * Periods are ISO 8601 instants: from is inclusive, to is exclusive, and
+ * either may be left open. Rows with an unparsable timestamp count as in
+ * the period (formatService.periodPlacement).
+ */
+const { getAllTransactions } = require('./ledgerService');
+const { validateCustomerName } = require('./authorizationService');
+const { roundAmount, parseBound, periodPlacement, csvCell } = require('./formatService');
+
+const CSV_COLUMNS = ['Timestamp', 'TransactionID', 'Type', 'Amount', 'Balance', 'Counterparty', 'Note'];
+
+/**
+ * Builds the statement of a customer for a period.
+ *
+ * @param {string} customerName - Case-insensitive; an alias is the account it belongs to.
+ * @param {Object} [period]
+ * @param {string} [period.from] - Inclusive; omit to start at the first row.
+ * @param {string} [period.to] - Exclusive; omit to run up to now.
+ * @returns {Promise<Object>} { customer, from, to, openingBalance, totalIn, totalOut,
+ *   closingBalance, transactions } — each transaction carries its running `balance`.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function getStatement(customerName, { from, to } = {}) {
+    const fromMs = parseBound(from, 'from');
+    const toMs = parseBound(to, 'to');
+    if (fromMs !== null && toMs !== null && fromMs >= toMs) {
+        throw { statusCode: 400, message: 'from must be before to' };
+    }
+
+    const validation = await validateCustomerName(customerName);
+    const customer = validation.valid ? validation.customer : (customerName || '').trim();
+    const key = customer.toLowerCase();
+
+    let openingBalance = 0;
+    const periodRows = [];
+    for (const tx of await getAllTransactions()) {
+        if ((tx.customer || '').toLowerCase().trim() !== key) continue;
+
+        const placement = periodPlacement(tx.timestamp, fromMs, toMs);
+        if (placement === 'before') {
+            openingBalance += tx.amount;
+        } else if (placement === 'in') {
+            periodRows.push(tx);
+        }
+    }
+    openingBalance = roundAmount(openingBalance);
+
+    let balance = openingBalance;
+    let totalIn = 0;
+    let totalOut = 0;
+    const transactions = periodRows.map((tx) => {
+        balance += tx.amount;
+        if (tx.amount >= 0) totalIn += tx.amount;
+        else totalOut -= tx.amount;
+        return { ...tx, balance: roundAmount(balance) };
+    });
+
+    return {
+        customer,
+        from: fromMs === null ? null : new Date(fromMs).toISOString(),
+        to: toMs === null ? null : new Date(toMs).toISOString(),
+        openingBalance,
+        totalIn: roundAmount(totalIn),
+        totalOut: roundAmount(totalOut),
+        closingBalance: transactions.length > 0 ? transactions[transactions.length - 1].balance : openingBalance,
+        transactions,
+    };
+}
+
+/**
+ * Renders a statement as CSV, with the opening and closing balances as the
+ * first and last rows. Starts with a byte-order mark so spreadsheet apps
+ * read Chinese names as UTF-8.
+ *
+ * @param {Object} statement - As returned by getStatement.
+ * @returns {string}
+ */
+function formatStatementCsv(statement) {
+    const lines = [
+        CSV_COLUMNS,
+        [statement.from || '', '', 'OPENING', '', statement.openingBalance, '', `Statement of ${statement.customer}`],
+        ...statement.transactions.map((tx) => [
+            tx.timestamp, tx.transactionId, tx.type, tx.amount, tx.balance, tx.counterparty || '', tx.note || '',
+        ]),
+        [statement.to || new Date().toISOString(), '', 'CLOSING', '', statement.closingBalance, '', ''],
+    ];
+    return '\uFEFF' + lines.map((cells) => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { getStatement, formatStatementCsv };
@@ -0,0 +1,183 @@
+/**
+ * Transaction Search Service
+ * Filtered, sorted and paginated queries over the whole ledger — the
+ * questions getTransactions(limit) cannot answer, like "what did Alice
+ * spend last March".
+ *
+ * Filters (all optional, combined with AND):
+ *   customer   account name (case-insensitive, exact)
+ *   types      ledger types, e.g. ['SPEND', 'REFUND']
+ *   cashier    email of the cashier who recorded the row (case-insensitive)
+ *   from, to   ISO 8601 instants; from is inclusive, to is exclusive (a row
+ *              whose timestamp does not parse matches any period, as in statements)
+ *   minAmount, maxAmount  size of the row (absolute amount), inclusive
+ *   text       substring of the note (case-insensitive)
+ *
+ * Sort: 'timestamp' (ledger order), 'amount' or 'customer', 'asc' or 'desc'.
+ *
+ * Cursors are opaque strings holding the sort value and ledger position of
+ * the last row of a page. Paging continues strictly after that row, so a
+ * row appended between two requests never repeats or shifts a page.
+ */
+const { getAllTransactions } = require('./ledgerService');
+const { roundAmount, parseBound, periodPlacement } = require('./formatService');
+
+const TRANSACTION_TYPES = ['TOPUP', 'SPEND', 'REFUND', 'TRANSFER_OUT', 'TRANSFER_IN', 'ADJUSTMENT'];
+const SORT_FIELDS = ['timestamp', 'amount', 'customer'];
+
+/**
+ * Normalize a name or email for comparisons.
+ * @param {string} value
+ * @returns {string}
+ */
+function normalize(value) {
+    return (value || '').toLowerCase().trim();
+}
+
+/**
+ * Returns the value a row is sorted by.
+ * @param {Object} tx
+ * @param {number} position - Index of the row in the ledger.
+ * @param {string} sort
+ * @returns {number|string}
+ */
+function sortValue(tx, position, sort) {
+    if (sort === 'amount') return tx.amount;
+    if (sort === 'customer') return normalize(tx.customer);
+    return position;
+}
+
+/**
+ * Compares two [value, position] keys; the position breaks ties so every
+ * row has a distinct place in the order.
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {number}
+ */
+function compareKeys(a, b) {
+    if (a[0] < b[0]) return -1;
+    if (a[0] > b[0]) return 1;
+    return a[1] - b[1];
+}
+
+/**
+ * Encodes the key of the last row of a page as a cursor.
+ * @param {Array} key - [value, position]
+ * @returns {string}
+ */
+function encodeCursor(key) {
+    return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor returned by searchTransactions.
+ * @param {string} cursor
+ * @param {string} sort - The cursor must come from a search with the same sort.
+ * @returns {Array} [value, position]
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function decodeCursor(cursor, sort) {
+    let key;
+    try {
+        key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        key = null;
+    }
+    const valueType = sort === 'customer' ? 'string' : 'number';
+    if (!Array.isArray(key) || key.length !== 2 || typeof key[0] !== valueType || !Number.isInteger(key[1])) {
+        throw { statusCode: 400, message: 'Invalid cursor (cursors only work with the sort they were returned for)' };
+    }
+    return key;
+}
+
+/**
+ * Parses an optional non-negative amount bound.
+ * @param {*} value
+ * @param {string} field - Name used in the error message.
+ * @returns {number|null}
+ * @throws {Object} Error with { statusCode, message }.
+ */
+function parseAmount(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+        throw { statusCode: 400, message: `${field} must be a non-negative number` };
+    }
+    return amount;
+}
+
+/**
+ * Searches the ledger.
+ *
+ * @param {Object} filters
+ * @param {string} [filters.customer]
+ * @param {string[]} [filters.types]
+ * @param {string} [filters.cashier]
+ * @param {string} [filters.from] - Inclusive.
+ * @param {string} [filters.to] - Exclusive.
+ * @param {number|string} [filters.minAmount]
+ * @param {number|string} [filters.maxAmount]
+ * @param {string} [filters.text] - Note substring.
+ * @param {Object} [page]
+ * @param {string} [page.sort='timestamp'] - 'timestamp', 'amount' or 'customer'.
+ * @param {string} [page.order='desc'] - 'asc' or 'desc'.
+ * @param {number} [page.limit=50]
+ * @param {string} [page.cursor] - nextCursor of the previous page.
+ * @returns {Promise<{transactions: Array<Object>, nextCursor: string|null, total: number, sum: number}>}
+ *   total and sum cover every matching row, not just this page.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function searchTransactions(filters = {}, { sort = 'timestamp', order = 'desc', limit = 50, cursor } = {}) {
+    if (!SORT_FIELDS.includes(sort)) {
+        throw { statusCode: 400, message: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+    }
+    if (order !== 'asc' && order !== 'desc') {
+        throw { statusCode: 400, message: 'order must be asc or desc' };
+    }
+    const types = (filters.types || []).map((t) => t.toUpperCase().trim()).filter(Boolean);
+    const unknownType = types.find((t) => !TRANSACTION_TYPES.includes(t));
+    if (unknownType) {
+        throw { statusCode: 400, message: `Unknown type: ${unknownType} (expected one of: ${TRANSACTION_TYPES.join(', ')})` };
+    }
+    const from = parseBound(filters.from, 'from');
+    const to = parseBound(filters.to, 'to');
+    const minAmount = parseAmount(filters.minAmount, 'minAmount');
+    const maxAmount = parseAmount(filters.maxAmount, 'maxAmount');
+    const customer = normalize(filters.customer);
+    const cashier = normalize(filters.cashier);
+    const text = normalize(filters.text);
+    const after = cursor ? decodeCursor(cursor, sort) : null;
+
+    const matches = [];
+    let sum = 0;
+    const ledger = await getAllTransactions();
+    for (let position = 0; position < ledger.length; position++) {
+        const tx = ledger[position];
+        if (customer && normalize(tx.customer) !== customer) continue;
+        if (types.length > 0 && !types.includes(tx.type)) continue;
+        if (cashier && normalize(tx.cashierEmail) !== cashier) continue;
+        if (periodPlacement(tx.timestamp, from, to) !== 'in') continue;
+        if (minAmount !== null && Math.abs(tx.amount) < minAmount) continue;
+        if (maxAmount !== null && Math.abs(tx.amount) > maxAmount) continue;
+        if (text && !normalize(tx.note).includes(text)) continue;
+
+        sum += tx.amount;
+        matches.push({ tx, key: [sortValue(tx, position, sort), position] });
+    }
+
+    const direction = order === 'asc' ? 1 : -1;
+    matches.sort((a, b) => direction * compareKeys(a.key, b.key));
+
+    const start = after ? matches.findIndex((m) => direction * compareKeys(m.key, after) > 0) : 0;
+    const page = start === -1 ? [] : matches.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < matches.length;
+
+    return {
+        transactions: page.map((m) => m.tx),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].key) : null,
+        total: matches.length,
+        sum: roundAmount(sum),
+    };
+}
+
+module.exports = { searchTransactions, TRANSACTION_TYPES };
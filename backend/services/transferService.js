@@ -0,0 +1,137 @@
+/**
+ * Transfer Service
+ * Moves money between two customer accounts.
+ *
+ * A transfer is written as a pair of ledger rows sharing one idempotency key:
+ *   TRANSFER_OUT → sender, negative amount
+ *   TRANSFER_IN  → recipient, positive amount
+ * Each row's Reference holds the TransactionID of the other, so either side
+ * can find its counterparty. Both rows are appended in one backend write
+ * (ledgerService.appendTransactions), so either both are committed or neither.
+ *
+ * The sender gets the same checks as a spend (known account, no overdraft),
+ * and must be a personal account: money leaves a group only through member
+ * charges, and a cash drawer only through its close. Staged amounts are left
+ * alone — they are only consumed by checkouts.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { findByIdempotencyKey, appendTransactions } = require('./ledgerService');
+const { computeCustomerBalance } = require('./balanceService');
+const { validateCustomerName } = require('./authorizationService');
+const { enqueueLog } = require('./outboxService');
+const { withCustomerLocks } = require('./lockService');
+const { checkIdempotencyKey, recordResponse } = require('./idempotencyService');
+
+/**
+ * Transfers an amount from one customer to another.
+ *
+ * @param {Object} params
+ * @param {string} params.from - Sending customer.
+ * @param {string} params.to - Receiving customer.
+ * @param {number} params.amount - Positive amount.
+ * @param {string} [params.note]
+ * @param {string} params.idempotencyKey
+ * @param {string} actorEmail - Verified email of the user making the transfer.
+ * @returns {Promise<Object>} Result with both TransactionIDs.
+ * @throws {Object} Error with { statusCode, message }.
+ */
+async function executeTransfer({ from, to, amount, note, idempotencyKey }, actorEmail) {
+    if (!from || typeof from !== 'string' || from.trim().length === 0) {
+        throw { statusCode: 400, message: 'Sender is required' };
+    }
+    if (!to || typeof to !== 'string' || to.trim().length === 0) {
+        throw { statusCode: 400, message: 'Recipient is required' };
+    }
+    if (amount === undefined || amount === null || typeof amount !== 'number' || amount <= 0) {
+        throw { statusCode: 400, message: 'Amount must be a positive number' };
+    }
+
+    // Resolve both sides to their accounts (either may be given as an alias)
+    const validations = [];
+    for (const name of [from.trim(), to.trim()]) {
+        const validation = await validateCustomerName(name);
+        if (!validation.valid) {
+            throw { statusCode: 400, message: validation.reason };
+        }
+        validations.push(validation);
+    }
+    const [sender, recipient] = validations.map((v) => v.customer);
+    if (validations[0].isGroup) {
+        throw { statusCode: 400, message: `Cannot transfer out of group account ${sender}` };
+    }
+    if (validations[0].isDrawer) {
+        throw { statusCode: 400, message: `Cannot transfer out of cash drawer ${sender}` };
+    }
+    if (sender.toLowerCase() === recipient.toLowerCase()) {
+        throw { statusCode: 400, message: 'Cannot transfer to the same account' };
+    }
+
+    const idempotencyRequest = { from: from.trim(), to: to.trim(), amount, note: (note || '').trim() };
+
+    // Hold both accounts, so the sender's balance check and both rows are one critical section
+    return withCustomerLocks([sender, recipient], async () => {
+        const previous = checkIdempotencyKey(idempotencyKey, 'transfer', idempotencyRequest);
+        if (previous.status === 'replay') {
+            return { ...previous.body, replayed: true };
+        }
+        if (previous.status === 'conflict') {
+            throw { statusCode: 409, message: previous.message };
+        }
+        const isDuplicate = await findByIdempotencyKey(idempotencyKey);
+        if (isDuplicate) {
+            throw { statusCode: 409, message: 'Duplicate transaction: idempotency key already exists' };
+        }
+
+        // Overdraft prevention, as for a spend
+        const currentBalance = await computeCustomerBalance(sender);
+        if (currentBalance < amount) {
+            throw { statusCode: 409, message: `Insufficient balance: ${currentBalance} < ${amount}` };
+        }
+
+        const timestamp = new Date().toISOString();
+        const outId = uuidv4();
+        const inId = uuidv4();
+
+        const outData = {
+            timestamp,
+            transactionId: outId,
+            customer: sender,
+            type: 'TRANSFER_OUT',
+            amount: -amount,
+            cashierEmail: actorEmail,
+            note: (note || '').trim(),
+            idempotencyKey,
+            reference: inId,
+        };
+        const inData = {
+            ...outData,
+            transactionId: inId,
+            customer: recipient,
+            type: 'TRANSFER_IN',
+            amount,
+            reference: outId,
+        };
+
+        // Both rows in one backend write: a transfer is never left with only its debit
+        await appendTransactions([outData, inData]);
+
+        const result = {
+            status: 'success',
+            transactionID: outId,
+            counterTransactionID: inId,
+            from: sender,
+            to: recipient,
+            amount,
+            timestamp,
+        };
+        recordResponse(idempotencyKey, 'transfer', idempotencyRequest, 200, result, actorEmail);
+
+        enqueueLog({ ...outData, counterparty: recipient });
+        enqueueLog({ ...inData, counterparty: sender });
+
+        console.log(`🔁 TRANSFER ${outId} | ${sender} → ${recipient} ${amount} by ${actorEmail}`);
+        return result;
+    });
+}
+
+module.exports = { executeTransfer };
@@ -0,0 +1,34 @@
+const { users, delay } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { google } = require('googleapis');
+const { getUserInfo, invalidateUserCache } = require('../services/authorizationService');
+
+test('a directory load in flight when AuthorizedUsers is written is not cached', async () => {
+    // The sheet answers late with the rows it had when the read started
+    const { sheets } = google;
+    google.sheets = () => ({
+        spreadsheets: {
+            values: {
+                get: async () => {
+                    const rows = users.map((row) => [...row]);
+                    await delay(50);
+                    return { data: { values: rows } };
+                },
+            },
+        },
+    });
+
+    try {
+        const lookup = getUserInfo('d@x');
+
+        // A registration lands while that read is in flight
+        users.push(['Dee', 'd@x', 'buyer', 'TRUE', '']);
+        invalidateUserCache();
+
+        assert.strictEqual(await lookup, null);
+        assert.strictEqual((await getUserInfo('d@x')).name, 'Dee');
+    } finally {
+        google.sheets = sheets;
+    }
+});
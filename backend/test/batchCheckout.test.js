@@ -0,0 +1,71 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const sqliteService = require('../services/sqliteService');
+const ledger = require('../services/ledgerService');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+
+    // Alice is also known as "小愛" on dinbendon
+    assert.strictEqual((await server.call('POST', '/aliases', { alias: '小愛' }, 'a@x')).status, 201);
+    for (const [customer, email] of [['Alice', 'a@x'], ['Bob', 'b@x']]) {
+        assert.strictEqual((await server.call('POST', '/topup', { customer, amount: 300, note: 'cash', idempotencyKey: `fund-${customer}` })).status, 200);
+        assert.strictEqual((await server.call('POST', '/staged', { amount: 300 }, email)).status, 200);
+    }
+});
+
+test.after(() => server.close());
+
+/**
+ * Makes the next bulk ledger append fail before writing anything.
+ */
+function failNextBulkAppend() {
+    const { appendTransactions } = sqliteService;
+    sqliteService.appendTransactions = async () => {
+        sqliteService.appendTransactions = appendTransactions;
+        throw new Error('backend unavailable');
+    };
+}
+
+test('a resumed batch replays for the checkout request exactly as first sent', async () => {
+    const checkout = {
+        rows: [
+            { customer: '小愛', amount: 40, note: ' lunch ' },
+            { customer: 'bob', amount: 60, note: 'lunch' },
+        ],
+        idempotencyKey: 'batch-resume',
+    };
+
+    failNextBulkAppend();
+    const failed = await server.call('POST', '/checkout/batch', checkout);
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual(failed.body.resumable, true);
+
+    const resumed = await server.call('POST', '/checkout/batch/batch-resume/resume', {});
+    assert.strictEqual(resumed.status, 200);
+    assert.strictEqual(resumed.body.resumedCount, 2);
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 260);
+    assert.strictEqual(await ledger.getCustomerBalance('Bob'), 240);
+
+    const again = await server.call('POST', '/checkout/batch', checkout);
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.replayed, true);
+    assert.deepStrictEqual(again.body.transactionIDs, resumed.body.transactionIDs);
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 260);
+});
+
+test('resuming a batch again replays its result instead of failing', async () => {
+    const retried = await server.call('POST', '/checkout/batch/batch-resume/resume', {});
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(retried.body.replayed, true);
+    assert.strictEqual(retried.body.transactionCount, 2);
+    assert.strictEqual(retried.body.resumedCount, 0);
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 260);
+});
+
+test('an unknown batch cannot be resumed', async () => {
+    assert.strictEqual((await server.call('POST', '/checkout/batch/unknown/resume', {})).status, 404);
+});
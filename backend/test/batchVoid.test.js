@@ -0,0 +1,80 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const sqliteService = require('../services/sqliteService');
+const ledger = require('../services/ledgerService');
+const { getOutboxStatus } = require('../services/outboxService');
+const { getStagedAmount } = require('../services/stagedService');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+    for (const [customer, email] of [['Alice', 'a@x'], ['Bob', 'b@x']]) {
+        assert.strictEqual((await server.call('POST', '/topup', { customer, amount: 100, note: 'cash', idempotencyKey: `fund-${customer}` })).status, 200);
+        assert.strictEqual((await server.call('POST', '/staged', { amount: 100 }, email)).status, 200);
+    }
+    const checkout = await server.call('POST', '/checkout/batch', {
+        rows: [
+            { customer: 'Alice', amount: 40, note: 'lunch' },
+            { customer: 'Bob', amount: 60, note: 'lunch' },
+        ],
+        idempotencyKey: 'batch-void',
+    });
+    assert.strictEqual(checkout.body.transactionCount, 2);
+});
+
+test.after(() => server.close());
+
+/**
+ * Queued BATCH VOID Doc blocks.
+ * @returns {Array<Object>} Their payloads.
+ */
+function queuedVoidBlocks() {
+    return getOutboxStatus().entries.filter((e) => e.kind === 'batchVoid').map((e) => e.payload);
+}
+
+test('a void retried after failing midway refunds the rest and logs one BATCH VOID block', async () => {
+    // The second refund fails
+    const { appendTransaction } = sqliteService;
+    let calls = 0;
+    sqliteService.appendTransaction = async (data) => {
+        if (++calls === 2) throw new Error('backend unavailable');
+        return appendTransaction(data);
+    };
+    let failed;
+    try {
+        failed = await server.call('POST', '/checkout/batch/batch-void/void', {});
+    } finally {
+        sqliteService.appendTransaction = appendTransaction;
+    }
+    assert.strictEqual(failed.status, 500);
+    assert.match(failed.body.error, /partially failed/);
+    assert.strictEqual(queuedVoidBlocks().length, 0);
+
+    const retried = await server.call('POST', '/checkout/batch/batch-void/void', {});
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(retried.body.refundedCount, 2);
+    assert.strictEqual(retried.body.total, 100);
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 100);
+    assert.strictEqual(await ledger.getCustomerBalance('Bob'), 100);
+    assert.strictEqual(getStagedAmount('Alice'), 100);
+    assert.strictEqual(getStagedAmount('Bob'), 100);
+
+    const blocks = queuedVoidBlocks();
+    assert.strictEqual(blocks.length, 1);
+    assert.strictEqual(blocks[0].rowCount, 2);
+    assert.strictEqual(blocks[0].total, 100);
+});
+
+test('voiding again replays the first result', async () => {
+    const again = await server.call('POST', '/checkout/batch/batch-void/void', {});
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.replayed, true);
+    assert.strictEqual(again.body.refundedCount, 2);
+    assert.strictEqual(queuedVoidBlocks().length, 1);
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 100);
+
+    const batch = await server.call('GET', '/checkout/batches/batch-void');
+    assert.ok(batch.body.voidedAt);
+});
@@ -0,0 +1,89 @@
+const { delay, startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const ledger = require('../services/ledgerService');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+    assert.strictEqual((await server.call('POST', '/drawers', { name: 'Front Desk' }, 'ad@x')).status, 201);
+
+    // Taken while the cashier still used Shared Deposit
+    assert.strictEqual((await server.call('POST', '/topup', { customer: 'Bob', amount: 30, note: 'cash', idempotencyKey: 'fund-bob' })).status, 200);
+    await delay(5);
+    assert.strictEqual((await server.call('PUT', '/drawers/cashiers/c@x', { drawer: 'Front Desk' }, 'ad@x')).status, 200);
+    await delay(5);
+    assert.strictEqual((await server.call('POST', '/topup', { customer: 'Alice', amount: 100, note: 'cash', idempotencyKey: 'fund-alice' })).status, 200);
+});
+
+test.after(() => server.close());
+
+test('expected cash follows the drawer each cashier held when a row was recorded', async () => {
+    const frontDesk = await server.call('GET', '/drawers/Front%20Desk/close');
+    assert.strictEqual(frontDesk.status, 200);
+    assert.strictEqual(frontDesk.body.topUps, 100);
+    assert.strictEqual(frontDesk.body.expected, 100);
+
+    const shared = await server.call('GET', '/drawers/Shared%20Deposit/close', undefined, 'ad@x');
+    assert.strictEqual(shared.body.topUps, 30);
+});
+
+test('a close books its variance in the ledger as an ADJUSTMENT on the drawer', async () => {
+    const close = await server.call('POST', '/drawers/Front%20Desk/close', { denominations: { 50: 1, 10: 4 }, idempotencyKey: 'close-1' });
+    assert.strictEqual(close.status, 200);
+    assert.strictEqual(close.body.variance, -10);
+
+    const entry = await ledger.findTransactionById(close.body.varianceTransactionId);
+    assert.strictEqual(entry.type, 'ADJUSTMENT');
+    assert.strictEqual(entry.customer, 'Front Desk');
+    assert.strictEqual(entry.amount, -10);
+    assert.match(entry.note, /^\[CASH_COUNT_CORRECTION\] Drawer close/);
+    assert.strictEqual(await ledger.getCustomerBalance('Front Desk'), -10);
+
+    const closes = await server.call('GET', '/drawers/Front%20Desk/closes');
+    assert.strictEqual(closes.body.closes[0].varianceTransactionId, entry.transactionId);
+
+    // The entry is not cash the next period expects
+    const next = await server.call('GET', '/drawers/Front%20Desk/close');
+    assert.strictEqual(next.body.expected, 90);
+});
+
+test('a close without a variance writes nothing to the ledger', async () => {
+    const before = (await ledger.getAllTransactions()).length;
+    const close = await server.call('POST', '/drawers/Front%20Desk/close', { denominations: { 50: 1, 10: 4 }, idempotencyKey: 'close-2' });
+    assert.strictEqual(close.status, 200);
+    assert.strictEqual(close.body.variance, 0);
+    assert.strictEqual(close.body.varianceTransactionId, null);
+    assert.strictEqual((await ledger.getAllTransactions()).length, before);
+});
+
+test('a close retried after a failure past its ledger entry books the variance once', async () => {
+    assert.strictEqual((await server.call('POST', '/topup', { customer: 'Bob', amount: 25, note: 'cash', idempotencyKey: 'fund-bob-2' })).status, 200);
+    const request = { denominations: { 100: 1 }, idempotencyKey: 'close-3' };
+
+    // Recording the close fails after the variance ADJUSTMENT was appended
+    const db = require('../services/db').getDb();
+    const { prepare } = db;
+    db.prepare = function failCloseInsert(sql) {
+        if (sql.includes('INSERT INTO drawer_closes')) {
+            db.prepare = prepare;
+            throw new Error('disk I/O error');
+        }
+        return prepare.call(this, sql);
+    };
+    const failed = await server.call('POST', '/drawers/Front%20Desk/close', request);
+    db.prepare = prepare;
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual(await ledger.getCustomerBalance('Front Desk'), -25);
+
+    const retried = await server.call('POST', '/drawers/Front%20Desk/close', request);
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(retried.body.variance, -15);
+    assert.strictEqual(await ledger.getCustomerBalance('Front Desk'), -25);
+    assert.strictEqual((await ledger.getTransactionsByIdempotencyKey('close-3')).length, 1);
+    assert.strictEqual((await ledger.findTransactionById(retried.body.varianceTransactionId)).amount, -15);
+
+    const closes = await server.call('GET', '/drawers/Front%20Desk/closes');
+    assert.strictEqual(closes.body.closes.filter((c) => c.varianceTransactionId === retried.body.varianceTransactionId).length, 1);
+});
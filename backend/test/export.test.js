@@ -0,0 +1,41 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { prepareExport, writeExport } = require('../services/exportService');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+    assert.strictEqual((await server.call('POST', '/topup', { customer: 'Alice', amount: 100, note: '=HYPERLINK("http://x","y")', idempotencyKey: 'fund' })).status, 200);
+    assert.strictEqual((await server.call('POST', '/staged', { amount: 30 }, 'a@x')).status, 200);
+    assert.strictEqual((await server.call('POST', '/spend', { customer: 'Alice', amount: 30, note: '@lunch', idempotencyKey: 'spend' })).status, 200);
+});
+
+test.after(() => server.close());
+
+test('CSV export cells cannot be read as formulas, and amounts stay numbers', async () => {
+    const res = await server.call('GET', '/export?format=csv', undefined, 'ad@x');
+    assert.strictEqual(res.status, 200);
+    const lines = res.body.replace('﻿', '').trim().split('\r\n');
+    assert.strictEqual(lines.length, 3);
+    assert.ok(lines[1].endsWith(`"'=HYPERLINK(""http://x"",""y"")",,`));
+    assert.ok(lines[2].includes(',-30,'));
+    assert.ok(lines[2].includes(",'@lunch,"));
+});
+
+test('XLSX export writes text cells unchanged, as strings', async () => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    await writeExport(stream, await prepareExport({ format: 'xlsx' }));
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(Buffer.concat(chunks));
+    const sheet = workbook.getWorksheet('Transactions');
+    const notes = [2, 3].map((n) => sheet.getRow(n).getCell(7).value);
+    assert.deepStrictEqual(notes, ['=HYPERLINK("http://x","y")', '@lunch']);
+    assert.strictEqual(sheet.getRow(3).getCell(5).value, -30);
+});
@@ -0,0 +1,92 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const ledger = require('../services/ledgerService');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+
+    // Alice owns "Team"; Bob is a member who may not spend yet
+    assert.strictEqual((await server.call('POST', '/groups', { name: 'Team', owner: 'Alice' }, 'ad@x')).status, 201);
+    assert.strictEqual((await server.call('PUT', '/groups/Team/members', { member: 'Bob', canSpend: false }, 'a@x')).status, 200);
+    assert.strictEqual((await server.call('POST', '/topup', { customer: 'Team', amount: 500, note: 'budget', idempotencyKey: 'team-topup' })).status, 200);
+    assert.strictEqual((await server.call('POST', '/staged', { amount: 500, customer: 'Team' }, 'a@x')).status, 200);
+});
+
+test.after(() => server.close());
+
+test('a spend on a group needs a member who may spend', async () => {
+    const noMember = await server.call('POST', '/spend', { customer: 'Team', amount: 50, note: 'lunch', idempotencyKey: 's-1' });
+    assert.strictEqual(noMember.status, 400);
+
+    const notAllowed = await server.call('POST', '/spend', { customer: 'Team', amount: 50, note: 'lunch', idempotencyKey: 's-2', member: 'Bob' });
+    assert.strictEqual(notAllowed.status, 403);
+    assert.strictEqual(await ledger.getCustomerBalance('Team'), 500);
+});
+
+test('a batch row naming a group directly is skipped', async () => {
+    const result = await server.call('POST', '/checkout/batch', {
+        rows: [{ customer: 'team', amount: 50, note: 'lunch' }],
+        idempotencyKey: 'batch-direct',
+    });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.transactionCount, 0);
+    assert.match(result.body.skippedRows[0].reason, /group account/);
+    assert.strictEqual(await ledger.getCustomerBalance('Team'), 500);
+});
+
+test('a batch row charged to a group is committed only for a member who may spend', async () => {
+    const denied = await server.call('POST', '/checkout/batch', {
+        rows: [{ customer: 'Bob', amount: 50, note: 'lunch', chargeTo: 'Team' }],
+        idempotencyKey: 'batch-denied',
+    });
+    assert.strictEqual(denied.body.transactionCount, 0);
+    assert.match(denied.body.skippedRows[0].reason, /may not charge/);
+
+    assert.strictEqual((await server.call('PUT', '/groups/Team/members', { member: 'Bob', canSpend: true }, 'a@x')).status, 200);
+    const allowed = await server.call('POST', '/checkout/batch', {
+        rows: [{ customer: 'Bob', amount: 50, note: 'lunch', chargeTo: 'Team' }],
+        idempotencyKey: 'batch-allowed',
+    });
+    assert.strictEqual(allowed.body.transactionCount, 1);
+    assert.strictEqual(await ledger.getCustomerBalance('Team'), 450);
+    assert.strictEqual(await ledger.getCustomerBalance('Bob'), 0);
+    assert.strictEqual((await ledger.findTransactionById(allowed.body.transactionIDs[0])).note, '[Bob] lunch');
+});
+
+test('money cannot be transferred out of a group or a cash drawer', async () => {
+    const fromGroup = await server.call('POST', '/transfer', { from: 'Team', to: 'Bob', amount: 10, idempotencyKey: 't-1' });
+    assert.strictEqual(fromGroup.status, 400);
+    assert.match(fromGroup.body.error, /group account/);
+
+    assert.strictEqual((await server.call('POST', '/topup', { customer: 'Shared Deposit', amount: 100, note: 'cash', idempotencyKey: 'drawer-topup' })).status, 200);
+    const fromDrawer = await server.call('POST', '/transfer', { from: 'Shared Deposit', to: 'Bob', amount: 10, idempotencyKey: 't-2' });
+    assert.strictEqual(fromDrawer.status, 400);
+    assert.match(fromDrawer.body.error, /cash drawer/);
+
+    // Into a group is still fine
+    assert.strictEqual((await server.call('POST', '/topup', { customer: 'Bob', amount: 20, note: 'cash', idempotencyKey: 'bob-topup' })).status, 200);
+    const intoGroup = await server.call('POST', '/transfer', { from: 'Bob', to: 'Team', amount: 20, idempotencyKey: 't-3' });
+    assert.strictEqual(intoGroup.status, 200);
+    assert.strictEqual(await ledger.getCustomerBalance('Team'), 470);
+});
+
+test('a member may read a group named with stray spaces or by an alias of its account', async () => {
+    for (const path of [
+        '/balance?customer=%20Team%20',
+        '/statement?customer=%20Team',
+        '/staged?customer=%20Team',
+        '/staged/history?customer=%20Team',
+    ]) {
+        assert.strictEqual((await server.call('GET', path, undefined, 'b@x')).status, 200, path);
+    }
+
+    // Alice's alias is her own account
+    assert.strictEqual((await server.call('POST', '/aliases', { alias: '小愛' }, 'a@x')).status, 201);
+    const own = await server.call('GET', `/staged?customer=${encodeURIComponent('小愛')}`, undefined, 'a@x');
+    assert.strictEqual(own.status, 200);
+    assert.strictEqual(own.body.customer, 'Alice');
+    assert.strictEqual((await server.call('GET', `/statement?customer=${encodeURIComponent('小愛')}`, undefined, 'b@x')).status, 403);
+});
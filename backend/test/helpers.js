@@ -0,0 +1,118 @@
+/**
+ * Test helpers.
+ * Require this first in every test file: it points the config at a fresh
+ * SQLite ledger in a temporary directory and replaces the Google APIs with
+ * in-memory fakes, so tests run offline. Each test file runs in its own
+ * process (node --test), so every file starts from an empty ledger.
+ *
+ * Users (AuthorizedUsers):
+ *   Alice a@x (buyer), Bob b@x (buyer), Cash c@x (cashier), Adm ad@x (admin)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Service logs go to stderr: the test runner reads each file's results from its stdout
+console.log = console.error;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ben-don-test-'));
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+    GOOGLE_SERVICE_ACCOUNT_KEY_PATH: path.join(tempDir, 'no-key.json'),
+    SPREADSHEET_ID: 'test-spreadsheet',
+    DOC_ID: 'test-doc',
+    JWT_SECRET: 'test-secret',
+    LEDGER_BACKEND: 'sqlite',
+    SQLITE_PATH: path.join(tempDir, 'ledger.db'),
+    STATEMENT_ARCHIVE_DIR: path.join(tempDir, 'statements'),
+    LEDGER_CACHE_TTL_MS: '60000',
+});
+
+const { google } = require('googleapis');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+
+// AuthorizedUsers rows, header first
+const users = [
+    ['name', 'email', 'role', 'active', 'password_hash'],
+    ['Alice', 'a@x', 'buyer', 'TRUE', ''],
+    ['Bob', 'b@x', 'buyer', 'TRUE', ''],
+    ['Cash', 'c@x', 'cashier', 'TRUE', ''],
+    ['Adm', 'ad@x', 'admin', 'TRUE', ''],
+];
+
+// Requests sent to the Docs API, in order
+const docRequests = [];
+
+google.auth.GoogleAuth = function GoogleAuth() {};
+google.sheets = () => ({
+    spreadsheets: {
+        values: {
+            get: async () => ({ data: { values: users } }),
+            append: async ({ resource }) => {
+                users.push(...resource.values);
+                return {};
+            },
+        },
+    },
+});
+google.docs = () => ({
+    documents: {
+        get: async () => ({ data: { body: { content: [{ endIndex: 1 }] } } }),
+        batchUpdate: async ({ requestBody }) => {
+            docRequests.push(requestBody);
+            return {};
+        },
+    },
+});
+
+/**
+ * Resolves after ms milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Starts the API routes on a free port.
+ * @returns {Promise<{call: Function, close: Function}>} call(method, path, body?, email?)
+ *   sends a request as that user (default the cashier) and resolves to { status, body }.
+ */
+async function startServer() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../routes/topup'));
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}/api`;
+
+    async function call(method, urlPath, body, email = 'c@x') {
+        const res = await fetch(base + urlPath, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${jwt.sign({ email }, process.env.JWT_SECRET)}`,
+            },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await res.text();
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch {
+            parsed = text;
+        }
+        return { status: res.status, body: parsed };
+    }
+
+    return {
+        call,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+module.exports = { users, docRequests, delay, startServer };
@@ -0,0 +1,60 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const ledger = require('../services/ledgerService');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+});
+
+test.after(() => server.close());
+
+test('a repeated topup replays the original response and writes nothing', async () => {
+    const topup = { customer: 'Alice', amount: 100, note: 'cash', idempotencyKey: 'topup-1' };
+    const first = await server.call('POST', '/topup', topup);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.replayed, undefined);
+
+    const again = await server.call('POST', '/topup', topup);
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.replayed, true);
+    assert.deepStrictEqual({ ...again.body, replayed: undefined }, { ...first.body, replayed: undefined });
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 100);
+});
+
+test('a repeated spend replays the original response and deducts once', async () => {
+    assert.strictEqual((await server.call('POST', '/staged', { amount: 100 }, 'a@x')).status, 200);
+    const spend = { customer: 'Alice', amount: 30, note: 'lunch', idempotencyKey: 'spend-1' };
+    const first = await server.call('POST', '/spend', spend);
+    assert.strictEqual(first.status, 200);
+
+    const again = await server.call('POST', '/spend', spend);
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.replayed, true);
+    assert.ok(first.body.transactionID);
+    assert.strictEqual(again.body.transactionID, first.body.transactionID);
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 70);
+});
+
+test('a repeated batch checkout replays the original response', async () => {
+    const checkout = { rows: [{ customer: 'Alice', amount: 20, note: 'lunch' }], idempotencyKey: 'batch-1' };
+    const first = await server.call('POST', '/checkout/batch', checkout);
+    assert.strictEqual(first.status, 200);
+
+    const again = await server.call('POST', '/checkout/batch', checkout);
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.replayed, true);
+    assert.deepStrictEqual(again.body.transactionIDs, first.body.transactionIDs);
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 50);
+});
+
+test('reusing a key for a different request is a conflict', async () => {
+    const otherAmount = await server.call('POST', '/topup', { customer: 'Alice', amount: 999, note: 'cash', idempotencyKey: 'topup-1' });
+    assert.strictEqual(otherAmount.status, 409);
+
+    const otherEndpoint = await server.call('POST', '/spend', { customer: 'Alice', amount: 100, note: 'cash', idempotencyKey: 'topup-1' });
+    assert.strictEqual(otherEndpoint.status, 409);
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 50);
+});
@@ -0,0 +1,74 @@
+const { delay } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const sqliteService = require('../services/sqliteService');
+const ledger = require('../services/ledgerService');
+
+/**
+ * Builds a ledger row.
+ * @param {string} customer
+ * @param {number} amount
+ * @param {string} id
+ */
+function row(customer, amount, id) {
+    return {
+        timestamp: new Date().toISOString(),
+        transactionId: id,
+        customer,
+        type: amount >= 0 ? 'TOPUP' : 'SPEND',
+        amount,
+        cashierEmail: 'c@x',
+        note: '',
+        idempotencyKey: id,
+    };
+}
+
+test('a read after a write sees the write, even if a refresh was already in flight', async () => {
+    await ledger.appendTransaction(row('Alice', 100, 'topup'));
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 100);
+
+    // Hold the next refresh open after it has read the backend
+    const getTransactionsSince = sqliteService.getTransactionsSince;
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    sqliteService.getTransactionsSince = async (offset) => {
+        const rows = await getTransactionsSince(offset);
+        sqliteService.getTransactionsSince = getTransactionsSince;
+        await gate;
+        return rows;
+    };
+
+    try {
+        // Another write makes the next read refresh
+        await ledger.appendTransaction(row('Bob', 1, 'other-topup'));
+        const earlyRead = ledger.getCustomerBalance('Alice');
+        await delay(5);
+
+        // Written while that refresh is still in flight
+        await ledger.appendTransaction(row('Alice', -100, 'spend'));
+        const lateRead = ledger.getCustomerBalance('Alice');
+
+        release();
+        await earlyRead;
+        assert.strictEqual(await lateRead, 0);
+    } finally {
+        sqliteService.getTransactionsSince = getTransactionsSince;
+    }
+});
+
+test('readers that arrive during a refresh started after a write wait for it', async () => {
+    await ledger.appendTransaction(row('Bob', 49, 'bob-topup'));
+
+    const getTransactionsSince = sqliteService.getTransactionsSince;
+    sqliteService.getTransactionsSince = async (offset) => {
+        const rows = await getTransactionsSince(offset);
+        await delay(20);
+        return rows;
+    };
+    try {
+        const reads = await Promise.all([ledger.getCustomerBalance('Bob'), ledger.getCustomerBalance('Bob')]);
+        assert.deepStrictEqual(reads, [50, 50]);
+    } finally {
+        sqliteService.getTransactionsSince = getTransactionsSince;
+    }
+});
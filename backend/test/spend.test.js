@@ -0,0 +1,66 @@
+const { delay, startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const sqliteService = require('../services/sqliteService');
+const ledger = require('../services/ledgerService');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+});
+
+test.after(() => server.close());
+
+/**
+ * Tops up a customer.
+ * @param {string} customer
+ * @param {number} amount
+ */
+async function fund(customer, amount) {
+    const topup = await server.call('POST', '/topup', { customer, amount, note: 'cash', idempotencyKey: `fund-${customer}` });
+    assert.strictEqual(topup.status, 200);
+}
+
+test('concurrent spends cannot both pass the overdraft check', async () => {
+    await fund('Alice', 100);
+    assert.strictEqual((await server.call('POST', '/staged', { amount: 100 }, 'a@x')).status, 200);
+
+    const results = await Promise.all([
+        server.call('POST', '/spend', { customer: 'Alice', amount: 100, note: 'lunch', idempotencyKey: 'a-1' }),
+        server.call('POST', '/spend', { customer: 'Alice', amount: 100, note: 'lunch', idempotencyKey: 'a-2' }),
+    ]);
+
+    assert.deepStrictEqual(results.map((r) => r.status).sort(), [200, 409]);
+    assert.strictEqual(results.find((r) => r.status === 409).body.error, 'Insufficient balance');
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 0);
+});
+
+// A cash drawer, so the staged-amount check (which runs after it) cannot mask the balance check
+test('a spend right after one that emptied the account is rejected, even while a refresh is in flight', async () => {
+    await fund('Shared Deposit', 100);
+
+    // Every refresh answers late with what it read first
+    const { getTransactionsSince } = sqliteService;
+    sqliteService.getTransactionsSince = async (offset) => {
+        const rows = await getTransactionsSince(offset);
+        await delay(100);
+        return rows;
+    };
+
+    try {
+        const first = await server.call('POST', '/spend', { customer: 'Shared Deposit', amount: 100, note: 'lunch', idempotencyKey: 'd-1' });
+        assert.strictEqual(first.status, 200);
+
+        // Another reader (e.g. a balance lookup) starts a refresh right before the next spend
+        const lookup = ledger.getCustomerBalance('Shared Deposit');
+        const second = await server.call('POST', '/spend', { customer: 'Shared Deposit', amount: 100, note: 'lunch', idempotencyKey: 'd-2' });
+        assert.strictEqual(second.status, 409);
+        assert.strictEqual(second.body.error, 'Insufficient balance');
+        assert.strictEqual(second.body.currentBalance, 0);
+        assert.strictEqual(await lookup, 0);
+    } finally {
+        sqliteService.getTransactionsSince = getTransactionsSince;
+    }
+    assert.strictEqual(await ledger.getCustomerBalance('Shared Deposit'), 0);
+});
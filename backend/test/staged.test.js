@@ -0,0 +1,34 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { getStagedAmount } = require('../services/stagedService');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+    assert.strictEqual((await server.call('POST', '/aliases', { alias: '小愛' }, 'a@x')).status, 201);
+    assert.strictEqual((await server.call('POST', '/topup', { customer: 'Alice', amount: 200, note: 'cash', idempotencyKey: 'fund' })).status, 200);
+});
+
+test.after(() => server.close());
+
+test('staging for an alias stages (and locks) the account the spend deducts from', async () => {
+    const staged = await server.call('POST', '/staged', { amount: 150, customer: '小愛' });
+    assert.strictEqual(staged.status, 200);
+    assert.strictEqual(staged.body.customer, 'Alice');
+    assert.strictEqual(getStagedAmount('Alice'), 150);
+
+    const spend = await server.call('POST', '/spend', { customer: '小愛', amount: 100, note: 'lunch', idempotencyKey: 'spend' });
+    assert.strictEqual(spend.status, 200);
+    assert.strictEqual(getStagedAmount('Alice'), 50);
+});
+
+test('a buyer may stage through their own alias', async () => {
+    const staged = await server.call('POST', '/staged', { amount: 80, customer: '小愛' }, 'a@x');
+    assert.strictEqual(staged.status, 200);
+    assert.strictEqual(getStagedAmount('Alice'), 80);
+
+    const other = await server.call('POST', '/staged', { amount: 0, customer: 'Alice' }, 'b@x');
+    assert.strictEqual(other.status, 403);
+});
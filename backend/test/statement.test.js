@@ -0,0 +1,45 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const ledger = require('../services/ledgerService');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+    assert.strictEqual((await server.call('POST', '/topup', { customer: 'Alice', amount: 100, note: '-5 owed @desk', idempotencyKey: 'fund' })).status, 200);
+    // A row hand-edited in the Sheet, with a timestamp that does not parse
+    await ledger.appendTransaction({
+        timestamp: 'yesterday', transactionId: 'hand-edited', customer: 'Alice', type: 'TOPUP', amount: 20, cashierEmail: 'c@x', note: '', idempotencyKey: 'hand-edited',
+    });
+});
+
+test.after(() => server.close());
+
+test('a statement up to a later date closes at the balance, counting rows whose timestamp does not parse', async () => {
+    const balance = await ledger.getCustomerBalance('Alice');
+    assert.strictEqual(balance, 120);
+
+    const statement = await server.call('GET', '/statement?customer=Alice&to=2100-01-01T00:00:00Z');
+    assert.strictEqual(statement.status, 200);
+    assert.strictEqual(statement.body.closingBalance, balance);
+    assert.ok(statement.body.transactions.some((tx) => tx.transactionId === 'hand-edited'));
+});
+
+test('statement CSV cells cannot be read as formulas', async () => {
+    const csv = await server.call('GET', '/statement?customer=Alice&format=csv');
+    assert.strictEqual(csv.status, 200);
+    assert.ok(csv.body.includes(",'-5 owed @desk\r\n"));
+    assert.ok(csv.body.includes(',100,100,'));
+});
+
+test('search and export keep rows whose timestamp does not parse in a date-filtered period, like statements', async () => {
+    const search = await server.call('GET', '/transactions/search?customer=Alice&from=2000-01-01T00:00:00Z&to=2100-01-01T00:00:00Z');
+    assert.strictEqual(search.status, 200);
+    assert.ok(search.body.transactions.some((tx) => tx.transactionId === 'hand-edited'));
+    assert.strictEqual(search.body.sum, 120);
+
+    const exported = await server.call('GET', '/export?format=ndjson&customer=Alice&from=2000-01-01T00:00:00Z', undefined, 'ad@x');
+    assert.strictEqual(exported.status, 200);
+    assert.ok(exported.body.includes('"hand-edited"'));
+});
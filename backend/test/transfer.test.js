@@ -0,0 +1,55 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const sqliteService = require('../services/sqliteService');
+const ledger = require('../services/ledgerService');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+    assert.strictEqual((await server.call('POST', '/topup', { customer: 'Alice', amount: 100, note: 'cash', idempotencyKey: 'fund' })).status, 200);
+});
+
+test.after(() => server.close());
+
+/**
+ * Makes the next ledger write that includes a TRANSFER_IN row fail, whether
+ * it is written alone or with other rows.
+ */
+function failNextTransferIn() {
+    const { appendTransaction, appendTransactions } = sqliteService;
+    const restore = () => Object.assign(sqliteService, { appendTransaction, appendTransactions });
+    sqliteService.appendTransaction = async (data) => {
+        if (data.type === 'TRANSFER_IN') {
+            restore();
+            throw new Error('backend unavailable');
+        }
+        return appendTransaction(data);
+    };
+    sqliteService.appendTransactions = async (rows) => {
+        if (rows.some((r) => r.type === 'TRANSFER_IN')) {
+            restore();
+            throw new Error('backend unavailable');
+        }
+        return appendTransactions(rows);
+    };
+}
+
+test('a transfer that fails to write leaves both balances alone and can be retried', async () => {
+    const transfer = { from: 'Alice', to: 'Bob', amount: 40, idempotencyKey: 'transfer-1' };
+
+    failNextTransferIn();
+    const failed = await server.call('POST', '/transfer', transfer);
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 100);
+    assert.strictEqual(await ledger.getCustomerBalance('Bob'), 0);
+
+    const retried = await server.call('POST', '/transfer', transfer);
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(await ledger.getCustomerBalance('Alice'), 60);
+    assert.strictEqual(await ledger.getCustomerBalance('Bob'), 40);
+
+    const rows = await ledger.getTransactionsByIdempotencyKey('transfer-1');
+    assert.deepStrictEqual(rows.map((r) => r.type).sort(), ['TRANSFER_IN', 'TRANSFER_OUT']);
+});
@@ -5,6 +5,7 @@ import Home from './pages/Home';
 import Dashboard from './pages/Dashboard';
 import AutoCheckout from './pages/AutoCheckout';
 import MyAccount from './pages/MyAccount';
+import Groups from './pages/Groups';
 import InstallPlugin from './pages/InstallPlugin';
 import './App.css';
 
@@ -13,9 +14,9 @@ import './App.css';
  * Manages auth state and routes between pages based on user role.
  *
  * Roles & page access:
- *   buyer  → My Account only
- *   viewer → My Account only
- *   cashier / admin → Dashboard, Auto Checkout, My Account
+ *   buyer  → My Account, Groups
+ *   viewer → My Account, Groups
+ *   cashier / admin → Dashboard, Auto Checkout, My Account, Groups
  */
 function App() {
   const [user, setUser] = useState(null);       // { email, name, role, token }
@@ -148,13 +149,19 @@ function App() {
         >
           👤 My Account
         </button>
+        <button
+          className={`nav-tab ${page === 'groups' ? 'nav-active' : ''}`}
+          onClick={() => setPage('groups')}
+        >
+          👥 Groups
+        </button>
       </nav>
 
       {page === 'home' && (
         <Home />
       )}
       {page === 'dashboard' && canWrite && (
-        <Dashboard user={user} onLogout={handleLogout} />
+        <Dashboard user={user} userInfo={userInfo} onLogout={handleLogout} />
       )}
       {page === 'checkout' && canWrite && (
         <AutoCheckout user={user} onNavigate={setPage} />
@@ -165,6 +172,9 @@ function App() {
       {page === 'account' && (
         <MyAccount user={user} userInfo={userInfo} onLogout={handleLogout} />
       )}
+      {page === 'groups' && (
+        <Groups user={user} userInfo={userInfo} />
+      )}
     </div>
   );
 }
@@ -5,6 +5,59 @@
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// Write endpoints replay the original response for a repeated idempotencyKey,
+// so a request whose outcome is unknown (network error, gateway timeout)
+// is re-sent with the same body. Delays between attempts:
+const RETRY_DELAYS_MS = [500, 1500];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+/**
+ * POST a write request that carries an idempotencyKey, retrying when the
+ * outcome is unknown. The response has `replayed: true` when the server had
+ * already committed the request.
+ * @param {string} path - e.g. '/api/spend'
+ * @param {Object} body - Request body (must include idempotencyKey)
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} Response data
+ */
+async function postIdempotent(path, body, token) {
+    for (let attempt = 0; ; attempt++) {
+        const canRetry = attempt < RETRY_DELAYS_MS.length;
+        let res;
+        try {
+            res = await fetch(`${API_BASE}${path}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`,
+                },
+                body: JSON.stringify(body),
+            });
+        } catch (err) {
+            // fetch() rejects only on network failure — the write may or may not have happened
+            if (!canRetry) throw err;
+            await new Promise((resolve) => setTimeout(resolve, RETRY_DELAYS_MS[attempt]));
+            continue;
+        }
+
+        if (RETRYABLE_STATUSES.includes(res.status) && canRetry) {
+            await new Promise((resolve) => setTimeout(resolve, RETRY_DELAYS_MS[attempt]));
+            continue;
+        }
+
+        const json = await res.json();
+
+        if (!res.ok) {
+            const error = new Error(json.error || `Request failed with status ${res.status}`);
+            // Batch checkout: some rows were committed and the rest can be resumed
+            error.resumable = !!json.resumable;
+            throw error;
+        }
+
+        return json;
+    }
+}
+
 /**
  * POST /api/login — Authenticate with email + password
  * @param {string} email
@@ -75,22 +128,7 @@ export async function getUserNames(token) {
  * @returns {Promise<Object>} Response data
  */
 export async function postTopUp(data, token) {
-    const res = await fetch(`${API_BASE}/api/topup`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
-        },
-        body: JSON.stringify(data),
-    });
-
-    const json = await res.json();
-
-    if (!res.ok) {
-        throw new Error(json.error || `Request failed with status ${res.status}`);
-    }
-
-    return json;
+    return postIdempotent('/api/topup', data, token);
 }
 
 /**
@@ -100,24 +138,53 @@ export async function postTopUp(data, token) {
  * @returns {Promise<Object>} Response data
  */
 export async function postSpend(data, token) {
-    const res = await fetch(`${API_BASE}/api/spend`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
-        },
-        body: JSON.stringify(data),
-    });
+    return postIdempotent('/api/spend', data, token);
+}
 
-    const json = await res.json();
+/**
+ * POST /api/refund — Refund all or part of a spend
+ * @param {Object} data - { transactionId, amount?, note, idempotencyKey }
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} Response data
+ */
+export async function postRefund(data, token) {
+    return postIdempotent('/api/refund', data, token);
+}
 
-    if (!res.ok) {
-        throw new Error(json.error || `Request failed with status ${res.status}`);
-    }
+/**
+ * POST /api/transfer — Transfer money to another customer
+ * @param {Object} data - { from?, to, amount, note, idempotencyKey }
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} Response data
+ */
+export async function postTransfer(data, token) {
+    return postIdempotent('/api/transfer', data, token);
+}
 
+/**
+ * GET /api/adjustment/reasons — Reason codes accepted for adjustments (admin only)
+ * @param {string} token - JWT token
+ * @returns {Promise<{reasonCodes: string[]}>}
+ */
+export async function getAdjustmentReasons(token) {
+    const res = await fetch(`${API_BASE}/api/adjustment/reasons`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
     return json;
 }
 
+/**
+ * POST /api/adjustment — Record an admin ledger correction
+ * @param {Object} data - { customer, amount, reasonCode, justification, reference?, idempotencyKey }
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} Response data
+ */
+export async function postAdjustment(data, token) {
+    return postIdempotent('/api/adjustment', data, token);
+}
+
 /**
  * GET /api/balance?customer=xxx — Look up customer balance
  */
@@ -155,6 +222,164 @@ export async function getTransactions(token, limit = 20) {
     return json.transactions || [];
 }
 
+/**
+ * Builds the query string of a statement request, skipping empty values.
+ */
+function statementQuery({ customer, from, to }, format) {
+    const params = new URLSearchParams();
+    if (customer) params.set('customer', customer);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (format) params.set('format', format);
+    return params.toString();
+}
+
+/**
+ * GET /api/statement — Opening balance, transactions with running balance, closing balance
+ * @param {Object} period - { customer, from, to } (ISO 8601; all optional)
+ */
+export async function getStatement(token, period = {}) {
+    const res = await fetch(`${API_BASE}/api/statement?${statementQuery(period)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+
+    const json = await res.json();
+
+    if (!res.ok) {
+        throw new Error(json.error || `Request failed with status ${res.status}`);
+    }
+
+    return json;
+}
+
+/**
+ * GET /api/statement?format=csv — Download a statement as a CSV file
+ * @returns {Promise<Blob>}
+ */
+export async function downloadStatement(token, period = {}) {
+    const res = await fetch(`${API_BASE}/api/statement?${statementQuery(period, 'csv')}`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+
+    if (!res.ok) {
+        const json = await res.json();
+        throw new Error(json.error || `Request failed with status ${res.status}`);
+    }
+
+    return res.blob();
+}
+
+/**
+ * GET /api/statement/pdf — Download a monthly statement as PDF
+ * @param {string} month - "YYYY-MM"
+ * @param {string} [customer] - Defaults to your own account
+ * @returns {Promise<Blob>}
+ */
+export async function downloadMonthlyStatement(month, customer, token) {
+    const params = new URLSearchParams({ month });
+    if (customer) params.set('customer', customer);
+    const res = await fetch(`${API_BASE}/api/statement/pdf?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+
+    if (!res.ok) {
+        const json = await res.json();
+        throw new Error(json.error || `Request failed with status ${res.status}`);
+    }
+
+    return res.blob();
+}
+
+/**
+ * POST /api/statements/monthly — Generate every active user's monthly statement (admin only)
+ * @param {string} month - "YYYY-MM"
+ * @returns {Promise<{month, directory, statements: Array, failed: Array}>}
+ */
+export async function postMonthlyStatements(month, token) {
+    const res = await fetch(`${API_BASE}/api/statements/monthly`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ month }),
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * GET /api/export — Download the ledger as CSV, NDJSON or XLSX (admin only)
+ * @param {Object} options - { format, customer, from, to, runningBalance, summary } (empty values are skipped)
+ * @returns {Promise<Blob>}
+ */
+export async function downloadExport(token, { format = 'csv', customer, from, to, runningBalance, summary } = {}) {
+    const params = new URLSearchParams({ format });
+    if (customer) params.set('customer', customer);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (runningBalance) params.set('runningBalance', 'true');
+    if (summary) params.set('summary', 'true');
+    const res = await fetch(`${API_BASE}/api/export?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+
+    if (!res.ok) {
+        const json = await res.json();
+        throw new Error(json.error || `Request failed with status ${res.status}`);
+    }
+
+    return res.blob();
+}
+
+/**
+ * GET /api/transactions/search — Filtered, sorted ledger search.
+ * filters: { customer, type, cashier, from, to, minAmount, maxAmount, q } (empty values are skipped);
+ * page: { sort, order, limit, cursor } — pass the returned nextCursor as cursor for the next page.
+ */
+export async function searchTransactions(token, filters = {}, { sort = 'timestamp', order = 'desc', limit = 50, cursor } = {}) {
+    const params = new URLSearchParams({ sort, order, limit: String(limit) });
+    for (const [key, value] of Object.entries(filters)) {
+        if (value !== undefined && value !== null && String(value).trim() !== '') params.set(key, String(value).trim());
+    }
+    if (cursor) params.set('cursor', cursor);
+
+    const res = await fetch(`${API_BASE}/api/transactions/search?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+
+    const json = await res.json();
+
+    if (!res.ok) {
+        throw new Error(json.error || `Request failed with status ${res.status}`);
+    }
+
+    return json;
+}
+
+/**
+ * GET /api/transactions?customer=xxx&before=N — One page of a customer's history
+ * (buyers always get their own). Pass the returned nextCursor as before for the next page.
+ */
+export async function getTransactionHistory(token, { customer, limit = 20, before } = {}) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (customer) params.set('customer', customer);
+    if (before !== undefined && before !== null) params.set('before', String(before));
+
+    const res = await fetch(`${API_BASE}/api/transactions?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+
+    const json = await res.json();
+
+    if (!res.ok) {
+        throw new Error(json.error || `Request failed with status ${res.status}`);
+    }
+
+    return json;
+}
+
 /**
  * POST /api/balance/batch — Batch balance lookup
  */
@@ -181,13 +406,24 @@ export async function postBatchBalances(customers, token) {
  * POST /api/checkout/batch — Batch checkout
  */
 export async function postBatchCheckout(rows, idempotencyKey, token) {
+    return postIdempotent('/api/checkout/batch', { rows, idempotencyKey }, token);
+}
+
+/**
+ * POST /api/checkout/batch with dryRun — Simulate a batch checkout on the
+ * server (same partitioning as the real checkout), writing nothing
+ * @param {Array<{customer, amount, note}>} rows
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} { transactionCount, skippedCount, skippedRows, total, rows }
+ */
+export async function postBatchDryRun(rows, token) {
     const res = await fetch(`${API_BASE}/api/checkout/batch`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
             Authorization: `Bearer ${token}`,
         },
-        body: JSON.stringify({ rows, idempotencyKey }),
+        body: JSON.stringify({ rows, dryRun: true }),
     });
 
     const json = await res.json();
@@ -199,20 +435,74 @@ export async function postBatchCheckout(rows, idempotencyKey, token) {
     return json;
 }
 
+/**
+ * POST /api/checkout/batch/:key/resume — Append the uncommitted rows of a
+ * batch checkout that failed midway (the error had `resumable` set).
+ * Safe to retry: resuming a batch with nothing left to commit replays its result.
+ * @param {string} batchKey - The original batch idempotency key
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} The complete batch result, with resumedCount (replayed when already complete)
+ */
+export async function postResumeBatch(batchKey, token) {
+    return postIdempotent(`/api/checkout/batch/${encodeURIComponent(batchKey)}/resume`, {}, token);
+}
+
+/**
+ * POST /api/checkout/batch/:key/void — Reverse a whole batch checkout.
+ * Safe to retry: voiding the same batch again replays the first result.
+ * @param {string} batchKey - The batch's idempotency key
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} Response data
+ */
+export async function postVoidBatch(batchKey, token) {
+    return postIdempotent(`/api/checkout/batch/${encodeURIComponent(batchKey)}/void`, {}, token);
+}
+
+/**
+ * GET /api/checkout/batches — Past batch checkouts, newest first (cashier/admin)
+ * @param {string} token - JWT token
+ * @param {number} [limit=50]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getBatches(token, limit = 50) {
+    const res = await fetch(`${API_BASE}/api/checkout/batches?limit=${limit}`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json.batches || [];
+}
+
+/**
+ * GET /api/checkout/batches/:key — One batch with its committed and skipped rows
+ * @param {string} batchKey - The batch's idempotency key
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>}
+ */
+export async function getBatch(batchKey, token) {
+    const res = await fetch(`${API_BASE}/api/checkout/batches/${encodeURIComponent(batchKey)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
 /**
  * POST /api/staged — Set staged (pre-authorized) amount
  * @param {number} amount - Amount to stage (0 to clear)
  * @param {string} token - JWT token
+ * @param {string} [customer] - Account to stage for (defaults to your own; e.g. a group you own)
  * @returns {Promise<{customer: string, stagedAmount: number, balance: number}>}
  */
-export async function postStaged(amount, token) {
+export async function postStaged(amount, token, customer) {
     const res = await fetch(`${API_BASE}/api/staged`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
             Authorization: `Bearer ${token}`,
         },
-        body: JSON.stringify({ amount }),
+        body: JSON.stringify({ amount, customer }),
     });
 
     const json = await res.json();
@@ -242,3 +532,247 @@ export async function getStaged(token) {
 
     return json;
 }
+
+/**
+ * GET /api/aliases — Aliases of an account (defaults to the user's own)
+ * @param {string} token - JWT token
+ * @param {string} [account] - Account name (buyers can only list their own)
+ * @returns {Promise<{account: string, aliases: Array<{alias, account, createdBy, createdAt}>}>}
+ */
+export async function getAliases(token, account) {
+    const query = account ? `?account=${encodeURIComponent(account)}` : '';
+    const res = await fetch(`${API_BASE}/api/aliases${query}`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * POST /api/aliases — Add an alias to an account
+ * @param {string} alias - Another spelling of the name (e.g. the one used on dinbendon.net)
+ * @param {string} [account] - Account name (admins only for accounts other than your own)
+ * @param {string} token - JWT token
+ * @returns {Promise<{alias, account, createdBy, createdAt}>}
+ */
+export async function postAlias(alias, account, token) {
+    const res = await fetch(`${API_BASE}/api/aliases`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ alias, account }),
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * DELETE /api/aliases/:alias — Remove an alias
+ * @param {string} alias
+ * @param {string} token - JWT token
+ * @returns {Promise<{removed: Object}>}
+ */
+export async function deleteAlias(alias, token) {
+    const res = await fetch(`${API_BASE}/api/aliases/${encodeURIComponent(alias)}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * POST /api/aliases/pick — Record the account picked for an unknown name
+ * @param {string} name - The name as entered (e.g. on dinbendon.net)
+ * @param {string} account - The picked account
+ * @param {boolean} saveAlias - Also save the name as an alias of the account
+ * @param {string} token - JWT token
+ * @returns {Promise<{name, account, alias}>}
+ */
+export async function postAccountPick(name, account, saveAlias, token) {
+    const res = await fetch(`${API_BASE}/api/aliases/pick`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ name, account, saveAlias }),
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * GET /api/groups — Group accounts (buyers: the groups they belong to)
+ * @param {string} token - JWT token
+ * @returns {Promise<{groups: Array<{name, owner, members, balance, stagedAmount}>}>}
+ */
+export async function getGroups(token) {
+    const res = await fetch(`${API_BASE}/api/groups`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * GET /api/groups/:name — One group with its members, balance, staged amount and recent transactions
+ * @param {string} name - Group name
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>}
+ */
+export async function getGroup(name, token) {
+    const res = await fetch(`${API_BASE}/api/groups/${encodeURIComponent(name)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * POST /api/groups — Create a group account
+ * @param {string} name - Group name
+ * @param {string} [owner] - Owner account (admins only for owners other than yourself)
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} The new group
+ */
+export async function postGroup(name, owner, token) {
+    const res = await fetch(`${API_BASE}/api/groups`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ name, owner }),
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * PUT /api/groups/:name/members — Add a member or change their spend permission
+ * @param {string} name - Group name
+ * @param {string} member - Member account
+ * @param {boolean} canSpend - Whether the member may charge the group
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} The updated group
+ */
+export async function putGroupMember(name, member, canSpend, token) {
+    const res = await fetch(`${API_BASE}/api/groups/${encodeURIComponent(name)}/members`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ member, canSpend }),
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * DELETE /api/groups/:name/members/:member — Remove a member from a group
+ * @param {string} name - Group name
+ * @param {string} member - Member account
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} The updated group
+ */
+export async function deleteGroupMember(name, member, token) {
+    const res = await fetch(`${API_BASE}/api/groups/${encodeURIComponent(name)}/members/${encodeURIComponent(member)}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * GET /api/drawers — Cash drawers with their cashiers and balances (Shared Deposit first)
+ * @param {string} token - JWT token
+ * @returns {Promise<{drawers: Array<{name, location, cashiers, balance, isDefault?}>}>}
+ */
+export async function getDrawers(token) {
+    const res = await fetch(`${API_BASE}/api/drawers`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * GET /api/drawers/mine — The caller's cash drawer
+ * @param {string} token - JWT token
+ * @returns {Promise<{drawer: string, balance: number}>}
+ */
+export async function getMyDrawer(token) {
+    const res = await fetch(`${API_BASE}/api/drawers/mine`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * GET /api/drawers/:name/close — Expected cash of a drawer since its last close
+ * @param {string} name - Drawer name
+ * @param {string} token - JWT token
+ * @returns {Promise<{drawer, periodStart, opening, topUps, cashCheckouts, cashReturned, expected, denominations, varianceWarn, varianceBlock}>}
+ */
+export async function getDrawerClose(name, token) {
+    const res = await fetch(`${API_BASE}/api/drawers/${encodeURIComponent(name)}/close`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * POST /api/drawers/:name/close — Close a drawer with the counted cash
+ * @param {string} name - Drawer name
+ * @param {{denominations: Object, deposited?: number, note?: string, idempotencyKey: string}} payload
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} The recorded close (with `warning` for a large variance)
+ */
+export async function postDrawerClose(name, payload, token) {
+    const res = await fetch(`${API_BASE}/api/drawers/${encodeURIComponent(name)}/close`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(payload),
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
+
+/**
+ * GET /api/drawers/:name/closes — Past closes of a drawer, newest first
+ * @param {string} name - Drawer name
+ * @param {string} token - JWT token
+ * @param {number} limit - Max closes
+ * @returns {Promise<{closes: Array<Object>}>}
+ */
+export async function getDrawerCloses(name, token, limit = 5) {
+    const res = await fetch(`${API_BASE}/api/drawers/${encodeURIComponent(name)}/closes?limit=${limit}`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Request failed with status ${res.status}`);
+    return json;
+}
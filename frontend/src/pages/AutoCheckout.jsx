@@ -1,6 +1,6 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { v4 as uuidv4 } from 'uuid';
-import { postBatchBalances, postBatchCheckout } from '../api';
+import { postBatchDryRun, postBatchCheckout, postResumeBatch, postVoidBatch, getBatches, getBatch, postAccountPick, getGroups } from '../api';
 import './AutoCheckout.css';
 
 /**
@@ -101,19 +101,232 @@ function parseTabText(text) {
     return rows;
 }
 
+// Wait this long after the last edit before re-running the server-side dry run
+const DRY_RUN_DELAY_MS = 400;
+
+/**
+ * Strips preview-only fields from rows before sending them to the backend.
+ * chargeTo is only sent for rows charged to a group account.
+ */
+const toSubmitRows = (rows) => rows.map(({ customer, amount, note, chargeTo }) => (
+    chargeTo ? { customer, amount, note, chargeTo } : { customer, amount, note }
+));
+
+/**
+ * Format amount for display.
+ */
+const fmt = (n) =>
+    new Intl.NumberFormat('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 }).format(n);
+
+/**
+ * "Past batches" tab: lists earlier batch checkouts, expands one to show
+ * its committed and skipped rows, and lets the cashier void it.
+ */
+function PastBatches({ user }) {
+    const [batches, setBatches] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [openKey, setOpenKey] = useState(null);
+    const [detail, setDetail] = useState(null);
+    const [detailLoading, setDetailLoading] = useState(false);
+    const [voiding, setVoiding] = useState(false);
+    const [resuming, setResuming] = useState(false);
+
+    const loadBatches = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setBatches(await getBatches(user.token));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [user.token]);
+
+    useEffect(() => {
+        loadBatches();
+    }, [loadBatches]);
+
+    const toggleBatch = async (batchKey) => {
+        if (openKey === batchKey) {
+            setOpenKey(null);
+            setDetail(null);
+            return;
+        }
+        setOpenKey(batchKey);
+        setDetail(null);
+        setDetailLoading(true);
+        try {
+            setDetail(await getBatch(batchKey, user.token));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setDetailLoading(false);
+        }
+    };
+
+    const handleVoid = async () => {
+        if (!detail) return;
+        if (!window.confirm(`Void this batch? All ${detail.transactionCount} checkouts will be refunded.`)) return;
+
+        setVoiding(true);
+        setError(null);
+        try {
+            await postVoidBatch(detail.batchKey, user.token);
+            setDetail(await getBatch(detail.batchKey, user.token));
+            await loadBatches();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setVoiding(false);
+        }
+    };
+
+    const handleResume = async () => {
+        if (!detail) return;
+
+        setResuming(true);
+        setError(null);
+        try {
+            await postResumeBatch(detail.batchKey, user.token);
+            setDetail(await getBatch(detail.batchKey, user.token));
+            await loadBatches();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setResuming(false);
+        }
+    };
+
+    return (
+        <section className="card batches-card">
+            <div className="preview-header">
+                <h2>🗂️ Past Batches</h2>
+                <button className="btn-back" onClick={loadBatches} disabled={loading}>
+                    {loading ? '⏳ Loading…' : '⟳ Refresh'}
+                </button>
+            </div>
+
+            {error && <div className="alert alert-error">❌ {error}</div>}
+
+            {!loading && batches.length === 0 && (
+                <p className="paste-hint">No batch checkouts yet.</p>
+            )}
+
+            <ul className="batch-list">
+                {batches.map((batch) => (
+                    <li key={batch.batchKey} className={`batch-item ${openKey === batch.batchKey ? 'open' : ''}`}>
+                        <button className="batch-summary" onClick={() => toggleBatch(batch.batchKey)}>
+                            <span className="batch-time">{new Date(batch.timestamp).toLocaleString()}</span>
+                            <span className="batch-cashier">{batch.cashierEmail}</span>
+                            <span className="batch-count">
+                                {batch.transactionCount}/{batch.rowCount} rows
+                                {batch.skippedCount > 0 && <span className="text-red"> · {batch.skippedCount} skipped</span>}
+                            </span>
+                            <span className="batch-total">{fmt(batch.total)}</span>
+                            {batch.voidedAt && <span className="batch-voided">VOIDED</span>}
+                            {!batch.voidedAt && batch.pendingCount > 0 && (
+                                <span className="batch-pending">{batch.pendingCount} PENDING</span>
+                            )}
+                        </button>
+
+                        {openKey === batch.batchKey && (
+                            <div className="batch-detail">
+                                {detailLoading && <p className="paste-hint">⏳ Loading rows…</p>}
+                                {detail && (
+                                    <>
+                                        <table className="preview-table">
+                                            <thead>
+                                                <tr>
+                                                    <th>Customer</th>
+                                                    <th>Amount</th>
+                                                    <th>Note</th>
+                                                    <th>Refunded</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {detail.rows.map((row) => (
+                                                    <tr key={row.transactionId}>
+                                                        <td>{row.customer}</td>
+                                                        <td className="cell-balance">{fmt(row.amount)}</td>
+                                                        <td>{row.note}</td>
+                                                        <td className="cell-balance">{row.refunded > 0 ? fmt(row.refunded) : '—'}</td>
+                                                    </tr>
+                                                ))}
+                                                {detail.pendingRows.map((row) => (
+                                                    <tr key={`pending-${row.index}`} className="row-pending">
+                                                        <td>{row.customer}</td>
+                                                        <td className="cell-balance">{fmt(row.amount)}</td>
+                                                        <td>{row.note}</td>
+                                                        <td className="batch-pending-label">Not committed</td>
+                                                    </tr>
+                                                ))}
+                                                {detail.skippedRows.map((row) => (
+                                                    <tr key={`skipped-${row.index}`} className="row-invalid">
+                                                        <td>{row.customer}</td>
+                                                        <td colSpan={3} className="batch-skip-reason">
+                                                            Row {row.index} skipped: {row.reason}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                        {!detail.voidedAt && detail.pendingRows.length > 0 && (
+                                            <button className="btn-resume" onClick={handleResume} disabled={resuming}>
+                                                {resuming ? '⏳ Resuming…' : `🔁 Resume (${detail.pendingRows.length} rows)`}
+                                            </button>
+                                        )}
+                                        {detail.voidedAt ? (
+                                            <p className="paste-hint">
+                                                Voided {new Date(detail.voidedAt).toLocaleString()} by {detail.voidedBy}
+                                            </p>
+                                        ) : detail.rows.length > 0 && (
+                                            <button className="btn-void" onClick={handleVoid} disabled={voiding}>
+                                                {voiding ? '⏳ Voiding…' : '↩ Void This Batch'}
+                                            </button>
+                                        )}
+                                    </>
+                                )}
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </section>
+    );
+}
+
 /**
  * Auto Checkout page.
- * Clipboard Paste → Parse → Preview (with balances) → Execute batch.
+ * Clipboard Paste → Parse → Preview (server dry run) → Execute batch.
  */
 function AutoCheckout({ user, onNavigate }) {
+    const [tab, setTab] = useState('checkout'); // 'checkout' | 'history'
     // Phases: 'paste', 'preview', 'result'
     const [phase, setPhase] = useState('paste');
     const [rows, setRows] = useState([]); // parsed rows with id
-    const [balances, setBalances] = useState({}); // { customer: balance }
+    const [simulation, setSimulation] = useState(null); // { key, result } — dry run and the rows it was run on
     const [loading, setLoading] = useState(false);
     const [executing, setExecuting] = useState(false);
     const [message, setMessage] = useState(null);
     const [pastePreview, setPastePreview] = useState(''); // raw text preview of what was pasted
+    const [lastBatch, setLastBatch] = useState(null); // { key, transactionCount } of the batch just executed
+    const [voiding, setVoiding] = useState(false);
+    const [pendingBatchKey, setPendingBatchKey] = useState(null); // key of a batch that failed midway
+    const [resuming, setResuming] = useState(false);
+    const [savePicks, setSavePicks] = useState(false); // save suggestions picked for unknown names as aliases
+    const [groups, setGroups] = useState([]); // group accounts a row may be charged to
+
+    /**
+     * Run the batch through the backend's dry run, which applies exactly the
+     * checks of the real checkout (cumulative balances, staged amounts).
+     */
+    const simulate = useCallback(async (batchRows) => {
+        const submitRows = toSubmitRows(batchRows);
+        const result = await postBatchDryRun(submitRows, user.token);
+        setSimulation({ key: JSON.stringify(submitRows), result });
+    }, [user.token]);
 
     /**
      * Read structured HTML from clipboard and parse.
@@ -158,10 +371,7 @@ function AutoCheckout({ user, onNavigate }) {
             setRows(parsed);
             setLoading(true);
 
-            // Batch-fetch balances for all unique customers
-            const uniqueCustomers = [...new Set(parsed.map((r) => r.customer))];
-            const bals = await postBatchBalances(uniqueCustomers, user.token);
-            setBalances(bals);
+            await simulate(parsed);
             setPhase('preview');
         } catch (err) {
             // Clipboard API may fail if permission denied or not supported
@@ -176,7 +386,7 @@ function AutoCheckout({ user, onNavigate }) {
         } finally {
             setLoading(false);
         }
-    }, [user.token]);
+    }, [simulate]);
 
     /**
      * Fallback: handle paste event on a hidden contentEditable div or textarea.
@@ -211,39 +421,65 @@ function AutoCheckout({ user, onNavigate }) {
         setLoading(true);
 
         try {
-            const uniqueCustomers = [...new Set(parsed.map((r) => r.customer))];
-            const bals = await postBatchBalances(uniqueCustomers, user.token);
-            setBalances(bals);
+            await simulate(parsed);
             setPhase('preview');
         } catch (err) {
-            setMessage({ type: 'error', text: `Failed to fetch balances: ${err.message}` });
+            setMessage({ type: 'error', text: `Failed to simulate checkout: ${err.message}` });
         } finally {
             setLoading(false);
         }
+    }, [simulate]);
+
+    useEffect(() => {
+        getGroups(user.token)
+            .then((data) => setGroups(data.groups || []))
+            .catch(() => { /* rows can still be charged to their own accounts */ });
     }, [user.token]);
 
+    // The dry run only counts while the rows are unchanged since it ran
+    const simulated = simulation && simulation.key === JSON.stringify(toSubmitRows(rows)) ? simulation.result : null;
+
     /**
-     * Compute cumulative "after checkout" balances.
-     * Handles duplicate customers within the batch.
+     * Re-run the dry run after inline edits (debounced).
      */
-    const computeAfterBalances = useCallback(() => {
-        const cumulative = {};
-        return rows.map((row) => {
-            const key = row.customer;
-            const currentBal = balances[key] || 0;
-            const alreadyDeducted = cumulative[key] || 0;
-            const afterBal = currentBal - alreadyDeducted - row.amount;
-            cumulative[key] = (cumulative[key] || 0) + row.amount;
-
-            // Invalid if: amount <= 0, or insufficient balance
-            const valid = row.amount > 0 && afterBal >= 0;
-            return { ...row, currentBalance: currentBal - alreadyDeducted, afterBalance: afterBal, valid };
-        });
-    }, [rows, balances]);
-
-    const enrichedRows = phase === 'preview' ? computeAfterBalances() : [];
+    useEffect(() => {
+        if (phase !== 'preview' || rows.length === 0 || simulated) return undefined;
+        const timer = setTimeout(() => {
+            simulate(rows).catch((err) => {
+                setMessage({ type: 'error', text: `Failed to simulate checkout: ${err.message}` });
+            });
+        }, DRY_RUN_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [phase, rows, simulated, simulate]);
+
+    const enrichedRows = phase === 'preview'
+        ? rows.map((row, i) => {
+            const sim = simulated ? simulated.rows[i] : null;
+            if (!sim) {
+                return { ...row, checked: false, valid: false, reason: null, account: null, suggestions: [], groupOptions: [], currentBalance: null, afterBalance: null };
+            }
+            return {
+                ...row,
+                checked: true,
+                valid: sim.valid,
+                reason: sim.reason,
+                // Set when the name is an alias of another account
+                account: sim.account && sim.account.toLowerCase() !== sim.customer.toLowerCase() ? sim.account : null,
+                // Likely accounts when the name matches none
+                suggestions: sim.suggestions || [],
+                // Groups this customer may charge instead of their own account
+                groupOptions: sim.account ? groups
+                    .filter((g) => g.members.some((m) => m.canSpend && m.member.toLowerCase() === sim.account.toLowerCase()))
+                    .map((g) => g.name) : [],
+                currentBalance: sim.balanceBefore,
+                afterBalance: sim.valid ? sim.balanceAfter : sim.balanceBefore - row.amount,
+            };
+        })
+        : [];
     const validCount = enrichedRows.filter((r) => r.valid).length;
-    const invalidCount = enrichedRows.filter((r) => !r.valid).length;
+    const invalidRows = enrichedRows.filter((r) => r.checked && !r.valid);
+    const invalidCount = invalidRows.length;
+    const hasSuggestions = enrichedRows.some((r) => r.suggestions.length > 0);
 
     /**
      * Update a row field (inline editing).
@@ -258,6 +494,19 @@ function AutoCheckout({ user, onNavigate }) {
         );
     };
 
+    /**
+     * Use a suggested account for a row whose name matched none. The pick is
+     * recorded so the account ranks first for that name next time.
+     */
+    const handlePick = async (row, account) => {
+        try {
+            await postAccountPick(row.customer, account, savePicks, user.token);
+            updateRow(row.id, 'customer', account);
+        } catch (err) {
+            setMessage({ type: 'error', text: `Failed to pick account: ${err.message}` });
+        }
+    };
+
     /**
      * Remove a row from the batch.
      */
@@ -274,46 +523,107 @@ function AutoCheckout({ user, onNavigate }) {
         setExecuting(true);
         setMessage(null);
 
+        // Send ALL rows — backend will skip invalid ones
+        const submitRows = toSubmitRows(rows);
+        const batchKey = uuidv4();
+
         try {
-            // Send ALL rows — backend will skip invalid ones
-            const submitRows = rows.map(({ customer, amount, note }) => ({ customer, amount, note }));
-            const result = await postBatchCheckout(submitRows, uuidv4(), user.token);
+            const result = await postBatchCheckout(submitRows, batchKey, user.token);
+            setLastBatch({ key: batchKey, transactionCount: result.transactionCount });
 
             const parts = [`✅ ${result.transactionCount} transactions recorded`];
             if (result.skippedCount > 0) {
                 parts.push(`(${result.skippedCount} skipped)`);
             }
+            if (result.replayed) {
+                parts.push('— already recorded earlier');
+            }
 
             setMessage({ type: 'success', text: parts.join(' ') });
             setPhase('result');
 
             setRows([]);
-            setBalances({});
+            setSimulation(null);
             setPastePreview('');
         } catch (err) {
+            if (err.resumable) {
+                // Some rows were committed — re-executing would charge them twice
+                setPendingBatchKey(batchKey);
+            }
             setMessage({ type: 'error', text: `❌ ${err.message}` });
         } finally {
             setExecuting(false);
         }
     }, [rows, validCount, user.token]);
 
+    /**
+     * Finish a batch that failed midway: only its uncommitted rows are sent.
+     */
+    const handleResume = async () => {
+        if (!pendingBatchKey) return;
+
+        setResuming(true);
+        setMessage(null);
+        try {
+            const result = await postResumeBatch(pendingBatchKey, user.token);
+            setLastBatch({ key: pendingBatchKey, transactionCount: result.transactionCount });
+            setPendingBatchKey(null);
+
+            const parts = [result.replayed
+                ? `✅ ${result.transactionCount} transactions recorded (batch already complete)`
+                : `✅ ${result.transactionCount} transactions recorded (${result.resumedCount} on resume)`];
+            if (result.skippedCount > 0) {
+                parts.push(`(${result.skippedCount} skipped)`);
+            }
+            setMessage({ type: 'success', text: parts.join(' ') });
+            setPhase('result');
+
+            setRows([]);
+            setSimulation(null);
+            setPastePreview('');
+        } catch (err) {
+            setMessage({ type: 'error', text: `❌ ${err.message}` });
+        } finally {
+            setResuming(false);
+        }
+    };
+
+    /**
+     * Void the batch that was just executed (refunds every row).
+     */
+    const handleVoid = async () => {
+        if (!lastBatch) return;
+        if (!window.confirm(`Void this batch? All ${lastBatch.transactionCount} checkouts will be refunded.`)) return;
+
+        setVoiding(true);
+        setMessage(null);
+        try {
+            const result = await postVoidBatch(lastBatch.key, user.token);
+            setMessage({
+                type: 'success',
+                text: `↩️ Batch voided — ${result.refundedCount} rows refunded (${fmt(result.total)})`,
+            });
+            setLastBatch(null);
+        } catch (err) {
+            setMessage({ type: 'error', text: `❌ ${err.message}` });
+        } finally {
+            setVoiding(false);
+        }
+    };
+
     /**
      * Reset to paste phase.
      */
     const handleClear = () => {
         setPhase('paste');
         setRows([]);
-        setBalances({});
+        setSimulation(null);
         setMessage(null);
         setPastePreview('');
+        setLastBatch(null);
+        setPendingBatchKey(null);
     };
 
-    /**
-     * Format amount for display.
-     */
-    const fmt = (n) =>
-        new Intl.NumberFormat('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 }).format(n);
-
     return (
         <div className="checkout-page">
             {/* Header */}
@@ -334,12 +644,29 @@ function AutoCheckout({ user, onNavigate }) {
             </header>
 
             <main className="checkout-main">
-                {message && (
+                <div className="checkout-tabs">
+                    <button
+                        className={`checkout-tab ${tab === 'checkout' ? 'active' : ''}`}
+                        onClick={() => setTab('checkout')}
+                    >
+                        🧾 New Checkout
+                    </button>
+                    <button
+                        className={`checkout-tab ${tab === 'history' ? 'active' : ''}`}
+                        onClick={() => setTab('history')}
+                    >
+                        🗂️ Past Batches
+                    </button>
+                </div>
+
+                {tab === 'history' && <PastBatches user={user} />}
+
+                {tab === 'checkout' && message && (
                     <div className={`alert alert-${message.type}`}>{message.text}</div>
                 )}
 
                 {/* Phase: Paste */}
-                {phase === 'paste' && (
+                {tab === 'checkout' && phase === 'paste' && (
                     <section className="card paste-card">
                         <h2>📋 Paste Checkout Data</h2>
                         <p className="paste-hint">
@@ -353,7 +680,7 @@ function AutoCheckout({ user, onNavigate }) {
                             onClick={handlePasteFromClipboard}
                             disabled={loading}
                         >
-                            {loading ? '⏳ Loading balances…' : '📎 Read from Clipboard'}
+                            {loading ? '⏳ Checking rows…' : '📎 Read from Clipboard'}
                         </button>
 
                         <div className="paste-divider">
@@ -378,7 +705,7 @@ function AutoCheckout({ user, onNavigate }) {
                 )}
 
                 {/* Phase: Preview */}
-                {phase === 'preview' && (
+                {tab === 'checkout' && phase === 'preview' && (
                     <section className="card preview-card">
                         <div className="preview-header">
                             <h2>📊 Preview ({enrichedRows.length} rows)</h2>
@@ -386,23 +713,51 @@ function AutoCheckout({ user, onNavigate }) {
                                 <button className="btn-back" onClick={handleClear}>
                                     ↩ Clear & Re-paste
                                 </button>
-                                <button
-                                    className="btn-execute"
-                                    onClick={handleExecute}
-                                    disabled={validCount === 0 || executing || enrichedRows.length === 0}
-                                >
-                                    {executing ? '⏳ Executing…' : `⚡ Execute (${validCount} valid)`}
-                                </button>
+                                {pendingBatchKey ? (
+                                    <button className="btn-resume" onClick={handleResume} disabled={resuming}>
+                                        {resuming ? '⏳ Resuming…' : '🔁 Resume'}
+                                    </button>
+                                ) : (
+                                    <button
+                                        className="btn-execute"
+                                        onClick={handleExecute}
+                                        disabled={!simulated || validCount === 0 || executing || enrichedRows.length === 0}
+                                    >
+                                        {executing ? '⏳ Executing…' : simulated ? `⚡ Execute (${validCount} valid)` : '⏳ Checking…'}
+                                    </button>
+                                )}
                             </div>
                         </div>
 
+                        {pendingBatchKey && (
+                            <div className="alert alert-error">
+                                ⚠️ This batch stopped partway. Resume to check out only the rows that were not recorded —
+                                executing again would charge the recorded rows twice.
+                            </div>
+                        )}
+
                         {invalidCount > 0 && (
                             <div className="alert alert-error">
-                                ⚠️ {invalidCount} row(s) will be skipped (amount = 0 or insufficient balance).
-                                Only the {validCount} valid row(s) will be checked out.
+                                ⚠️ {invalidCount} row(s) will be skipped. Only the {validCount} valid row(s) will be checked out.
+                                <ul className="skip-reasons">
+                                    {invalidRows.map((row) => (
+                                        <li key={row.id}>{row.customer || '(empty)'}: {row.reason}</li>
+                                    ))}
+                                </ul>
                             </div>
                         )}
 
+                        {hasSuggestions && (
+                            <label className="save-picks">
+                                <input
+                                    type="checkbox"
+                                    checked={savePicks}
+                                    onChange={(e) => setSavePicks(e.target.checked)}
+                                />
+                                Save picked names as aliases
+                            </label>
+                        )}
+
                         <div className="preview-table-wrap">
                             <table className="preview-table">
                                 <thead>
@@ -418,12 +773,14 @@ function AutoCheckout({ user, onNavigate }) {
                                 </thead>
                                 <tbody>
                                     {enrichedRows.map((row) => (
-                                        <tr key={row.id} className={row.valid ? '' : 'row-invalid'}>
+                                        <tr key={row.id} className={!row.checked || row.valid ? '' : 'row-invalid'}>
                                             <td className="col-status">
-                                                {row.valid ? (
+                                                {!row.checked ? (
+                                                    <span className="status-pending">…</span>
+                                                ) : row.valid ? (
                                                     <span className="status-ok">✓</span>
                                                 ) : (
-                                                    <span className="status-fail">✗</span>
+                                                    <span className="status-fail" title={row.reason}>✗</span>
                                                 )}
                                             </td>
                                             <td>
@@ -432,8 +789,38 @@ function AutoCheckout({ user, onNavigate }) {
                                                     value={row.customer}
                                                     onChange={(e) => updateRow(row.id, 'customer', e.target.value)}
                                                     className="cell-input"
-                                                    disabled={executing}
+                                                    disabled={executing || !!pendingBatchKey}
                                                 />
+                                                {row.account && <span className="cell-account">→ {row.account}</span>}
+                                                {(row.groupOptions.length > 0 || row.chargeTo) && (
+                                                    <select
+                                                        className="cell-charge"
+                                                        value={row.chargeTo || ''}
+                                                        onChange={(e) => updateRow(row.id, 'chargeTo', e.target.value)}
+                                                        disabled={executing || !!pendingBatchKey}
+                                                    >
+                                                        <option value="">Own account</option>
+                                                        {[...new Set([...row.groupOptions, ...(row.chargeTo ? [row.chargeTo] : [])])].map((g) => (
+                                                            <option key={g} value={g}>👥 {g}</option>
+                                                        ))}
+                                                    </select>
+                                                )}
+                                                {row.suggestions.length > 0 && (
+                                                    <div className="cell-suggestions">
+                                                        Did you mean
+                                                        {row.suggestions.map((s) => (
+                                                            <button
+                                                                key={s.account}
+                                                                className="btn-suggestion"
+                                                                onClick={() => handlePick(row, s.account)}
+                                                                title={`${s.reasons.join(', ')} (${Math.round(s.score * 100)}%)`}
+                                                                disabled={executing || !!pendingBatchKey}
+                                                            >
+                                                                {s.account}
+                                                            </button>
+                                                        ))}
+                                                    </div>
+                                                )}
                                             </td>
                                             <td>
                                                 <input
@@ -443,7 +830,7 @@ function AutoCheckout({ user, onNavigate }) {
                                                     className="cell-input cell-amount"
                                                     min="0.01"
                                                     step="0.01"
-                                                    disabled={executing}
+                                                    disabled={executing || !!pendingBatchKey}
                                                 />
                                             </td>
                                             <td>
@@ -452,19 +839,19 @@ function AutoCheckout({ user, onNavigate }) {
                                                     value={row.note}
                                                     onChange={(e) => updateRow(row.id, 'note', e.target.value)}
                                                     className="cell-input"
-                                                    disabled={executing}
+                                                    disabled={executing || !!pendingBatchKey}
                                                 />
                                             </td>
-                                            <td className="cell-balance">{fmt(row.currentBalance)}</td>
+                                            <td className="cell-balance">{row.checked ? fmt(row.currentBalance) : '…'}</td>
                                             <td className={`cell-balance ${row.afterBalance < 0 ? 'balance-negative' : ''}`}>
-                                                {fmt(row.afterBalance)}
+                                                {row.checked ? fmt(row.afterBalance) : '…'}
                                             </td>
                                             <td className="col-action">
                                                 <button
                                                     className="btn-remove"
                                                     onClick={() => removeRow(row.id)}
                                                     title="Remove row"
-                                                    disabled={executing}
+                                                    disabled={executing || !!pendingBatchKey}
                                                 >
                                                     ×
                                                 </button>
@@ -479,8 +866,8 @@ function AutoCheckout({ user, onNavigate }) {
                             <span>Total: <strong>{fmt(enrichedRows.reduce((s, r) => s + r.amount, 0))}</strong></span>
                             <span>Rows: <strong>{enrichedRows.length}</strong></span>
                             <span>
-                                Invalid: <strong className={enrichedRows.filter((r) => !r.valid).length > 0 ? 'text-red' : ''}>
-                                    {enrichedRows.filter((r) => !r.valid).length}
+                                Invalid: <strong className={invalidCount > 0 ? 'text-red' : ''}>
+                                    {invalidCount}
                                 </strong>
                             </span>
                         </div>
@@ -488,13 +875,18 @@ function AutoCheckout({ user, onNavigate }) {
                 )}
 
                 {/* Phase: Result */}
-                {phase === 'result' && (
+                {tab === 'checkout' && phase === 'result' && (
                     <section className="card result-card">
                         <div className="result-icon">🎉</div>
                         <h2>Batch Checkout Complete</h2>
                         <button className="btn-parse" onClick={handleClear}>
                             Start New Checkout
                         </button>
+                        {lastBatch && lastBatch.transactionCount > 0 && (
+                            <button className="btn-void" onClick={handleVoid} disabled={voiding}>
+                                {voiding ? '⏳ Voiding…' : '↩ Void This Batch'}
+                            </button>
+                        )}
                     </section>
                 )}
             </main>
@@ -1,52 +1,202 @@
 import { useState, useEffect, useCallback } from 'react';
 import { v4 as uuidv4 } from 'uuid';
-import { postTopUp, postSpend, getTransactions, getBalance, getUserNames } from '../api';
+import DrawerClose from './DrawerClose';
+import { postTopUp, postSpend, postRefund, postAdjustment, getAdjustmentReasons, searchTransactions, downloadExport, getBalance, getUserNames, getGroups, getDrawers, getMyDrawer } from '../api';
 import './Dashboard.css';
 
+// Badge icon and CSS suffix (badge-*, type-*) for each ledger type
+const TX_TYPE_DISPLAY = {
+    TOPUP: { icon: '⬆', style: 'topup' },
+    SPEND: { icon: '⬇', style: 'spend' },
+    REFUND: { icon: '↩', style: 'refund' },
+    TRANSFER_OUT: { icon: '→', style: 'transfer' },
+    TRANSFER_IN: { icon: '←', style: 'transfer' },
+    ADJUSTMENT: { icon: '⚖', style: 'adjustment' },
+};
+
+// Transaction explorer filters, as typed into the search form
+const EMPTY_FILTERS = {
+    customer: '',
+    type: '',
+    cashier: '',
+    from: '',
+    to: '',
+    minAmount: '',
+    maxAmount: '',
+    q: '',
+};
+
+/**
+ * Converts explorer filters to search parameters. The date inputs are local
+ * days: from starts at local midnight and to covers the whole day.
+ * @param {Object} filters - EMPTY_FILTERS shape.
+ * @returns {Object}
+ */
+function toSearchFilters(filters) {
+    const dayStart = (day, offset = 0) => {
+        const date = new Date(`${day}T00:00`);
+        date.setDate(date.getDate() + offset);
+        return date.toISOString();
+    };
+    return {
+        ...filters,
+        from: filters.from ? dayStart(filters.from) : '',
+        to: filters.to ? dayStart(filters.to, 1) : '',
+    };
+}
+
+/**
+ * Splits an ADJUSTMENT note ("[REASON_CODE] justification") into its parts.
+ * @param {string} note
+ * @returns {{reasonCode: string, justification: string}}
+ */
+function parseAdjustmentNote(note) {
+    const match = /^\[([^\]]+)\]\s*(.*)$/s.exec(note || '');
+    return match
+        ? { reasonCode: match[1], justification: match[2] }
+        : { reasonCode: '', justification: note || '' };
+}
+
 /**
  * Dashboard page component.
  * Shows transaction history, balance lookup, and top-up / spend forms.
+ * Admins also get an adjustment form for ledger corrections.
  */
-function Dashboard({ user, onLogout }) {
+function Dashboard({ user, userInfo, onLogout }) {
+    const isAdmin = (userInfo?.role || '').toLowerCase() === 'admin';
+
     const [transactions, setTransactions] = useState([]);
     const [loading, setLoading] = useState(true);
     const [submitting, setSubmitting] = useState(false);
+    const [refundingId, setRefundingId] = useState(null); // transactionId being refunded
     const [message, setMessage] = useState(null); // { type: 'success'|'error', text }
 
-    // Mode toggle: 'topup' or 'spend'
+    // Mode toggle: 'topup', 'spend', 'adjust' (admins only) or 'close' (drawer close-out)
     const [mode, setMode] = useState('topup');
 
-    // Account type toggle: 'personal' or 'shared'
+    // Account type toggle: 'personal' or 'shared' (the cashier's cash drawer)
     const [accountType, setAccountType] = useState('personal');
+    const [cashDrawer, setCashDrawer] = useState('Shared Deposit');
+    const [drawerNames, setDrawerNames] = useState(['Shared Deposit']);
 
     // Form state
     const [customer, setCustomer] = useState('');
     const [amount, setAmount] = useState('');
     const [note, setNote] = useState('');
 
+    // Adjustment form state (admins only)
+    const [reasonCodes, setReasonCodes] = useState([]);
+    const [reasonCode, setReasonCode] = useState('');
+    const [reference, setReference] = useState('');
+
     // Balance state
     const [balance, setBalance] = useState(null); // null = not looked up yet
     const [balanceLoading, setBalanceLoading] = useState(false);
     const [balanceCustomer, setBalanceCustomer] = useState(''); // tracks which customer the balance is for
     const [customerNames, setCustomerNames] = useState([]); // all active user names for autocomplete
 
+    // Group accounts are charged for one of their members
+    const [groupNames, setGroupNames] = useState([]);
+    const [member, setMember] = useState('');
+
+    // Transaction explorer: the filters being edited, the ones last searched, and paging
+    const [showFilters, setShowFilters] = useState(false);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+    const [sortBy, setSortBy] = useState('timestamp:desc');
+    const [nextCursor, setNextCursor] = useState(null);
+    const [matchSummary, setMatchSummary] = useState(null); // { total, sum } of every matching row
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [searchError, setSearchError] = useState(null);
+
+    // Ledger export (admins)
+    const [showExport, setShowExport] = useState(false);
+    const [exportFormat, setExportFormat] = useState('csv');
+    const [exportRunningBalance, setExportRunningBalance] = useState(false);
+    const [exportSummary, setExportSummary] = useState(false);
+    const [exporting, setExporting] = useState(false);
+    const isFiltered = Object.values(appliedFilters).some((v) => v !== '');
+
     /**
-     * Fetch recent transactions from the backend.
+     * Fetch the first page of transactions matching the applied filters.
      */
     const fetchTransactions = useCallback(async () => {
         try {
             setLoading(true);
-            const data = await getTransactions(user.token, 10);
-            setTransactions(data);
+            setSearchError(null);
+            const [sort, order] = sortBy.split(':');
+            const data = await searchTransactions(user.token, toSearchFilters(appliedFilters), { sort, order, limit: 20 });
+            setTransactions(data.transactions || []);
+            setNextCursor(data.nextCursor);
+            setMatchSummary({ total: data.total, sum: data.sum });
         } catch (err) {
             console.error('Failed to fetch transactions:', err);
             if (err.message.includes('401') || err.message.includes('token')) {
                 onLogout();
             }
+            setSearchError(err.message);
         } finally {
             setLoading(false);
         }
-    }, [user.token, onLogout]);
+    }, [user.token, onLogout, appliedFilters, sortBy]);
+
+    /**
+     * Append the next page of search results.
+     */
+    const handleLoadMore = async () => {
+        setLoadingMore(true);
+        try {
+            const [sort, order] = sortBy.split(':');
+            const data = await searchTransactions(user.token, toSearchFilters(appliedFilters), { sort, order, limit: 20, cursor: nextCursor });
+            setTransactions((prev) => [...prev, ...(data.transactions || [])]);
+            setNextCursor(data.nextCursor);
+        } catch (err) {
+            setSearchError(err.message);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setAppliedFilters(filters);
+    };
+
+    const handleClearFilters = () => {
+        setFilters(EMPTY_FILTERS);
+        setAppliedFilters(EMPTY_FILTERS);
+    };
+
+    const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+    /**
+     * Download the ledger, limited to the customer and dates of the applied filters.
+     */
+    const handleExport = async () => {
+        setExporting(true);
+        setSearchError(null);
+        try {
+            const { customer: exportCustomer, from, to } = toSearchFilters(appliedFilters);
+            const blob = await downloadExport(user.token, {
+                format: exportFormat,
+                customer: exportCustomer.trim(),
+                from,
+                to,
+                runningBalance: exportRunningBalance,
+                summary: exportFormat === 'xlsx' && exportSummary,
+            });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `ledger-export-${new Date().toISOString().slice(0, 10)}.${exportFormat}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setSearchError(err.message);
+        } finally {
+            setExporting(false);
+        }
+    };
 
     useEffect(() => {
         fetchTransactions();
@@ -57,8 +207,25 @@ function Dashboard({ user, onLogout }) {
         getUserNames(user.token)
             .then((data) => setCustomerNames(data.names || []))
             .catch(() => { /* ignore */ });
+        getGroups(user.token)
+            .then((data) => setGroupNames((data.groups || []).map((g) => g.name.toLowerCase())))
+            .catch(() => { /* ignore */ });
+        getDrawers(user.token)
+            .then((data) => setDrawerNames((data.drawers || []).map((d) => d.name)))
+            .catch(() => { /* ignore */ });
+        getMyDrawer(user.token)
+            .then((data) => setCashDrawer(data.drawer))
+            .catch(() => { /* ignore */ });
     }, [user.token]);
 
+    // Fetch adjustment reason codes for admins
+    useEffect(() => {
+        if (!isAdmin) return;
+        getAdjustmentReasons(user.token)
+            .then((data) => setReasonCodes(data.reasonCodes || []))
+            .catch(() => { /* ignore */ });
+    }, [user.token, isAdmin]);
+
     /**
      * Fetch balance for the current customer in the form.
      * Debounced: triggered when customer field loses focus or on demand.
@@ -116,11 +283,16 @@ function Dashboard({ user, onLogout }) {
 
         // Client-side validation
         const parsedAmount = parseFloat(amount);
-        const effectiveCustomer = accountType === 'shared' ? 'Shared Deposit' : customer.trim();
+        const effectiveCustomer = accountType === 'shared' ? cashDrawer : customer.trim();
+        const chargesGroup = mode === 'spend' && groupNames.includes(effectiveCustomer.toLowerCase());
         if (!effectiveCustomer) {
             setMessage({ type: 'error', text: 'Customer name is required' });
             return;
         }
+        if (mode === 'adjust') {
+            await submitAdjustment(effectiveCustomer, parsedAmount);
+            return;
+        }
         if (isNaN(parsedAmount) || parsedAmount <= 0) {
             setMessage({ type: 'error', text: 'Amount must be a positive number' });
             return;
@@ -134,6 +306,7 @@ function Dashboard({ user, onLogout }) {
                 amount: parsedAmount,
                 note: note.trim(),
                 idempotencyKey: uuidv4(),
+                ...(chargesGroup ? { member: member.trim() } : {}),
             };
 
             const submitFn = mode === 'topup' ? postTopUp : postSpend;
@@ -142,12 +315,15 @@ function Dashboard({ user, onLogout }) {
             const label = mode === 'topup' ? 'Top-Up' : 'Spend';
             setMessage({
                 type: 'success',
-                text: `✅ ${label} ${result.transactionID.slice(0, 8)}… recorded successfully`,
+                text: result.replayed
+                    ? `✅ ${label} ${result.transactionID.slice(0, 8)}… was already recorded`
+                    : `✅ ${label} ${result.transactionID.slice(0, 8)}… recorded successfully`,
             });
 
             // Clear form
             setAmount('');
             setNote('');
+            setMember('');
 
             // Refresh data
             await fetchTransactions();
@@ -160,6 +336,97 @@ function Dashboard({ user, onLogout }) {
         }
     };
 
+    /**
+     * Submit an ADJUSTMENT (admins only). The amount is signed and the
+     * note field is the mandatory justification.
+     */
+    const submitAdjustment = async (effectiveCustomer, parsedAmount) => {
+        if (isNaN(parsedAmount) || parsedAmount === 0) {
+            setMessage({ type: 'error', text: 'Adjustment must be a non-zero amount' });
+            return;
+        }
+        if (!reasonCode) {
+            setMessage({ type: 'error', text: 'Choose a reason code' });
+            return;
+        }
+        if (!note.trim()) {
+            setMessage({ type: 'error', text: 'Justification is required' });
+            return;
+        }
+
+        setSubmitting(true);
+        try {
+            const result = await postAdjustment({
+                customer: effectiveCustomer,
+                amount: parsedAmount,
+                reasonCode,
+                justification: note.trim(),
+                reference: reference.trim(),
+                idempotencyKey: uuidv4(),
+            }, user.token);
+
+            setMessage({
+                type: 'success',
+                text: `⚖️ Adjustment ${result.transactionID.slice(0, 8)}… recorded (${result.reasonCode})`,
+            });
+
+            setAmount('');
+            setNote('');
+            setReference('');
+            setReasonCode('');
+
+            await fetchTransactions();
+            await fetchBalance(effectiveCustomer, true);
+        } catch (err) {
+            setMessage({ type: 'error', text: `❌ ${err.message}` });
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    /**
+     * Refund a SPEND from the transaction list. The amount defaults to the
+     * full spend; the backend rejects anything above what is still refundable.
+     */
+    const handleRefund = async (tx) => {
+        const input = window.prompt(
+            `Refund amount for ${tx.customer} (spend of ${formatAmount(Math.abs(tx.amount))}):`,
+            String(Math.abs(tx.amount))
+        );
+        if (input === null) return;
+
+        const parsedAmount = parseFloat(input);
+        if (isNaN(parsedAmount) || parsedAmount <= 0) {
+            setMessage({ type: 'error', text: 'Refund amount must be a positive number' });
+            return;
+        }
+
+        setMessage(null);
+        setRefundingId(tx.transactionId);
+        try {
+            const result = await postRefund({
+                transactionId: tx.transactionId,
+                amount: parsedAmount,
+                note: tx.note ? `Refund: ${tx.note}` : 'Refund',
+                idempotencyKey: uuidv4(),
+            }, user.token);
+
+            setMessage({
+                type: 'success',
+                text: `↩️ Refunded ${formatAmount(result.amount)} to ${result.customer}`,
+            });
+
+            await fetchTransactions();
+            if (balanceCustomer.toLowerCase() === tx.customer.toLowerCase()) {
+                await fetchBalance(balanceCustomer, true);
+            }
+        } catch (err) {
+            setMessage({ type: 'error', text: `❌ ${err.message}` });
+        } finally {
+            setRefundingId(null);
+        }
+    };
+
     /**
      * Format a timestamp for display.
      */
@@ -236,161 +503,395 @@ function Dashboard({ user, onLogout }) {
                             >
                                 ⬇️ Spend
                             </button>
-                        </div>
-
-                        {/* Account Type Toggle */}
-                        <div className="account-toggle">
-                            <button
-                                type="button"
-                                className={`account-toggle-btn ${accountType === 'personal' ? 'active-personal' : ''}`}
-                                onClick={() => {
-                                    setAccountType('personal');
-                                    setBalance(null);
-                                    setBalanceCustomer('');
-                                }}
-                            >
-                                👤 Personal
-                            </button>
+                            {isAdmin && (
+                                <button
+                                    className={`mode-btn ${mode === 'adjust' ? 'active-adjust' : ''}`}
+                                    onClick={() => { setMode('adjust'); setMessage(null); }}
+                                >
+                                    ⚖️ Adjust
+                                </button>
+                            )}
                             <button
-                                type="button"
-                                className={`account-toggle-btn ${accountType === 'shared' ? 'active-shared' : ''}`}
-                                onClick={() => {
-                                    setAccountType('shared');
-                                    setCustomer('');
-                                    fetchBalance('Shared Deposit', true);
-                                }}
+                                className={`mode-btn ${mode === 'close' ? 'active-close' : ''}`}
+                                onClick={() => { setMode('close'); setMessage(null); }}
                             >
-                                🏦 Shared Deposit
+                                🧾 Close
                             </button>
                         </div>
 
-                        {/* Balance Display */}
-                        {balance !== null && (
-                            <div className="balance-card">
-                                <div className="balance-label">Balance: {balanceCustomer}</div>
-                                <div className={`balance-value ${balance <= 0 ? 'balance-zero' : ''}`}>
-                                    {formatAmount(balance)}
+                        {mode === 'close' ? (
+                            <DrawerClose token={user.token} cashDrawer={cashDrawer} drawerNames={drawerNames} isAdmin={isAdmin} />
+                        ) : (
+                            <>
+                                {/* Account Type Toggle */}
+                                <div className="account-toggle">
+                                    <button
+                                        type="button"
+                                        className={`account-toggle-btn ${accountType === 'personal' ? 'active-personal' : ''}`}
+                                        onClick={() => {
+                                            setAccountType('personal');
+                                            setBalance(null);
+                                            setBalanceCustomer('');
+                                        }}
+                                    >
+                                        👤 Personal
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className={`account-toggle-btn ${accountType === 'shared' ? 'active-shared' : ''}`}
+                                        onClick={() => {
+                                            setAccountType('shared');
+                                            setCustomer('');
+                                            fetchBalance(cashDrawer, true);
+                                        }}
+                                    >
+                                        🏦 {cashDrawer}
+                                    </button>
                                 </div>
-                            </div>
-                        )}
 
-                        {message && (
-                            <div className={`alert alert-${message.type}`}>
-                                {message.text}
-                            </div>
-                        )}
+                                {/* Balance Display */}
+                                {balance !== null && (
+                                    <div className="balance-card">
+                                        <div className="balance-label">Balance: {balanceCustomer}</div>
+                                        <div className={`balance-value ${balance <= 0 ? 'balance-zero' : ''}`}>
+                                            {formatAmount(balance)}
+                                        </div>
+                                    </div>
+                                )}
 
-                        <form onSubmit={handleSubmit} className="topup-form">
-                            {accountType === 'personal' && (
-                                <div className="form-group">
-                                    <label htmlFor="customer">Customer</label>
-                                    <input
-                                        id="customer"
-                                        type="text"
-                                        value={customer}
-                                        onChange={(e) => {
-                                            setCustomer(e.target.value);
-                                            // Reset balance when customer changes
-                                            if (e.target.value.trim() !== balanceCustomer) {
-                                                setBalance(null);
-                                                setBalanceCustomer('');
+                                {message && (
+                                    <div className={`alert alert-${message.type}`}>
+                                        {message.text}
+                                    </div>
+                                )}
+
+                                <form onSubmit={handleSubmit} className="topup-form">
+                                    {accountType === 'personal' && (
+                                        <div className="form-group">
+                                            <label htmlFor="customer">Customer</label>
+                                            <input
+                                                id="customer"
+                                                type="text"
+                                                value={customer}
+                                                onChange={(e) => {
+                                                    setCustomer(e.target.value);
+                                                    // Reset balance when customer changes
+                                                    if (e.target.value.trim() !== balanceCustomer) {
+                                                        setBalance(null);
+                                                        setBalanceCustomer('');
+                                                    }
+                                                }}
+                                                onBlur={() => fetchBalance(customer)}
+                                                placeholder="Type to search…"
+                                                disabled={submitting}
+                                                required
+                                                list="customer-names"
+                                                autoComplete="off"
+                                            />
+                                            <datalist id="customer-names">
+                                                {customerNames
+                                                    .filter((name) => !drawerNames.includes(name))
+                                                    .map((name) => (
+                                                        <option key={name} value={name} />
+                                                    ))}
+                                            </datalist>
+                                            <span className="field-hint">Must match the exact name on dinbendon</span>
+                                        </div>
+                                    )}
+
+                                    {accountType === 'personal' && mode === 'spend' && groupNames.includes(customer.trim().toLowerCase()) && (
+                                        <div className="form-group">
+                                            <label htmlFor="member">Charged for</label>
+                                            <input
+                                                id="member"
+                                                type="text"
+                                                value={member}
+                                                onChange={(e) => setMember(e.target.value)}
+                                                placeholder="Group member"
+                                                disabled={submitting}
+                                                required
+                                                list="customer-names"
+                                                autoComplete="off"
+                                            />
+                                            <span className="field-hint">A group account is charged for one of its members who can spend</span>
+                                        </div>
+                                    )}
+
+                                    <div className="form-group">
+                                        <label htmlFor="amount">{mode === 'adjust' ? 'Amount (negative to debit)' : 'Amount'}</label>
+                                        <input
+                                            id="amount"
+                                            type="number"
+                                            value={amount}
+                                            onChange={(e) => setAmount(e.target.value)}
+                                            placeholder="0.00"
+                                            min={mode === 'adjust' ? undefined : '0.01'}
+                                            step="0.01"
+                                            disabled={submitting}
+                                            required
+                                        />
+                                    </div>
+
+                                    {mode === 'adjust' && (
+                                        <>
+                                            <div className="form-group">
+                                                <label htmlFor="reasonCode">Reason</label>
+                                                <select
+                                                    id="reasonCode"
+                                                    value={reasonCode}
+                                                    onChange={(e) => setReasonCode(e.target.value)}
+                                                    disabled={submitting}
+                                                    required
+                                                >
+                                                    <option value="">Choose a reason…</option>
+                                                    {reasonCodes.map((code) => (
+                                                        <option key={code} value={code}>{code}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                            <div className="form-group">
+                                                <label htmlFor="reference">Corrects transaction ID (optional)</label>
+                                                <input
+                                                    id="reference"
+                                                    type="text"
+                                                    value={reference}
+                                                    onChange={(e) => setReference(e.target.value)}
+                                                    placeholder="TransactionID of the wrong row"
+                                                    disabled={submitting}
+                                                />
+                                            </div>
+                                        </>
+                                    )}
+
+                                    <div className="form-group">
+                                        <label htmlFor="note">{mode === 'adjust' ? 'Justification' : 'Note (optional)'}</label>
+                                        <input
+                                            id="note"
+                                            type="text"
+                                            value={note}
+                                            onChange={(e) => setNote(e.target.value)}
+                                            placeholder={
+                                                mode === 'topup' ? 'e.g. February top-up'
+                                                    : mode === 'spend' ? 'e.g. Purchase of materials'
+                                                        : 'Why is this correction needed?'
                                             }
-                                        }}
-                                        onBlur={() => fetchBalance(customer)}
-                                        placeholder="Type to search…"
+                                            disabled={submitting}
+                                            required={mode === 'adjust'}
+                                        />
+                                    </div>
+
+                                    <button
+                                        type="submit"
+                                        className={`btn-submit ${mode === 'spend' ? 'btn-spend' : ''} ${mode === 'adjust' ? 'btn-adjust' : ''}`}
                                         disabled={submitting}
-                                        required
-                                        list="customer-names"
-                                        autoComplete="off"
+                                    >
+                                        {submitting ? (
+                                            <span className="spinner">⏳</span>
+                                        ) : mode === 'topup' ? (
+                                            '💸 Submit Top-Up'
+                                        ) : mode === 'spend' ? (
+                                            '🛒 Submit Spend'
+                                        ) : (
+                                            '⚖️ Submit Adjustment'
+                                        )}
+                                    </button>
+                                </form>
+                            </>
+                        )}
+                    </section>
+
+                    {/* Transaction List */}
+                    <section className="card transactions-card">
+                        <div className="tx-header">
+                            <h2>Recent Transactions</h2>
+                            <button
+                                type="button"
+                                className={`btn-tx-search ${showFilters ? 'active' : ''}`}
+                                onClick={() => setShowFilters(!showFilters)}
+                            >
+                                🔍 Search
+                            </button>
+                            {isAdmin && (
+                                <button
+                                    type="button"
+                                    className={`btn-tx-search ${showExport ? 'active' : ''}`}
+                                    onClick={() => setShowExport(!showExport)}
+                                >
+                                    ⬇ Export
+                                </button>
+                            )}
+                        </div>
+
+                        {showExport && (
+                            <div className="tx-export">
+                                <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+                                    <option value="csv">CSV</option>
+                                    <option value="ndjson">JSON lines (NDJSON)</option>
+                                    <option value="xlsx">Excel (XLSX)</option>
+                                </select>
+                                <label className="tx-export-option">
+                                    <input
+                                        type="checkbox"
+                                        checked={exportRunningBalance}
+                                        onChange={(e) => setExportRunningBalance(e.target.checked)}
                                     />
-                                    <datalist id="customer-names">
-                                        {customerNames
-                                            .filter((name) => name !== 'Shared Deposit')
-                                            .map((name) => (
-                                                <option key={name} value={name} />
-                                            ))}
-                                    </datalist>
-                                    <span className="field-hint">Must match the exact name on dinbendon</span>
+                                    Running balances
+                                </label>
+                                <label className="tx-export-option">
+                                    <input
+                                        type="checkbox"
+                                        checked={exportFormat === 'xlsx' && exportSummary}
+                                        disabled={exportFormat !== 'xlsx'}
+                                        onChange={(e) => setExportSummary(e.target.checked)}
+                                    />
+                                    Per-customer summary sheet
+                                </label>
+                                <div className="tx-export-scope">
+                                    {appliedFilters.customer || appliedFilters.from || appliedFilters.to
+                                        ? `${appliedFilters.customer || 'All customers'} · ${appliedFilters.from || 'start'} – ${appliedFilters.to || 'today'}`
+                                        : 'Whole ledger (set a customer or dates in 🔍 Search to narrow it)'}
                                 </div>
-                            )}
+                                <button type="button" className="btn-tx-search active" onClick={handleExport} disabled={exporting}>
+                                    {exporting ? 'Exporting…' : 'Download'}
+                                </button>
+                            </div>
+                        )}
 
-                            <div className="form-group">
-                                <label htmlFor="amount">Amount</label>
+                        {showFilters && (
+                            <form className="tx-filters" onSubmit={handleSearch}>
                                 <input
-                                    id="amount"
-                                    type="number"
-                                    value={amount}
-                                    onChange={(e) => setAmount(e.target.value)}
-                                    placeholder="0.00"
-                                    min="0.01"
-                                    step="0.01"
-                                    disabled={submitting}
-                                    required
+                                    type="text"
+                                    list="tx-filter-customers"
+                                    value={filters.customer}
+                                    onChange={setFilter('customer')}
+                                    placeholder="Customer"
                                 />
-                            </div>
-
-                            <div className="form-group">
-                                <label htmlFor="note">Note (optional)</label>
+                                <datalist id="tx-filter-customers">
+                                    {customerNames.map((n) => <option key={n} value={n} />)}
+                                </datalist>
+                                <select value={filters.type} onChange={setFilter('type')}>
+                                    <option value="">All types</option>
+                                    {Object.keys(TX_TYPE_DISPLAY).map((type) => (
+                                        <option key={type} value={type}>{type}</option>
+                                    ))}
+                                </select>
                                 <input
-                                    id="note"
                                     type="text"
-                                    value={note}
-                                    onChange={(e) => setNote(e.target.value)}
-                                    placeholder={mode === 'topup' ? 'e.g. February top-up' : 'e.g. Purchase of materials'}
-                                    disabled={submitting}
+                                    value={filters.cashier}
+                                    onChange={setFilter('cashier')}
+                                    placeholder="Cashier email"
                                 />
-                            </div>
+                                <input
+                                    type="text"
+                                    value={filters.q}
+                                    onChange={setFilter('q')}
+                                    placeholder="Note contains…"
+                                />
+                                <label className="tx-filter-range">
+                                    <span>Date</span>
+                                    <input type="date" value={filters.from} onChange={setFilter('from')} />
+                                    <span>–</span>
+                                    <input type="date" value={filters.to} onChange={setFilter('to')} />
+                                </label>
+                                <label className="tx-filter-range">
+                                    <span>Amount</span>
+                                    <input type="number" min="0" value={filters.minAmount} onChange={setFilter('minAmount')} placeholder="min" />
+                                    <span>–</span>
+                                    <input type="number" min="0" value={filters.maxAmount} onChange={setFilter('maxAmount')} placeholder="max" />
+                                </label>
+                                <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+                                    <option value="timestamp:desc">Newest first</option>
+                                    <option value="timestamp:asc">Oldest first</option>
+                                    <option value="amount:desc">Amount, high to low</option>
+                                    <option value="amount:asc">Amount, low to high</option>
+                                    <option value="customer:asc">Customer, A–Z</option>
+                                    <option value="customer:desc">Customer, Z–A</option>
+                                </select>
+                                <div className="tx-filter-actions">
+                                    <button type="submit" className="btn-tx-search active">Search</button>
+                                    <button type="button" className="btn-tx-search" onClick={handleClearFilters}>Clear</button>
+                                </div>
+                            </form>
+                        )}
 
-                            <button
-                                type="submit"
-                                className={`btn-submit ${mode === 'spend' ? 'btn-spend' : ''}`}
-                                disabled={submitting}
-                            >
-                                {submitting ? (
-                                    <span className="spinner">⏳</span>
-                                ) : mode === 'topup' ? (
-                                    '💸 Submit Top-Up'
-                                ) : (
-                                    '🛒 Submit Spend'
-                                )}
-                            </button>
-                        </form>
-                    </section>
+                        {searchError && (
+                            <div className="alert alert-error">❌ {searchError}</div>
+                        )}
 
-                    {/* Transaction List */}
-                    <section className="card transactions-card">
-                        <h2>Recent Transactions</h2>
+                        {isFiltered && matchSummary && !loading && (
+                            <div className="tx-summary">
+                                {matchSummary.total} matching · net {matchSummary.sum >= 0 ? '+' : ''}{formatAmount(matchSummary.sum)}
+                            </div>
+                        )}
 
                         {loading ? (
                             <div className="loading">Loading transactions…</div>
                         ) : transactions.length === 0 ? (
                             <div className="empty-state">
-                                <p>No transactions yet</p>
+                                <p>{isFiltered ? 'No matching transactions' : 'No transactions yet'}</p>
                             </div>
                         ) : (
                             <div className="transactions-list">
-                                {transactions.map((tx) => (
-                                    <div key={tx.transactionId} className="tx-item">
-                                        <div className="tx-main">
-                                            <div className="tx-left">
-                                                <span className={`tx-type-badge ${tx.type === 'TOPUP' ? 'badge-topup' : 'badge-spend'}`}>
-                                                    {tx.type === 'TOPUP' ? '⬆' : '⬇'}
-                                                </span>
-                                                <span className="tx-customer">{tx.customer}</span>
+                                {transactions.map((tx) => {
+                                    const display = TX_TYPE_DISPLAY[tx.type] || TX_TYPE_DISPLAY.SPEND;
+                                    const adjustment = tx.type === 'ADJUSTMENT' ? parseAdjustmentNote(tx.note) : null;
+                                    return (
+                                        <div key={tx.transactionId} className={`tx-item ${adjustment ? 'tx-item-adjustment' : ''}`}>
+                                            <div className="tx-main">
+                                                <div className="tx-left">
+                                                    <span className={`tx-type-badge badge-${display.style}`}>
+                                                        {display.icon}
+                                                    </span>
+                                                    <span className="tx-customer">{tx.customer}</span>
+                                                    {tx.counterparty && (
+                                                        <span className="tx-counterparty">
+                                                            {tx.type === 'TRANSFER_OUT' ? `→ ${tx.counterparty}` : `← ${tx.counterparty}`}
+                                                        </span>
+                                                    )}
+                                                </div>
+                                                <div className={`tx-amount ${tx.amount >= 0 ? 'tx-positive' : 'tx-negative'}`}>
+                                                    {tx.amount >= 0 ? '+' : ''}{formatAmount(tx.amount)}
+                                                </div>
                                             </div>
-                                            <div className={`tx-amount ${tx.amount >= 0 ? 'tx-positive' : 'tx-negative'}`}>
-                                                {tx.amount >= 0 ? '+' : ''}{formatAmount(tx.amount)}
+                                            <div className="tx-details">
+                                                <span className={`tx-type type-${display.style}`}>
+                                                    {tx.type}
+                                                </span>
+                                                <span className="tx-time">{formatTime(tx.timestamp)}</span>
                                             </div>
+                                            {adjustment ? (
+                                                <div className="tx-adjustment">
+                                                    {adjustment.reasonCode && (
+                                                        <span className="tx-reason-code">{adjustment.reasonCode}</span>
+                                                    )}
+                                                    <span className="tx-note">{adjustment.justification}</span>
+                                                    <span className="tx-approver">Approved by {tx.cashierEmail}</span>
+                                                </div>
+                                            ) : (
+                                                tx.note && <div className="tx-note">{tx.note}</div>
+                                            )}
+                                            {tx.type === 'SPEND' && (
+                                                <button
+                                                    className="btn-refund"
+                                                    onClick={() => handleRefund(tx)}
+                                                    disabled={refundingId === tx.transactionId}
+                                                >
+                                                    {refundingId === tx.transactionId ? 'Refunding…' : '↩ Refund'}
+                                                </button>
+                                            )}
                                         </div>
-                                        <div className="tx-details">
-                                            <span className={`tx-type ${tx.type === 'TOPUP' ? 'type-topup' : 'type-spend'}`}>
-                                                {tx.type}
-                                            </span>
-                                            <span className="tx-time">{formatTime(tx.timestamp)}</span>
-                                        </div>
-                                        {tx.note && <div className="tx-note">{tx.note}</div>}
-                                    </div>
-                                ))}
+                                    );
+                                })}
+                                {nextCursor && (
+                                    <button
+                                        type="button"
+                                        className="btn-tx-search btn-load-more"
+                                        onClick={handleLoadMore}
+                                        disabled={loadingMore}
+                                    >
+                                        {loadingMore ? 'Loading…' : 'Load more'}
+                                    </button>
+                                )}
                             </div>
                         )}
                     </section>
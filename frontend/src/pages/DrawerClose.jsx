@@ -0,0 +1,220 @@
+import { useState, useEffect, useCallback } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { getDrawerClose, postDrawerClose, getDrawerCloses } from '../api';
+import './DrawerClose.css';
+
+const fmt = (n) => new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 }).format(n);
+const signed = (n) => `${n > 0 ? '+' : ''}${fmt(n)}`;
+
+/**
+ * Drawer close-out screen (Dashboard "Close" mode).
+ * Shows the cash the drawer should hold since its last close, takes the
+ * counted cash by denomination, and records the close with its variance.
+ * Cashiers close their own drawer; admins pick any drawer and are the only
+ * ones who can close with a variance above the block threshold (with a note).
+ */
+function DrawerClose({ token, cashDrawer, drawerNames, isAdmin }) {
+    const [picked, setPicked] = useState('');
+    const drawer = isAdmin && picked ? picked : cashDrawer;
+
+    const [expectation, setExpectation] = useState(null);
+    const [closes, setCloses] = useState([]);
+    const [counts, setCounts] = useState({}); // { denomination: input string }
+    const [deposited, setDeposited] = useState('');
+    const [note, setNote] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const fetchExpectation = useCallback(async () => {
+        try {
+            setExpectation(await getDrawerClose(drawer, token));
+            setCloses((await getDrawerCloses(drawer, token)).closes || []);
+        } catch (err) {
+            setExpectation(null);
+            setMessage({ type: 'error', text: err.message });
+        }
+    }, [drawer, token]);
+
+    useEffect(() => {
+        fetchExpectation();
+    }, [fetchExpectation]);
+
+    const counted = expectation
+        ? expectation.denominations.reduce((sum, d) => sum + d * (parseInt(counts[d], 10) || 0), 0)
+        : 0;
+    const variance = expectation ? Math.round((counted - expectation.expected) * 100) / 100 : 0;
+    const level = !expectation ? 'ok'
+        : Math.abs(variance) > expectation.varianceBlock ? 'block'
+            : Math.abs(variance) > expectation.varianceWarn ? 'warn'
+                : 'ok';
+
+    async function handleClose(e) {
+        e.preventDefault();
+        setMessage(null);
+
+        const depositedAmount = deposited.trim() ? parseFloat(deposited) : 0;
+        if (isNaN(depositedAmount) || depositedAmount < 0) {
+            setMessage({ type: 'error', text: 'Deposited must be a positive number' });
+            return;
+        }
+        const denominations = {};
+        for (const d of expectation.denominations) {
+            const n = parseInt(counts[d], 10);
+            if (n > 0) denominations[d] = n;
+        }
+
+        setSubmitting(true);
+        try {
+            const result = await postDrawerClose(drawer, {
+                denominations,
+                deposited: depositedAmount,
+                note: note.trim(),
+                idempotencyKey: uuidv4(),
+            }, token);
+
+            setMessage({
+                type: result.level === 'ok' ? 'success' : 'warning',
+                text: result.warning
+                    ? `🧾 ${result.drawer} closed — ${result.warning}`
+                    : `🧾 ${result.drawer} closed with a variance of ${signed(result.variance)}`,
+            });
+            setCounts({});
+            setDeposited('');
+            setNote('');
+            await fetchExpectation();
+        } catch (err) {
+            setMessage({ type: 'error', text: `❌ ${err.message}` });
+        } finally {
+            setSubmitting(false);
+        }
+    }
+
+    return (
+        <div className="drawer-close">
+            {isAdmin && (
+                <div className="form-group">
+                    <label htmlFor="close-drawer">Drawer</label>
+                    <select
+                        id="close-drawer"
+                        value={drawer}
+                        onChange={(e) => { setPicked(e.target.value); setMessage(null); }}
+                        disabled={submitting}
+                    >
+                        {drawerNames.map((name) => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            {expectation && (
+                <div className="balance-card drawer-expected">
+                    <div className="balance-label">Expected in {expectation.drawer}</div>
+                    <div className="balance-value">{fmt(expectation.expected)}</div>
+                    <div className="drawer-period">
+                        {expectation.periodStart
+                            ? `Since ${new Date(expectation.periodStart).toLocaleString()}`
+                            : 'First close'}
+                    </div>
+                    <div className="drawer-breakdown">
+                        <span>Opening {fmt(expectation.opening)}</span>
+                        <span>Top-ups {signed(expectation.topUps)}</span>
+                        <span>Cash checkouts {signed(expectation.cashCheckouts)}</span>
+                        <span>Returned {signed(-expectation.cashReturned)}</span>
+                    </div>
+                </div>
+            )}
+
+            {message && (
+                <div className={`alert alert-${message.type}`}>
+                    {message.text}
+                </div>
+            )}
+
+            {expectation && (
+                <form onSubmit={handleClose} className="topup-form">
+                    <div className="drawer-denominations">
+                        {expectation.denominations.map((d) => (
+                            <label key={d} className="drawer-denomination">
+                                <span className="drawer-denomination-value">{fmt(d)}</span>
+                                <span className="drawer-denomination-times">×</span>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="1"
+                                    value={counts[d] || ''}
+                                    onChange={(e) => setCounts({ ...counts, [d]: e.target.value })}
+                                    placeholder="0"
+                                    disabled={submitting}
+                                />
+                            </label>
+                        ))}
+                    </div>
+
+                    <div className={`drawer-variance drawer-variance-${level}`}>
+                        <span>Counted {fmt(counted)}</span>
+                        <span>Variance {signed(variance)}</span>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="close-deposited">Deposited (optional)</label>
+                        <input
+                            id="close-deposited"
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={deposited}
+                            onChange={(e) => setDeposited(e.target.value)}
+                            placeholder="0"
+                            disabled={submitting}
+                        />
+                        <span className="field-hint">Cash taken out of the drawer now; the rest opens the next period</span>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="close-note">{level === 'block' ? 'Note (required)' : 'Note (optional)'}</label>
+                        <input
+                            id="close-note"
+                            type="text"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            placeholder="e.g. Counted with the manager"
+                            disabled={submitting}
+                            required={level === 'block'}
+                        />
+                        {level === 'block' && (
+                            <span className="field-hint">
+                                {isAdmin
+                                    ? `The variance is above ${fmt(expectation.varianceBlock)}; explain it before closing`
+                                    : `The variance is above ${fmt(expectation.varianceBlock)}; recount, or ask an admin to close`}
+                            </span>
+                        )}
+                    </div>
+
+                    <button
+                        type="submit"
+                        className="btn-submit btn-close"
+                        disabled={submitting || (level === 'block' && !isAdmin)}
+                    >
+                        {submitting ? <span className="spinner">⏳</span> : '🧾 Close Drawer'}
+                    </button>
+                </form>
+            )}
+
+            {closes.length > 0 && (
+                <div className="drawer-closes">
+                    <div className="balance-label">Past closes</div>
+                    {closes.map((c) => (
+                        <div key={c.id} className="drawer-close-row">
+                            <span className="drawer-close-time">{new Date(c.closedAt).toLocaleString()}</span>
+                            <span>{fmt(c.counted)} / {fmt(c.expected)}</span>
+                            <span className={`drawer-variance-${c.level}`}>{signed(c.variance)}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default DrawerClose;
@@ -0,0 +1,399 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getGroups, getGroup, postGroup, putGroupMember, deleteGroupMember, postStaged, getUserNames } from '../api';
+import './MyAccount.css';
+import './Groups.css';
+
+const fmt = (n) => new Intl.NumberFormat('en-US').format(n);
+
+/**
+ * Groups page — group accounts with a shared budget.
+ * Lists the groups the user can see (buyers: their own), and for the
+ * selected group shows its balance, staged budget, members and history.
+ * The owner (or an admin) manages members; the owner, cashiers and
+ * admins stage the group's budget.
+ */
+function Groups({ user, userInfo }) {
+    const role = (userInfo?.role || '').toLowerCase();
+    const isAdmin = role === 'admin';
+    const canWrite = role === 'cashier' || role === 'admin';
+    const ownName = (userInfo?.name || '').toLowerCase();
+
+    const [groups, setGroups] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [selectedName, setSelectedName] = useState(null);
+    const [detail, setDetail] = useState(null);
+    const [userNames, setUserNames] = useState([]); // members for autocomplete
+
+    // Create group state
+    const [newName, setNewName] = useState('');
+    const [createLoading, setCreateLoading] = useState(false);
+    const [createMessage, setCreateMessage] = useState(null);
+
+    // Stage state
+    const [stageInput, setStageInput] = useState('');
+    const [stageLoading, setStageLoading] = useState(false);
+    const [stageMessage, setStageMessage] = useState(null);
+
+    // Member state
+    const [memberInput, setMemberInput] = useState('');
+    const [memberCanSpend, setMemberCanSpend] = useState(true);
+    const [memberLoading, setMemberLoading] = useState(false);
+    const [memberMessage, setMemberMessage] = useState(null);
+
+    const fetchGroups = useCallback(async () => {
+        try {
+            const result = await getGroups(user.token);
+            setGroups(result.groups || []);
+        } catch (err) {
+            setCreateMessage({ type: 'error', text: err.message });
+        } finally {
+            setLoading(false);
+        }
+    }, [user.token]);
+
+    const fetchDetail = useCallback(async () => {
+        if (!selectedName) return;
+        try {
+            setDetail(await getGroup(selectedName, user.token));
+        } catch (err) {
+            setDetail(null);
+            setMemberMessage({ type: 'error', text: err.message });
+        }
+    }, [selectedName, user.token]);
+
+    useEffect(() => {
+        fetchGroups();
+    }, [fetchGroups]);
+
+    useEffect(() => {
+        fetchDetail();
+    }, [fetchDetail]);
+
+    useEffect(() => {
+        getUserNames(user.token)
+            .then((data) => setUserNames(data.names || []))
+            .catch(() => { /* ignore */ });
+    }, [user.token]);
+
+    const isOwner = !!detail && detail.owner.toLowerCase() === ownName;
+    const canManage = isOwner || isAdmin;
+    const canStage = isOwner || canWrite;
+
+    function selectGroup(name) {
+        setSelectedName(name);
+        setStageMessage(null);
+        setMemberMessage(null);
+    }
+
+    async function handleCreate(e) {
+        e.preventDefault();
+        if (!newName.trim()) return;
+
+        setCreateLoading(true);
+        setCreateMessage(null);
+        try {
+            const group = await postGroup(newName.trim(), undefined, user.token);
+            setNewName('');
+            setCreateMessage({ type: 'success', text: `Created ${group.name}` });
+            await fetchGroups();
+            selectGroup(group.name);
+        } catch (err) {
+            setCreateMessage({ type: 'error', text: err.message });
+        } finally {
+            setCreateLoading(false);
+        }
+    }
+
+    async function handleStage(e) {
+        e.preventDefault();
+        const amount = parseFloat(stageInput);
+        if (isNaN(amount) || amount < 0) {
+            setStageMessage({ type: 'error', text: 'Enter a valid amount (≥ 0)' });
+            return;
+        }
+
+        setStageLoading(true);
+        setStageMessage(null);
+        try {
+            const result = await postStaged(amount, user.token, detail.name);
+            setStageInput('');
+            setStageMessage({ type: 'success', text: `Staged $${fmt(result.stagedAmount)}` });
+            await fetchDetail();
+            await fetchGroups();
+        } catch (err) {
+            setStageMessage({ type: 'error', text: err.message });
+        } finally {
+            setStageLoading(false);
+        }
+    }
+
+    async function handleSetMember(member, canSpend) {
+        setMemberLoading(true);
+        setMemberMessage(null);
+        try {
+            setDetail({ ...detail, ...(await putGroupMember(detail.name, member, canSpend, user.token)) });
+            return true;
+        } catch (err) {
+            setMemberMessage({ type: 'error', text: err.message });
+            return false;
+        } finally {
+            setMemberLoading(false);
+        }
+    }
+
+    async function handleAddMember(e) {
+        e.preventDefault();
+        if (!memberInput.trim()) return;
+        if (await handleSetMember(memberInput.trim(), memberCanSpend)) {
+            setMemberMessage({ type: 'success', text: `${memberInput.trim()} added` });
+            setMemberInput('');
+            await fetchGroups();
+        }
+    }
+
+    async function handleRemoveMember(member) {
+        const leaving = member.toLowerCase() === ownName;
+        if (!window.confirm(leaving ? `Leave ${detail.name}?` : `Remove ${member} from ${detail.name}?`)) return;
+
+        setMemberLoading(true);
+        setMemberMessage(null);
+        try {
+            await deleteGroupMember(detail.name, member, user.token);
+            await fetchGroups();
+            if (leaving && !canWrite) {
+                setSelectedName(null);
+                setDetail(null);
+            } else {
+                await fetchDetail();
+            }
+        } catch (err) {
+            setMemberMessage({ type: 'error', text: err.message });
+        } finally {
+            setMemberLoading(false);
+        }
+    }
+
+    return (
+        <div className="myaccount-page">
+            <div className="myaccount-header">
+                <div>
+                    <h2 className="myaccount-name">👥 Groups</h2>
+                    <p className="myaccount-email">Shared budgets for team lunches</p>
+                </div>
+            </div>
+
+            {/* Group picker */}
+            <div className="myaccount-alias-card">
+                <div className="stage-header">
+                    <div className="stage-label">{canWrite ? 'All Groups' : 'Your Groups'}</div>
+                    <div className="stage-hint">Create a group to pool money; you become its owner</div>
+                </div>
+                {loading ? (
+                    <p className="alias-empty">Loading groups…</p>
+                ) : groups.length > 0 ? (
+                    <div className="group-list">
+                        {groups.map((g) => (
+                            <button
+                                key={g.name}
+                                type="button"
+                                className={`group-chip ${detail && detail.name === g.name ? 'group-chip-active' : ''}`}
+                                onClick={() => selectGroup(g.name)}
+                            >
+                                {g.name}
+                                <span className="group-chip-balance">${fmt(g.balance)}</span>
+                            </button>
+                        ))}
+                    </div>
+                ) : (
+                    <p className="alias-empty">No groups yet.</p>
+                )}
+                <form className="stage-form" onSubmit={handleCreate}>
+                    <input
+                        type="text"
+                        value={newName}
+                        onChange={(e) => setNewName(e.target.value)}
+                        placeholder="New group name"
+                        className="transfer-input"
+                        maxLength={50}
+                        disabled={createLoading}
+                    />
+                    <button type="submit" className="btn-transfer" disabled={createLoading || !newName.trim()}>
+                        {createLoading ? '⏳' : '➕ Create Group'}
+                    </button>
+                </form>
+                {createMessage && (
+                    <p className={`stage-msg ${createMessage.type}`}>{createMessage.text}</p>
+                )}
+            </div>
+
+            {detail && (
+                <>
+                    {/* Balance */}
+                    <div className="myaccount-balance-card">
+                        <div className="balance-label">{detail.name} — Balance</div>
+                        <div className="balance-amount">${fmt(detail.balance)}</div>
+                        <p className="group-owner">Owner: {detail.owner}</p>
+                    </div>
+
+                    {/* Staged budget */}
+                    <div className="myaccount-stage-card">
+                        <div className="stage-header">
+                            <div className="stage-label">Staged Budget</div>
+                            <div className="stage-hint">Members can be checked out up to this amount</div>
+                        </div>
+                        <div className="stage-current">
+                            <span className="stage-current-label">Currently Staged:</span>
+                            <span className={`stage-current-amount ${detail.stagedAmount > 0 ? 'active' : ''}`}>
+                                ${fmt(detail.stagedAmount)}
+                            </span>
+                        </div>
+                        {canStage && (
+                            <form className="stage-form" onSubmit={handleStage}>
+                                <div className="stage-input-wrap">
+                                    <span className="stage-input-prefix">$</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="1"
+                                        value={stageInput}
+                                        onChange={(e) => setStageInput(e.target.value)}
+                                        placeholder="Amount to stage (0 to clear)"
+                                        className="stage-input"
+                                        disabled={stageLoading}
+                                    />
+                                </div>
+                                <div className="stage-btns">
+                                    <button type="submit" className="btn-stage" disabled={stageLoading || stageInput === ''}>
+                                        {stageLoading ? '⏳' : '📌 Stage'}
+                                    </button>
+                                </div>
+                            </form>
+                        )}
+                        {stageMessage && (
+                            <p className={`stage-msg ${stageMessage.type}`}>{stageMessage.text}</p>
+                        )}
+                    </div>
+
+                    {/* Members */}
+                    <div className="myaccount-transfer-card">
+                        <div className="stage-header">
+                            <div className="stage-label">Members</div>
+                            <div className="stage-hint">Only members who can spend may be charged to this group</div>
+                        </div>
+                        <ul className="group-members">
+                            {detail.members.map((m) => {
+                                const memberIsOwner = m.member.toLowerCase() === detail.owner.toLowerCase();
+                                return (
+                                    <li key={m.member} className="group-member">
+                                        <span className="group-member-name">
+                                            {m.member}
+                                            {memberIsOwner && <span className="group-owner-badge">owner</span>}
+                                        </span>
+                                        <label className="group-member-spend">
+                                            <input
+                                                type="checkbox"
+                                                checked={m.canSpend}
+                                                onChange={(e) => handleSetMember(m.member, e.target.checked)}
+                                                disabled={!canManage || memberIsOwner || memberLoading}
+                                            />
+                                            can spend
+                                        </label>
+                                        {!memberIsOwner && (canManage || m.member.toLowerCase() === ownName) && (
+                                            <button
+                                                type="button"
+                                                className="alias-remove"
+                                                onClick={() => handleRemoveMember(m.member)}
+                                                disabled={memberLoading}
+                                                title={m.member.toLowerCase() === ownName ? 'Leave group' : 'Remove member'}
+                                            >
+                                                ×
+                                            </button>
+                                        )}
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                        {canManage && (
+                            <form className="stage-form" onSubmit={handleAddMember}>
+                                <input
+                                    type="text"
+                                    list="group-member-names"
+                                    value={memberInput}
+                                    onChange={(e) => setMemberInput(e.target.value)}
+                                    placeholder="Member name"
+                                    className="transfer-input"
+                                    disabled={memberLoading}
+                                />
+                                <datalist id="group-member-names">
+                                    {userNames.map((n) => <option key={n} value={n} />)}
+                                </datalist>
+                                <label className="group-member-spend">
+                                    <input
+                                        type="checkbox"
+                                        checked={memberCanSpend}
+                                        onChange={(e) => setMemberCanSpend(e.target.checked)}
+                                        disabled={memberLoading}
+                                    />
+                                    can spend
+                                </label>
+                                <button type="submit" className="btn-transfer" disabled={memberLoading || !memberInput.trim()}>
+                                    {memberLoading ? '⏳' : '➕ Add Member'}
+                                </button>
+                            </form>
+                        )}
+                        {memberMessage && (
+                            <p className={`stage-msg ${memberMessage.type}`}>{memberMessage.text}</p>
+                        )}
+                    </div>
+
+                    {/* History */}
+                    <div className="myaccount-history">
+                        <h3>Transaction History — {detail.name}</h3>
+                        {detail.transactions.length === 0 ? (
+                            <div className="history-empty">No transactions found.</div>
+                        ) : (
+                            <div className="history-table-wrap">
+                                <table className="history-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Date</th>
+                                            <th>Type</th>
+                                            <th>Amount</th>
+                                            <th>Note</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {detail.transactions.map((t) => (
+                                            <tr key={t.transactionId}>
+                                                <td className="col-date">
+                                                    {new Date(t.timestamp).toLocaleString('zh-TW', {
+                                                        month: '2-digit',
+                                                        day: '2-digit',
+                                                        hour: '2-digit',
+                                                        minute: '2-digit',
+                                                    })}
+                                                </td>
+                                                <td>
+                                                    <span className={`type-badge ${(t.type || '').toLowerCase()}`}>
+                                                        {t.type}
+                                                    </span>
+                                                </td>
+                                                <td className={`col-amount ${t.amount >= 0 ? 'positive' : 'negative'}`}>
+                                                    {t.amount >= 0 ? '+' : ''}
+                                                    {fmt(t.amount)}
+                                                </td>
+                                                <td className="col-note">{t.note || '—'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default Groups;
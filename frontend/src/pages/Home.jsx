@@ -142,7 +142,8 @@ function Home() {
                 <h2 className="section-title">🟡 Buyer without Account (Cash Payment)</h2>
                 <p className="section-desc">
                     No account? No problem. You can pay for your meal in cash.
-                    The cashier will handle the transaction through the <em>Shared Deposit</em> virtual account.
+                    The cashier will handle the transaction through their <em>cash drawer</em> — a virtual account
+                    per cashier or location (<em>Shared Deposit</em> unless an admin assigned one).
                 </p>
                 <div className="flow-diagram flow-amber">
                     <div className="flow-title">Cash Payment Flow</div>
@@ -167,7 +168,7 @@ function Home() {
                             <div className="fv-icon">💼</div>
                             <div className="fv-text">
                                 <strong>3. Cashier Processes</strong>
-                                <span>Cashier clicks <em>Pay in Cash</em> → tops up Shared Deposit → checks out</span>
+                                <span>Cashier clicks <em>Pay in Cash</em> → tops up their cash drawer → checks out</span>
                             </div>
                         </div>
                     </div>
@@ -253,7 +254,7 @@ function Home() {
                             <p>If the buyer paid in cash:</p>
                             <ol>
                                 <li>Cashier clicks <strong>Cancel & Refund</strong> on the row</li>
-                                <li>System withdraws from Shared Deposit</li>
+                                <li>System withdraws from the cashier's cash drawer</li>
                                 <li>A dialog reminds the cashier to <strong>return cash</strong> to the buyer</li>
                             </ol>
                         </div>
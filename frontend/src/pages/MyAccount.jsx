@@ -1,14 +1,54 @@
 import { useState, useEffect, useCallback } from 'react';
-import { getBalance, getTransactions, postStaged, getStaged } from '../api';
+import { v4 as uuidv4 } from 'uuid';
+import { getBalance, getTransactionHistory, getStatement, downloadStatement, downloadMonthlyStatement, postMonthlyStatements, postStaged, getStaged, postTransfer, getUserNames, getAliases, postAlias, deleteAlias } from '../api';
 import './MyAccount.css';
 
+/**
+ * Returns a local day as YYYY-MM-DD (the value of a date input).
+ * @param {Date} date
+ */
+function toDayInput(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Returns local midnight of a date-input day, offset by whole days, as ISO 8601.
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} offset
+ */
+function dayStart(day, offset = 0) {
+    const date = new Date(`${day}T00:00`);
+    date.setDate(date.getDate() + offset);
+    return date.toISOString();
+}
+
+const formatMoney = (n) => new Intl.NumberFormat('en-US').format(n);
+
+/**
+ * Saves a downloaded file through a temporary link.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * MyAccount page — view for buyers (and other roles).
- * Shows balance lookup, staged money controls, and transaction history.
+ * Shows balance lookup, staged money controls, transfers, aliases, and transaction history.
  */
 function MyAccount({ user, userInfo, onLogout }) {
+    const isAdmin = (userInfo?.role || '').toLowerCase() === 'admin';
     const [transactions, setTransactions] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
     const [balance, setBalance] = useState(null);
     const [balanceLoading, setBalanceLoading] = useState(false);
     const [searchName, setSearchName] = useState(userInfo?.name || '');
@@ -20,23 +60,60 @@ function MyAccount({ user, userInfo, onLogout }) {
     const [stageLoading, setStageLoading] = useState(false);
     const [stageMessage, setStageMessage] = useState(null);
 
-    // Fetch recent transactions
+    // Transfer state
+    const [transferTo, setTransferTo] = useState('');
+    const [transferAmount, setTransferAmount] = useState('');
+    const [transferNote, setTransferNote] = useState('');
+    const [transferLoading, setTransferLoading] = useState(false);
+    const [transferMessage, setTransferMessage] = useState(null);
+    const [customerNames, setCustomerNames] = useState([]); // recipients for autocomplete
+
+    // Alias state — admins manage the aliases of the account they looked up
+    const [lookedUpName, setLookedUpName] = useState(null);
+    const [aliases, setAliases] = useState([]);
+    const [aliasInput, setAliasInput] = useState('');
+    const [aliasLoading, setAliasLoading] = useState(false);
+    const [aliasMessage, setAliasMessage] = useState(null);
+    const aliasAccount = isAdmin && lookedUpName ? lookedUpName : userInfo?.name;
+
+    // Statement state — period defaults to this month so far
+    const [statementFrom, setStatementFrom] = useState(() => {
+        const now = new Date();
+        return toDayInput(new Date(now.getFullYear(), now.getMonth(), 1));
+    });
+    const [statementTo, setStatementTo] = useState(() => toDayInput(new Date()));
+    const [statement, setStatement] = useState(null);
+    const [statementLoading, setStatementLoading] = useState(false);
+    const [statementMessage, setStatementMessage] = useState(null);
+    const [statementMonth, setStatementMonth] = useState(() => toDayInput(new Date()).slice(0, 7));
+
+    // History of the looked-up account (buyers: always their own, enforced by the server)
+    const historyAccount = lookedUpName || userInfo?.name;
+
+    // Fetch the newest page of transactions
     const fetchTransactions = useCallback(async () => {
         try {
             setLoading(true);
-            const data = await getTransactions(user.token, 20);
-            setTransactions(data);
+            const data = await getTransactionHistory(user.token, { customer: historyAccount, limit: 20 });
+            setTransactions(data.transactions || []);
+            setNextCursor(data.nextCursor);
         } catch (err) {
             if (err.message.includes('401')) onLogout();
         } finally {
             setLoading(false);
         }
-    }, [user.token, onLogout]);
+    }, [user.token, onLogout, historyAccount]);
 
     useEffect(() => {
         fetchTransactions();
     }, [fetchTransactions]);
 
+    useEffect(() => {
+        getUserNames(user.token)
+            .then((data) => setCustomerNames(data.names || []))
+            .catch(() => { /* ignore */ });
+    }, [user.token]);
+
     // Auto-lookup balance for the user's registered name
     useEffect(() => {
         if (userInfo?.name) {
@@ -53,6 +130,7 @@ function MyAccount({ user, userInfo, onLogout }) {
             const result = await getBalance(name.trim(), user.token);
             setBalance(result.balance);
             setSearchName(name.trim());
+            setLookedUpName(result.customer);
         } catch (err) {
             setMessage({ type: 'error', text: err.message });
             setBalance(null);
@@ -109,16 +187,179 @@ function MyAccount({ user, userInfo, onLogout }) {
         }
     }
 
+    async function handleTransfer(e) {
+        e.preventDefault();
+        const amount = parseFloat(transferAmount);
+        if (!transferTo.trim()) {
+            setTransferMessage({ type: 'error', text: 'Enter a recipient' });
+            return;
+        }
+        if (isNaN(amount) || amount <= 0) {
+            setTransferMessage({ type: 'error', text: 'Enter a valid amount (> 0)' });
+            return;
+        }
+        if (!window.confirm(`Send $${new Intl.NumberFormat('en-US').format(amount)} to ${transferTo.trim()}?`)) {
+            return;
+        }
+
+        setTransferLoading(true);
+        setTransferMessage(null);
+        try {
+            const result = await postTransfer({
+                to: transferTo.trim(),
+                amount,
+                note: transferNote.trim(),
+                idempotencyKey: uuidv4(),
+            }, user.token);
+            setTransferTo('');
+            setTransferAmount('');
+            setTransferNote('');
+            setTransferMessage({
+                type: 'success',
+                text: `Sent $${new Intl.NumberFormat('en-US').format(result.amount)} to ${result.to}`,
+            });
+            await lookupBalance(userInfo.name);
+            await fetchTransactions();
+        } catch (err) {
+            setTransferMessage({ type: 'error', text: err.message });
+        } finally {
+            setTransferLoading(false);
+        }
+    }
+
+    const fetchAliases = useCallback(async () => {
+        if (!aliasAccount) return;
+        try {
+            const result = await getAliases(user.token, aliasAccount);
+            setAliases(result.aliases || []);
+        } catch (err) {
+            setAliases([]);
+            setAliasMessage({ type: 'error', text: err.message });
+        }
+    }, [user.token, aliasAccount]);
+
+    useEffect(() => {
+        fetchAliases();
+    }, [fetchAliases]);
+
+    async function handleAddAlias(e) {
+        e.preventDefault();
+        if (!aliasInput.trim()) return;
+
+        setAliasLoading(true);
+        setAliasMessage(null);
+        try {
+            const result = await postAlias(aliasInput.trim(), aliasAccount, user.token);
+            setAliasInput('');
+            setAliasMessage({ type: 'success', text: `"${result.alias}" now points to ${result.account}` });
+            await fetchAliases();
+        } catch (err) {
+            setAliasMessage({ type: 'error', text: err.message });
+        } finally {
+            setAliasLoading(false);
+        }
+    }
+
+    async function handleRemoveAlias(alias) {
+        setAliasLoading(true);
+        setAliasMessage(null);
+        try {
+            await deleteAlias(alias, user.token);
+            setAliasMessage({ type: 'success', text: `Removed "${alias}"` });
+            await fetchAliases();
+        } catch (err) {
+            setAliasMessage({ type: 'error', text: err.message });
+        } finally {
+            setAliasLoading(false);
+        }
+    }
+
+    async function handleLoadMore() {
+        setLoadingMore(true);
+        try {
+            const data = await getTransactionHistory(user.token, { customer: historyAccount, limit: 20, before: nextCursor });
+            setTransactions((prev) => [...prev, ...(data.transactions || [])]);
+            setNextCursor(data.nextCursor);
+        } catch (err) {
+            if (err.message.includes('401')) onLogout();
+        } finally {
+            setLoadingMore(false);
+        }
+    }
+
+    // The statement period as the API expects it: from local midnight, through the whole "to" day
+    function statementPeriod() {
+        return {
+            customer: historyAccount,
+            from: statementFrom ? dayStart(statementFrom) : '',
+            to: statementTo ? dayStart(statementTo, 1) : '',
+        };
+    }
+
+    async function handleViewStatement(e) {
+        e.preventDefault();
+        setStatementLoading(true);
+        setStatementMessage(null);
+        try {
+            setStatement(await getStatement(user.token, statementPeriod()));
+        } catch (err) {
+            setStatement(null);
+            setStatementMessage({ type: 'error', text: err.message });
+        } finally {
+            setStatementLoading(false);
+        }
+    }
+
+    async function handleDownloadStatement() {
+        setStatementLoading(true);
+        setStatementMessage(null);
+        try {
+            const blob = await downloadStatement(user.token, statementPeriod());
+            saveBlob(blob, `statement-${historyAccount || 'me'}-${statementFrom || 'start'}-${statementTo || 'today'}.csv`);
+        } catch (err) {
+            setStatementMessage({ type: 'error', text: err.message });
+        } finally {
+            setStatementLoading(false);
+        }
+    }
+
+    async function handleDownloadMonthlyPdf() {
+        setStatementLoading(true);
+        setStatementMessage(null);
+        try {
+            const blob = await downloadMonthlyStatement(statementMonth, historyAccount, user.token);
+            saveBlob(blob, `statement-${statementMonth}-${historyAccount || 'me'}.pdf`);
+        } catch (err) {
+            setStatementMessage({ type: 'error', text: err.message });
+        } finally {
+            setStatementLoading(false);
+        }
+    }
+
+    // Admins: archive the month's statement of every active user on the server
+    async function handleGenerateAllStatements() {
+        if (!window.confirm(`Generate the ${statementMonth} statement of every active user?`)) return;
+        setStatementLoading(true);
+        setStatementMessage(null);
+        try {
+            const result = await postMonthlyStatements(statementMonth, user.token);
+            setStatementMessage({
+                type: result.failed.length > 0 ? 'error' : 'success',
+                text: `Generated ${result.statements.length} statements for ${result.month}`
+                    + (result.failed.length > 0 ? `; failed: ${result.failed.map((f) => f.customer).join(', ')}` : ''),
+            });
+        } catch (err) {
+            setStatementMessage({ type: 'error', text: err.message });
+        } finally {
+            setStatementLoading(false);
+        }
+    }
+
     function handleSearch(e) {
         e.preventDefault();
         lookupBalance(searchName);
     }
 
-    // Filter transactions to show only the user's own
-    const myTransactions = transactions.filter(
-        (t) => t.customer?.toLowerCase() === (searchName || userInfo?.name || '').toLowerCase()
-    );
-
     return (
         <div className="myaccount-page">
             {/* Header */}
@@ -218,13 +459,231 @@ function MyAccount({ user, userInfo, onLogout }) {
                 )}
             </div>
 
+            {/* Transfer Card */}
+            {userInfo?.name && (
+                <div className="myaccount-transfer-card">
+                    <div className="stage-header">
+                        <div className="stage-label">Send Money</div>
+                        <div className="stage-hint">Transfer from your balance to a colleague</div>
+                    </div>
+                    <form className="stage-form" onSubmit={handleTransfer}>
+                        <input
+                            type="text"
+                            list="transfer-recipients"
+                            value={transferTo}
+                            onChange={(e) => setTransferTo(e.target.value)}
+                            placeholder="Recipient name"
+                            className="transfer-input"
+                            disabled={transferLoading}
+                        />
+                        <datalist id="transfer-recipients">
+                            {customerNames
+                                .filter((n) => n.toLowerCase() !== userInfo.name.toLowerCase())
+                                .map((n) => <option key={n} value={n} />)}
+                        </datalist>
+                        <div className="stage-input-wrap">
+                            <span className="stage-input-prefix">$</span>
+                            <input
+                                type="number"
+                                min="0"
+                                step="1"
+                                value={transferAmount}
+                                onChange={(e) => setTransferAmount(e.target.value)}
+                                placeholder="Amount"
+                                className="stage-input"
+                                disabled={transferLoading}
+                            />
+                        </div>
+                        <input
+                            type="text"
+                            value={transferNote}
+                            onChange={(e) => setTransferNote(e.target.value)}
+                            placeholder="Note (optional)"
+                            className="transfer-input"
+                            disabled={transferLoading}
+                        />
+                        <button
+                            type="submit"
+                            className="btn-transfer"
+                            disabled={transferLoading || !transferTo || !transferAmount}
+                        >
+                            {transferLoading ? '⏳' : '🔁 Send'}
+                        </button>
+                    </form>
+                    {transferMessage && (
+                        <p className={`stage-msg ${transferMessage.type}`}>{transferMessage.text}</p>
+                    )}
+                </div>
+            )}
+
+            {/* Aliases Card */}
+            {aliasAccount && (
+                <div className="myaccount-alias-card">
+                    <div className="stage-header">
+                        <div className="stage-label">Aliases {aliasAccount !== userInfo?.name && `— ${aliasAccount}`}</div>
+                        <div className="stage-hint">Other names used on dinbendon.net that should charge this account</div>
+                    </div>
+                    {aliases.length > 0 ? (
+                        <div className="alias-list">
+                            {aliases.map((a) => (
+                                <span key={a.alias} className="alias-chip" title={`Added by ${a.createdBy}`}>
+                                    {a.alias}
+                                    <button
+                                        type="button"
+                                        className="alias-remove"
+                                        onClick={() => handleRemoveAlias(a.alias)}
+                                        disabled={aliasLoading}
+                                        title="Remove alias"
+                                    >
+                                        ×
+                                    </button>
+                                </span>
+                            ))}
+                        </div>
+                    ) : (
+                        <p className="alias-empty">No aliases yet.</p>
+                    )}
+                    <form className="stage-form" onSubmit={handleAddAlias}>
+                        <input
+                            type="text"
+                            value={aliasInput}
+                            onChange={(e) => setAliasInput(e.target.value)}
+                            placeholder="e.g. 小明"
+                            className="transfer-input"
+                            maxLength={50}
+                            disabled={aliasLoading}
+                        />
+                        <button
+                            type="submit"
+                            className="btn-transfer"
+                            disabled={aliasLoading || !aliasInput.trim()}
+                        >
+                            {aliasLoading ? '⏳' : '🏷️ Add Alias'}
+                        </button>
+                    </form>
+                    {aliasMessage && (
+                        <p className={`stage-msg ${aliasMessage.type}`}>{aliasMessage.text}</p>
+                    )}
+                </div>
+            )}
+
+            {/* Statement */}
+            <div className="myaccount-history myaccount-statement">
+                <h3>Statement {(statement?.customer || historyAccount) && `— ${statement?.customer || historyAccount}`}</h3>
+                <form className="statement-form" onSubmit={handleViewStatement}>
+                    <input
+                        type="date"
+                        value={statementFrom}
+                        onChange={(e) => setStatementFrom(e.target.value)}
+                        className="transfer-input"
+                        disabled={statementLoading}
+                    />
+                    <span className="statement-to">to</span>
+                    <input
+                        type="date"
+                        value={statementTo}
+                        onChange={(e) => setStatementTo(e.target.value)}
+                        className="transfer-input"
+                        disabled={statementLoading}
+                    />
+                    <button type="submit" className="btn-transfer" disabled={statementLoading}>
+                        {statementLoading ? '⏳' : '📄 View'}
+                    </button>
+                    <button type="button" className="btn-unstage" onClick={handleDownloadStatement} disabled={statementLoading}>
+                        ⬇ Download CSV
+                    </button>
+                </form>
+                <div className="statement-form">
+                    <input
+                        type="month"
+                        value={statementMonth}
+                        onChange={(e) => setStatementMonth(e.target.value)}
+                        className="transfer-input"
+                        disabled={statementLoading}
+                    />
+                    <button type="button" className="btn-unstage" onClick={handleDownloadMonthlyPdf} disabled={statementLoading || !statementMonth}>
+                        📑 Monthly PDF
+                    </button>
+                    {isAdmin && (
+                        <button type="button" className="btn-unstage" onClick={handleGenerateAllStatements} disabled={statementLoading || !statementMonth}>
+                            🗄️ Generate All
+                        </button>
+                    )}
+                </div>
+                {statementMessage && (
+                    <p className={`stage-msg ${statementMessage.type}`}>{statementMessage.text}</p>
+                )}
+                {statement && (
+                    <div className="history-table-wrap">
+                        <table className="history-table">
+                            <thead>
+                                <tr>
+                                    <th>Date</th>
+                                    <th>Type</th>
+                                    <th>Amount</th>
+                                    <th>Balance</th>
+                                    <th>Note</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr className="statement-total">
+                                    <td colSpan={3}>Opening balance</td>
+                                    <td className="col-balance">{formatMoney(statement.openingBalance)}</td>
+                                    <td />
+                                </tr>
+                                {statement.transactions.map((t, i) => (
+                                    <tr key={t.transactionId || i}>
+                                        <td className="col-date">
+                                            {new Date(t.timestamp).toLocaleString('zh-TW', {
+                                                month: '2-digit',
+                                                day: '2-digit',
+                                                hour: '2-digit',
+                                                minute: '2-digit',
+                                            })}
+                                        </td>
+                                        <td>
+                                            <span className={`type-badge ${(t.type || '').toLowerCase()}`}>
+                                                {t.type}
+                                            </span>
+                                        </td>
+                                        <td className={`col-amount ${t.amount >= 0 ? 'positive' : 'negative'}`}>
+                                            {t.amount >= 0 ? '+' : ''}
+                                            {formatMoney(t.amount)}
+                                        </td>
+                                        <td className="col-balance">{formatMoney(t.balance)}</td>
+                                        <td className="col-note">
+                                            {t.counterparty && (
+                                                <span className="col-counterparty">
+                                                    {t.type === 'TRANSFER_OUT' ? `to ${t.counterparty}` : `from ${t.counterparty}`}
+                                                </span>
+                                            )}
+                                            {t.note || (t.counterparty ? '' : '—')}
+                                        </td>
+                                    </tr>
+                                ))}
+                                <tr className="statement-total">
+                                    <td colSpan={3}>
+                                        Closing balance
+                                        <span className="statement-flows">
+                                            in +{formatMoney(statement.totalIn)} · out -{formatMoney(statement.totalOut)}
+                                        </span>
+                                    </td>
+                                    <td className="col-balance">{formatMoney(statement.closingBalance)}</td>
+                                    <td />
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
             {/* Transaction History */}
             <div className="myaccount-history">
-                <h3>Transaction History {searchName && `— ${searchName}`}</h3>
+                <h3>Transaction History {historyAccount && `— ${historyAccount}`}</h3>
 
                 {loading ? (
                     <div className="history-loading">Loading transactions…</div>
-                ) : myTransactions.length === 0 ? (
+                ) : transactions.length === 0 ? (
                     <div className="history-empty">No transactions found.</div>
                 ) : (
                     <div className="history-table-wrap">
@@ -238,7 +697,7 @@ function MyAccount({ user, userInfo, onLogout }) {
                                 </tr>
                             </thead>
                             <tbody>
-                                {myTransactions.map((t, i) => (
+                                {transactions.map((t, i) => (
                                     <tr key={t.transactionId || i}>
                                         <td className="col-date">
                                             {new Date(t.timestamp).toLocaleString('zh-TW', {
@@ -257,11 +716,28 @@ function MyAccount({ user, userInfo, onLogout }) {
                                             {parseFloat(t.amount) >= 0 ? '+' : ''}
                                             {new Intl.NumberFormat('en-US').format(t.amount)}
                                         </td>
-                                        <td className="col-note">{t.note || '—'}</td>
+                                        <td className="col-note">
+                                            {t.counterparty && (
+                                                <span className="col-counterparty">
+                                                    {t.type === 'TRANSFER_OUT' ? `to ${t.counterparty}` : `from ${t.counterparty}`}
+                                                </span>
+                                            )}
+                                            {t.note || (t.counterparty ? '' : '—')}
+                                        </td>
                                     </tr>
                                 ))}
                             </tbody>
                         </table>
+                        {nextCursor !== null && (
+                            <button
+                                type="button"
+                                className="btn-unstage history-more"
+                                onClick={handleLoadMore}
+                                disabled={loadingMore}
+                            >
+                                {loadingMore ? '⏳' : 'Load older transactions'}
+                            </button>
+                        )}
                     </div>
                 )}
             </div>
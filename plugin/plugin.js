@@ -29,9 +29,17 @@
     // ─── State ───────────────────────────────────────────
     let authToken = null;   // JWT (in-memory only)
     let userName = null;
-    let balances = {};      // { customerName: balance | null }
-    let stagedAmounts = {}; // { customerName: stagedAmount }
+    let accounts = {};      // { dinbendon name: account | null } — aliases resolved by the backend
+    let suggestions = {};   // { dinbendon name: [{ account, score, reasons }] } — for names with no account
+    let groups = [];        // group accounts with their members, from /api/groups
+    let cashDrawer = 'Shared Deposit';     // the logged-in cashier's cash drawer, from /api/drawers/mine
+    const chargeTo = {};    // { dinbendon name: group } — rows charged to a group instead of the member's account
+    let balances = {};      // { account: balance | null }
+    let stagedAmounts = {}; // { account: stagedAmount }
     const checkedOutCustomers = new Set(); // track successful checkouts across DOM rebuilds
+    const checkoutTransactionIds = {};     // { customerName: TransactionID of the checkout SPEND }
+    let lastBatch = null;                  // { key, trs } — last Checkout All, for "Void Last Batch"
+    let pendingBatch = null;               // { key, trs } — Checkout All that failed midway, for "Resume"
 
     // ─── Utils ───────────────────────────────────────────
 
@@ -55,17 +63,53 @@
 
     // ─── API helpers ─────────────────────────────────────
 
-    async function apiFetch(path, options = {}) {
+    // Requests with an unknown outcome (network error, gateway timeout) are
+    // re-sent unchanged when that is safe: reads, writes whose body carries
+    // an idempotencyKey (the backend replays the original response for a
+    // repeated key), and calls marked { idempotent: true } whose endpoint
+    // replays by itself. Other writes are sent once.
+    const RETRY_DELAYS_MS = [500, 1500];
+    const RETRYABLE_STATUSES = [502, 503, 504];
+
+    function sleep(ms) {
+        return new Promise(function (resolve) { setTimeout(resolve, ms); });
+    }
+
+    function isRetrySafe(options) {
+        if (options.idempotent) return true;
+        if (!options.method || options.method === 'GET') return true;
+        try {
+            return !!JSON.parse(options.body || '{}').idempotencyKey;
+        } catch { return false; }
+    }
+
+    async function apiFetch(path, { idempotent, ...options } = {}) {
         if (!authToken) throw new Error('Not authenticated');
 
-        const res = await fetch(`${CONFIG.API_BASE}${path}`, {
-            ...options,
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`,
-                ...(options.headers || {}),
-            },
-        });
+        const retrySafe = isRetrySafe({ idempotent, ...options });
+        let res;
+        for (let attempt = 0; ; attempt++) {
+            const canRetry = retrySafe && attempt < RETRY_DELAYS_MS.length;
+            try {
+                res = await fetch(`${CONFIG.API_BASE}${path}`, {
+                    ...options,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${authToken}`,
+                        ...(options.headers || {}),
+                    },
+                });
+            } catch (err) {
+                if (!canRetry) throw err;
+                await sleep(RETRY_DELAYS_MS[attempt]);
+                continue;
+            }
+            if (RETRYABLE_STATUSES.includes(res.status) && canRetry) {
+                await sleep(RETRY_DELAYS_MS[attempt]);
+                continue;
+            }
+            break;
+        }
 
         const json = await res.json();
 
@@ -77,12 +121,35 @@
         }
 
         if (!res.ok) {
-            throw new Error(json.error || `API error ${res.status}`);
+            const error = new Error(json.error || `API error ${res.status}`);
+            error.resumable = !!json.resumable;
+            throw error;
         }
 
         return json;
     }
 
+    async function fetchAccounts(names) {
+        return apiFetch('/api/aliases/resolve', {
+            method: 'POST',
+            body: JSON.stringify({ names }),
+        });
+    }
+
+    async function fetchSuggestions(names) {
+        return apiFetch('/api/aliases/suggest', {
+            method: 'POST',
+            body: JSON.stringify({ names }),
+        });
+    }
+
+    async function execPick(name, account, saveAlias) {
+        return apiFetch('/api/aliases/pick', {
+            method: 'POST',
+            body: JSON.stringify({ name, account, saveAlias }),
+        });
+    }
+
     async function fetchBatchBalances(customers) {
         return apiFetch('/api/balance/batch', {
             method: 'POST',
@@ -97,10 +164,18 @@
         });
     }
 
-    async function execSpend(customer, amount, note) {
+    async function fetchMyDrawer() {
+        return apiFetch('/api/drawers/mine');
+    }
+
+    async function fetchGroups() {
+        return apiFetch('/api/groups');
+    }
+
+    async function execSpend(customer, amount, note, member) {
         return apiFetch('/api/spend', {
             method: 'POST',
-            body: JSON.stringify({ customer, amount, note, idempotencyKey: uuid() }),
+            body: JSON.stringify({ customer, amount, note, member, idempotencyKey: uuid() }),
         });
     }
 
@@ -111,10 +186,51 @@
         });
     }
 
-    async function execBatchCheckout(rows) {
+    async function execRefund(transactionId, note) {
+        return apiFetch('/api/refund', {
+            method: 'POST',
+            body: JSON.stringify({ transactionId, note, idempotencyKey: uuid() }),
+        });
+    }
+
+    /**
+     * TransactionID of the SPEND a row was checked out with. Falls back to
+     * the newest matching SPEND in recent transactions (e.g. after a reload).
+     */
+    async function findCheckoutTransactionId(customer, ledgerCustomer, note) {
+        if (checkoutTransactionIds[customer]) return checkoutTransactionIds[customer];
+
+        const result = await apiFetch('/api/transactions?limit=100');
+        const match = (result.transactions || []).find(function (tx) {
+            return tx.type === 'SPEND' &&
+                tx.customer.toLowerCase() === ledgerCustomer.toLowerCase() &&
+                tx.note === note;
+        });
+        if (!match) throw new Error('Original checkout transaction not found');
+        return match.transactionId;
+    }
+
+    async function execBatchCheckout(rows, idempotencyKey) {
         return apiFetch('/api/checkout/batch', {
             method: 'POST',
-            body: JSON.stringify({ rows, idempotencyKey: uuid() }),
+            body: JSON.stringify({ rows, idempotencyKey }),
+        });
+    }
+
+    // Resuming or voiding a batch again replays the first result, so both are safe to retry
+    async function execResumeBatch(batchKey) {
+        return apiFetch(`/api/checkout/batch/${encodeURIComponent(batchKey)}/resume`, {
+            method: 'POST',
+            body: JSON.stringify({}),
+            idempotent: true,
+        });
+    }
+
+    async function execVoidBatch(batchKey) {
+        return apiFetch(`/api/checkout/batch/${encodeURIComponent(batchKey)}/void`, {
+            method: 'POST',
+            body: JSON.stringify({}),
+            idempotent: true,
         });
     }
 
@@ -185,6 +301,8 @@
             .bendon-btn-refresh:hover:not(:disabled) { background: #0284c7; }
             .bendon-btn-checkoutall { background: #f59e0b; color: #fff; }
             .bendon-btn-checkoutall:hover:not(:disabled) { background: #d97706; }
+            .bendon-btn-void { background: #64748b; color: #fff; }
+            .bendon-btn-void:hover:not(:disabled) { background: #475569; }
             .bendon-panel-msg {
                 margin-top: 8px; font-size: 11px; max-width: 220px; word-break: break-word;
             }
@@ -217,6 +335,10 @@
             .bendon-row-done { background: #dcfce7; color: #166534; }
             .bendon-row-fail { background: #fee2e2; color: #991b1b; }
             .bendon-row-msg { font-size: 10px; max-width: 120px; word-break: break-word; }
+            .bendon-charge, .bendon-suggest {
+                font-size: 11px; font-family: inherit; max-width: 130px;
+                border: 1px solid #d1d5db; border-radius: 6px; padding: 2px 4px;
+            }
 
             /* Full-screen loader overlay */
             .bendon-loader-overlay {
@@ -320,6 +442,7 @@
     let logoutBtn = null;
     let refreshBtn = null;
     let checkoutAllBtn = null;
+    let voidBatchBtn = null;
     let loaderOverlay = null;
 
     function showLoader(message) {
@@ -349,6 +472,7 @@
                 <button class="bendon-btn bendon-btn-logout" id="bendon-logout" style="display:none">Logout</button>
                 <button class="bendon-btn bendon-btn-refresh" id="bendon-refresh" style="display:none">🔄 Refresh</button>
                 <button class="bendon-btn bendon-btn-checkoutall" id="bendon-checkoutall" style="display:none">⚡ Checkout All</button>
+                <button class="bendon-btn bendon-btn-void" id="bendon-voidbatch" style="display:none">↩ Void Last Batch</button>
             </div>
             <div class="bendon-panel-msg" id="bendon-msg"></div>
         `;
@@ -360,11 +484,13 @@
         logoutBtn = document.getElementById('bendon-logout');
         refreshBtn = document.getElementById('bendon-refresh');
         checkoutAllBtn = document.getElementById('bendon-checkoutall');
+        voidBatchBtn = document.getElementById('bendon-voidbatch');
 
         loginBtn.addEventListener('click', openLoginPopup);
         logoutBtn.addEventListener('click', logout);
         refreshBtn.addEventListener('click', function () { refreshAllBalances(); });
         checkoutAllBtn.addEventListener('click', handleCheckoutAll);
+        voidBatchBtn.addEventListener('click', handleVoidLastBatch);
     }
 
     function updatePanelState() {
@@ -375,6 +501,7 @@
             logoutBtn.style.display = '';
             refreshBtn.style.display = '';
             checkoutAllBtn.style.display = '';
+            voidBatchBtn.style.display = lastBatch ? '' : 'none';
         } else {
             panelStatusEl.textContent = 'Not logged in';
             panelStatusEl.className = 'bendon-panel-status';
@@ -382,6 +509,7 @@
             logoutBtn.style.display = 'none';
             refreshBtn.style.display = 'none';
             checkoutAllBtn.style.display = 'none';
+            voidBatchBtn.style.display = 'none';
         }
         panelMsgEl.textContent = '';
         panelMsgEl.className = 'bendon-panel-msg';
@@ -408,6 +536,32 @@
         });
     }
 
+    /** Account a dinbendon name charges (the name itself when it is not an alias or unknown). */
+    function accountOf(customer) {
+        return accounts[customer] || customer;
+    }
+
+    /** Account a row is charged to, and the member it is for when that account is a group. */
+    function chargeOf(customer) {
+        const group = chargeTo[customer];
+        return group ? { account: group, member: accountOf(customer) } : { account: accountOf(customer), member: null };
+    }
+
+    /** Groups an account may charge. */
+    function groupsFor(account) {
+        return groups.filter(function (g) {
+            return g.members.some(function (m) {
+                return m.canSpend && m.member.toLowerCase() === account.toLowerCase();
+            });
+        }).map(function (g) { return g.name; });
+    }
+
+    /** Note the backend writes on a spend (a group charge names the member, see groupService). */
+    function ledgerNoteOf(data) {
+        if (!data.member) return data.note;
+        return data.note ? `[${data.member}] ${data.note}` : `[${data.member}]`;
+    }
+
     function parseRow(tr) {
         const cells = tr.querySelectorAll('td');
         const customer = (tr.querySelector('td.mergeKey .infoContent')?.textContent || '').trim();
@@ -425,7 +579,7 @@
             .filter(Boolean)
             .join(', ');
 
-        return { customer, amount, total, note: items };
+        return { customer, ...chargeOf(customer), amount, total, note: items };
     }
 
     /**
@@ -488,6 +642,8 @@
             }
 
             btn.addEventListener('click', function () {
+                // The account may have been picked from suggestions, or a group chosen, since the row was injected
+                Object.assign(data, chargeOf(data.customer));
                 if (btn.classList.contains('bendon-row-cash')) {
                     showPayCashDialog(data, tr, btn, balSpan, msgSpan);
                 } else {
@@ -519,17 +675,33 @@
             if (!td) return;
 
             const customer = td.dataset.customer;
+            const account = chargeOf(customer).account;
             const amount = parseFloat(td.dataset.amount) || 0;
-            const bal = balances[customer];
-            const staged = stagedAmounts[customer] || 0;
+            const bal = balances[account];
+            const staged = stagedAmounts[account] || 0;
             const balSpan = td.querySelector('.bendon-balance');
+            balSpan.title = chargeTo[customer] ? `Group: ${account}` : account !== customer ? `Account: ${account}` : '';
             const btn = td.querySelector('.bendon-row-btn');
             const msgSpan = td.querySelector('.bendon-row-msg');
 
+            // Members who can spend from a group may charge the row to it
+            let chargeSelect = td.querySelector('.bendon-charge');
+            const groupNames = groupsFor(accountOf(customer));
+            if (!chargeSelect && groupNames.length > 0) {
+                chargeSelect = createChargeSelect(customer, groupNames);
+                balSpan.parentNode.insertBefore(chargeSelect, balSpan);
+            }
+            if (chargeSelect) chargeSelect.disabled = btn.classList.contains('bendon-row-done');
+            const oldSelect = td.querySelector('.bendon-suggest');
+            if (oldSelect) oldSelect.remove();
+
             if (bal === null || bal === undefined) {
                 balSpan.textContent = 'No account';
                 balSpan.className = 'bendon-balance bendon-balance-low';
                 if (btn.classList.contains('bendon-row-done')) return;
+                if ((suggestions[customer] || []).length > 0) {
+                    balSpan.parentNode.insertBefore(createSuggestSelect(customer), balSpan.nextSibling);
+                }
                 if (amount > 0) {
                     btn.disabled = false;
                     btn.className = 'bendon-row-btn bendon-row-cash';
@@ -579,6 +751,59 @@
         });
     }
 
+    /** Dropdown charging a row to the member's own account or one of their groups. */
+    function createChargeSelect(customer, groupNames) {
+        const select = document.createElement('select');
+        select.className = 'bendon-charge';
+
+        const own = document.createElement('option');
+        own.value = '';
+        own.textContent = 'Own account';
+        select.appendChild(own);
+
+        groupNames.forEach(function (name) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `👥 ${name}`;
+            select.appendChild(option);
+        });
+        select.value = chargeTo[customer] || '';
+
+        select.addEventListener('change', function () {
+            if (select.value) {
+                chargeTo[customer] = select.value;
+            } else {
+                delete chargeTo[customer];
+            }
+            updateRowBalances();
+        });
+        return select;
+    }
+
+    /** "Did you mean…" dropdown of the accounts suggested for a name with no account. */
+    function createSuggestSelect(customer) {
+        const select = document.createElement('select');
+        select.className = 'bendon-suggest';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Did you mean…';
+        select.appendChild(placeholder);
+
+        suggestions[customer].forEach(function (s) {
+            const option = document.createElement('option');
+            option.value = s.account;
+            option.textContent = `${s.account} (${Math.round(s.score * 100)}%)`;
+            option.title = s.reasons.join(', ');
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', function () {
+            if (select.value) handlePick(customer, select.value, select);
+        });
+        return select;
+    }
+
     function clearRowInjections() {
         document.querySelectorAll('.bendon-td, .bendon-th').forEach(function (el) {
             el.remove();
@@ -610,8 +835,16 @@
             injectRowCells();
             lastTableRef = getTable(); // track for re-injection detection
 
-            balances = await fetchBatchBalances(customers);
-            stagedAmounts = await fetchBatchStaged(customers);
+            // Several dinbendon names may be aliases of one account — look each account up once
+            accounts = await fetchAccounts(customers);
+            const unknown = customers.filter(function (c) { return !accounts[c]; });
+            suggestions = unknown.length > 0 ? await fetchSuggestions(unknown) : {};
+            groups = (await fetchGroups()).groups || [];
+            cashDrawer = (await fetchMyDrawer()).drawer;
+            const groupNames = customers.flatMap(function (c) { return groupsFor(accountOf(c)); });
+            const accountNames = [...new Set(customers.map(accountOf).concat(groupNames))];
+            balances = await fetchBatchBalances(accountNames);
+            stagedAmounts = await fetchBatchStaged(accountNames);
             updateRowBalances();
 
             showPanelMsg(`✓ ${customers.length} balances loaded`, 'success');
@@ -626,6 +859,39 @@
     // Expose for re-injection guard
     window.__BEN_DON_REFRESH = refreshAllBalances;
 
+    /**
+     * Use a suggested account for a name with no account. The backend
+     * remembers the pick; the cashier may also save the name as an alias.
+     */
+    async function handlePick(customer, account, select) {
+        const saveAlias = window.confirm(
+            `Use ${account} for "${customer}".\n\n` +
+            `OK: also save "${customer}" as an alias of ${account}\n` +
+            'Cancel: use it for this order only'
+        );
+
+        select.disabled = true;
+        showLoader('Saving pick…');
+        try {
+            const result = await execPick(customer, account, saveAlias);
+            accounts[customer] = result.account;
+            delete suggestions[customer];
+
+            if (balances[result.account] === undefined || balances[result.account] === null) {
+                Object.assign(balances, await fetchBatchBalances([result.account]));
+                Object.assign(stagedAmounts, await fetchBatchStaged([result.account]));
+            }
+            updateRowBalances();
+            showPanelMsg(`✓ "${customer}" → ${result.account}${result.alias ? ' (alias saved)' : ''}`, 'success');
+        } catch (err) {
+            select.disabled = false;
+            select.value = '';
+            showPanelMsg(err.message, 'error');
+        } finally {
+            hideLoader();
+        }
+    }
+
     async function handleSingleCheckout(tr, data, btn, balSpan, msgSpan) {
         if (!data.customer || data.amount <= 0) return;
 
@@ -635,18 +901,19 @@
         showLoader('Processing checkout…');
 
         try {
-            await execSpend(data.customer, data.amount, data.note);
+            const result = await execSpend(data.account, data.amount, data.note, data.member || undefined);
 
             checkedOutCustomers.add(data.customer);
+            checkoutTransactionIds[data.customer] = result.transactionID;
             markRowDone(tr, data, btn, balSpan, msgSpan);
 
             // Update local balance and staged amount
-            if (balances[data.customer] !== undefined) {
-                balances[data.customer] -= data.amount;
-                balSpan.textContent = `Balance: $${fmt(balances[data.customer])}`;
+            if (balances[data.account] !== undefined) {
+                balances[data.account] -= data.amount;
+                balSpan.textContent = `Balance: $${fmt(balances[data.account])}`;
             }
-            if (stagedAmounts[data.customer] !== undefined) {
-                stagedAmounts[data.customer] = Math.max(0, (stagedAmounts[data.customer] || 0) - data.amount);
+            if (stagedAmounts[data.account] !== undefined) {
+                stagedAmounts[data.account] = Math.max(0, (stagedAmounts[data.account] || 0) - data.amount);
             }
 
             // Sync dinbendon's UI — click their "付清 »" link
@@ -672,6 +939,8 @@
     // ─── Pay in Cash Dialog ──────────────────────────────────
 
     function showPayCashDialog(data, tr, rowBtn, balSpan, msgSpan) {
+        const drawer = cashDrawer;
+
         // Create overlay
         const overlay = document.createElement('div');
         overlay.className = 'bendon-dialog-overlay';
@@ -682,7 +951,7 @@
             <div class="bendon-dialog-title">💵 Pay in Cash</div>
             <div class="bendon-dialog-customer">${data.customer}</div>
             <div class="bendon-dialog-amount">$${fmt(data.amount)}</div>
-            <div class="bendon-dialog-hint">Top up & checkout via Shared Deposit</div>
+            <div class="bendon-dialog-hint">Top up & checkout via ${drawer}</div>
             <div class="bendon-dialog-btns">
                 <button class="bendon-dialog-cancel" id="bendon-cash-cancel">Cancel</button>
                 <button class="bendon-dialog-confirm" id="bendon-cash-confirm">💵 Pay & Checkout $${fmt(data.amount)}</button>
@@ -713,17 +982,19 @@
             dialogMsg.style.color = '';
 
             try {
-                // Step 1: Top up Shared Deposit
-                dialogMsg.textContent = 'Topping up Shared Deposit…';
+                // Step 1: Top up the cashier's drawer
+                dialogMsg.textContent = `Topping up ${drawer}…`;
                 dialogMsg.style.color = '#fbbf24';
-                await execTopup('Shared Deposit', data.amount, `Cash from ${data.customer}: ${data.note}`);
+                await execTopup(drawer, data.amount, `Cash from ${data.customer}: ${data.note}`);
 
-                // Step 2: Spend from Shared Deposit
-                dialogMsg.textContent = 'Checking out from Shared Deposit…';
-                await execSpend('Shared Deposit', data.amount, `Checkout for ${data.customer}: ${data.note}`);
+                // Step 2: Spend from the drawer
+                dialogMsg.textContent = `Checking out from ${drawer}…`;
+                const result = await execSpend(drawer, data.amount, `Checkout for ${data.customer}: ${data.note}`);
 
-                // Success — update the row
+                // Success — update the row (remember the drawer for Cancel & Refund)
+                data.drawer = drawer;
                 checkedOutCustomers.add(data.customer);
+                checkoutTransactionIds[data.customer] = result.transactionID;
                 markRowDone(tr, data, rowBtn, balSpan, msgSpan);
 
                 // Sync dinbendon's UI
@@ -783,19 +1054,28 @@
         cancelBtn.textContent = '⏳';
         if (msgSpan) msgSpan.textContent = '';
 
-        const isCashCustomer = balances[data.customer] === null || balances[data.customer] === undefined;
+        const isCashCustomer = balances[data.account] === null || balances[data.account] === undefined;
+
+        let refundedAmount = 0;
 
         try {
             if (isCashCustomer) {
-                // Cash-paid: spend from Shared Deposit to withdraw refund
-                await execSpend('Shared Deposit', data.total, `Cancel refund for ${data.customer}: ${data.note}`);
+                // Cash-paid: refund the checkout in the drawer that took the cash,
+                // then withdraw the cash handed back from this cashier's drawer
+                const spendId = await findCheckoutTransactionId(data.customer, data.drawer || cashDrawer, `Checkout for ${data.customer}: ${data.note}`);
+                const refund = await execRefund(spendId, `Cancel for ${data.customer}: ${data.note}`);
+                refundedAmount = refund.amount;
+                await execSpend(cashDrawer, refundedAmount, `Cash returned to ${data.customer}: ${data.note}`);
             } else {
-                // Personal account: topup back to customer
-                await execTopup(data.customer, data.total, `Cancel: ${data.note}`);
+                // Personal account: refund the checkout spend
+                const spendId = await findCheckoutTransactionId(data.customer, data.account, ledgerNoteOf(data));
+                const refund = await execRefund(spendId, `Cancel: ${data.note}`);
+                refundedAmount = refund.amount;
                 // Update local balance
-                balances[data.customer] += data.total;
-                if (balSpan) balSpan.textContent = `Balance: $${fmt(balances[data.customer])}`;
+                balances[data.account] += refundedAmount;
+                if (balSpan) balSpan.textContent = `Balance: $${fmt(balances[data.account])}`;
             }
+            delete checkoutTransactionIds[data.customer];
 
             // Revert dinbendon payment status
             clickDinbendonPaid(tr);
@@ -807,19 +1087,11 @@
             cancelBtn.remove();
 
             // Reset row to checkout-ready state
-            if (isCashCustomer) {
-                doneBtn.className = 'bendon-row-btn bendon-row-cash';
-                doneBtn.textContent = `💵 Pay $${fmt(data.amount)}`;
-                doneBtn.disabled = false;
-            } else {
-                doneBtn.className = 'bendon-row-btn bendon-row-checkout';
-                doneBtn.textContent = `Checkout $${fmt(data.amount)}`;
-                doneBtn.disabled = false;
-            }
+            resetRowButton(doneBtn, data, isCashCustomer);
 
             // Show cash-return dialog for cash customers
             if (isCashCustomer) {
-                showCashRefundDialog(data);
+                showCashRefundDialog(data, refundedAmount);
             }
 
         } catch (err) {
@@ -832,7 +1104,18 @@
         }
     }
 
-    function showCashRefundDialog(data) {
+    function resetRowButton(btn, data, isCashCustomer) {
+        if (isCashCustomer) {
+            btn.className = 'bendon-row-btn bendon-row-cash';
+            btn.textContent = `💵 Pay $${fmt(data.amount)}`;
+        } else {
+            btn.className = 'bendon-row-btn bendon-row-checkout';
+            btn.textContent = `Checkout $${fmt(data.amount)}`;
+        }
+        btn.disabled = false;
+    }
+
+    function showCashRefundDialog(data, amount) {
         const overlay = document.createElement('div');
         overlay.className = 'bendon-dialog-overlay';
 
@@ -842,7 +1125,7 @@
             <div class="bendon-refund-icon">💵</div>
             <div class="bendon-dialog-title">Return Cash to Customer</div>
             <div class="bendon-dialog-customer">${data.customer}</div>
-            <div class="bendon-dialog-amount">$${fmt(data.total)}</div>
+            <div class="bendon-dialog-amount">$${fmt(amount)}</div>
             <div class="bendon-refund-text">Please return this amount in cash.</div>
             <div class="bendon-dialog-btns">
                 <button class="bendon-dialog-confirm" id="bendon-refund-ok">OK, Done</button>
@@ -867,10 +1150,22 @@
         checkoutAllBtn.textContent = '⏳ Processing…';
         showLoader('Batch checkout in progress…');
 
+        let batchKey = null;
+        let eligibleTrs = [];
+
         try {
+            if (pendingBatch) {
+                // The last Checkout All stopped partway — finish only its uncommitted rows
+                batchKey = pendingBatch.key;
+                eligibleTrs = pendingBatch.trs;
+                const result = await execResumeBatch(batchKey);
+                pendingBatch = null;
+                applyBatchResult(result, batchKey, eligibleTrs);
+                return;
+            }
+
             const tableRows = getDataRows();
             const rows = [];
-            const eligibleTrs = [];
 
             tableRows.forEach(function (tr) {
                 const td = tr.querySelector('.bendon-td');
@@ -882,7 +1177,9 @@
 
                 const data = parseRow(tr);
                 if (data.customer && data.amount > 0) {
-                    rows.push({ customer: data.customer, amount: data.amount, note: data.note });
+                    rows.push(data.member
+                        ? { customer: data.member, amount: data.amount, note: data.note, chargeTo: data.account }
+                        : { customer: data.account, amount: data.amount, note: data.note });
                     eligibleTrs.push(tr);
                 }
             });
@@ -892,65 +1189,132 @@
                 return;
             }
 
-            const result = await execBatchCheckout(rows);
+            batchKey = uuid();
+            const result = await execBatchCheckout(rows, batchKey);
+            applyBatchResult(result, batchKey, eligibleTrs);
 
-            showPanelMsg(
-                `✓ ${result.transactionCount} checked out` +
-                (result.skippedCount > 0 ? `, ${result.skippedCount} skipped` : ''),
-                'success'
-            );
-
-            // Mark successfully checked-out rows as done
-            // The backend returns which rows were skipped — mark the rest as done
-            const skippedIndices = new Set((result.skippedRows || []).map(function (s) { return s.index - 1; }));
+        } catch (err) {
+            if (err.resumable) {
+                // Some rows were committed — running Checkout All afresh would charge them twice
+                pendingBatch = { key: batchKey, trs: eligibleTrs };
+                showPanelMsg(err.message + ' — click Resume to finish the remaining rows.', 'error');
+            } else {
+                showPanelMsg(err.message, 'error');
+            }
+        } finally {
+            checkoutAllBtn.disabled = false;
+            checkoutAllBtn.textContent = pendingBatch ? '🔁 Resume Batch' : '⚡ Checkout All';
+            hideLoader();
+        }
+    }
 
-            eligibleTrs.forEach(function (tr, i) {
-                const btn = tr.querySelector('.bendon-row-btn');
-                const msgSpan = tr.querySelector('.bendon-row-msg');
-                const balSpan = tr.querySelector('.bendon-balance');
+    function applyBatchResult(result, batchKey, eligibleTrs) {
+        const committedTrs = [];
+
+        showPanelMsg(
+            `✓ ${result.transactionCount} checked out` +
+            (result.skippedCount > 0 ? `, ${result.skippedCount} skipped` : ''),
+            'success'
+        );
+
+        // Mark successfully checked-out rows as done
+        // The backend returns which rows were skipped — mark the rest as done
+        const skippedIndices = new Set((result.skippedRows || []).map(function (s) { return s.index - 1; }));
+        // transactionIDs are in the order of the rows that were not skipped
+        let committedIndex = 0;
+
+        eligibleTrs.forEach(function (tr, i) {
+            const btn = tr.querySelector('.bendon-row-btn');
+            const msgSpan = tr.querySelector('.bendon-row-msg');
+            const balSpan = tr.querySelector('.bendon-balance');
+
+            if (skippedIndices.has(i)) {
+                // Skipped
+                if (btn) {
+                    btn.className = 'bendon-row-btn bendon-row-fail';
+                    btn.textContent = 'Skipped';
+                }
+                const reason = (result.skippedRows || []).find(function (s) { return s.index - 1 === i; });
+                if (msgSpan && reason) {
+                    msgSpan.textContent = reason.reason;
+                    msgSpan.style.color = '#dc2626';
+                }
+            } else {
+                // Success
+                if (btn) {
+                    const data = parseRow(tr);
+                    markRowDone(tr, data, btn, balSpan, msgSpan);
+                }
+                if (msgSpan) msgSpan.textContent = '';
 
-                if (skippedIndices.has(i)) {
-                    // Skipped
-                    if (btn) {
-                        btn.className = 'bendon-row-btn bendon-row-fail';
-                        btn.textContent = 'Skipped';
-                    }
-                    const reason = (result.skippedRows || []).find(function (s) { return s.index - 1 === i; });
-                    if (msgSpan && reason) {
-                        msgSpan.textContent = reason.reason;
-                        msgSpan.style.color = '#dc2626';
-                    }
-                } else {
-                    // Success
-                    if (btn) {
-                        const data = parseRow(tr);
-                        markRowDone(tr, data, btn, balSpan, msgSpan);
+                // Update local balance and staged amount
+                const data = parseRow(tr);
+                checkedOutCustomers.add(data.customer);
+                checkoutTransactionIds[data.customer] = (result.transactionIDs || [])[committedIndex++];
+                committedTrs.push(tr);
+                if (balances[data.account] !== undefined) {
+                    balances[data.account] -= data.amount;
+                    if (balSpan) {
+                        balSpan.textContent = `Balance: $${fmt(balances[data.account])}`;
                     }
-                    if (msgSpan) msgSpan.textContent = '';
+                }
+                if (stagedAmounts[data.account] !== undefined) {
+                    stagedAmounts[data.account] = Math.max(0, (stagedAmounts[data.account] || 0) - data.amount);
+                }
 
-                    // Update local balance and staged amount
-                    const data = parseRow(tr);
-                    checkedOutCustomers.add(data.customer);
-                    if (balances[data.customer] !== undefined) {
-                        balances[data.customer] -= data.amount;
-                        if (balSpan) {
-                            balSpan.textContent = `Balance: $${fmt(balances[data.customer])}`;
-                        }
-                    }
-                    if (stagedAmounts[data.customer] !== undefined) {
-                        stagedAmounts[data.customer] = Math.max(0, (stagedAmounts[data.customer] || 0) - data.amount);
-                    }
+                // Sync dinbendon's UI — click their "付清 »" link
+                clickDinbendonPaid(tr);
+            }
+        });
+
+        if (committedTrs.length > 0) {
+            lastBatch = { key: batchKey, trs: committedTrs };
+            voidBatchBtn.style.display = '';
+        }
+    }
+
+    async function handleVoidLastBatch() {
+        if (!authToken || !lastBatch) return;
+        if (!window.confirm(`Void the last batch? All ${lastBatch.trs.length} checkouts will be refunded.`)) return;
+
+        voidBatchBtn.disabled = true;
+        showLoader('Voiding batch…');
+
+        try {
+            const result = await execVoidBatch(lastBatch.key);
 
-                    // Sync dinbendon's UI — click their "付清 »" link
+            // Put every row of the batch back to checkout-ready
+            lastBatch.trs.forEach(function (tr) {
+                const data = parseRow(tr);
+                const btn = tr.querySelector('.bendon-row-btn');
+                const cancelBtn = tr.querySelector('.bendon-row-cancel');
+                const balSpan = tr.querySelector('.bendon-balance');
+
+                if (checkedOutCustomers.has(data.customer)) {
+                    // Still marked paid on dinbendon (not cancelled row by row) — revert it
                     clickDinbendonPaid(tr);
+                    checkedOutCustomers.delete(data.customer);
+                }
+                delete checkoutTransactionIds[data.customer];
+                if (cancelBtn) cancelBtn.remove();
+                if (btn) resetRowButton(btn, data, false);
+
+                if (typeof balances[data.account] === 'number') {
+                    balances[data.account] += data.amount;
+                    if (balSpan) balSpan.textContent = `Balance: $${fmt(balances[data.account])}`;
+                }
+                if (stagedAmounts[data.account] !== undefined) {
+                    stagedAmounts[data.account] = (stagedAmounts[data.account] || 0) + data.amount;
                 }
             });
 
+            lastBatch = null;
+            voidBatchBtn.style.display = 'none';
+            showPanelMsg(`↩ Batch voided — ${result.refundedCount} rows refunded ($${fmt(result.total)})`, 'success');
         } catch (err) {
             showPanelMsg(err.message, 'error');
         } finally {
-            checkoutAllBtn.disabled = false;
-            checkoutAllBtn.textContent = '⚡ Checkout All';
+            voidBatchBtn.disabled = false;
             hideLoader();
         }
     }